@@ -1,4 +1,4 @@
-// NODE: MTF_Combiner (v3.1 - System Ready)
+// NODE: MTF_Combiner (v3.11 - System Ready)
 // DESC: This node now requires 5 inputs and provides all data for downstream scorers.
 // 1. 5m candles
 // 2. 15m candles
@@ -10,66 +10,96 @@
 // --- v3.1 ---
 // + Added 'addTypicalPrice' helper to automatically add (HLC/3) to all candles.
 // + Added robust 'pipSize' fallback logic to the base meta object.
+//
+// --- v3.2 ---
+// + ATR now comes from the shared 'fx-quant-lib/indicators' module (same math as every scorer).
+//
+// --- v3.3 ---
+// + Resolves the config document ('fx-quant-lib/config') once per run and passes the
+//   effective config for the symbol alongside the payload as 'config'.
+//
+// --- v3.4 ---
+// + pip_size comes from the instrument registry ('fx-quant-lib/instruments') instead of a
+//   JPY guess. The full record (digits, contract size, spread, hours) is passed on as 'instrument'.
+//
+// --- v3.5 ---
+// + 'meta.daily_closes': the last daily closes ({ datetime, close }, newest first). Scorers echo
+//   'meta', so Confluence's portfolio stage can correlate the symbols that signal together.
+//
+// --- v3.6 ---
+// + 'market_regime': the one regime classification per symbol ('fx-quant-lib/regime', 4H:
+//   trend_up / trend_down / range / volatility_expansion / squeeze, with a confidence).
+//   Scorers echo it and Confluence routes on it.
+//
+// --- v3.7 ---
+// + Every candle gets 'time' (UTC epoch ms of the bar open, parsed from Twelve Data's
+//   'datetime' in the response's exchange timezone) and 'closed' (false for the bar still
+//   forming at the current time), via 'fx-quant-lib/candles'.
+// + 'data.closedCandlesOnly': drops the forming bars, so scorers never act on incomplete
+//   candles (data[0] is then the last closed bar). Regime and 4H ATR history follow suit.
+//
+// --- v3.8 ---
+// + 'data_quality': the data-quality report ('fx-quant-lib/quality') on the normalized
+//   candles: bad ticks, duplicate or out-of-order bars, missing bars outside market closes,
+//   stale feeds, zero-range and spike bars, and higher-TF bars that do not enclose their
+//   lower-TF bars. Scorers echo it; Confluence vetoes the symbol when it is not ok.
+//   Malformed inputs used to be only a console warning.
+//
+// --- v3.9 ---
+// + 'data.resample' ('intraday' | 'all'): one granular input (1min or 5min, the finest one
+//   connected) is enough. 15m/1h/4h ('intraday', plus 1D with 'all') are built from it by
+//   'fx-quant-lib/resample' with 'data.anchor' buckets ('utc' or the FX 'ny_close' day),
+//   and flagged 'partial' when short of feed bars. In 'intraday' mode a 1D input is used
+//   as-is. Inputs are then matched by their meta.interval, not their position.
+//
+// --- v3.10 ---
+// + Inputs need not be Twelve Data responses: OANDA v20 candles, MT5 / Dukascopy exports,
+//   OHLCV CSV text and plain JSON arrays are converted by 'fx-quant-lib/adapters' (symbol
+//   and interval from the source, else the input's position and the other inputs' symbol).
+//   Unreadable inputs are treated like missing ones.
+//
+// --- v3.11 ---
+// + 'cache.enabled': each response is merged into the local candle cache ('fx-quant-lib/cache')
+//   and replaced by the cached history plus the fresh bars (up to 'cache.maxBars'), so the
+//   'Cache Plan' node can request only the missing tail. 'candle_cache' reports hits and
+//   misses per interval.
+// + 'hist_atr_4h' holds 'data.histAtrBars' values (90 as before); more than one fetch
+//   returns needs the cache.
 
-if (items.length < 5) {
-  throw new Error("MTF Combiner (v3.1) expects 5 inputs (5m, 15m, 1h, 4h, 1D).");
-}
+const { calculateATR } = require('fx-quant-lib/indicators');
+const { getEffectiveConfig } = require('fx-quant-lib/config');
+const { getInstrument } = require('fx-quant-lib/instruments');
+const { classifyRegime } = require('fx-quant-lib/regime');
+const { INTERVAL_MS, normalizeCandles } = require('fx-quant-lib/candles');
+const { stateNow } = require('fx-quant-lib/state');
+const { checkDataQuality } = require('fx-quant-lib/quality');
+const { resampleResponses } = require('fx-quant-lib/resample');
+const { adaptResponse } = require('fx-quant-lib/adapters');
+const { openCandleCache, mergeResponses } = require('fx-quant-lib/cache');
+
+const TIMEFRAMES = ['5min', '15min', '1h', '4h', '1day'];
+
+// --- v3.10: Every input as a Twelve Data response (position = interval hint), null if unreadable ---
+let inputs = items.map((item, i) => {
+  if (!item || !item.json) return null;
+  try {
+    const response = adaptResponse(item.json, { interval: TIMEFRAMES[i] });
+    return response.values && response.meta ? response : null;
+  } catch (e) {
+    console.warn(`Input ${i + 1} could not be read: ${e.message}`);
+    return null;
+  }
+});
 
 // Helper to safely get data
-const getData = (item, tf) => {
-  if (!item || !item.json || !item.json.values || !item.json.meta) {
+const getData = (response, tf) => {
+  if (!response) {
     console.warn(`Input for ${tf} is missing or has invalid format.`);
     return { values: [], meta: { interval: tf } };
   }
-  return item.json;
+  return response;
 };
 
-// --- Helper function to calculate ATR (needed for hist_atr_4h) ---
-function calculateATR(data, period = 14) {
-    if (!data || data.length < period + 1) return { atr: null, values: [] };
-    
-    // Data is newest first (descending), reverse to be chronological (ascending)
-    const candles = [...data].reverse(); 
-    let trValues = [];
-    
-    // Check for bad data in first candle
-    if (isNaN(parseFloat(candles[0].high)) || isNaN(parseFloat(candles[0].low))) {
-        return { atr: null, values: [] };
-    }
-    trValues.push(parseFloat(candles[0].high) - parseFloat(candles[0].low));
-
-    for (let i = 1; i < candles.length; i++) {
-        let h = parseFloat(candles[i].high);
-        let l = parseFloat(candles[i].low);
-        let prevClose = parseFloat(candles[i-1].close);
-        
-        // Skip if any candle data is invalid
-        if (isNaN(h) || isNaN(l) || isNaN(prevClose)) continue; 
-        
-        let tr = Math.max(h - l, Math.abs(h - prevClose), Math.abs(l - prevClose));
-        trValues.push(tr);
-    }
-    
-    if(trValues.length < period) return { atr: null, values: [] };
-    
-    let atrValues = [];
-    let sum = 0;
-    for(let i=0; i < period; i++) sum += trValues[i];
-    let firstAtr = sum / period;
-    atrValues.push(firstAtr);
-    
-    let prevAtr = firstAtr;
-    for(let i = period; i < trValues.length; i++) {
-        let currentAtr = ((prevAtr * (period - 1)) + trValues[i]) / period;
-        atrValues.push(currentAtr);
-        prevAtr = currentAtr;
-    }
-    
-    // Return all values, in chronological order (oldest to newest)
-    return { atr: atrValues[atrValues.length - 1], values: atrValues };
-}
-// --- End ATR Helper ---
-
 // --- v3.1 NEW HELPER ---
 /**
  * Iterates over a candle array and adds the 'typical' price (HLC/3).
@@ -95,35 +125,110 @@ function addTypicalPrice(candles) {
 }
 // --- End v3.1 Helper ---
 
-// Assign inputs based on expected order
-const data_5m  = getData(items[0], '5m');
-const data_15m = getData(items[1], '15m');
-const data_1h  = getData(items[2], '1h');
-const data_4h  = getData(items[3], '4h');
-const data_1d  = getData(items[4], '1D'); // <-- (Item 12) NEW 5th INPUT
+// --- v3.9 NEW HELPER ---
+/**
+ * Resample mode: the finest input is the feed and the other timeframes are built from it.
+ * @param {Array} feeds - Valid input responses ({ meta, values }).
+ * @param {string} mode - 'intraday' (a 1day input is used as-is) or 'all'.
+ * @param {string} anchor - 'utc' | 'ny_close'.
+ * @returns {Object} { '5min', '15min', '1h', '4h', '1day' } responses; empty where none can be built.
+ */
+function resampleInputs(feeds, mode, anchor) {
+    const known = feeds.filter(f => INTERVAL_MS[f.meta.interval]);
+    if (known.length === 0) throw new Error("MTF Combiner (v3.11): resample mode needs a 1min or 5min input.");
+    const base = known.reduce((a, f) => (INTERVAL_MS[f.meta.interval] < INTERVAL_MS[a.meta.interval] ? f : a));
+    const daily = mode === 'intraday' ? known.find(f => f.meta.interval === '1day') : null;
+    const targets = TIMEFRAMES.filter(iv => INTERVAL_MS[iv] > INTERVAL_MS[base.meta.interval] && !(iv === '1day' && daily));
+    const built = resampleResponses(base, targets, anchor);
+    built[base.meta.interval] = base;
+    if (daily) built['1day'] = daily;
+    const out = {};
+    for (const iv of TIMEFRAMES) out[iv] = built[iv] || { values: [], meta: { symbol: base.meta.symbol, interval: iv } };
+    return out;
+}
+// --- End v3.9 Helper ---
+
+// --- v3.9: Symbol and config first; they decide how the inputs are read ---
+const feeds = inputs.filter(Boolean);
+const symbol = (feeds.find(f => f.meta.symbol) || { meta: {} }).meta.symbol || 'UNKNOWN';
+// v3.10: Files without a symbol (MT5 / Dukascopy exports) take the other inputs' one
+for (const f of feeds) if (!f.meta.symbol) f.meta = { ...f.meta, symbol };
+
+// --- v3.3: Effective config (defaults <- per-symbol overrides), validated on load ---
+const config = getEffectiveConfig(symbol);
+
+// stateNow() is the wall clock live and the replayed bar time in the backtester
+const nowMs = stateNow();
+
+// --- v3.11: Fresh responses merged into the candle cache; the full history goes on ---
+const cache = openCandleCache(config.cache);
+let candle_cache = { enabled: false };
+if (cache && symbol !== 'UNKNOWN') {
+  const merged = mergeResponses(cache, inputs, nowMs, config.cache);
+  inputs = merged.responses;
+  candle_cache = { enabled: true, ...merged.summary };
+}
+
+let data_5m, data_15m, data_1h, data_4h, data_1d;
+if (config.data.resample === 'off') {
+  if (items.length < 5) {
+    throw new Error("MTF Combiner (v3.11) expects 5 inputs (5m, 15m, 1h, 4h, 1D).");
+  }
+  // Assign inputs based on expected order
+  data_5m  = getData(inputs[0], '5m');
+  data_15m = getData(inputs[1], '15m');
+  data_1h  = getData(inputs[2], '1h');
+  data_4h  = getData(inputs[3], '4h');
+  data_1d  = getData(inputs[4], '1D'); // <-- (Item 12) NEW 5th INPUT
+} else {
+  const built = resampleInputs(inputs.filter(Boolean), config.data.resample, config.data.anchor);
+  [data_5m, data_15m, data_1h, data_4h, data_1d] = TIMEFRAMES.map(iv => built[iv]);
+}
+
+// --- v3.7: UTC 'time' + 'closed' on every candle; forming bars dropped in closed-only mode ---
+const candleOpts = { closedOnly: config.data.closedCandlesOnly };
+const candles_5m  = normalizeCandles(data_5m.values, data_5m.meta, nowMs, candleOpts);
+const candles_15m = normalizeCandles(data_15m.values, data_15m.meta, nowMs, candleOpts);
+const candles_1h  = normalizeCandles(data_1h.values, data_1h.meta, nowMs, candleOpts);
+const candles_4h  = normalizeCandles(data_4h.values, data_4h.meta, nowMs, candleOpts);
+const candles_1d  = normalizeCandles(data_1d.values, data_1d.meta, nowMs, candleOpts);
 
 // --- (Item 12) Calculate historical ATR for 4H ---
 // This is REQUIRED by all scorers for atr_4h_norm
-const atr4h_data = calculateATR(data_4h.values || [], 14);
+const atr4h_data = calculateATR(candles_4h, 14);
 
 // Get the last 90 ATR values (or as many as we have)
 // The `values` array is chronological (oldest to newest)
-const hist_atr_4h = atr4h_data.values.slice(-90); 
+// v3.11: 'data.histAtrBars' values (default 90)
+const hist_atr_4h = atr4h_data.values.slice(-config.data.histAtrBars);
 // --- End new calculation ---
 
-// Use the 15m data as the "base" for the symbol and primary meta
-const symbol = data_15m.meta.symbol || data_1h.meta.symbol || 'UNKNOWN';
-
 // This meta object MUST contain the pip_size.
 const baseMeta = data_15m.meta;
 
-// --- v3.1 FIX: Add robust pipSize fallback ---
-if (baseMeta && !baseMeta.pip_size) {
-    baseMeta.pip_size = symbol.includes('JPY') ? 0.01 : 0.0001;
-    console.warn(`MTF_Combiner: pip_size was missing, defaulted to ${baseMeta.pip_size}`);
-}
+// --- v3.4: Instrument registry is the single source of pip size / digits ---
+const instrument = getInstrument(symbol);
+baseMeta.pip_size = instrument.pipSize;
 // ---
 
+// --- v3.5: Daily closes for the portfolio correlation (one more than the returns needed) ---
+baseMeta.daily_closes = candles_1d
+  .slice(0, config.portfolio.correlationLookback + 1)
+  .map(c => ({ datetime: c.datetime, close: parseFloat(c.close) }));
+
+// --- v3.8: Data-quality report (raw interval names from each response's meta) ---
+const data_quality = checkDataQuality({
+  '5m':   { candles: candles_5m, interval: data_5m.meta.interval },
+  '15m':  { candles: candles_15m, interval: data_15m.meta.interval },
+  '1h':   { candles: candles_1h, interval: data_1h.meta.interval },
+  '4h':   { candles: candles_4h, interval: data_4h.meta.interval },
+  '1day': { candles: candles_1d, interval: data_1d.meta.interval }
+}, instrument, nowMs, config.data);
+if (!data_quality.ok) console.warn(`Data quality (${symbol}): ${data_quality.failed.join(', ')}`);
+
+// --- v3.6: Market regime, computed once for every downstream node ---
+const market_regime = classifyRegime(candles_4h, hist_atr_4h, config.regime);
+
 const combinedData = {
   symbol: symbol,
   primary_tf: '15m', // We'll base our LTF signal on the 15m
@@ -131,17 +236,33 @@ const combinedData = {
   
   // --- All required candle data ---
   // --- v3.1: Apply 'addTypicalPrice' to all candle arrays ---
-  data_5m: addTypicalPrice(data_5m.values || []),
-  data_15m: addTypicalPrice(data_15m.values || []),
-  data_1h: addTypicalPrice(data_1h.values || []),
-  data_4h: addTypicalPrice(data_4h.values || []),
-  data_daily: addTypicalPrice(data_1d.values || []), // <-- (Item 12) RENAMED to 'data_daily'
+  // --- v3.7: Candles carry 'time' (UTC ms) and 'closed' ---
+  data_5m: addTypicalPrice(candles_5m),
+  data_15m: addTypicalPrice(candles_15m),
+  data_1h: addTypicalPrice(candles_1h),
+  data_4h: addTypicalPrice(candles_4h),
+  data_daily: addTypicalPrice(candles_1d), // <-- (Item 12) RENAMED to 'data_daily'
 
   // --- (Item 12) NEW Required data ---
   hist_atr_4h: hist_atr_4h,
   
   // Pass along meta from the primary (LTF) timeframe
-  meta: baseMeta 
+  meta: baseMeta,
+
+  // --- v3.4: Pip size, digits, contract size, quote currency, spread, hours ---
+  instrument: instrument,
+
+  // --- v3.6: trend_up / trend_down / range / volatility_expansion / squeeze ---
+  market_regime: market_regime,
+
+  // --- v3.8: { ok, failed, warnings, issues, bars }; Confluence vetoes when not ok ---
+  data_quality: data_quality,
+
+  // --- v3.11: { enabled, backend, hits, misses, frames: { <interval>: { hit, cached, fetched, added, served } } } ---
+  candle_cache: candle_cache,
+
+  // --- v3.3: Read by every downstream node and echoed in its signal ---
+  config: config
 };
 
 // Return a *single item* containing all data
@@ -0,0 +1,287 @@
+// MODULE: fx-quant-lib/adapters (v1.0)
+// DESC: Market-data adapters. Every source is parsed into the internal candle
+//       format with its metadata, so the same nodes run from Twelve Data, a
+//       broker feed or local files (tools/backtest.js, tools/track.js):
+//         { meta: { symbol, interval, timezone, source },
+//           candles: [{ time: <UTC epoch ms of the bar open>, open, high, low, close[, volume] }] }
+//       Candles come out oldest first, numeric, de-duplicated (last one wins);
+//       rows with a bad time or price are dropped. toResponse() turns the result
+//       into the Twelve Data `{ meta, values }` shape MTF_Combiner and the S/R
+//       Filter read, and adaptResponse() does both for a node input.
+//
+// FORMATS (detected, or forced with opts.format):
+//   'twelvedata' - time_series response { meta, values } (values newest first).
+//   'oanda'      - OANDA v20 /instruments/{instrument}/candles JSON:
+//                  { instrument: 'EUR_USD', granularity: 'M5', candles: [{ time, volume,
+//                  complete, mid|bid|ask: { o, h, l, c } }] }, RFC 3339 or UNIX times.
+//                  opts.price picks the component ('mid' by default).
+//   'mt5'        - MetaTrader 5 history export, tab separated:
+//                  <DATE> <TIME> <OPEN> <HIGH> <LOW> <CLOSE> <TICKVOL> <VOL> <SPREAD>
+//                  ('2023.09.01', '00:05:00'; no <TIME> for daily bars). Times are the
+//                  broker's server time: pass opts.timezone. Volume is TICKVOL.
+//   'dukascopy'  - Dukascopy historical data CSV: Gmt time,Open,High,Low,Close,Volume
+//                  ('01.09.2023 00:00:00.000'); 'Local time' exports carry 'GMT+0300'.
+//   'csv'        - Generic OHLCV CSV with a header (',', ';' or tab): datetime|time|date|
+//                  timestamp (or separate date and time columns), open, high, low,
+//                  close[, volume].
+//   'json'       - Plain array of { time|datetime|date|timestamp, open, high, low, close[, volume] }
+//                  or of [time, open, high, low, close[, volume]].
+// Epoch seconds/ms and strings with an offset are absolute; other times are read
+// in opts.timezone (default: the source's own zone, else UTC). CSV text may also
+// arrive as { data: '<text>' } (an n8n HTTP node with a text response).
+// Symbols come out in registry form ('EUR_USD' -> 'EUR/USD') and intervals as
+// Twelve Data names ('M5' / 'H4' / 'D1' -> '5min' / '4h' / '1day').
+
+const { INTERVAL_MS, parseCandleTime } = require('./candles');
+const { getInstrument } = require('./instruments');
+
+const FORMATS = ['twelvedata', 'oanda', 'mt5', 'dukascopy', 'csv', 'json'];
+
+// Broker / short interval names -> Twelve Data names (case-sensitive: OANDA 'M' is a month)
+const INTERVAL_ALIASES = {
+    M1: '1min', M5: '5min', M15: '15min', M30: '30min',
+    H1: '1h', H2: '2h', H4: '4h', H8: '8h',
+    D: '1day', D1: '1day', W: '1week', W1: '1week', M: '1month', MN1: '1month',
+    '1m': '1min', '5m': '5min', '15m': '15min', '30m': '30min', '1d': '1day', '1D': '1day'
+};
+
+const TIME_COLUMNS = ['datetime', 'time', 'date', 'timestamp', 'gmt time', 'local time'];
+
+/**
+ * Twelve Data interval name for an interval in any supported notation (null if unknown).
+ * @param {string} raw - e.g. '5min', 'M5', 'H4', 'D', '1d'.
+ */
+function normalizeInterval(raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const s = String(raw).trim();
+    if (INTERVAL_ALIASES[s]) return INTERVAL_ALIASES[s];
+    const lower = s.toLowerCase();
+    return (INTERVAL_MS[lower] || lower === '1month') ? lower : null;
+}
+
+function normalizeSymbol(raw) {
+    return raw ? getInstrument(String(raw).replace(/_/g, '/')).symbol : null;
+}
+
+/**
+ * Symbol and interval from a file name: 'EURUSD_M5_202301020000_202312292355.csv'
+ * (MT5 export), 'EUR_USD_H4.json', '15min.csv'. Missing parts are left out.
+ * @param {string} file - File name or path.
+ */
+function metaFromFilename(file) {
+    const name = String(file).split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+    const alone = normalizeInterval(name);
+    if (alone) return { interval: alone };
+    const m = /^(.+?)[_\-. ](MN1|[MHDW]\d*|\d+(?:min|h|day|week|month))(?:[_\-. ].*)?$/.exec(name);
+    if (!m || !normalizeInterval(m[2])) return {};
+    return { symbol: m[1], interval: normalizeInterval(m[2]) };
+}
+
+// --- Parsing helpers ---
+
+function candleFrom(time, open, high, low, close, volume) {
+    const c = { time, open: parseFloat(open), high: parseFloat(high), low: parseFloat(low), close: parseFloat(close) };
+    if (time === null || [c.open, c.high, c.low, c.close].some(isNaN)) return null;
+    const v = parseFloat(volume);
+    if (!isNaN(v)) c.volume = v;
+    return c;
+}
+
+function parseDelimited(text) {
+    const lines = String(text).split(/\r?\n/).filter(l => l.trim() !== '');
+    if (lines.length === 0) return { header: [], rows: [] };
+    const first = lines[0];
+    const delimiter = first.includes('\t') ? '\t' : (first.split(';').length > first.split(',').length ? ';' : ',');
+    const header = first.split(delimiter).map(h => h.trim().replace(/^<|>$/g, '').toLowerCase());
+    const rows = lines.slice(1).map(line => {
+        const cols = line.split(delimiter);
+        const row = {};
+        header.forEach((h, i) => { row[h] = cols[i] !== undefined ? cols[i].trim() : undefined; });
+        return row;
+    });
+    return { header, rows };
+}
+
+// 'dd.mm.yyyy HH:MM:SS.mmm[ GMT+0300]' -> 'yyyy-mm-dd HH:MM:SS.mmm[+03:00]'
+function dukascopyTime(raw) {
+    const m = /^(\d\d)\.(\d\d)\.(\d{4})(?:\s+([\d:.]+))?(?:\s*GMT([+-]\d\d):?(\d\d))?$/.exec(String(raw || '').trim());
+    if (!m) return raw;
+    return `${m[3]}-${m[2]}-${m[1]} ${m[4] || '00:00:00'}${m[5] ? `${m[5]}:${m[6]}` : ''}`;
+}
+
+// --- Adapters: (input, opts) -> { meta, candles } ---
+
+function fromTwelveData(json, opts) {
+    const timezone = json.meta.exchange_timezone || json.meta.timezone || opts.timezone || 'UTC';
+    return {
+        meta: { symbol: json.meta.symbol, interval: json.meta.interval, timezone },
+        candles: (json.values || []).map(v => candleFrom(parseCandleTime(v.datetime, timezone), v.open, v.high, v.low, v.close, v.volume))
+    };
+}
+
+function fromOanda(json, opts) {
+    const component = opts.price || 'mid';
+    return {
+        meta: { symbol: json.instrument, interval: json.granularity, timezone: 'UTC' },
+        candles: (json.candles || []).map(c => {
+            const p = c[component] || c.mid || c.bid || c.ask || {};
+            return candleFrom(parseCandleTime(c.time, 'UTC'), p.o, p.h, p.l, p.c, c.volume);
+        })
+    };
+}
+
+function fromMT5(text, opts) {
+    const timezone = opts.timezone || 'UTC';
+    return {
+        meta: { timezone },
+        candles: parseDelimited(text).rows.map(r => {
+            const datetime = `${String(r.date || '').replace(/\./g, '-')} ${r.time || '00:00:00'}`;
+            return candleFrom(parseCandleTime(datetime, timezone), r.open, r.high, r.low, r.close, r.tickvol !== undefined ? r.tickvol : r.vol);
+        })
+    };
+}
+
+function fromDukascopy(text, opts) {
+    const { header, rows } = parseDelimited(text);
+    const column = header.includes('gmt time') ? 'gmt time' : 'local time';
+    const timezone = column === 'gmt time' ? 'UTC' : (opts.timezone || 'UTC');
+    return {
+        meta: { timezone },
+        candles: rows.map(r => candleFrom(parseCandleTime(dukascopyTime(r[column]), timezone), r.open, r.high, r.low, r.close, r.volume))
+    };
+}
+
+function fromCSV(text, opts) {
+    const timezone = opts.timezone || 'UTC';
+    const { header, rows } = parseDelimited(text);
+    const splitDateTime = header.includes('date') && header.includes('time');
+    const column = TIME_COLUMNS.find(h => header.includes(h));
+    return {
+        meta: { symbol: rows.length && rows[0].symbol, timezone },
+        candles: rows.map(r => {
+            const raw = splitDateTime && /^\d\d?:\d\d/.test(r.time || '') ? `${r.date} ${r.time}` : r[column];
+            return candleFrom(parseCandleTime(raw, timezone), r.open, r.high, r.low, r.close, r.volume);
+        })
+    };
+}
+
+function fromJSONArray(rows, opts) {
+    const timezone = opts.timezone || 'UTC';
+    return {
+        meta: { timezone },
+        candles: rows.map(r => {
+            if (Array.isArray(r)) return candleFrom(parseCandleTime(r[0], timezone), r[1], r[2], r[3], r[4], r[5]);
+            const raw = [r.time, r.datetime, r.date, r.timestamp].find(v => v !== undefined && v !== null && v !== '');
+            return candleFrom(parseCandleTime(raw, timezone), r.open, r.high, r.low, r.close, r.volume);
+        })
+    };
+}
+
+const ADAPTERS = {
+    twelvedata: fromTwelveData,
+    oanda: fromOanda,
+    mt5: fromMT5,
+    dukascopy: fromDukascopy,
+    csv: fromCSV,
+    json: fromJSONArray
+};
+
+// --- Public API ---
+
+/**
+ * Format of a market-data input (null if none matches).
+ * @param {string|Object|Array} input - File text, parsed JSON or an n8n item's json.
+ */
+function detectFormat(input) {
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (text.startsWith('{') || text.startsWith('[')) return detectFormat(JSON.parse(text));
+        const header = text.split(/\r?\n/, 1)[0];
+        if (/<DATE>/i.test(header)) return 'mt5';
+        if (/(gmt|local) time/i.test(header)) return 'dukascopy';
+        return /open/i.test(header) && /close/i.test(header) ? 'csv' : null;
+    }
+    if (Array.isArray(input)) return 'json';
+    if (input && typeof input === 'object') {
+        if (Array.isArray(input.values) && input.meta) return 'twelvedata';
+        if (Array.isArray(input.candles) && (input.instrument || input.granularity)) return 'oanda';
+        if (typeof input.data === 'string') return detectFormat(input.data);
+    }
+    return null;
+}
+
+/**
+ * Parses market data from any supported source into the internal candle format.
+ * @param {string|Object|Array} input - File text, parsed JSON or an n8n item's json.
+ * @param {Object} [opts] - { format, symbol, interval, timezone, price }. symbol and
+ *                          interval fill in what the source does not say itself.
+ * @returns {Object} { meta: { symbol, interval, timezone, source }, candles } (oldest first)
+ */
+function parseMarketData(input, opts = {}) {
+    const format = opts.format || detectFormat(input);
+    if (!ADAPTERS[format]) throw new Error(`adapters: unrecognized market data${opts.format ? ` format '${opts.format}'` : ''}`);
+    let body = input;
+    if (typeof body === 'string' && ['twelvedata', 'oanda', 'json'].includes(format)) body = JSON.parse(body);
+    if (body && typeof body === 'object' && !Array.isArray(body) && typeof body.data === 'string') {
+        body = ['twelvedata', 'oanda', 'json'].includes(format) ? JSON.parse(body.data) : body.data;
+    }
+    const { meta, candles } = ADAPTERS[format](body, opts);
+    const byTime = new Map();
+    for (const c of candles) if (c) byTime.set(c.time, c);
+    return {
+        meta: {
+            symbol: normalizeSymbol(meta.symbol || opts.symbol),
+            interval: normalizeInterval(meta.interval) || normalizeInterval(opts.interval),
+            timezone: meta.timezone,
+            source: format
+        },
+        candles: [...byTime.values()].sort((a, b) => a.time - b.time)
+    };
+}
+
+/**
+ * The Twelve Data shape of parsed market data (values newest first, UTC times).
+ * @param {Object} parsed - From parseMarketData().
+ */
+function toResponse(parsed) {
+    const { meta, candles } = parsed;
+    const values = [];
+    for (let i = candles.length - 1; i >= 0; i--) {
+        const c = candles[i];
+        const iso = new Date(c.time).toISOString();
+        const v = {
+            datetime: meta.interval === '1day' && iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' '),
+            open: String(c.open),
+            high: String(c.high),
+            low: String(c.low),
+            close: String(c.close)
+        };
+        if (c.volume !== undefined) v.volume = String(c.volume);
+        values.push(v);
+    }
+    return {
+        meta: { symbol: meta.symbol, interval: meta.interval, exchange_timezone: 'UTC', source: meta.source },
+        values,
+        status: 'ok'
+    };
+}
+
+/**
+ * A node input as a Twelve Data response. Twelve Data responses pass through unchanged.
+ * @param {string|Object|Array} input - An n8n item's json (or file text).
+ * @param {Object} [opts] - As for parseMarketData().
+ */
+function adaptResponse(input, opts = {}) {
+    if (!opts.format && detectFormat(input) === 'twelvedata') return input;
+    return toResponse(parseMarketData(input, opts));
+}
+
+module.exports = {
+    FORMATS,
+    normalizeInterval,
+    metaFromFilename,
+    detectFormat,
+    parseMarketData,
+    toResponse,
+    adaptResponse
+};
@@ -0,0 +1,246 @@
+// MODULE: fx-quant-lib/cache (v1.0)
+// DESC: Local candle cache (config section 'cache'). Every run used to refetch
+//       200-400 bars per timeframe and see no further back than one call
+//       returns. With the cache, the 'Cache Plan' node asks Twelve Data only for
+//       the bars since the newest cached one (plus `overlapBars`), and
+//       MTF_Combiner merges each response into the stored history and passes on
+//       the whole of it (up to `maxBars` per symbol and interval). Long
+//       lookbacks (a true daily EMA-200, a year of 4H ATR for `data.histAtrBars`)
+//       then cost one short request per timeframe.
+//
+// STORED: Closed bars only, oldest first, in the internal candle format
+//         ('fx-quant-lib/adapters': { time, open, high, low, close[, volume] }).
+//         The forming bar always comes from the fresh response. A fresh response
+//         that does not reach back to the cached history (the cache is older than
+//         one request can bridge) replaces it, so the served history has no holes.
+//
+// BACKENDS: Swappable, all with the same synchronous interface
+//           { backend, read(symbol, interval), write(symbol, interval, candles) }.
+//           'json'   - One JSON file per symbol and interval in a folder
+//                      (default: $FX_CACHE_PATH or <repo>/state/candles/).
+//           'sqlite' - One SQLite file via the optional 'better-sqlite3' package
+//                      (default: $FX_CACHE_PATH or <repo>/state/candles.sqlite).
+//           'memory' - In-process only; the backtester uses a fresh one per run.
+//
+// SUMMARY: MTF_Combiner outputs `candle_cache`: { enabled, backend, hits, misses,
+//          frames: { <interval>: { hit, cached, fetched, added, served } } }
+//          (bar counts). A hit is a response that continued the cached history.
+
+const fs = require('fs');
+const path = require('path');
+const { INTERVAL_MS, barCloseMs } = require('./candles');
+const { symbolKey } = require('./instruments');
+const { parseMarketData, toResponse } = require('./adapters');
+
+const STATE_DIR = path.join(__dirname, '..', '..', 'state');
+const DEFAULT_PATHS = {
+    json: path.join(STATE_DIR, 'candles'),
+    sqlite: path.join(STATE_DIR, 'candles.sqlite')
+};
+
+// The workflow's HTTP outputsize per interval without a cache (or on a miss)
+const FETCH_SIZES = { '5min': 201, '15min': 201, '1h': 201, '4h': 300, '1day': 400 };
+const MAX_OUTPUTSIZE = 5000; // Twelve Data time_series limit
+const MIN_FETCH = 3;         // The S/R Filter reads values[1] of the 1D response
+
+let openCaches = {};
+let installed = null; // From setCandleCache()
+
+// --- Backends ---
+
+const pack = c => (c.volume !== undefined ? [c.time, c.open, c.high, c.low, c.close, c.volume] : [c.time, c.open, c.high, c.low, c.close]);
+const unpack = r => {
+    const c = { time: r[0], open: r[1], high: r[2], low: r[3], close: r[4] };
+    if (r[5] !== undefined && r[5] !== null) c.volume = r[5];
+    return c;
+};
+
+function createMemoryCache() {
+    const series = {};
+    return {
+        backend: 'memory',
+        read: (symbol, interval) => (series[`${symbolKey(symbol)}_${interval}`] || []).slice(),
+        write: (symbol, interval, candles) => { series[`${symbolKey(symbol)}_${interval}`] = candles.slice(); }
+    };
+}
+
+function createJsonCache(dir) {
+    const fileFor = (symbol, interval) => path.join(dir, `${symbolKey(symbol)}_${interval}.json`);
+    return {
+        backend: 'json',
+        path: dir,
+        read: (symbol, interval) => {
+            const file = fileFor(symbol, interval);
+            try {
+                const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+                return Array.isArray(doc.candles) ? doc.candles.map(unpack) : [];
+            } catch (e) {
+                if (e.code === 'ENOENT') return [];
+                throw new Error(`cache: could not read ${file}: ${e.message}`);
+            }
+        },
+        // Write to a temp file and rename, so a crash never leaves half a document
+        write: (symbol, interval, candles) => {
+            const file = fileFor(symbol, interval);
+            fs.mkdirSync(dir, { recursive: true });
+            const tmp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify({ version: 1, symbol: symbolKey(symbol), interval, candles: candles.map(pack) }));
+            fs.renameSync(tmp, file);
+        }
+    };
+}
+
+function createSqliteCache(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        throw new Error("cache: backend 'sqlite' needs the 'better-sqlite3' package (npm install better-sqlite3), or use backend 'json'.");
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.exec(`CREATE TABLE IF NOT EXISTS candles (
+        symbol TEXT NOT NULL, interval TEXT NOT NULL, time_ms INTEGER NOT NULL,
+        open REAL NOT NULL, high REAL NOT NULL, low REAL NOT NULL, close REAL NOT NULL, volume REAL,
+        PRIMARY KEY (symbol, interval, time_ms))`);
+    const select = db.prepare('SELECT time_ms, open, high, low, close, volume FROM candles WHERE symbol = ? AND interval = ? ORDER BY time_ms');
+    const remove = db.prepare('DELETE FROM candles WHERE symbol = ? AND interval = ?');
+    const insert = db.prepare('INSERT INTO candles (symbol, interval, time_ms, open, high, low, close, volume) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+    const replace = db.transaction((key, interval, candles) => {
+        remove.run(key, interval);
+        for (const c of candles) insert.run(key, interval, c.time, c.open, c.high, c.low, c.close, c.volume !== undefined ? c.volume : null);
+    });
+    return {
+        backend: 'sqlite',
+        path: file,
+        read: (symbol, interval) => select.all(symbolKey(symbol), interval)
+            .map(row => unpack([row.time_ms, row.open, row.high, row.low, row.close, row.volume])),
+        write: (symbol, interval, candles) => replace(symbolKey(symbol), interval, candles)
+    };
+}
+
+/**
+ * Creates a cache for a backend. Prefer openCandleCache(), which reuses caches.
+ * @param {string} backend - 'json' | 'sqlite' | 'memory'.
+ * @param {string} [location] - Folder ('json') or file ('sqlite').
+ */
+function createCandleCache(backend, location) {
+    if (backend === 'memory') return createMemoryCache();
+    if (backend === 'json') return createJsonCache(location || process.env.FX_CACHE_PATH || DEFAULT_PATHS.json);
+    if (backend === 'sqlite') return createSqliteCache(location || process.env.FX_CACHE_PATH || DEFAULT_PATHS.sqlite);
+    throw new Error(`cache: unknown backend '${backend}'`);
+}
+
+/**
+ * The cache for the effective config's `cache` section (one per backend and path),
+ * the one installed with setCandleCache(), or null when the cache is disabled.
+ * @param {Object} cacheConfig - Section 'cache' of the effective config.
+ */
+function openCandleCache(cacheConfig) {
+    if (!cacheConfig.enabled) return null;
+    if (installed) return installed;
+    const key = `${cacheConfig.backend}:${cacheConfig.path || ''}`;
+    if (!openCaches[key]) openCaches[key] = createCandleCache(cacheConfig.backend, cacheConfig.path || undefined);
+    return openCaches[key];
+}
+
+/**
+ * Installs a cache for offline tools (used while `cache.enabled`); the backtester
+ * installs a fresh memory cache per run. Pass null to go back to the configured one.
+ * @param {Object|null} cache - From createCandleCache().
+ */
+function setCandleCache(cache) {
+    installed = cache || null;
+}
+
+// --- Fetch planning and merging ---
+
+/**
+ * Twelve Data `outputsize` per interval for the next run: the bars since the
+ * newest cached one plus `overlapBars`, or the full fetch on a miss.
+ * @param {Object|null} cache - From openCandleCache() (null: no cache).
+ * @param {string} symbol - Any spelling ('EUR/USD', 'eurusd').
+ * @param {number} nowMs - Current time (UTC epoch ms).
+ * @param {Object} cfg - Section 'cache' of the effective config.
+ * @returns {Object} { <interval>: { outputsize, cached } } for '5min' ... '1day'.
+ */
+function planFetch(cache, symbol, nowMs, cfg) {
+    const plan = {};
+    for (const [interval, size] of Object.entries(FETCH_SIZES)) {
+        const cached = cache ? cache.read(symbol, interval) : [];
+        const full = cache ? Math.min(MAX_OUTPUTSIZE, Math.max(size, cfg.maxBars)) : size;
+        let outputsize = full;
+        if (cached.length > 0) {
+            const since = Math.ceil((nowMs - cached[cached.length - 1].time) / INTERVAL_MS[interval]);
+            outputsize = Math.min(full, Math.max(MIN_FETCH, since + cfg.overlapBars));
+        }
+        plan[interval] = { outputsize, cached: cached.length };
+    }
+    return plan;
+}
+
+function mergeResponse(cache, response, nowMs, cfg) {
+    const parsed = parseMarketData(response, { format: 'twelvedata' });
+    const { symbol, interval } = parsed.meta;
+    const fresh = parsed.candles;
+    if (!symbol || !INTERVAL_MS[interval] || fresh.length === 0) return { response, stats: null };
+
+    const cached = cache.read(symbol, interval);
+    const hit = cached.length > 0 && fresh[0].time <= cached[cached.length - 1].time + INTERVAL_MS[interval];
+    const byTime = new Map((hit ? cached : []).map(c => [c.time, c]));
+    let added = 0;
+    const forming = [];
+    for (const c of fresh) {
+        if (barCloseMs(c.time, interval) > nowMs) {
+            forming.push(c);
+            continue;
+        }
+        if (!byTime.has(c.time)) added++;
+        byTime.set(c.time, c);
+    }
+    const history = [...byTime.values()].sort((a, b) => a.time - b.time).slice(-cfg.maxBars);
+    cache.write(symbol, interval, history);
+
+    const served = history.concat(forming.filter(c => history.length === 0 || c.time > history[history.length - 1].time));
+    return {
+        response: {
+            ...response,
+            meta: { ...response.meta, exchange_timezone: 'UTC' },
+            values: toResponse({ meta: parsed.meta, candles: served }).values
+        },
+        interval,
+        stats: { hit, cached: cached.length, fetched: fresh.length, added, served: served.length }
+    };
+}
+
+/**
+ * Merges fresh responses into the cache and serves the full history in their place.
+ * @param {Object} cache - From openCandleCache().
+ * @param {Array} responses - Twelve Data responses ({ meta, values }); null entries are kept.
+ * @param {number} nowMs - Current time (UTC epoch ms); later bars are still forming.
+ * @param {Object} cfg - Section 'cache' of the effective config.
+ * @returns {Object} { responses (same order), summary: { backend, hits, misses, frames } }
+ */
+function mergeResponses(cache, responses, nowMs, cfg) {
+    const summary = { backend: cache.backend, hits: 0, misses: 0, frames: {} };
+    const out = responses.map(response => {
+        if (!response) return response;
+        const merged = mergeResponse(cache, response, nowMs, cfg);
+        if (merged.stats) {
+            summary.frames[merged.interval] = merged.stats;
+            if (merged.stats.hit) summary.hits++;
+            else summary.misses++;
+        }
+        return merged.response;
+    });
+    return { responses: out, summary };
+}
+
+module.exports = {
+    FETCH_SIZES,
+    createCandleCache,
+    openCandleCache,
+    setCandleCache,
+    planFetch,
+    mergeResponses
+};
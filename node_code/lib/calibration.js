@@ -0,0 +1,221 @@
+// MODULE: fx-quant-lib/calibration (v1.0)
+// DESC: Confidence calibration. Scorer confidences are hand-picked (0.85 for a
+//       break-and-retest, 0.70 for a BOS, 0.30 + 0.4 for a ranging reversion),
+//       yet Confluence averages them like probabilities. A calibration maps each
+//       signal type's raw confidence to the win rate that confidence has
+//       actually achieved, fitted by tools/calibrate.js on an outcome journal
+//       (tools/track.js) or a backtest trade list.
+//
+// METHODS: 'isotonic' - monotone step fit (pool adjacent violators), read with
+//                       linear interpolation between the step centres.
+//          'platt'    - logistic p = 1 / (1 + exp(-(a * confidence + b))).
+//
+// FILE: { version: 1, fittedAt, method, curves: { <signalType>: curve } }
+//       curve: { method: 'isotonic', x: [...], y: [...], samples }
+//            | { method: 'platt', a, b, samples }
+//       A signal type without a curve keeps its raw confidence. Scorers that
+//       share a type (Trend and Mean 'reversion') share its curve.
+
+const fs = require('fs');
+const path = require('path');
+
+const CALIBRATION_VERSION = 1;
+const DEFAULT_CALIBRATION_FILE = path.join(__dirname, '..', '..', 'config', 'fx-calibration.json');
+const METHODS = ['isotonic', 'platt'];
+
+let fileCache = { file: null, mtimeMs: null, doc: null };
+
+const clamp01 = v => Math.min(1, Math.max(0, v));
+const round4 = v => Math.round(v * 10000) / 10000;
+
+/**
+ * Isotonic fit of win (0/1) on confidence.
+ * @param {Array} points - [{ confidence, win }]
+ * @returns {Object} { method: 'isotonic', x, y, samples }
+ */
+function fitIsotonic(points) {
+    const sorted = [...points].sort((a, b) => a.confidence - b.confidence);
+    // Blocks of { sumX, sumY, n }; equal confidences start in one block
+    const blocks = [];
+    for (const p of sorted) {
+        const last = blocks[blocks.length - 1];
+        if (last && last.x0 === p.confidence) {
+            last.sumX += p.confidence; last.sumY += p.win ? 1 : 0; last.n++;
+        } else {
+            blocks.push({ x0: p.confidence, sumX: p.confidence, sumY: p.win ? 1 : 0, n: 1 });
+        }
+        // Pool adjacent violators
+        while (blocks.length > 1) {
+            const b = blocks[blocks.length - 1];
+            const a = blocks[blocks.length - 2];
+            if (a.sumY / a.n <= b.sumY / b.n) break;
+            blocks.splice(-2, 2, { x0: a.x0, sumX: a.sumX + b.sumX, sumY: a.sumY + b.sumY, n: a.n + b.n });
+        }
+    }
+    return {
+        method: 'isotonic',
+        x: blocks.map(b => round4(b.sumX / b.n)),
+        y: blocks.map(b => round4(b.sumY / b.n)),
+        samples: points.length
+    };
+}
+
+/**
+ * Platt scaling: logistic regression of win on confidence (Newton's method,
+ * with Platt's smoothed targets so a perfect split does not diverge).
+ * @param {Array} points - [{ confidence, win }]
+ * @returns {Object} { method: 'platt', a, b, samples }
+ */
+function fitPlatt(points) {
+    const wins = points.filter(p => p.win).length;
+    const hi = (wins + 1) / (wins + 2);
+    const lo = 1 / (points.length - wins + 2);
+    const targets = points.map(p => (p.win ? hi : lo));
+    let a = 0;
+    let b = Math.log((wins + 1) / (points.length - wins + 1));
+    for (let iter = 0; iter < 100; iter++) {
+        // Gradient and Hessian of the log loss, with a tiny ridge for stability
+        let ga = 0, gb = 0, haa = 1e-9, hab = 0, hbb = 1e-9;
+        points.forEach((p, k) => {
+            const q = 1 / (1 + Math.exp(-(a * p.confidence + b)));
+            const d = q - targets[k];
+            const w = q * (1 - q);
+            ga += d * p.confidence; gb += d;
+            haa += w * p.confidence * p.confidence; hab += w * p.confidence; hbb += w;
+        });
+        const det = haa * hbb - hab * hab;
+        if (!(Math.abs(det) > 1e-12)) break;
+        const da = (hbb * ga - hab * gb) / det;
+        const db = (haa * gb - hab * ga) / det;
+        a -= da;
+        b -= db;
+        if (Math.abs(da) < 1e-9 && Math.abs(db) < 1e-9) break;
+    }
+    return { method: 'platt', a: round4(a), b: round4(b), samples: points.length };
+}
+
+/**
+ * Calibrated confidence for a raw one.
+ * @param {Object} curve - From fitIsotonic() / fitPlatt().
+ * @param {number} confidence - Raw scorer confidence.
+ */
+function applyCurve(curve, confidence) {
+    if (curve.method === 'platt') return round4(1 / (1 + Math.exp(-(curve.a * confidence + curve.b))));
+    const { x, y } = curve;
+    if (confidence <= x[0]) return y[0];
+    if (confidence >= x[x.length - 1]) return y[y.length - 1];
+    let i = 1;
+    while (x[i] < confidence) i++;
+    return round4(y[i - 1] + (y[i] - y[i - 1]) * (confidence - x[i - 1]) / (x[i] - x[i - 1]));
+}
+
+/**
+ * Fits one curve per signal type.
+ * @param {Array} points - [{ signalType, confidence, win }]
+ * @param {Object} opts - { method: 'isotonic'|'platt', minSamples }
+ * @returns {Object} Calibration document ({ version, fittedAt, method, curves, skipped })
+ */
+function fitCalibration(points, opts = {}) {
+    const method = opts.method || 'isotonic';
+    if (!METHODS.includes(method)) throw new Error(`calibration: unknown method '${method}'`);
+    const byType = {};
+    for (const p of points) (byType[p.signalType] = byType[p.signalType] || []).push(p);
+    const curves = {};
+    const skipped = {};
+    for (const [type, list] of Object.entries(byType)) {
+        if (list.length < (opts.minSamples || 1)) {
+            skipped[type] = list.length;
+            continue;
+        }
+        curves[type] = method === 'platt' ? fitPlatt(list) : fitIsotonic(list);
+    }
+    return { version: CALIBRATION_VERSION, fittedAt: new Date().toISOString(), method, curves, skipped };
+}
+
+/**
+ * Calibrated confidence of a scorer output; the raw confidence when its type has no curve.
+ * @param {Object} calibration - Calibration document.
+ * @param {string} signalType - e.g. 'break-and-retest'.
+ * @param {number} confidence - Raw scorer confidence.
+ */
+function calibrateConfidence(calibration, signalType, confidence) {
+    const curve = calibration && calibration.curves ? calibration.curves[signalType] : null;
+    if (!curve || typeof confidence !== 'number') return confidence;
+    return clamp01(applyCurve(curve, confidence));
+}
+
+/**
+ * Mean squared error of the predicted win probabilities (lower is better).
+ * @param {Array} points - [{ signalType, confidence, win }]
+ * @param {Function} [predict] - point -> probability (default: its raw confidence).
+ */
+function brierScore(points, predict = p => p.confidence) {
+    if (points.length === 0) return null;
+    const sum = points.reduce((a, p) => a + Math.pow(clamp01(predict(p)) - (p.win ? 1 : 0), 2), 0);
+    return round4(sum / points.length);
+}
+
+/**
+ * Reliability diagram: predicted vs observed win rate in equal-width bins.
+ * @param {Array} points - [{ signalType, confidence, win }]
+ * @param {Function} [predict] - point -> probability (default: its raw confidence).
+ * @param {number} [bins] - Number of bins over [0, 1].
+ * @returns {Array} [{ from, to, count, predicted, observed }] (empty bins left out)
+ */
+function reliabilityDiagram(points, predict = p => p.confidence, bins = 10) {
+    const out = Array.from({ length: bins }, (_, k) => ({ from: k / bins, to: (k + 1) / bins, count: 0, sumP: 0, wins: 0 }));
+    for (const p of points) {
+        const q = clamp01(predict(p));
+        const bin = out[Math.min(bins - 1, Math.floor(q * bins))];
+        bin.count++;
+        bin.sumP += q;
+        bin.wins += p.win ? 1 : 0;
+    }
+    return out.filter(b => b.count > 0).map(b => ({
+        from: round4(b.from),
+        to: round4(b.to),
+        count: b.count,
+        predicted: round4(b.sumP / b.count),
+        observed: round4(b.wins / b.count)
+    }));
+}
+
+/**
+ * Loads a calibration file (cached until it changes). A missing file yields null.
+ * @param {string} [file] - Defaults to $FX_CALIBRATION_FILE or config/fx-calibration.json.
+ */
+function loadCalibration(file = process.env.FX_CALIBRATION_FILE || DEFAULT_CALIBRATION_FILE) {
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (e) {
+        return null;
+    }
+    if (fileCache.file === file && fileCache.mtimeMs === stat.mtimeMs) return fileCache.doc;
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`calibration: could not parse ${file}: ${e.message}`);
+    }
+    if (doc.version !== CALIBRATION_VERSION || typeof doc.curves !== 'object' || doc.curves === null) {
+        throw new Error(`calibration: ${file} is not a version ${CALIBRATION_VERSION} calibration document`);
+    }
+    doc.source = file;
+    fileCache = { file, mtimeMs: stat.mtimeMs, doc };
+    return doc;
+}
+
+module.exports = {
+    CALIBRATION_VERSION,
+    DEFAULT_CALIBRATION_FILE,
+    METHODS,
+    fitIsotonic,
+    fitPlatt,
+    applyCurve,
+    fitCalibration,
+    calibrateConfidence,
+    brierScore,
+    reliabilityDiagram,
+    loadCalibration
+};
@@ -0,0 +1,140 @@
+// MODULE: fx-quant-lib/candles (v1.0)
+// DESC: Candle timestamps. Twelve Data time_series returns each bar's open as a
+//       `datetime` string in the exchange's wall-clock time ('YYYY-MM-DD' for
+//       daily bars, 'YYYY-MM-DD HH:mm:ss' otherwise) and names the zone in
+//       `meta.exchange_timezone`. MTF_Combiner turns every candle into:
+//         { ...candle, time: <UTC epoch ms of the bar open>, closed: <bool> }
+//       `closed` is false for the bar that is still forming at `now`
+//       (time + interval > now), which Twelve Data returns as values[0].
+//       With `data.closedCandlesOnly` the forming bars are dropped, so the
+//       scorers' data[0] is always the last complete bar.
+//
+// Zones are IANA names ('UTC', 'America/New_York', ...); DST is resolved with
+// Intl, so no timezone database is needed. Strings that carry their own offset
+// ('...Z', '...+02:00') and numeric epochs (seconds or ms) are taken as-is.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Twelve Data interval name -> bar length in ms ('1month' varies, see barCloseMs)
+const INTERVAL_MS = {
+    '1min': MINUTE_MS,
+    '5min': 5 * MINUTE_MS,
+    '15min': 15 * MINUTE_MS,
+    '30min': 30 * MINUTE_MS,
+    '45min': 45 * MINUTE_MS,
+    '1h': 60 * MINUTE_MS,
+    '2h': 2 * 60 * MINUTE_MS,
+    '4h': 4 * 60 * MINUTE_MS,
+    '8h': 8 * 60 * MINUTE_MS,
+    '1day': DAY_MS,
+    '1week': 7 * DAY_MS
+};
+
+const formatters = {};
+
+function zoneFormatter(timeZone) {
+    if (!formatters[timeZone]) {
+        try {
+            formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+        } catch (e) {
+            throw new Error(`candles: unknown timezone '${timeZone}'`);
+        }
+    }
+    return formatters[timeZone];
+}
+
+/**
+ * Offset of a timezone from UTC at an instant (ms; +2h for Europe/Berlin in summer).
+ * @param {string} timeZone - IANA zone name.
+ * @param {number} utcMs - The instant (UTC epoch ms).
+ */
+function zoneOffsetMs(timeZone, utcMs) {
+    if (!timeZone || timeZone === 'UTC') return 0;
+    const f = {};
+    for (const p of zoneFormatter(timeZone).formatToParts(new Date(utcMs))) f[p.type] = p.value;
+    const wall = Date.UTC(+f.year, +f.month - 1, +f.day, +f.hour, +f.minute, +f.second);
+    return wall - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * UTC instant of a wall-clock time in a timezone.
+ * @param {number} wallMs - The wall-clock time written as if it were UTC (Date.UTC(...)).
+ * @param {string} timeZone - IANA zone name.
+ */
+function wallClockToUtc(wallMs, timeZone) {
+    // The second pass picks the right offset around DST changes
+    const guess = wallMs - zoneOffsetMs(timeZone, wallMs);
+    return wallMs - zoneOffsetMs(timeZone, guess);
+}
+
+/**
+ * UTC epoch ms of a candle timestamp.
+ * @param {string|number} raw - Twelve Data `datetime`, an ISO string with offset, or epoch s/ms.
+ * @param {string} [timeZone] - Zone of wall-clock strings (default 'UTC').
+ * @returns {number|null} null when it cannot be parsed.
+ */
+function parseCandleTime(raw, timeZone = 'UTC') {
+    if (raw === undefined || raw === null || raw === '') return null;
+    if (typeof raw === 'number' || /^\d+(\.\d+)?$/.test(String(raw))) {
+        const n = Number(raw);
+        return n < 1e12 ? n * 1000 : n;
+    }
+    const s = String(raw).trim();
+    if (/(Z|[+-]\d\d:?\d\d)$/.test(s) && s.length > 10) {
+        const ms = Date.parse(s.replace(' ', 'T'));
+        return isNaN(ms) ? null : ms;
+    }
+    const m = /^(\d{4})-(\d\d)-(\d\d)(?:[ T](\d\d):(\d\d)(?::(\d\d)(?:\.\d+)?)?)?$/.exec(s);
+    if (!m) return null;
+    return wallClockToUtc(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)), timeZone);
+}
+
+/**
+ * UTC epoch ms at which a bar closes.
+ * @param {number} timeMs - Bar open (UTC epoch ms).
+ * @param {string} interval - Twelve Data interval name.
+ * @returns {number|null} null for an unknown interval.
+ */
+function barCloseMs(timeMs, interval) {
+    if (interval === '1month') {
+        const d = new Date(timeMs);
+        return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes());
+    }
+    return INTERVAL_MS[interval] ? timeMs + INTERVAL_MS[interval] : null;
+}
+
+/**
+ * Timestamps and tags the candles of one Twelve Data response.
+ * @param {Array} values - Response `values` (newest first).
+ * @param {Object} meta - Response `meta` (`interval`, `exchange_timezone` or `timezone`).
+ * @param {number} nowMs - Current time (UTC epoch ms).
+ * @param {Object} [opts] - { closedOnly: drop the bars still forming at nowMs }
+ * @returns {Array} New candle objects with `time` and `closed`, same order.
+ *                  A bar whose close cannot be determined counts as closed.
+ */
+function normalizeCandles(values, meta = {}, nowMs = Date.now(), opts = {}) {
+    const timeZone = meta.exchange_timezone || meta.timezone || 'UTC';
+    const out = [];
+    for (const c of values || []) {
+        const time = parseCandleTime(c.datetime !== undefined ? c.datetime : c.time, timeZone);
+        const closeMs = time === null ? null : barCloseMs(time, meta.interval);
+        const closed = closeMs === null || closeMs <= nowMs;
+        if (opts.closedOnly && !closed) continue;
+        out.push({ ...c, time, closed });
+    }
+    return out;
+}
+
+module.exports = {
+    INTERVAL_MS,
+    zoneOffsetMs,
+    wallClockToUtc,
+    parseCandleTime,
+    barCloseMs,
+    normalizeCandles
+};
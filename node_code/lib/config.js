@@ -0,0 +1,516 @@
+// MODULE: fx-quant-lib/config (v1.0)
+// DESC: The single, versioned configuration document for every node. It holds
+//       global defaults, per-scorer sections and per-symbol overrides. MTF_Combiner
+//       resolves it ONCE per run and passes the effective config for the symbol
+//       alongside the payload (`payload.config`); the scorers read their section
+//       from there and echo it, so every emitted signal records the exact
+//       settings that produced it. Replaces 'fx-quant-lib/params'.
+//
+// FILE:  $FX_CONFIG_FILE, else <repo>/config/fx-config.json (optional; see
+//        config/fx-config.example.json).
+//        {
+//          "version": 1,                       // Document schema version (required)
+//          "revision": "2024-06-01",           // Free-form label, echoed in signals
+//          "defaults": { "mean": { "minSLPips": 20 }, ... },
+//          "symbols":  { "XAU/USD": { "mean": { "minSLPips": 40 } }, ... }
+//        }
+//        Effective config = DEFAULT_CONFIG <- defaults <- symbols[symbol].
+//        Symbol keys match with or without separators ("EUR/GBP" == "EURGBP").
+//        The document is validated on load: unknown sections/keys, wrong types
+//        and out-of-range values throw, listing every problem found.
+
+const fs = require('fs');
+const path = require('path');
+const { symbolKey } = require('./instruments');
+
+const CONFIG_VERSION = 1;
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', '..', 'config', 'fx-config.json');
+
+// Built-in defaults: the values that used to be hard-coded in each node.
+const DEFAULT_CONFIG = {
+    session: {
+        windowsUtc: [[7, 10], [12, 15]]  // Inclusive UTC hour ranges: London open, NY open
+    },
+    data: {
+        closedCandlesOnly: false,        // MTF_Combiner drops the still-forming bar of every timeframe
+        resample: 'off',                 // 'intraday': 15m/1h/4h built from the 1min/5min feed; 'all': daily too
+        anchor: 'utc',                   // Resampled 4h/daily buckets: 'utc' midnight or 'ny_close' (17:00 New York)
+        qualityVeto: true,               // Confluence vetoes a symbol whose data-quality report has errors
+        maxMissingBars: 2,               // Missing bars per timeframe (market closes excluded) before it fails
+        staleBars: 3,                    // Newest bar older than this many intervals while open = stale feed
+        maxZeroRangeBars: 5,             // high == low bars per timeframe before it fails (warning below)
+        spikeAtrMult: 10,                // A bar range above this x ATR(14) of its timeframe is a bad tick
+        crossTfTolerancePips: 0.5,       // Slack when a higher-TF bar's high/low is checked against its lower-TF bars
+        histAtrBars: 90                  // 4H ATR values passed on as hist_atr_4h (regime ATR percentile)
+    },
+    regime: {
+        emaPeriod: 50,                   // 4H EMA whose slope gives the direction
+        slopeLookback: 10,               // EMA slope measured over 10 4H bars
+        slopeMinAtr: 0.5,                // |EMA change| >= 0.5 ATR over the lookback = sloped
+        adxPeriod: 14,
+        adxTrendThreshold: 25,           // ADX at or above: trending
+        adxRangeThreshold: 20,           // ADX below: ranging
+        erPeriod: 20,                    // Efficiency ratio period
+        erTrendThreshold: 0.35,
+        erRangeThreshold: 0.2,
+        hurstWindow: 128,                // 4H returns used for the Hurst estimate
+        hurstTrendThreshold: 0.55,       // Persistent
+        hurstRangeThreshold: 0.45,       // Anti-persistent
+        bbPeriod: 20,
+        bbStdDev: 2,
+        bandwidthLookback: 100,          // Bollinger bandwidth percentile over 100 4H bars
+        expansionPercentile: 0.8,        // ATR & bandwidth percentile at or above: expansion
+        squeezePercentile: 0.2           // ATR & bandwidth percentile at or below: squeeze
+    },
+    confluence: {
+        regimeVolatilityThreshold: 0.7,  // ATR percentile above which volatility is 'High'
+        mode: 'boolean',                 // 'boolean' (first-match, v1.3) | 'weighted' (ensemble vote)
+        netThreshold: 0.4,               // Weighted: |net score| needed to emit a signal
+        minAgreement: 0.6,               // Weighted: share of the vote on the winning side
+        weights: {                       // Weighted: per regime, per scorer signalType
+            Up: { momentum: 1.0, 'break-and-retest': 1.0, shallow_pullback: 0.8, market_structure: 0.8, liquidity: 0.8, vwap_bias: 0.5, reversion: 0.6 },
+            Down: { momentum: 1.0, 'break-and-retest': 1.0, shallow_pullback: 0.8, market_structure: 0.8, liquidity: 0.8, vwap_bias: 0.5, reversion: 0.6 },
+            Neutral: { momentum: 0.3, 'break-and-retest': 0.5, shallow_pullback: 0.3, market_structure: 0.6, liquidity: 0.8, vwap_bias: 0.6, reversion: 1.0 }
+        }
+    },
+    calibration: {
+        enabled: false,                  // Map scorer confidences through fitted curves before Confluence aggregates them
+        file: '',                        // Curves file; '' = $FX_CALIBRATION_FILE or config/fx-calibration.json
+        method: 'isotonic',              // tools/calibrate.js: 'isotonic' | 'platt'
+        minSamples: 30                   // tools/calibrate.js: no curve for a signal type with fewer labelled signals
+    },
+    trace: {
+        log: false,                      // Confluence appends every decision trace to a JSONL log
+        file: ''                         // Log file; '' = $FX_TRACE_FILE or state/traces.jsonl
+    },
+    structure: {
+        rsiBuyThreshold: 55,             // 1H RSI needed to confirm a bullish break
+        rsiSellThreshold: 45,            // 1H RSI needed to confirm a bearish break
+        slAtrMult: 2.0,                  // SL = 2x 1H ATR (wider for structure plays)
+        minSLPips: 15,                   // SL floor
+        rewardRisk: 1.5,                 // TP = 1.5R
+        confidenceBOS: 0.70,             // Break of structure with the HTF bias
+        confidenceCHOCH: 0.65            // Change of character against the HTF bias
+    },
+    liquidity: {
+        slAtrMult: 1.5,                  // SL = 1.5x 1H ATR
+        minSLPips: 15,                   // SL floor
+        rewardRisk: 1.8,                 // Default TP = 1.8R
+        fvgRewardRisk: 2.0,              // TP when the SL sits behind an FVG
+        fvgMaxDistanceAtr: 1.0,          // Pullback must be within 1x 1H ATR of the FVG
+        fvgSlBufferAtr: 0.25,            // SL buffer beyond the FVG = 25% of 1H ATR
+        confidence: 0.60,
+        entryMode: 'market',             // 'market': bar close | 'limit': pending order at the FVG edge (opt-in)
+        orderValidMinutes: 240           // Pending order expires after 4h
+    },
+    vwap: {
+        slAtrMult: 1.5,                  // SL = 1.5x 1H ATR
+        minSLPips: 15,                   // SL floor
+        rewardRisk: 1.8,                 // TP = 1.8R
+        zoneAtrMult: 0.25,               // 15m VWAP zone = 25% of 1H ATR
+        confidence: 0.65
+    },
+    trend: {
+        volatilitySpikeMult: 3.0,        // Veto if current candle range is 3x the 15m ATR
+        srZoneAtrMult: 0.25,             // S/R zone = 25% of 1H ATR
+        slAtrMult: 1.5,                  // SL = 1.5x 1H ATR
+        minSLPips: 20,                   // SL floor
+        rewardRisk: 1.5,                 // Fallback TP when no S/R target gives >= 1R
+        rsiBiasBuyThreshold: 52,         // 4H RSI above this (price above EMA): long bias
+        rsiBiasSellThreshold: 48,        // 4H RSI below this (price below EMA): short bias
+        rsiHtfStrongBuyThreshold: 60,    // 4H RSI above this: strong uptrend bonus
+        rsiHtfStrongSellThreshold: 40,   // 4H RSI below this: strong downtrend bonus
+        rsiMomentumBuyThreshold: 55,     // 15m RSI above this (price above EMA): momentum buy
+        rsiMomentumSellThreshold: 45,    // 15m RSI below this (price below EMA): momentum sell
+        rsiStrongBuyThreshold: 65,       // 15m RSI above this: strong momentum bonus (buys)
+        rsiStrongSellThreshold: 35,      // 15m RSI below this: strong momentum bonus (sells)
+        rsiPullbackBuyThreshold: 35,     // 15m RSI below this: pullback buy
+        rsiPullbackSellThreshold: 65,    // 15m RSI above this: pullback sell
+        rsiDeepBuyThreshold: 25,         // 15m RSI below this: deep pullback bonus (buys)
+        rsiDeepSellThreshold: 75,        // 15m RSI above this: deep pullback bonus (sells)
+        rsiShallowBuyThreshold: 40,      // 15m RSI above this (price at/below EMA): shallow pullback buy
+        rsiShallowSellThreshold: 60,     // 15m RSI below this (price at/above EMA): shallow pullback sell
+        confidenceBase: 0.5,             // Momentum and pullback setups start here
+        confidenceShallowPullback: 0.6,  // Shallow pullback starts here
+        momentumBonus: 0.15,             // Momentum setup
+        momentumHtfBonus: 0.15,          // Momentum with a strong 4H RSI
+        momentumStrongBonus: 0.10,       // Momentum with a strong 15m RSI
+        pullbackHtfBonus: 0.10,          // Pullback with a strong 4H RSI
+        pullbackDeepBonus: 0.20,         // Deep pullback
+        shallowHtfBonus: 0.15,           // Shallow pullback with a strong 4H RSI
+        srBonus: 0.2,                    // At a support (buys) / resistance (sells)
+        srPenalty: 0.3,                  // Into a resistance (buys) / support (sells)
+        confidenceMin: 0.1               // Below this after the S/R context: veto
+    },
+    mean: {
+        volatilitySpikeMult: 3.0,        // Veto if current candle range is 3x the 15m ATR
+        srZoneAtrMult: 0.25,             // S/R zone = 25% of 1H ATR
+        adxPeriod: 14,                   // ADX period for 4H regime filter
+        adxTrendThreshold: 25,           // ADX value above which a trend is considered
+        stochRsiPeriod: 14,              // Stochastic RSI period
+        stochKSmooth: 3,                 // Stochastic RSI %K smoothing
+        stochDSmooth: 3,                 // Stochastic RSI %D smoothing
+        bbPeriod: 20,                    // Bollinger Bands period
+        bbStdDev: 2,                     // Bollinger Bands standard deviation
+        srBonusMinor: 0.15,              // Confidence bonus for minor S/R (Central Pivot)
+        srBonusMajor: 0.30,              // Confidence bonus for major S/R (S/R 1-3, PDH/L)
+        slAtrMult: 1.5,                  // SL = 1.5x 1H ATR
+        minSLPips: 20                    // SL floor
+    },
+    execution: {
+        slippagePips: 0.5,               // Expected entry slippage, added to the spread cost
+        downweightCostShare: 0.10,       // Cost above 10% of the target: confidence x (1 - share)
+        maxCostShare: 0.20,              // Cost above 20% of the target: veto
+        minRewardRisk: 1.0               // Candidates with TP < 1R (or SL/TP on the wrong side) are dropped
+    },
+    plan: {
+        enabled: true,                   // Attach a trade-management plan to every trade signal
+        targets: [                       // TP1..TPn: R multiple and share of the position closed there
+            { r: 1, closePercent: 50 },
+            { r: 2, closePercent: 30 },
+            { r: 3, closePercent: 20 }
+        ],
+        snapR: 0.3,                      // A structural level within 0.3R of a target replaces it
+        breakevenAfter: 1,               // Stop to entry once TP1 fills (0 = never)
+        breakevenOffsetPips: 1,          // ... plus 1 pip in the trade's favor
+        trailMode: 'atr',                // 'atr' | 'swing' | 'none'
+        trailAfter: 2,                   // Trail the rest once TP2 fills (0 = from entry)
+        trailAtrMult: 1.5,               // 'atr': stop 1.5x 1H ATR behind the best close
+        swingLookback: 5                 // 'swing': stop beyond the extreme of the last 5 closed 15m bars
+    },
+    portfolio: {
+        enabled: true,                   // Cross-symbol stage after per-symbol confluence
+        maxCurrencyRiskPercent: 2.0,     // Net risk per currency (EUR, USD, ...), % of balance
+        maxClusterRiskPercent: 2.0,      // Combined risk of signals that are one correlated bet
+        correlationThreshold: 0.7,       // Direction-adjusted daily-return correlation = same bet
+        correlationLookback: 60,         // Daily returns used for the correlation
+        minOverlapDays: 20               // Fewer shared days: correlation unknown (not clustered)
+    },
+    state: {
+        enabled: true,                   // Consult the signal state store (duplicates, cool-downs)
+        backend: 'json',                 // 'json' | 'sqlite' | 'memory' (see 'fx-quant-lib/state')
+        file: '',                        // Store file; '' = $FX_STATE_FILE or state/signals.<ext>
+        cooldownMinutes: 60,             // No new signal in the same direction for 60 min
+        liveMinutes: 240,                // A signal counts as live for 4h unless SL/TP is crossed
+        retentionDays: 7,                // Records older than this are pruned
+        trackHorizonMinutes: 1440        // tools/track.js: a fill with neither SL nor TP after 24h is 'expired'
+    },
+    cache: {
+        enabled: false,                  // Keep candles locally and fetch only the missing tail ('Cache Plan' node)
+        backend: 'json',                 // 'json' | 'sqlite' | 'memory' (see 'fx-quant-lib/cache')
+        path: '',                        // '' = $FX_CACHE_PATH or state/candles/ (json) / state/candles.sqlite
+        maxBars: 5000,                   // Closed bars kept and served per symbol and interval
+        overlapBars: 2                   // Cached bars fetched again with each tail (late corrections)
+    },
+    account: {
+        balance: 10000,                  // Account balance used for sizing
+        currency: 'USD',                 // Account currency (ISO code)
+        riskPercent: 1.0,                // Risk per trade, % of balance
+        lotStep: 0.01,                   // Broker lot step
+        minLot: 0.01,                    // Broker minimum lot
+        maxLot: 50,                      // Broker maximum lot
+        rates: {}                        // Fallback conversion rates, e.g. { "GBP/USD": 1.27 }
+    },
+    breakout: {
+        volatilitySpikeMult: 3.0,        // Veto if current candle range is 3x the 15m ATR
+        srZoneAtrMult: 0.25,             // Retest zone & SL buffer = 25% of 1H ATR
+        rsiBuyThreshold: 55,             // 15m RSI must hold above this on a PDH retest
+        rsiSellThreshold: 45,            // 15m RSI must hold below this on a PDL retest
+        minSLPips: 20,                   // SL floor
+        confidence: 0.85,                // B&R is a high-confidence setup
+        useSessionFilter: true,          // Only trade inside session.windowsUtc
+        entryMode: 'market',             // 'market': bar close | 'stop': pending order beyond the retest candle (opt-in)
+        stopEntryBufferPips: 1,          // Stop entry 1 pip beyond the retest candle's high/low
+        orderValidMinutes: 60            // Pending order expires after 1h
+    }
+};
+
+// Extra range checks on top of the type check against DEFAULT_CONFIG
+const KEY_RULES = [
+    { test: key => /^confidence|Bonus|Penalty$|^regimeVolatilityThreshold$|^netThreshold$|^minAgreement$/.test(key), min: 0, max: 1 },
+    { test: key => /^rsi.*Threshold$/.test(key), min: 0, max: 100 },
+    { test: key => /Period$|Smooth$/.test(key), min: 1, integer: true },
+    { test: key => key === 'riskPercent', min: 0, max: 100 },
+    { test: key => /CostShare$/.test(key), min: 0, max: 1 },
+    { test: key => /^(lotStep|minLot|maxLot)$/.test(key), min: 0.000001 },
+    { test: key => key === 'correlationThreshold', min: 0, max: 1 },
+    { test: key => /Lookback$|^minOverlapDays$/.test(key), min: 2, integer: true },
+    { test: key => /^(er|hurst).*Threshold$|Percentile$/.test(key), min: 0, max: 1 },
+    { test: key => /^adx.*Threshold$/.test(key), min: 0, max: 100 },
+    { test: key => key === 'hurstWindow', min: 32, integer: true },
+    { test: key => /^(breakeven|trail)After$/.test(key), min: 0, max: 5, integer: true },
+    { test: key => /^(orderValid|trackHorizon)Minutes$/.test(key), min: 1, integer: true },
+    { test: key => key === 'minSamples', min: 1, integer: true },
+    { test: key => key === 'staleBars', min: 1, integer: true },
+    { test: key => /^(maxBars|histAtrBars)$/.test(key), min: 1, integer: true },
+    { test: key => /Bars$/.test(key), min: 0, integer: true },
+    { test: key => key === 'spikeAtrMult', min: 1 }
+];
+
+// Allowed values of string settings (other than the account currency)
+const STRING_CHOICES = {
+    'state.backend': ['json', 'sqlite', 'memory'],
+    'cache.backend': ['json', 'sqlite', 'memory'],
+    'confluence.mode': ['boolean', 'weighted'],
+    'calibration.method': ['isotonic', 'platt'],
+    'plan.trailMode': ['atr', 'swing', 'none'],
+    'liquidity.entryMode': ['market', 'limit'],
+    'breakout.entryMode': ['market', 'stop'],
+    'data.resample': ['off', 'intraday', 'all'],
+    'data.anchor': ['utc', 'ny_close']
+};
+const REGIMES = ['Up', 'Down', 'Neutral'];
+
+class ConfigError extends Error {
+    constructor(source, problems) {
+        super(`config: invalid ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+let docCache = { file: null, mtimeMs: null, doc: null };
+let overrides = null;
+
+// --- Validation ---
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function validateSessionWindows(value, where, problems) {
+    if (!Array.isArray(value) || !value.every(w => Array.isArray(w) && w.length === 2 &&
+        w.every(h => Number.isInteger(h) && h >= 0 && h <= 23) && w[0] <= w[1])) {
+        problems.push(`${where}: expected [[startHour, endHour], ...] with 0 <= start <= end <= 23`);
+    }
+}
+
+function validateRates(value, where, problems) {
+    if (!isPlainObject(value)) {
+        problems.push(`${where}: expected an object of { "BASE/QUOTE": rate }`);
+        return;
+    }
+    for (const [pair, rate] of Object.entries(value)) {
+        if (symbolKey(pair).length !== 6) problems.push(`${where}.${pair}: expected a currency pair like "GBP/USD"`);
+        if (typeof rate !== 'number' || !(rate > 0)) problems.push(`${where}.${pair}: expected a positive number`);
+    }
+}
+
+function validateString(section, key, value, where, problems) {
+    if (typeof value !== 'string') {
+        problems.push(`${where}: expected string, got ${JSON.stringify(value)}`);
+    } else if (key === 'currency' && !/^[A-Z]{3}$/.test(value)) {
+        problems.push(`${where}: expected a 3-letter currency code, got ${JSON.stringify(value)}`);
+    } else if (STRING_CHOICES[`${section}.${key}`] && !STRING_CHOICES[`${section}.${key}`].includes(value)) {
+        problems.push(`${where}: expected one of ${STRING_CHOICES[`${section}.${key}`].join(', ')}, got ${JSON.stringify(value)}`);
+    }
+}
+
+function validateWeights(value, where, problems) {
+    if (!isPlainObject(value)) {
+        problems.push(`${where}: expected { "Up": { "<signalType>": weight }, "Down": ..., "Neutral": ... }`);
+        return;
+    }
+    for (const [regime, weights] of Object.entries(value)) {
+        if (!REGIMES.includes(regime)) {
+            problems.push(`${where}.${regime}: unknown regime (expected ${REGIMES.join(', ')})`);
+        } else if (!isPlainObject(weights)) {
+            problems.push(`${where}.${regime}: expected an object of { "<signalType>": weight }`);
+        } else {
+            for (const [type, w] of Object.entries(weights)) {
+                if (typeof w !== 'number' || !(w >= 0)) problems.push(`${where}.${regime}.${type}: expected a number >= 0`);
+            }
+        }
+    }
+}
+
+function validateTargets(value, where, problems) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > 5 ||
+        !value.every(t => isPlainObject(t) && typeof t.r === 'number' && t.r > 0 &&
+            typeof t.closePercent === 'number' && t.closePercent > 0 && Object.keys(t).length === 2)) {
+        problems.push(`${where}: expected 1 to 5 of [{ "r": <R multiple>, "closePercent": <share> }, ...]`);
+        return;
+    }
+    if (!value.every((t, i) => i === 0 || t.r > value[i - 1].r)) problems.push(`${where}: R multiples must increase`);
+    const total = value.reduce((a, t) => a + t.closePercent, 0);
+    if (Math.abs(total - 100) > 1e-9) problems.push(`${where}: closePercent must add up to 100, got ${total}`);
+}
+
+function validateValue(section, key, value, where, problems) {
+    const def = DEFAULT_CONFIG[section][key];
+    if (section === 'session' && key === 'windowsUtc') return validateSessionWindows(value, where, problems);
+    if (section === 'account' && key === 'rates') return validateRates(value, where, problems);
+    if (section === 'confluence' && key === 'weights') return validateWeights(value, where, problems);
+    if (section === 'plan' && key === 'targets') return validateTargets(value, where, problems);
+    if (typeof def === 'string') return validateString(section, key, value, where, problems);
+    if (typeof def === 'boolean') {
+        if (typeof value !== 'boolean') problems.push(`${where}: expected boolean, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+        problems.push(`${where}: expected number, got ${JSON.stringify(value)}`);
+        return;
+    }
+    const rule = KEY_RULES.find(r => r.test(key));
+    const min = rule && rule.min !== undefined ? rule.min : 0;
+    const max = rule ? rule.max : undefined;
+    if (value < min || (max !== undefined && value > max)) {
+        problems.push(`${where}: ${value} is outside [${min}, ${max === undefined ? '∞' : max}]`);
+    }
+    if (rule && rule.integer && !Number.isInteger(value)) problems.push(`${where}: expected an integer`);
+}
+
+function validateSections(sections, where, problems) {
+    if (!isPlainObject(sections)) {
+        problems.push(`${where}: expected an object of sections`);
+        return;
+    }
+    for (const [section, values] of Object.entries(sections)) {
+        if (!DEFAULT_CONFIG[section]) {
+            problems.push(`${where}.${section}: unknown section`);
+            continue;
+        }
+        if (!isPlainObject(values)) {
+            problems.push(`${where}.${section}: expected an object`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(values)) {
+            if (!(key in DEFAULT_CONFIG[section])) {
+                problems.push(`${where}.${section}.${key}: unknown key`);
+                continue;
+            }
+            validateValue(section, key, value, `${where}.${section}.${key}`, problems);
+        }
+    }
+}
+
+/**
+ * Validates a config document. Throws a ConfigError listing every problem.
+ * @param {Object} doc - Parsed config document.
+ * @param {string} [source] - Used in the error message.
+ */
+function validateConfig(doc, source = 'config') {
+    const problems = [];
+    if (!isPlainObject(doc)) throw new ConfigError(source, ['document must be a JSON object']);
+    if (doc.version !== CONFIG_VERSION) problems.push(`version: expected ${CONFIG_VERSION}, got ${JSON.stringify(doc.version)}`);
+    if (doc.revision !== undefined && typeof doc.revision !== 'string') problems.push('revision: expected a string');
+    for (const key of Object.keys(doc)) {
+        if (!['version', 'revision', 'description', 'defaults', 'symbols'].includes(key)) problems.push(`${key}: unknown top-level key`);
+    }
+    if (doc.defaults !== undefined) validateSections(doc.defaults, 'defaults', problems);
+    if (doc.symbols !== undefined) {
+        if (!isPlainObject(doc.symbols)) problems.push('symbols: expected an object keyed by symbol');
+        else for (const [symbol, sections] of Object.entries(doc.symbols)) validateSections(sections, `symbols.${symbol}`, problems);
+    }
+    if (problems.length > 0) throw new ConfigError(source, problems);
+    return doc;
+}
+
+// --- Loading & resolution ---
+
+/**
+ * Loads and validates the config document (cached until the file changes).
+ * A missing file yields an empty document: built-in defaults only.
+ * @param {string} [file] - Defaults to $FX_CONFIG_FILE or config/fx-config.json.
+ */
+function loadConfig(file = process.env.FX_CONFIG_FILE || DEFAULT_CONFIG_FILE) {
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (e) {
+        return { version: CONFIG_VERSION, source: 'built-in defaults' };
+    }
+    if (docCache.file === file && docCache.mtimeMs === stat.mtimeMs) return docCache.doc;
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new ConfigError(file, [`could not parse JSON: ${e.message}`]);
+    }
+    validateConfig(doc, file);
+    doc.source = file;
+    docCache = { file, mtimeMs: stat.mtimeMs, doc };
+    return doc;
+}
+
+// Maps inside a section (account.rates, confluence.weights) merge key by key,
+// so an override can change one weight without restating the others.
+function mergeInto(target, values) {
+    for (const [key, value] of Object.entries(values)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) mergeInto(target[key], value);
+        else target[key] = value;
+    }
+}
+
+function mergeSections(target, sections) {
+    for (const [section, values] of Object.entries(sections || {})) {
+        mergeInto(target[section], values);
+    }
+}
+
+/**
+ * Effective config for one symbol: DEFAULT_CONFIG <- doc.defaults <- doc.symbols[symbol]
+ * (<- in-process overrides from offline tools).
+ * @param {Object} doc - Document from loadConfig().
+ * @param {string} symbol - e.g. 'XAU/USD'.
+ * @returns {Object} { version, revision, source, symbol, <section>: {...}, ... }
+ */
+function resolveConfig(doc, symbol) {
+    const out = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    mergeSections(out, doc.defaults);
+    const match = Object.keys(doc.symbols || {}).find(k => symbolKey(k) === symbolKey(symbol));
+    if (match) mergeSections(out, doc.symbols[match]);
+    if (overrides) mergeSections(out, overrides);
+    return {
+        version: doc.version,
+        revision: doc.revision || null,
+        source: doc.source || null,
+        symbol: symbol || null,
+        symbolOverride: match || null,
+        ...out
+    };
+}
+
+/**
+ * Convenience for the MTF_Combiner: load the document and resolve it for a symbol.
+ */
+function getEffectiveConfig(symbol, file) {
+    return resolveConfig(loadConfig(file), symbol);
+}
+
+/**
+ * The effective config a node should use: the one passed alongside the MTF
+ * payload, else (older MTF_Combiner, offline use) resolved from the file.
+ * @param {Object} payload - items[0].json of a scorer.
+ */
+function configFromPayload(payload) {
+    if (payload && isPlainObject(payload.config)) return payload.config;
+    return getEffectiveConfig(payload && payload.symbol);
+}
+
+/**
+ * In-process overrides for offline tools (e.g. the optimizer). Validated like
+ * the file's sections. Pass null to clear.
+ * @param {Object|null} sections - { section: { key: value } }
+ */
+function setConfigOverrides(sections) {
+    if (sections) {
+        const problems = [];
+        validateSections(sections, 'overrides', problems);
+        if (problems.length > 0) throw new ConfigError('overrides', problems);
+    }
+    overrides = sections;
+}
+
+module.exports = {
+    CONFIG_VERSION,
+    DEFAULT_CONFIG,
+    DEFAULT_CONFIG_FILE,
+    ConfigError,
+    validateConfig,
+    loadConfig,
+    resolveConfig,
+    getEffectiveConfig,
+    configFromPayload,
+    setConfigOverrides
+};
@@ -0,0 +1,67 @@
+// MODULE: fx-quant-lib/ensemble (v1.0)
+// DESC: Weighted-vote confluence (config `confluence.mode: 'weighted'`). The
+//       boolean mode takes every buy as soon as one technical or dynamic buy
+//       exists, so one weak buy beats three strong sells. Here every scorer
+//       votes instead:
+//         contribution = weight[regime][signalType] x confidence x (+1 buy / -1 sell)
+//         net          = sum(contributions) / sum(weights of the scorers that voted)
+//         agreement    = |sum(contributions)| / sum(|contributions|)
+//       A signal is emitted in the direction of `net` only when |net| reaches
+//       `netThreshold` and agreement reaches `minAgreement`. Flat scorers are
+//       listed with a zero contribution; signal types without a weight count 0.
+
+const round3 = v => Math.round(v * 1000) / 1000;
+
+/**
+ * Votes the scorer outputs of one symbol.
+ * @param {Array} signals - Scorer outputs ({ signal, signalType, confidence, ... }).
+ * @param {string} regime - 'Up' | 'Down' | 'Neutral'.
+ * @param {Object} params - Section 'confluence': { weights, netThreshold, minAgreement }.
+ * @returns {Object} { direction: 'buy'|'sell'|null, net, agreement, passed, reason,
+ *                     winners (signals on the winning side, by contribution), table }
+ */
+function weightedVote(signals, regime, params) {
+    const weights = params.weights[regime] || {};
+    const table = signals.map(s => {
+        const voted = s.signal === 'buy' || s.signal === 'sell';
+        const weight = weights[s.signalType] !== undefined ? weights[s.signalType] : 0;
+        const confidence = voted ? (s.confidence || 0) : 0;
+        return {
+            scorer: s.signalType || null,
+            signal: s.signal || 'flat',
+            confidence: voted ? confidence : null,
+            weight: voted ? weight : null,
+            contribution: voted ? round3(weight * confidence * (s.signal === 'buy' ? 1 : -1)) : 0
+        };
+    });
+
+    const votes = table.filter(t => t.weight);
+    const sum = votes.reduce((a, t) => a + t.contribution, 0);
+    const totalWeight = votes.reduce((a, t) => a + t.weight, 0);
+    const gross = votes.reduce((a, t) => a + Math.abs(t.contribution), 0);
+    const net = totalWeight > 0 ? round3(sum / totalWeight) : 0;
+    const agreement = gross > 0 ? round3(Math.abs(sum) / gross) : 0;
+    const direction = net > 0 ? 'buy' : net < 0 ? 'sell' : null;
+    const passed = direction !== null && Math.abs(net) >= params.netThreshold && agreement >= params.minAgreement;
+
+    const parts = votes.map(t => `${t.scorer} ${t.contribution > 0 ? '+' : ''}${t.contribution.toFixed(2)}`).join(', ');
+    const summary = `net ${net > 0 ? '+' : ''}${net.toFixed(2)}, agreement ${(agreement * 100).toFixed(0)}%${parts ? ` (${parts})` : ''}`;
+    let reason;
+    if (votes.length === 0) reason = 'Weighted vote: No weighted signals';
+    else if (passed) reason = `Weighted vote: ${direction.toUpperCase()} ${summary}`;
+    else reason = `Weighted vote: Below threshold (|net| >= ${params.netThreshold}, agreement >= ${(params.minAgreement * 100).toFixed(0)}%): ${summary}`;
+
+    const winners = passed
+        ? signals
+            .map((s, i) => ({ s, t: table[i] }))
+            .filter(x => x.s.signal === direction && x.t.weight > 0)
+            .sort((a, b) => Math.abs(b.t.contribution) - Math.abs(a.t.contribution))
+            .map(x => x.s)
+        : [];
+
+    return { direction: passed ? direction : null, net, agreement, passed, reason, winners, table };
+}
+
+module.exports = {
+    weightedVote
+};
@@ -0,0 +1,102 @@
+// MODULE: fx-quant-lib/exits (v1.0)
+// DESC: One SL/TP representation for every scorer. Scorers build their exits in
+//       whichever form they think in (Trend: pips from the ATR and the next S/R
+//       level; Mean: the Bollinger middle as a price; Breakout: the broken level
+//       and a pivot as prices) and buildExit() fills in the other form from the
+//       instrument's pip size:
+//         recommendedSLPrice / recommendedSLPips
+//         recommendedTPPrice / recommendedTPPips
+//         rewardRisk (TP pips / SL pips)
+//       Pips are measured from the entry (the signal price, or the trigger of a
+//       pending order, see 'fx-quant-lib/orders') and are positive on the correct
+//       side (below entry for a buy's SL, above it for its TP). A level on the
+//       wrong side comes out negative, so validateExit() can reject it.
+//       Confluence rebuilds the exit of every candidate with readExit() and drops
+//       the ones that fail validateExit() (wrong side, missing level, R:R below
+//       `execution.minRewardRisk`).
+
+const { roundPrice, priceToPips, pipsToPrice, formatPrice } = require('./instruments');
+const { entryReference } = require('./orders');
+
+const round1 = v => Math.round(v * 10) / 10;
+const round2 = v => Math.round(v * 100) / 100;
+const isNumber = v => typeof v === 'number' && isFinite(v);
+
+// Price and pip form of one level. `side` is -1 for the SL, +1 for the TP.
+function level(direction, entry, price, pips, side, instrument) {
+    const sign = (direction === 'buy' ? 1 : -1) * side;
+    if (isNumber(price)) {
+        return { price: roundPrice(price, instrument), pips: round1(priceToPips((price - entry) * sign, instrument)) };
+    }
+    if (isNumber(pips) && pips !== 0) {
+        return { price: roundPrice(entry + sign * pipsToPrice(pips, instrument), instrument), pips: round1(pips) };
+    }
+    return { price: null, pips: null };
+}
+
+/**
+ * Builds the exit fields of a signal. A price wins over pips when both are given.
+ * @param {string} direction - 'buy' | 'sell'.
+ * @param {number} entry - Price the levels are measured from (signal price or order trigger).
+ * @param {Object} levels - { slPrice, slPips, tpPrice, tpPips } (any subset).
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ * @returns {Object} { recommendedSLPrice, recommendedSLPips, recommendedTPPrice,
+ *                     recommendedTPPips, rewardRisk } (nulls where a level is missing)
+ */
+function buildExit(direction, entry, levels, instrument) {
+    const l = levels || {};
+    const sl = isNumber(entry) ? level(direction, entry, l.slPrice, l.slPips, -1, instrument) : { price: null, pips: null };
+    const tp = isNumber(entry) ? level(direction, entry, l.tpPrice, l.tpPips, 1, instrument) : { price: null, pips: null };
+    return {
+        recommendedSLPrice: sl.price,
+        recommendedSLPips: sl.pips,
+        recommendedTPPrice: tp.price,
+        recommendedTPPips: tp.pips,
+        rewardRisk: sl.pips > 0 && tp.pips !== null ? round2(tp.pips / sl.pips) : null
+    };
+}
+
+/**
+ * Rebuilds the exit of a scorer output from its fields (prices first, then pips),
+ * so outputs from older scorers that only carry one form still read the same.
+ * Pips are measured from the order trigger when the signal has a pending order.
+ * @param {Object} s - Scorer output ({ signal, price, order, recommendedSL/TP Price/Pips }).
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ */
+function readExit(s, instrument) {
+    return buildExit(s.signal, entryReference(s), {
+        slPrice: s.recommendedSLPrice,
+        slPips: s.recommendedSLPips,
+        tpPrice: s.recommendedTPPrice,
+        tpPips: s.recommendedTPPips
+    }, instrument);
+}
+
+/**
+ * Checks an exit for a trade signal.
+ * @param {Object} exit - From buildExit() / readExit().
+ * @param {number} entry - Signal price or order trigger.
+ * @param {number} minRewardRisk - Lowest acceptable TP/SL ratio.
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ * @returns {string|null} Why the exit is rejected, or null if it is valid.
+ */
+function validateExit(exit, entry, minRewardRisk, instrument) {
+    if (exit.recommendedSLPips === null) return 'no stop loss';
+    if (exit.recommendedSLPips <= 0) {
+        return `SL ${formatPrice(exit.recommendedSLPrice, instrument)} is on the wrong side of entry ${formatPrice(entry, instrument)}`;
+    }
+    if (exit.recommendedTPPips === null) return 'no take profit';
+    if (exit.recommendedTPPips <= 0) {
+        return `TP ${formatPrice(exit.recommendedTPPrice, instrument)} is on the wrong side of entry ${formatPrice(entry, instrument)}`;
+    }
+    if (exit.rewardRisk < minRewardRisk) {
+        return `R:R ${exit.rewardRisk.toFixed(2)} is below the ${minRewardRisk} floor (SL ${exit.recommendedSLPips} / TP ${exit.recommendedTPPips} pips)`;
+    }
+    return null;
+}
+
+module.exports = {
+    buildExit,
+    readExit,
+    validateExit
+};
@@ -0,0 +1,343 @@
+// MODULE: fx-quant-lib/indicators (v1.0)
+// DESC: The single source of truth for every technical indicator used by the
+//       MTF_Combiner and the Scorer nodes. Replaces the private copies of
+//       calculateRSI / calculateATR / calculateEMA / computeAtr4hNorm that each
+//       node used to carry.
+//
+// --- ORDERING CONTRACT ---
+// INPUT:  Candle arrays exactly as they sit in the MTF payload (Twelve Data
+//         order): NEWEST FIRST, i.e. data[0] is the latest candle.
+//         Every function reverses internally. Never pre-reverse the input.
+// OUTPUT: Every `values` series is CHRONOLOGICAL (oldest -> newest), so the
+//         last element is the most recent value. The scalar field
+//         (`rsi`, `atr`, `ema`, ...) is always that last element.
+//
+// --- INSUFFICIENT DATA ---
+// Every function returns its scalar field(s) as `null`, empty series and an
+// `error` string when there is not enough data. No function ever substitutes
+// a "neutral" value (e.g. RSI 50), so callers must check for null.
+//
+// Candles with a non-numeric high/low/close are dropped before calculation.
+
+// --- Internal Helpers ---
+
+/**
+ * Returns the candles in chronological order with numeric OHLC fields.
+ * @param {Array} data - Candle array, newest first.
+ * @returns {Array} - [{ high, low, close }] oldest first.
+ */
+function toChronological(data) {
+    if (!Array.isArray(data)) return [];
+    const candles = [];
+    for (let i = data.length - 1; i >= 0; i--) {
+        const c = data[i];
+        if (!c) continue;
+        const high = parseFloat(c.high);
+        const low = parseFloat(c.low);
+        const close = parseFloat(c.close);
+        if (isNaN(high) || isNaN(low) || isNaN(close)) continue;
+        candles.push({ high, low, close });
+    }
+    return candles;
+}
+
+function smaSeries(values, period) {
+    const out = [];
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) out.push(sum / period);
+    }
+    return out;
+}
+
+function rsiFromAverages(avgGain, avgLoss) {
+    if (avgLoss === 0) return 100;
+    return 100 - (100 / (1 + (avgGain / avgLoss)));
+}
+
+function last(arr) {
+    return arr.length > 0 ? arr[arr.length - 1] : null;
+}
+
+// --- Indicators ---
+
+/**
+ * Simple Moving Average of closes.
+ * @returns {{ sma: number|null, values: number[], error?: string }}
+ */
+function calculateSMA(data, period = 20) {
+    const closes = toChronological(data).map(c => c.close);
+    if (closes.length < period) return { sma: null, values: [], error: 'Not enough SMA data' };
+    const values = smaSeries(closes, period);
+    return { sma: last(values), values };
+}
+
+/**
+ * Exponential Moving Average of closes, seeded with the SMA of the first `period` closes.
+ * @returns {{ ema: number|null, values: number[], error?: string }}
+ */
+function calculateEMA(data, period = 21) {
+    const closes = toChronological(data).map(c => c.close);
+    if (closes.length < period) return { ema: null, values: [], error: 'Not enough EMA data' };
+    const k = 2 / (period + 1);
+    let prevEma = 0;
+    for (let i = 0; i < period; i++) prevEma += closes[i];
+    prevEma /= period;
+    const values = [prevEma];
+    for (let i = period; i < closes.length; i++) {
+        prevEma = (closes[i] * k) + (prevEma * (1 - k));
+        values.push(prevEma);
+    }
+    return { ema: last(values), values };
+}
+
+/**
+ * Wilder's RSI of closes. The first value is emitted once `period` changes are available.
+ * @returns {{ rsi: number|null, values: number[], error?: string }}
+ */
+function calculateRSI(data, period = 14) {
+    const closes = toChronological(data).map(c => c.close);
+    if (closes.length < period + 1) return { rsi: null, values: [], error: 'Not enough RSI data' };
+    let gains = 0;
+    let losses = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = closes[i] - closes[i - 1];
+        if (change > 0) gains += change; else losses -= change;
+    }
+    let avgGain = gains / period;
+    let avgLoss = losses / period;
+    const values = [rsiFromAverages(avgGain, avgLoss)];
+    for (let i = period + 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        const gain = change > 0 ? change : 0;
+        const loss = change < 0 ? -change : 0;
+        avgGain = ((avgGain * (period - 1)) + gain) / period;
+        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
+        values.push(rsiFromAverages(avgGain, avgLoss));
+    }
+    return { rsi: last(values), values };
+}
+
+/**
+ * True Range series. The first candle has no previous close, so its TR is high - low.
+ * @returns {number[]} - Chronological TR values.
+ */
+function calculateTrueRanges(data) {
+    const candles = toChronological(data);
+    if (candles.length === 0) return [];
+    const trs = [candles[0].high - candles[0].low];
+    for (let i = 1; i < candles.length; i++) {
+        const { high, low } = candles[i];
+        const prevClose = candles[i - 1].close;
+        trs.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+    }
+    return trs;
+}
+
+/**
+ * Wilder's ATR, seeded with the SMA of the first `period` true ranges.
+ * @returns {{ atr: number|null, values: number[], error?: string }}
+ */
+function calculateATR(data, period = 14) {
+    const trs = calculateTrueRanges(data);
+    if (trs.length < period + 1) return { atr: null, values: [], error: 'Not enough ATR data' };
+    let prevAtr = 0;
+    for (let i = 0; i < period; i++) prevAtr += trs[i];
+    prevAtr /= period;
+    const values = [prevAtr];
+    for (let i = period; i < trs.length; i++) {
+        prevAtr = ((prevAtr * (period - 1)) + trs[i]) / period;
+        values.push(prevAtr);
+    }
+    return { atr: last(values), values };
+}
+
+/**
+ * Bollinger Bands on closes (population standard deviation).
+ * @returns {{ upper, middle, lower, values: Array<{upper, middle, lower}>, error?: string }}
+ */
+function calculateBollingerBands(data, period = 20, stdDev = 2) {
+    const closes = toChronological(data).map(c => c.close);
+    if (closes.length < period) {
+        return { upper: null, middle: null, lower: null, values: [], error: 'Not enough Bollinger data' };
+    }
+    const values = [];
+    for (let i = period - 1; i < closes.length; i++) {
+        const window = closes.slice(i - period + 1, i + 1);
+        const sma = window.reduce((a, b) => a + b, 0) / period;
+        const variance = window.reduce((a, b) => a + Math.pow(b - sma, 2), 0) / period;
+        const sd = Math.sqrt(variance);
+        values.push({ upper: sma + (sd * stdDev), middle: sma, lower: sma - (sd * stdDev) });
+    }
+    const lastBand = last(values);
+    return { upper: lastBand.upper, middle: lastBand.middle, lower: lastBand.lower, values };
+}
+
+/**
+ * Stochastic RSI: Fast %K over the RSI series, smoothed into Slow %K and %D.
+ * `d` may be null while `k` is valid when there are too few %K values.
+ * @returns {{ k, d, kValues: number[], dValues: number[], error?: string }}
+ */
+function calculateStochasticRSI(data, rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dSmooth = 3) {
+    const rsiValues = calculateRSI(data, rsiPeriod).values;
+    if (rsiValues.length < stochPeriod) {
+        return { k: null, d: null, kValues: [], dValues: [], error: 'Not enough StochRSI data' };
+    }
+    const fastK = [];
+    for (let i = stochPeriod - 1; i < rsiValues.length; i++) {
+        const window = rsiValues.slice(i - stochPeriod + 1, i + 1);
+        const minRSI = Math.min(...window);
+        const maxRSI = Math.max(...window);
+        fastK.push((maxRSI - minRSI) > 0 ? 100 * (rsiValues[i] - minRSI) / (maxRSI - minRSI) : 0);
+    }
+    const kValues = smaSeries(fastK, kSmooth);
+    if (kValues.length === 0) {
+        return { k: null, d: null, kValues: [], dValues: [], error: 'Not enough StochRSI data' };
+    }
+    const dValues = smaSeries(kValues, dSmooth);
+    return { k: last(kValues), d: last(dValues), kValues, dValues };
+}
+
+/**
+ * Wilder's ADX with +DI / -DI.
+ * @returns {{ adx, plusDI, minusDI, values: number[], plusDIValues: number[], minusDIValues: number[], error?: string }}
+ */
+function calculateADX(data, period = 14) {
+    const candles = toChronological(data);
+    if (candles.length < period * 2) {
+        return { adx: null, plusDI: null, minusDI: null, values: [], plusDIValues: [], minusDIValues: [], error: 'Not enough ADX data' };
+    }
+    const trs = calculateTrueRanges(data);
+    const plusDM = [0];
+    const minusDM = [0];
+    for (let i = 1; i < candles.length; i++) {
+        const upMove = candles[i].high - candles[i - 1].high;
+        const downMove = candles[i - 1].low - candles[i].low;
+        plusDM.push((upMove > downMove && upMove > 0) ? upMove : 0);
+        minusDM.push((downMove > upMove && downMove > 0) ? downMove : 0);
+    }
+
+    // Wilder's smoothing of the running sums
+    let sTR = trs.slice(0, period).reduce((a, b) => a + b, 0);
+    let sPlus = plusDM.slice(0, period).reduce((a, b) => a + b, 0);
+    let sMinus = minusDM.slice(0, period).reduce((a, b) => a + b, 0);
+    const plusDIValues = [];
+    const minusDIValues = [];
+    const dxValues = [];
+    const pushDI = () => {
+        const plusDI = (sTR === 0) ? 0 : 100 * (sPlus / sTR);
+        const minusDI = (sTR === 0) ? 0 : 100 * (sMinus / sTR);
+        const diSum = plusDI + minusDI;
+        plusDIValues.push(plusDI);
+        minusDIValues.push(minusDI);
+        dxValues.push((diSum === 0) ? 0 : 100 * (Math.abs(plusDI - minusDI) / diSum));
+    };
+    pushDI();
+    for (let i = period; i < candles.length; i++) {
+        sTR = sTR - (sTR / period) + trs[i];
+        sPlus = sPlus - (sPlus / period) + plusDM[i];
+        sMinus = sMinus - (sMinus / period) + minusDM[i];
+        pushDI();
+    }
+
+    let prevAdx = dxValues.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    const values = [prevAdx];
+    for (let i = period; i < dxValues.length; i++) {
+        prevAdx = ((prevAdx * (period - 1)) + dxValues[i]) / period;
+        values.push(prevAdx);
+    }
+    return {
+        adx: last(values),
+        plusDI: last(plusDIValues),
+        minusDI: last(minusDIValues),
+        values,
+        plusDIValues,
+        minusDIValues
+    };
+}
+
+/**
+ * Percentile rank (0-1) of the current ATR within a historical ATR series
+ * (e.g. `hist_atr_4h` from the MTF_Combiner). Order of `histAtr` does not matter.
+ * @returns {number|null} - null if the ATR is missing or history has fewer than `minSamples` values.
+ */
+function computeAtrPercentile(currentAtr, histAtr, minSamples = 20) {
+    if (currentAtr === null || currentAtr === undefined || !Array.isArray(histAtr) || histAtr.length < minSamples) {
+        return null;
+    }
+    const sorted = histAtr.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+    if (sorted.length < minSamples) return null;
+    let rank = sorted.findIndex(v => v >= currentAtr);
+    if (rank === -1) rank = sorted.length;
+    return rank / sorted.length;
+}
+
+/**
+ * Kaufman efficiency ratio of closes: |net change| / sum of |bar changes| over
+ * `period` bars. 1 = a straight line, near 0 = noise.
+ * @returns {{ er: number|null, error?: string }}
+ */
+function calculateEfficiencyRatio(data, period = 20) {
+    const closes = toChronological(data).map(c => c.close);
+    if (closes.length < period + 1) return { er: null, error: 'Not enough efficiency-ratio data' };
+    const window = closes.slice(-(period + 1));
+    let path = 0;
+    for (let i = 1; i < window.length; i++) path += Math.abs(window[i] - window[i - 1]);
+    return { er: path > 0 ? Math.abs(last(window) - window[0]) / path : 0 };
+}
+
+/**
+ * Hurst exponent of log returns (rescaled-range estimate over chunk sizes 8, 16, 32, ...
+ * up to half the window). ~0.5 random walk, > 0.5 persistent (trending),
+ * < 0.5 anti-persistent (mean-reverting). Small windows bias it upward slightly.
+ * @returns {{ hurst: number|null, error?: string }}
+ */
+function calculateHurst(data, window = 128) {
+    const closes = toChronological(data).map(c => c.close).slice(-(window + 1));
+    if (closes.length < window + 1 || window < 32) return { hurst: null, error: 'Not enough Hurst data' };
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) returns.push(Math.log(closes[i] / closes[i - 1]));
+
+    const points = [];
+    for (let n = 8; n <= returns.length / 2; n *= 2) {
+        const ratios = [];
+        for (let start = 0; start + n <= returns.length; start += n) {
+            const chunk = returns.slice(start, start + n);
+            const mean = chunk.reduce((a, b) => a + b, 0) / n;
+            let cum = 0, min = 0, max = 0, variance = 0;
+            for (const r of chunk) {
+                cum += r - mean;
+                min = Math.min(min, cum);
+                max = Math.max(max, cum);
+                variance += (r - mean) ** 2;
+            }
+            const sd = Math.sqrt(variance / n);
+            if (sd > 0) ratios.push((max - min) / sd);
+        }
+        if (ratios.length > 0) points.push([Math.log(n), Math.log(ratios.reduce((a, b) => a + b, 0) / ratios.length)]);
+    }
+    if (points.length < 2) return { hurst: null, error: 'Not enough Hurst data' };
+
+    // Slope of log(R/S) against log(n)
+    const mx = points.reduce((a, p) => a + p[0], 0) / points.length;
+    const my = points.reduce((a, p) => a + p[1], 0) / points.length;
+    const num = points.reduce((a, p) => a + (p[0] - mx) * (p[1] - my), 0);
+    const den = points.reduce((a, p) => a + (p[0] - mx) ** 2, 0);
+    return { hurst: num / den };
+}
+
+module.exports = {
+    calculateSMA,
+    calculateEMA,
+    calculateRSI,
+    calculateTrueRanges,
+    calculateATR,
+    calculateBollingerBands,
+    calculateStochasticRSI,
+    calculateADX,
+    computeAtrPercentile,
+    calculateEfficiencyRatio,
+    calculateHurst
+};
@@ -0,0 +1,218 @@
+// MODULE: fx-quant-lib/instruments (v1.0)
+// DESC: Instrument metadata registry: pip size, price digits, contract size,
+//       base/quote currency, typical spread and trading hours for FX majors,
+//       minors and crosses, metals, indices and crypto. Every node uses it for
+//       rounding, pip conversions and SL/TP prices instead of guessing from the
+//       symbol name.
+//
+// SYMBOLS: Lookups ignore case and separators ("EUR/USD" == "EURUSD" == "eur_usd")
+//          and accept common broker aliases for indices (e.g. "DJI" -> "US30").
+//          Unknown 6-letter FX pairs are inferred (JPY quote -> 0.01, else 0.0001)
+//          and flagged `inferred: true`; anything else gets a generic record.
+//
+// TRADING HOURS (UTC, no DST adjustment):
+//   weekly:        [openDay, openHour, closeDay, closeHour] (0 = Sunday), or null for 24/7
+//   dailyBreakUtc: [startHour, endHour) daily maintenance break, or null
+
+// --- Trading hour templates ---
+const HOURS = {
+    fx:      { weekly: [0, 22, 5, 22], dailyBreakUtc: null },
+    metals:  { weekly: [0, 23, 5, 22], dailyBreakUtc: [22, 23] },
+    indexUS: { weekly: [0, 23, 5, 21], dailyBreakUtc: [21, 22] },
+    indexEU: { weekly: [1, 6, 5, 21], dailyBreakUtc: [21, 24] },
+    indexJP: { weekly: [0, 23, 5, 21], dailyBreakUtc: [21, 22] },
+    crypto:  { weekly: null, dailyBreakUtc: null }
+};
+
+function fx(base, quote, typicalSpreadPips) {
+    const jpy = quote === 'JPY';
+    return {
+        type: 'fx', base, quote,
+        pipSize: jpy ? 0.01 : 0.0001,
+        digits: jpy ? 3 : 5,
+        contractSize: 100000,
+        typicalSpreadPips,
+        tradingHours: HOURS.fx
+    };
+}
+
+function instrument(type, base, quote, pipSize, digits, contractSize, typicalSpreadPips, tradingHours) {
+    return { type, base, quote, pipSize, digits, contractSize, typicalSpreadPips, tradingHours };
+}
+
+// --- Registry ---
+// typicalSpreadPips: average retail ECN spread in pips of the instrument's own pipSize.
+const INSTRUMENTS = {
+    // FX majors
+    'EUR/USD': fx('EUR', 'USD', 0.8),
+    'GBP/USD': fx('GBP', 'USD', 1.2),
+    'USD/JPY': fx('USD', 'JPY', 1.0),
+    'USD/CHF': fx('USD', 'CHF', 1.5),
+    'AUD/USD': fx('AUD', 'USD', 1.0),
+    'USD/CAD': fx('USD', 'CAD', 1.5),
+    'NZD/USD': fx('NZD', 'USD', 1.5),
+    // FX minors / crosses
+    'EUR/GBP': fx('EUR', 'GBP', 1.2),
+    'EUR/JPY': fx('EUR', 'JPY', 1.5),
+    'EUR/CHF': fx('EUR', 'CHF', 2.0),
+    'EUR/AUD': fx('EUR', 'AUD', 2.5),
+    'EUR/CAD': fx('EUR', 'CAD', 2.5),
+    'EUR/NZD': fx('EUR', 'NZD', 3.5),
+    'GBP/JPY': fx('GBP', 'JPY', 2.5),
+    'GBP/CHF': fx('GBP', 'CHF', 3.0),
+    'GBP/AUD': fx('GBP', 'AUD', 3.0),
+    'GBP/CAD': fx('GBP', 'CAD', 3.5),
+    'GBP/NZD': fx('GBP', 'NZD', 4.5),
+    'AUD/JPY': fx('AUD', 'JPY', 1.8),
+    'AUD/NZD': fx('AUD', 'NZD', 2.5),
+    'AUD/CAD': fx('AUD', 'CAD', 2.0),
+    'AUD/CHF': fx('AUD', 'CHF', 2.0),
+    'NZD/JPY': fx('NZD', 'JPY', 2.5),
+    'NZD/CAD': fx('NZD', 'CAD', 3.0),
+    'NZD/CHF': fx('NZD', 'CHF', 3.0),
+    'CAD/JPY': fx('CAD', 'JPY', 2.2),
+    'CAD/CHF': fx('CAD', 'CHF', 2.5),
+    'CHF/JPY': fx('CHF', 'JPY', 2.5),
+    // Metals (XAU pip = $0.01, matching the original scorer defaults)
+    'XAU/USD': instrument('metal', 'XAU', 'USD', 0.01, 2, 100, 25, HOURS.metals),
+    'XAG/USD': instrument('metal', 'XAG', 'USD', 0.001, 3, 5000, 25, HOURS.metals),
+    'XPT/USD': instrument('metal', 'XPT', 'USD', 0.01, 2, 100, 300, HOURS.metals),
+    // Indices (CFD, 1 pip = 1 index point, contract = 1 x index)
+    'US30':   instrument('index', 'US30', 'USD', 1, 1, 1, 2.5, HOURS.indexUS),
+    'SPX500': instrument('index', 'SPX500', 'USD', 1, 2, 1, 0.5, HOURS.indexUS),
+    'NAS100': instrument('index', 'NAS100', 'USD', 1, 2, 1, 1.5, HOURS.indexUS),
+    'GER40':  instrument('index', 'GER40', 'EUR', 1, 1, 1, 1.5, HOURS.indexEU),
+    'UK100':  instrument('index', 'UK100', 'GBP', 1, 1, 1, 1.0, HOURS.indexEU),
+    'JPN225': instrument('index', 'JPN225', 'JPY', 1, 0, 1, 8, HOURS.indexJP),
+    // Crypto (24/7)
+    'BTC/USD': instrument('crypto', 'BTC', 'USD', 1, 2, 1, 30, HOURS.crypto),
+    'ETH/USD': instrument('crypto', 'ETH', 'USD', 0.1, 2, 1, 15, HOURS.crypto),
+    'LTC/USD': instrument('crypto', 'LTC', 'USD', 0.01, 2, 1, 10, HOURS.crypto),
+    'XRP/USD': instrument('crypto', 'XRP', 'USD', 0.0001, 5, 1, 15, HOURS.crypto)
+};
+
+// Broker / data-vendor names for the same instruments
+const ALIASES = {
+    DJI: 'US30', DJ30: 'US30', WS30: 'US30', USA30: 'US30',
+    SPX: 'SPX500', US500: 'SPX500', USA500: 'SPX500',
+    NDX: 'NAS100', USTEC: 'NAS100', US100: 'NAS100',
+    DAX: 'GER40', DE40: 'GER40', GER30: 'GER40', DE30: 'GER40',
+    FTSE: 'UK100', FTSE100: 'UK100',
+    NI225: 'JPN225', JP225: 'JPN225', NIKKEI: 'JPN225',
+    GOLD: 'XAU/USD', SILVER: 'XAG/USD',
+    BTCUSDT: 'BTC/USD', ETHUSDT: 'ETH/USD'
+};
+
+const FX_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'AUD', 'CAD', 'NZD', 'SEK', 'NOK', 'DKK', 'PLN', 'HUF', 'CZK', 'TRY', 'ZAR', 'MXN', 'SGD', 'HKD', 'CNH'];
+
+/**
+ * Normalizes a symbol for lookups: upper case, letters and digits only.
+ */
+function symbolKey(symbol) {
+    return String(symbol || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+}
+
+const BY_KEY = {};
+for (const [symbol, spec] of Object.entries(INSTRUMENTS)) {
+    spec.symbol = symbol;
+    spec.pipValuePerLot = spec.pipSize * spec.contractSize; // In quote currency
+    BY_KEY[symbolKey(symbol)] = Object.freeze(spec);
+}
+for (const [alias, symbol] of Object.entries(ALIASES)) BY_KEY[alias] = BY_KEY[symbolKey(symbol)];
+
+const warned = new Set();
+
+/**
+ * Looks up an instrument. Never returns null: unknown symbols are inferred
+ * (flagged `inferred: true`) and a warning is logged once per symbol.
+ * @param {string} symbol - e.g. 'EUR/USD', 'EURUSD', 'XAU/USD', 'US30'.
+ * @returns {Object} { symbol, type, base, quote, pipSize, digits, contractSize, pipValuePerLot, typicalSpreadPips, tradingHours }
+ */
+function getInstrument(symbol) {
+    const key = symbolKey(symbol);
+    if (BY_KEY[key]) return BY_KEY[key];
+
+    let spec;
+    const base = key.slice(0, 3);
+    const quote = key.slice(3);
+    if (key.length === 6 && FX_CURRENCIES.includes(base) && FX_CURRENCIES.includes(quote)) {
+        spec = { ...fx(base, quote, 3.0), symbol: `${base}/${quote}` };
+    } else {
+        spec = instrument('unknown', key, null, 0.0001, 5, 1, null, HOURS.fx);
+        spec.symbol = symbol || 'UNKNOWN';
+    }
+    spec.pipValuePerLot = spec.pipSize * spec.contractSize;
+    spec.inferred = true;
+    if (!warned.has(key)) {
+        warned.add(key);
+        console.warn(`instruments: '${symbol}' is not in the registry; using inferred pip size ${spec.pipSize}.`);
+    }
+    return Object.freeze(spec);
+}
+
+/**
+ * The instrument passed alongside the MTF payload, else looked up by symbol.
+ * @param {Object} payload - items[0].json of a scorer.
+ */
+function instrumentFromPayload(payload) {
+    if (payload && payload.instrument && payload.instrument.pipSize) return payload.instrument;
+    return getInstrument(payload && payload.symbol);
+}
+
+// --- Conversions ---
+
+/**
+ * Rounds a price to the instrument's quoted digits. Null-safe.
+ */
+function roundPrice(price, inst) {
+    if (price === null || price === undefined || isNaN(price)) return null;
+    return parseFloat(Number(price).toFixed(inst.digits));
+}
+
+/**
+ * Price distance -> pips.
+ */
+function priceToPips(distance, inst) {
+    return distance / inst.pipSize;
+}
+
+/**
+ * Pips -> price distance.
+ */
+function pipsToPrice(pips, inst) {
+    return pips * inst.pipSize;
+}
+
+/**
+ * Price as a fixed-digit string for messages and logs.
+ */
+function formatPrice(price, inst) {
+    return price === null || price === undefined || isNaN(price) ? 'n/a' : Number(price).toFixed(inst.digits);
+}
+
+/**
+ * True if the instrument normally trades at the given time (UTC, no holidays).
+ * @param {Object} inst - From getInstrument().
+ * @param {number} timeMs - Epoch milliseconds.
+ */
+function isMarketOpen(inst, timeMs) {
+    const { weekly, dailyBreakUtc } = inst.tradingHours || {};
+    const d = new Date(timeMs);
+    const hour = d.getUTCHours() + d.getUTCMinutes() / 60;
+    if (dailyBreakUtc && hour >= dailyBreakUtc[0] && hour < dailyBreakUtc[1]) return false;
+    if (!weekly) return true;
+    const weekHour = d.getUTCDay() * 24 + hour;
+    return weekHour >= weekly[0] * 24 + weekly[1] && weekHour < weekly[2] * 24 + weekly[3];
+}
+
+module.exports = {
+    INSTRUMENTS,
+    symbolKey,
+    getInstrument,
+    instrumentFromPayload,
+    roundPrice,
+    priceToPips,
+    pipsToPrice,
+    formatPrice,
+    isMarketOpen
+};
@@ -0,0 +1,84 @@
+// MODULE: fx-quant-lib/orders (v1.0)
+// DESC: Entry orders. A scorer that knows a better entry than the bar close
+//       (Scorer_Liquidity: limit at the FVG edge; Scorer_Breakout: stop beyond
+//       the retest candle) proposes a pending order; everything else is a
+//       market order at the signal price. A signal carries it as `order`:
+//         { type: 'market'|'limit'|'stop', trigger_price, valid_minutes, cancel_if, note }
+//       `cancel_if` lists price conditions that kill the order before it fills:
+//         [{ when: 'price_below'|'price_above', price, reason }]
+//       A limit must sit on the better side of the market (below it for a buy)
+//       and a stop on the worse side; a trigger the market has already passed
+//       is sent as a market order instead, with a `note`.
+//       Confluence turns `valid_minutes` into `expires_at` on its clock.
+
+const { roundPrice, formatPrice } = require('./instruments');
+
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+
+const MARKET = { type: 'market', trigger_price: null, valid_minutes: null, cancel_if: [], note: null };
+
+/**
+ * Entry order for a signal.
+ * @param {string} direction - 'buy' | 'sell'.
+ * @param {number} marketPrice - Signal price (last close).
+ * @param {Object|null} proposal - { type: 'limit'|'stop', price, validMinutes, cancelIf }, or null for market.
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ * @returns {Object} { type, trigger_price, valid_minutes, cancel_if, note }
+ */
+function buildOrder(direction, marketPrice, proposal, instrument) {
+    if (!proposal || proposal.type === 'market') return { ...MARKET, cancel_if: [] };
+    if (!ORDER_TYPES.includes(proposal.type)) throw new Error(`orders: unknown order type '${proposal.type}'`);
+    const isBuy = direction === 'buy';
+    const price = roundPrice(proposal.price, instrument);
+    const below = price < marketPrice;
+    const valid = proposal.type === 'limit' ? (isBuy ? below : price > marketPrice) : (isBuy ? price > marketPrice : below);
+    if (price === null || !valid) {
+        return {
+            ...MARKET,
+            cancel_if: [],
+            note: `${direction} ${proposal.type} at ${formatPrice(price, instrument)} already passed (market ${formatPrice(marketPrice, instrument)}): sent as market`
+        };
+    }
+    return {
+        type: proposal.type,
+        trigger_price: price,
+        valid_minutes: proposal.validMinutes,
+        cancel_if: (proposal.cancelIf || []).map(c => ({ ...c, price: roundPrice(c.price, instrument) })),
+        note: null
+    };
+}
+
+/**
+ * Adds the standard cancel conditions of a pending order: the SL level trades
+ * before the fill (setup invalidated) or the TP level does (the move left without us).
+ * @param {Object} order - From buildOrder().
+ * @param {string} direction - 'buy' | 'sell'.
+ * @param {Object} exit - From 'fx-quant-lib/exits' buildExit().
+ * @returns {Object} The same order.
+ */
+function addCancelConditions(order, direction, exit) {
+    if (order.type === 'market') return order;
+    const isBuy = direction === 'buy';
+    if (exit.recommendedSLPrice !== null) {
+        order.cancel_if.push({ when: isBuy ? 'price_below' : 'price_above', price: exit.recommendedSLPrice, reason: 'SL level traded before the fill' });
+    }
+    if (exit.recommendedTPPrice !== null) {
+        order.cancel_if.push({ when: isBuy ? 'price_above' : 'price_below', price: exit.recommendedTPPrice, reason: 'TP level traded before the fill' });
+    }
+    return order;
+}
+
+/**
+ * Price a signal's exits are measured from: the trigger of a pending order, else the signal price.
+ * @param {Object} s - Scorer output.
+ */
+function entryReference(s) {
+    return s.order && s.order.trigger_price != null ? s.order.trigger_price : s.price;
+}
+
+module.exports = {
+    ORDER_TYPES,
+    buildOrder,
+    addCancelConditions,
+    entryReference
+};
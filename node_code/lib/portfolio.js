@@ -0,0 +1,150 @@
+// MODULE: fx-quant-lib/portfolio (v1.0)
+// DESC: Portfolio stage for Confluence. Symbols are decided one by one, so BUY
+//       EUR/USD, GBP/USD and AUD/USD would go out together as a triple USD short.
+//       This stage looks at all trade signals of one run together, on top of the
+//       live signals of earlier runs (the workflow polls one symbol per run):
+//       - Currency exposure: every signal is split into its legs (BUY EUR/USD =
+//         +risk EUR, -risk USD). Net risk per currency is capped.
+//       - Correlated clusters: rolling correlation of daily returns (from the
+//         daily closes MTF_Combiner puts in `meta.daily_closes`). Signals whose
+//         direction-adjusted correlation is above the threshold are one bet;
+//         their combined risk is capped.
+//       Live signals count as accepted exposure and are never rejected. New
+//       signals are admitted in order of confidence; the rest are rejected with
+//       the reason. Risk is in % of the account (the signal's sizing, else
+//       `account.riskPercent`).
+
+/**
+ * Daily log returns keyed by date.
+ * @param {Array} closes - [{ datetime, close }], newest first (as in the payload).
+ * @returns {Object} { 'YYYY-MM-DD': return }
+ */
+function dailyReturns(closes) {
+    const chronological = (closes || [])
+        .map(c => ({ date: String(c.datetime).slice(0, 10), close: parseFloat(c.close) }))
+        .filter(c => c.close > 0)
+        .reverse();
+    const out = {};
+    for (let i = 1; i < chronological.length; i++) {
+        out[chronological[i].date] = Math.log(chronological[i].close / chronological[i - 1].close);
+    }
+    return out;
+}
+
+/**
+ * Pearson correlation of two return series over their common dates.
+ * @returns {number|null} null when fewer than `minOverlap` dates are shared.
+ */
+function correlation(returnsA, returnsB, minOverlap = 20) {
+    const dates = Object.keys(returnsA).filter(d => d in returnsB);
+    if (dates.length < minOverlap) return null;
+    const a = dates.map(d => returnsA[d]);
+    const b = dates.map(d => returnsB[d]);
+    const mean = v => v.reduce((x, y) => x + y, 0) / v.length;
+    const ma = mean(a);
+    const mb = mean(b);
+    let cov = 0, va = 0, vb = 0;
+    for (let i = 0; i < dates.length; i++) {
+        cov += (a[i] - ma) * (b[i] - mb);
+        va += (a[i] - ma) ** 2;
+        vb += (b[i] - mb) ** 2;
+    }
+    return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : null;
+}
+
+/**
+ * Per-currency legs of one signal.
+ * @param {string} direction - 'buy' | 'sell'.
+ * @param {Object} instrument - From 'fx-quant-lib/instruments' (base, quote).
+ * @param {number} risk - Risk of the trade, % of the account.
+ * @returns {Object} { EUR: +1, USD: -1 } for a 1% BUY EUR/USD
+ */
+function currencyExposure(direction, instrument, risk) {
+    const sign = direction === 'buy' ? 1 : -1;
+    const out = {};
+    if (instrument.base) out[instrument.base] = sign * risk;
+    if (instrument.quote) out[instrument.quote] = (out[instrument.quote] || 0) - sign * risk;
+    return out;
+}
+
+const round2 = v => Math.round(v * 100) / 100;
+
+/**
+ * Admits trade signals by confidence while every cap holds.
+ * @param {Array} candidates - [{ symbol, direction, confidence, risk, instrument, closes, limits }]
+ *        `limits` is the candidate's `portfolio` config section.
+ * @param {Array} [open] - Exposure already taken (live signals of earlier runs):
+ *        [{ symbol, direction, risk, instrument, closes }]. Counted first, never rejected.
+ * @returns {Array} One decision per candidate (same order):
+ *          { approved, reason, exposure, cluster: [{ symbol, direction, correlation, open }], netExposure }
+ */
+function applyPortfolioGuard(candidates, open = []) {
+    const order = candidates.map((c, i) => i).sort((a, b) => (candidates[b].confidence || 0) - (candidates[a].confidence || 0));
+    const decisions = new Array(candidates.length);
+    const accepted = open.map(o => ({ ...o, open: true }));
+    const net = {};
+    for (const o of open) {
+        for (const [ccy, r] of Object.entries(currencyExposure(o.direction, o.instrument, o.risk))) net[ccy] = (net[ccy] || 0) + r;
+    }
+    const label = a => `${a.symbol} ${a.direction}${a.open ? ' (open)' : ''}`;
+
+    for (const i of order) {
+        const c = candidates[i];
+        const limits = c.limits;
+        const legs = currencyExposure(c.direction, c.instrument, c.risk);
+
+        // 1. Net exposure per currency
+        const breach = Object.entries(legs)
+            .map(([ccy, r]) => ({ ccy, after: (net[ccy] || 0) + r }))
+            .find(x => Math.abs(x.after) > limits.maxCurrencyRiskPercent + 1e-9);
+        if (breach) {
+            decisions[i] = {
+                approved: false,
+                reason: `${breach.ccy} exposure would be ${round2(breach.after)}% (max ${limits.maxCurrencyRiskPercent}%) alongside ${accepted.map(label).join(', ')}`,
+                exposure: legs,
+                cluster: []
+            };
+            continue;
+        }
+
+        // 2. Correlated cluster (direction-adjusted: BUY EUR/USD + SELL USD/CHF is one bet)
+        const returns = dailyReturns((c.closes || []).slice(0, limits.correlationLookback + 1));
+        const cluster = [];
+        let clusterRisk = c.risk;
+        for (const a of accepted) {
+            const rho = correlation(returns, dailyReturns((a.closes || []).slice(0, limits.correlationLookback + 1)), limits.minOverlapDays);
+            if (rho === null) continue;
+            const sameBet = rho * (c.direction === a.direction ? 1 : -1);
+            if (sameBet >= limits.correlationThreshold) {
+                cluster.push({ symbol: a.symbol, direction: a.direction, correlation: round2(rho), open: Boolean(a.open) });
+                clusterRisk += a.risk;
+            }
+        }
+        if (cluster.length > 0 && clusterRisk > limits.maxClusterRiskPercent + 1e-9) {
+            decisions[i] = {
+                approved: false,
+                reason: `correlated with ${cluster.map(m => `${label(m)} (ρ ${m.correlation})`).join(', ')}; cluster risk ${round2(clusterRisk)}% (max ${limits.maxClusterRiskPercent}%)`,
+                exposure: legs,
+                cluster
+            };
+            continue;
+        }
+
+        for (const [ccy, r] of Object.entries(legs)) net[ccy] = (net[ccy] || 0) + r;
+        accepted.push(c);
+        decisions[i] = { approved: true, reason: null, exposure: legs, cluster };
+    }
+
+    // Net exposure of the whole approved book (live signals included), echoed on every decision
+    const book = {};
+    for (const [ccy, r] of Object.entries(net)) if (Math.abs(r) > 1e-9) book[ccy] = round2(r);
+    for (const d of decisions) d.netExposure = book;
+    return decisions;
+}
+
+module.exports = {
+    dailyReturns,
+    correlation,
+    currencyExposure,
+    applyPortfolioGuard
+};
@@ -0,0 +1,174 @@
+// MODULE: fx-quant-lib/quality (v1.0)
+// DESC: Data-quality gate. MTF_Combiner runs it on the normalized candles of every
+//       timeframe ('fx-quant-lib/candles', `time` in UTC ms) and passes the report
+//       on as `data_quality`; the scorers echo it and Confluence vetoes the symbol
+//       when it is not `ok` (config section 'data', `qualityVeto`).
+//
+// WINDOW: Only the newest bars of each timeframe are checked, as many as one
+//         request without the candle cache returns ('fx-quant-lib/cache'
+//         FETCH_SIZES: 201 5m bars, 400 daily bars, ...). With the cache the
+//         served history reaches back up to `cache.maxBars`; an old gap or bad
+//         tick in it was seen on the run that fetched it and must not veto
+//         every run after it.
+//
+// CHECKS (per timeframe unless noted; `severity` 'error' fails the report):
+//   no_data      - No candles at all, or an interval the gate does not know.
+//   bad_tick     - Unparseable time or OHLC, or high/low not enclosing open/close.
+//   duplicate    - The same bar time more than once.
+//   out_of_order - Bars not strictly newest first (Twelve Data order).
+//   missing      - Bars missing between neighbours, beyond `maxMissingBars`. Gaps
+//                  that overlap the instrument's weekly close or daily break
+//                  ('fx-quant-lib/instruments' trading hours) are not counted.
+//   stale        - Newest bar opened more than `staleBars` intervals ago while the
+//                  market was open the whole time (a frozen feed).
+//   zero_range   - high == low bars; a warning up to `maxZeroRangeBars`.
+//   spike        - Bars whose range exceeds `spikeAtrMult` x ATR(14) of the timeframe.
+//   partial      - Closed resampled bars built from fewer feed bars than they span
+//                  ('fx-quant-lib/resample'), away from market closes: a warning.
+//   cross_tf     - Pairs (5m/15m, 15m/1h, 1h/4h, 4h/1day): a closed higher bar whose
+//                  high is below (or low above) its complete set of lower bars,
+//                  by more than `crossTfTolerancePips`.
+//
+// REPORT: { ok, failed: ['<tf>.<check>', ...], warnings: [...],
+//           issues: [{ tf, check, severity, count, detail }], bars: { <tf>: n checked } }
+
+const { INTERVAL_MS } = require('./candles');
+const { FETCH_SIZES } = require('./cache');
+const { calculateATR } = require('./indicators');
+const { isMarketOpen } = require('./instruments');
+
+const STEP_MS = 5 * 60 * 1000; // Resolution of the trading-hours scan
+const CROSS_TF_PAIRS = [['5m', '15m'], ['15m', '1h'], ['1h', '4h'], ['4h', '1day']];
+
+/**
+ * True if the market is closed at any point of [fromMs, toMs) (weekly close, daily break).
+ */
+function touchesClose(inst, fromMs, toMs) {
+    for (let t = fromMs; t < toMs; t += STEP_MS) {
+        if (!isMarketOpen(inst, t)) return true;
+    }
+    return toMs > fromMs && !isMarketOpen(inst, toMs - 1);
+}
+
+function checkTimeframe(tf, candles, intervalMs, inst, nowMs, cfg, issues) {
+    const add = (check, severity, count, detail) => issues.push({ tf, check, severity, count, detail });
+    if (candles.length === 0 || !intervalMs) {
+        add('no_data', 'error', 0, candles.length === 0 ? 'No candles' : 'Unknown interval');
+        return;
+    }
+
+    let badTicks = 0, duplicates = 0, outOfOrder = 0, zeroRange = 0;
+    for (let i = 0; i < candles.length; i++) {
+        const c = candles[i];
+        const [o, h, l, cl] = [c.open, c.high, c.low, c.close].map(parseFloat);
+        if (c.time === null || [o, h, l, cl].some(isNaN) || h < Math.max(o, cl, l) || l > Math.min(o, cl)) badTicks++;
+        else if (h === l) zeroRange++;
+        if (i > 0 && c.time !== null && candles[i - 1].time !== null) {
+            if (c.time === candles[i - 1].time) duplicates++;
+            else if (c.time > candles[i - 1].time) outOfOrder++;
+        }
+    }
+    if (badTicks > 0) add('bad_tick', 'error', badTicks, `${badTicks} bar(s) with bad time or OHLC`);
+    if (duplicates > 0) add('duplicate', 'error', duplicates, `${duplicates} duplicate bar time(s)`);
+    if (outOfOrder > 0) add('out_of_order', 'error', outOfOrder, `${outOfOrder} bar(s) out of order`);
+    if (zeroRange > 0) {
+        add('zero_range', zeroRange > cfg.maxZeroRangeBars ? 'error' : 'warning', zeroRange,
+            `${zeroRange} bar(s) with high == low (max ${cfg.maxZeroRangeBars})`);
+    }
+
+    // Resampled bars short of feed bars; session edges and the forming bar are expected
+    const partial = candles.filter(c => c.partial === true && c.closed !== false && c.time !== null &&
+        !touchesClose(inst, c.time, c.time + intervalMs)).length;
+    if (partial > 0) add('partial', 'warning', partial, `${partial} resampled bar(s) short of feed bars`);
+
+    // Gaps and staleness on the distinct, valid times (oldest first)
+    const times = [...new Set(candles.map(c => c.time).filter(t => t !== null))].sort((a, b) => a - b);
+    let missing = 0;
+    for (let i = 1; i < times.length; i++) {
+        const gapBars = Math.round((times[i] - times[i - 1]) / intervalMs) - 1;
+        if (gapBars > 0 && !touchesClose(inst, times[i - 1] + intervalMs, times[i])) missing += gapBars;
+    }
+    if (missing > cfg.maxMissingBars) add('missing', 'error', missing, `${missing} missing bar(s) (max ${cfg.maxMissingBars})`);
+
+    const newest = times[times.length - 1];
+    const ageBars = (nowMs - newest) / intervalMs;
+    if (newest !== undefined && ageBars > cfg.staleBars && !touchesClose(inst, nowMs - cfg.staleBars * intervalMs, nowMs)) {
+        add('stale', 'error', Math.floor(ageBars), `Newest bar is ${Math.floor(ageBars)} interval(s) old (max ${cfg.staleBars})`);
+    }
+
+    const atr = badTicks === 0 ? calculateATR(candles, 14).atr : null;
+    if (atr) {
+        const spikes = candles.filter(c => parseFloat(c.high) - parseFloat(c.low) > cfg.spikeAtrMult * atr).length;
+        if (spikes > 0) add('spike', 'error', spikes, `${spikes} bar(s) with a range above ${cfg.spikeAtrMult} x ATR(14)`);
+    }
+}
+
+function checkCrossTimeframe(lowerTf, higherTf, frames, tolerance, issues) {
+    const lower = frames[lowerTf];
+    const higher = frames[higherTf];
+    if (!lower || !higher || !lower.intervalMs || !higher.intervalMs) return;
+    const perBar = higher.intervalMs / lower.intervalMs;
+    const byTime = new Map(lower.candles.filter(c => c.time !== null).map(c => [c.time, c]));
+    let mismatches = 0;
+    let first = null;
+    for (const bar of higher.candles) {
+        if (bar.time === null || bar.closed === false) continue;
+        const parts = [];
+        for (let k = 0; k < perBar; k++) {
+            const c = byTime.get(bar.time + k * lower.intervalMs);
+            if (c) parts.push(c);
+        }
+        if (parts.length < perBar) continue; // Only bars fully covered by the lower timeframe
+        const maxHigh = Math.max(...parts.map(c => parseFloat(c.high)));
+        const minLow = Math.min(...parts.map(c => parseFloat(c.low)));
+        if (parseFloat(bar.high) < maxHigh - tolerance || parseFloat(bar.low) > minLow + tolerance) {
+            mismatches++;
+            if (first === null) first = bar.datetime || new Date(bar.time).toISOString();
+        }
+    }
+    if (mismatches > 0) {
+        issues.push({
+            tf: higherTf, check: 'cross_tf', severity: 'error', count: mismatches,
+            detail: `${mismatches} ${higherTf} bar(s) do not enclose their ${lowerTf} bars (first: ${first})`
+        });
+    }
+}
+
+/**
+ * Runs every check on one symbol's candles.
+ * @param {Object} frames - { '5m': { candles, interval }, '15m': ..., '1h', '4h', '1day' };
+ *                          candles newest first with `time` / `closed`, interval the
+ *                          Twelve Data name ('5min', ...). Only the newest FETCH_SIZES
+ *                          bars of each are checked (see WINDOW).
+ * @param {Object} inst - From getInstrument() (pip size, trading hours).
+ * @param {number} nowMs - Current time (UTC epoch ms).
+ * @param {Object} cfg - Section 'data' of the effective config.
+ * @returns {Object} { ok, failed, warnings, issues, bars }
+ */
+function checkDataQuality(frames, inst, nowMs, cfg) {
+    const issues = [];
+    const prepared = {};
+    const bars = {};
+    for (const [tf, { candles, interval }] of Object.entries(frames)) {
+        const recent = (candles || []).slice(0, FETCH_SIZES[interval] || undefined); // Newest first
+        prepared[tf] = { candles: recent, intervalMs: INTERVAL_MS[interval] || null };
+        bars[tf] = prepared[tf].candles.length;
+        checkTimeframe(tf, prepared[tf].candles, prepared[tf].intervalMs, inst, nowMs, cfg, issues);
+    }
+    for (const [lowerTf, higherTf] of CROSS_TF_PAIRS) {
+        checkCrossTimeframe(lowerTf, higherTf, prepared, cfg.crossTfTolerancePips * inst.pipSize, issues);
+    }
+    const failed = issues.filter(i => i.severity === 'error').map(i => `${i.tf}.${i.check}`);
+    return {
+        ok: failed.length === 0,
+        failed,
+        warnings: issues.filter(i => i.severity === 'warning').map(i => `${i.tf}.${i.check}`),
+        issues,
+        bars
+    };
+}
+
+module.exports = {
+    CROSS_TF_PAIRS,
+    checkDataQuality
+};
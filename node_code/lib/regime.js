@@ -0,0 +1,136 @@
+// MODULE: fx-quant-lib/regime (v1.0)
+// DESC: One market-regime classification per symbol, computed by MTF_Combiner
+//       and passed on as `market_regime`, so Confluence and the scorers stop
+//       using their own notions (daily EMA-200 + ATR cut, 4H ADX, 4H EMA-50/RSI).
+//
+// STATES: 'trend_up' / 'trend_down'   - ADX, EMA slope, efficiency ratio and Hurst agree
+//         'range'                     - weak ADX, flat EMA, choppy path, anti-persistent
+//         'volatility_expansion'      - ATR and Bollinger bandwidth in their top percentiles
+//         'squeeze'                   - ATR and Bollinger bandwidth in their bottom percentiles
+//
+// Each state has a checklist of conditions (config section 'regime'); its score
+// is the share of the conditions that hold (metrics that cannot be computed are
+// left out). The best score wins (ties: trend, expansion, squeeze, range) and is
+// the `confidence`. `direction` is 'Up' / 'Down' for trends (and for expansions
+// with a clear EMA slope), else 'Neutral'.
+// Everything is measured on the 4H chart (the trend timeframe).
+
+const {
+    calculateEMA, calculateATR, calculateADX, calculateBollingerBands,
+    computeAtrPercentile, calculateEfficiencyRatio, calculateHurst
+} = require('./indicators');
+
+const STATES = ['trend_up', 'trend_down', 'range', 'volatility_expansion', 'squeeze'];
+
+function percentileRank(value, series) {
+    if (value === null || series.length === 0) return null;
+    return series.filter(v => v < value).length / series.length;
+}
+
+const round3 = v => (v === null || v === undefined ? null : Math.round(v * 1000) / 1000);
+
+// Share of the conditions that could be evaluated and hold
+function score(conditions) {
+    const known = conditions.filter(c => c !== null);
+    return known.length === 0 ? 0 : known.filter(Boolean).length / known.length;
+}
+
+const check = (value, test) => (value === null || value === undefined ? null : test(value));
+
+/**
+ * Classifies the regime from the 4H candles.
+ * @param {Array} candles4h - Payload `data_4h` (newest first).
+ * @param {Array} histAtr4h - Payload `hist_atr_4h`.
+ * @param {Object} params - Section 'regime' of the effective config.
+ * @returns {Object} { state, direction, confidence, scores, metrics, error? }
+ */
+function classifyRegime(candles4h, histAtr4h, params) {
+    const ema = calculateEMA(candles4h, params.emaPeriod);
+    const atr = calculateATR(candles4h, 14);
+    if (ema.ema === null || atr.atr === null || ema.values.length <= params.slopeLookback) {
+        return {
+            state: null, direction: 'Neutral', confidence: 0, scores: null, metrics: null,
+            error: 'Not enough 4H data for the regime classifier'
+        };
+    }
+
+    // EMA change over `slopeLookback` bars, in ATRs
+    const emaPast = ema.values[ema.values.length - 1 - params.slopeLookback];
+    const emaSlope = (ema.ema - emaPast) / atr.atr;
+    const adx = calculateADX(candles4h, params.adxPeriod);
+    const atrPercentile = computeAtrPercentile(atr.atr, histAtr4h);
+    const bb = calculateBollingerBands(candles4h, params.bbPeriod, params.bbStdDev);
+    const widths = bb.values.slice(-params.bandwidthLookback).map(b => (b.middle ? (b.upper - b.lower) / b.middle : null)).filter(w => w !== null);
+    const bbWidth = widths.length > 0 ? widths[widths.length - 1] : null;
+    const bbWidthPercentile = widths.length >= 20 ? percentileRank(bbWidth, widths) : null;
+    const er = calculateEfficiencyRatio(candles4h, params.erPeriod).er;
+    const hurst = calculateHurst(candles4h, params.hurstWindow).hurst;
+
+    const up = emaSlope > 0;
+    const diAgrees = adx.adx === null ? null : (up ? adx.plusDI > adx.minusDI : adx.minusDI > adx.plusDI);
+    const trendScore = score([
+        check(adx.adx, v => v >= params.adxTrendThreshold),
+        Math.abs(emaSlope) >= params.slopeMinAtr,
+        check(er, v => v >= params.erTrendThreshold),
+        check(hurst, v => v >= params.hurstTrendThreshold),
+        diAgrees
+    ]);
+    const rangeScore = score([
+        check(adx.adx, v => v < params.adxRangeThreshold),
+        Math.abs(emaSlope) < params.slopeMinAtr,
+        check(er, v => v < params.erRangeThreshold),
+        check(hurst, v => v < params.hurstRangeThreshold)
+    ]);
+    const expansionScore = score([
+        check(atrPercentile, v => v >= params.expansionPercentile),
+        check(bbWidthPercentile, v => v >= params.expansionPercentile)
+    ]);
+    const squeezeScore = score([
+        check(atrPercentile, v => v <= params.squeezePercentile),
+        check(bbWidthPercentile, v => v <= params.squeezePercentile)
+    ]);
+
+    const trendState = up ? 'trend_up' : 'trend_down';
+    const ranked = [
+        [trendState, trendScore],
+        ['volatility_expansion', expansionScore],
+        ['squeeze', squeezeScore],
+        ['range', rangeScore]
+    ];
+    let [state, confidence] = ranked[0];
+    for (const [s, sc] of ranked) if (sc > confidence) [state, confidence] = [s, sc];
+
+    let direction = 'Neutral';
+    if (state === 'trend_up' || state === 'trend_down' ||
+        (state === 'volatility_expansion' && Math.abs(emaSlope) >= params.slopeMinAtr)) {
+        direction = up ? 'Up' : 'Down';
+    }
+
+    return {
+        state,
+        direction,
+        confidence: round3(confidence),
+        scores: {
+            [trendState]: round3(trendScore),
+            range: round3(rangeScore),
+            volatility_expansion: round3(expansionScore),
+            squeeze: round3(squeezeScore)
+        },
+        metrics: {
+            emaSlopeAtr: round3(emaSlope),
+            adx: round3(adx.adx),
+            plusDI: round3(adx.plusDI),
+            minusDI: round3(adx.minusDI),
+            atrPercentile: round3(atrPercentile),
+            bbWidth: bbWidth === null ? null : Math.round(bbWidth * 1e6) / 1e6,
+            bbWidthPercentile: round3(bbWidthPercentile),
+            efficiencyRatio: round3(er),
+            hurst: round3(hurst)
+        }
+    };
+}
+
+module.exports = {
+    STATES,
+    classifyRegime
+};
@@ -0,0 +1,129 @@
+// MODULE: fx-quant-lib/resample (v1.0)
+// DESC: Builds higher-timeframe candles from one granular feed (1min or 5min),
+//       so the workflow can make one time_series call per symbol instead of five
+//       (config section 'data', `resample`). MTF_Combiner passes the results on
+//       exactly like Twelve Data responses ({ meta, values }, newest first), so
+//       the timestamps, the data-quality gate and every scorer work unchanged.
+//
+// AGGREGATION: open = first bar's open, high = max, low = min, close = last bar's
+//              close, volume = sum (when the feed has volume).
+// ANCHORS:     'utc'      - buckets aligned to UTC midnight (4h: 00, 04, ... UTC).
+//              'ny_close' - the FX day: 4h and daily buckets start at 17:00
+//                           America/New_York (21:00 UTC in summer, 22:00 in winter).
+//              Buckets of 1h and less are the same under both.
+// PARTIAL BARS: `partial: true` on a bucket with fewer feed bars than it spans (a
+//               gap, a session edge, or the bar still forming). A bucket spans up to
+//               the next one's start, so the 'ny_close' days around a DST change
+//               hold 23 and 25 hours. The data-quality gate warns about closed
+//               partial bars away from market closes. The oldest bucket is dropped
+//               when the feed starts inside it, since its open would be wrong.
+
+const { INTERVAL_MS, zoneOffsetMs, wallClockToUtc, normalizeCandles } = require('./candles');
+
+const DAY_MS = INTERVAL_MS['1day'];
+const HOUR_MS = INTERVAL_MS['1h'];
+const ANCHORS = {
+    utc: null,
+    ny_close: { timeZone: 'America/New_York', hour: 17 }
+};
+
+/**
+ * UTC start of the anchored day that contains an instant.
+ */
+function anchoredDayStart(timeMs, anchor) {
+    const local = timeMs + zoneOffsetMs(anchor.timeZone, timeMs);
+    const hourMs = anchor.hour * 60 * 60 * 1000;
+    return wallClockToUtc(Math.floor((local - hourMs) / DAY_MS) * DAY_MS + hourMs, anchor.timeZone);
+}
+
+/**
+ * UTC start of the bucket an instant falls in.
+ * @param {number} timeMs - UTC epoch ms.
+ * @param {number} intervalMs - Bucket length (up to one day).
+ * @param {string} [anchorName] - 'utc' | 'ny_close'.
+ */
+function bucketStart(timeMs, intervalMs, anchorName = 'utc') {
+    const anchor = ANCHORS[anchorName];
+    if (!anchor) return Math.floor(timeMs / intervalMs) * intervalMs;
+    const dayStart = anchoredDayStart(timeMs, anchor);
+    if (intervalMs === DAY_MS) return dayStart; // A 25-hour day is still one bar
+    return dayStart + Math.floor((timeMs - dayStart) / intervalMs) * intervalMs;
+}
+
+/**
+ * UTC start of the bucket after the one starting at `startMs` (the next anchored day
+ * start when that comes first: a DST change makes the day 23 or 25 hours long).
+ */
+function bucketEnd(startMs, intervalMs, anchorName = 'utc') {
+    const anchor = ANCHORS[anchorName];
+    if (!anchor) return startMs + intervalMs;
+    const nextDay = anchoredDayStart(anchoredDayStart(startMs, anchor) + DAY_MS + 2 * HOUR_MS, anchor);
+    return intervalMs === DAY_MS ? nextDay : Math.min(startMs + intervalMs, nextDay);
+}
+
+// Twelve Data style timestamp (UTC); a full time when the day does not start at midnight
+function formatBucket(startMs, interval, anchorName) {
+    const iso = new Date(startMs).toISOString();
+    return interval === '1day' && !ANCHORS[anchorName] ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+}
+
+function aggregate(bars, startMs, interval, anchorName, expected) {
+    const out = {
+        datetime: formatBucket(startMs, interval, anchorName),
+        open: String(bars[0].open),
+        high: String(Math.max(...bars.map(b => parseFloat(b.high)))),
+        low: String(Math.min(...bars.map(b => parseFloat(b.low)))),
+        close: String(bars[bars.length - 1].close)
+    };
+    const withVolume = bars.filter(b => b.volume !== undefined && b.volume !== '');
+    if (withVolume.length > 0) out.volume = String(withVolume.reduce((a, b) => a + parseFloat(b.volume), 0));
+    out.partial = bars.length < expected;
+    return out;
+}
+
+/**
+ * Builds higher-timeframe responses from one granular Twelve Data response.
+ * @param {Object} response - { meta: { interval, symbol, exchange_timezone }, values } (newest first).
+ * @param {Array} intervals - Target interval names, e.g. ['15min', '1h', '4h', '1day'].
+ * @param {string} [anchorName] - 'utc' | 'ny_close'.
+ * @returns {Object} { <interval>: { meta, values } }, values newest first; `meta` is the
+ *                   feed's with the new `interval`, UTC times, `resampled_from` and `anchor`.
+ */
+function resampleResponses(response, intervals, anchorName = 'utc') {
+    if (!(anchorName in ANCHORS)) throw new Error(`resample: unknown anchor '${anchorName}'`);
+    const baseInterval = response.meta.interval;
+    const baseMs = INTERVAL_MS[baseInterval];
+    // Oldest first, valid times only (one parse for every target)
+    const candles = normalizeCandles(response.values, response.meta)
+        .filter(c => c.time !== null)
+        .sort((a, b) => a.time - b.time);
+
+    const out = {};
+    for (const interval of intervals) {
+        const intervalMs = INTERVAL_MS[interval];
+        if (!baseMs || !intervalMs || intervalMs <= baseMs || intervalMs > DAY_MS || intervalMs % baseMs !== 0) {
+            throw new Error(`resample: cannot build ${interval} candles from ${baseInterval}`);
+        }
+        const buckets = [];
+        for (const c of candles) {
+            const start = bucketStart(c.time, intervalMs, anchorName);
+            const last = buckets[buckets.length - 1];
+            if (last && last.start === start) last.bars.push(c);
+            else buckets.push({ start, bars: [c] });
+        }
+        if (buckets.length > 0 && buckets[0].bars[0].time > buckets[0].start) buckets.shift();
+        out[interval] = {
+            meta: { ...response.meta, interval, exchange_timezone: 'UTC', resampled_from: baseInterval, anchor: anchorName },
+            values: buckets.reverse().map(b => aggregate(b.bars, b.start, interval, anchorName,
+                Math.round((bucketEnd(b.start, intervalMs, anchorName) - b.start) / baseMs)))
+        };
+    }
+    return out;
+}
+
+module.exports = {
+    ANCHORS,
+    bucketStart,
+    bucketEnd,
+    resampleResponses
+};
@@ -0,0 +1,102 @@
+// MODULE: fx-quant-lib/scorers (v1.0)
+// DESC: Scorer registry. Every scorer node declares here its name, version,
+//       the signal types it emits with their routing category, and the inputs
+//       it needs. Confluence routes by category instead of hard-coded type
+//       lists, and reports any signal whose type is not registered here
+//       instead of silently ignoring it.
+//
+// CATEGORIES: 'technical' - price-pattern / momentum entries
+//             'dynamic'   - level / flow based entries (FVG, structure, VWAP)
+//             'reversion' - counter-move entries (also routed as technical
+//                           with the trend, as in Confluence v1.3)
+//
+// When a scorer gains a signal type or a version, update its entry here.
+
+const CATEGORIES = ['technical', 'dynamic', 'reversion'];
+
+// Order = the order Confluence receives them in the workflow (and the backtester runs them)
+const SCORERS = {
+    breakout: {
+        node: 'Scorer_Breakout',
+        script: 'node_code/node_code/08_Scorer_Breakout.js',
+        version: '2.11',
+        signalTypes: { 'break-and-retest': 'technical' },
+        requires: { timeframes: ['5m', '15m', '1h', '4h'], sr: ['pdh', 'pdl', 'pivots'], volume: false }
+    },
+    trend: {
+        node: 'Scorer_Trend',
+        script: 'node_code/node_code/05_Scorer_Trend.js',
+        version: '4.15',
+        signalTypes: { momentum: 'technical', shallow_pullback: 'technical', reversion: 'reversion' },
+        requires: { timeframes: ['5m', '15m', '1h', '4h'], sr: ['pdh', 'pdl', 'pivots'], volume: false }
+    },
+    mean: {
+        node: 'Scorer_Mean_Reversion',
+        script: 'node_code/node_code/04_Scorer_Mean.js',
+        version: '1.10',
+        signalTypes: { reversion: 'reversion' },
+        requires: { timeframes: ['5m', '15m', '1h', '4h'], sr: ['pdh', 'pdl', 'pivots'], volume: false }
+    },
+    liquidity: {
+        node: 'Scorer_Liquidity',
+        script: 'node_code/node_code/03_Scorer_Liquidity.js',
+        version: '1.11',
+        signalTypes: { liquidity: 'dynamic' },
+        requires: { timeframes: ['15m', '1h', '4h', '1day'], sr: [], volume: false }
+    },
+    vwap: {
+        node: 'Scorer_VWAP',
+        script: 'node_code/node_code/07_Scorer_VWAP.js',
+        version: '1.8',
+        signalTypes: { vwap_bias: 'dynamic' },
+        requires: { timeframes: ['15m', '1h', '4h', '1day'], sr: [], volume: true }
+    },
+    structure: {
+        node: 'Scorer_Structure',
+        script: 'node_code/node_code/02_Scorer_Structure.js',
+        version: '1.9',
+        signalTypes: { market_structure: 'dynamic' },
+        requires: { timeframes: ['15m', '1h', '4h', '1day'], sr: ['pdh', 'pdl'], volume: false }
+    }
+};
+
+// signalType -> { scorers: [name], category }. A type shared by several scorers
+// (e.g. 'reversion') must have the same category everywhere.
+const SIGNAL_TYPES = {};
+for (const [name, scorer] of Object.entries(SCORERS)) {
+    for (const [type, category] of Object.entries(scorer.signalTypes)) {
+        if (!CATEGORIES.includes(category)) throw new Error(`scorers: ${name}.${type} has unknown category '${category}'`);
+        const known = SIGNAL_TYPES[type];
+        if (known && known.category !== category) {
+            throw new Error(`scorers: '${type}' is '${known.category}' in ${known.scorers.join(', ')} but '${category}' in ${name}`);
+        }
+        SIGNAL_TYPES[type] = { scorers: [...(known ? known.scorers : []), name], category };
+    }
+}
+
+/**
+ * Routing category of a signal type, or null if no scorer registers it.
+ * @param {string} signalType - e.g. 'shallow_pullback'.
+ */
+function getSignalCategory(signalType) {
+    return SIGNAL_TYPES[signalType] ? SIGNAL_TYPES[signalType].category : null;
+}
+
+/**
+ * Buy/sell signals whose type is not in the registry.
+ * @param {Array} signals - Scorer outputs.
+ * @returns {Array} [{ signalType, signal, confidence }]
+ */
+function findUnregistered(signals) {
+    return (signals || [])
+        .filter(s => (s.signal === 'buy' || s.signal === 'sell') && !getSignalCategory(s.signalType))
+        .map(s => ({ signalType: s.signalType === undefined ? null : s.signalType, signal: s.signal, confidence: s.confidence }));
+}
+
+module.exports = {
+    CATEGORIES,
+    SCORERS,
+    SIGNAL_TYPES,
+    getSignalCategory,
+    findUnregistered
+};
@@ -0,0 +1,106 @@
+// MODULE: fx-quant-lib/sizing (v1.0)
+// DESC: Position sizing for the final signal packet. Turns the account balance,
+//       risk-per-trade percent and the instrument's pip value into a lot size
+//       rounded DOWN to the broker's lot step and clamped to its min/max lot.
+//
+// CURRENCY: The pip value is in the instrument's quote currency. It is converted
+//           to the account currency with, in order: the pair itself (direct or
+//           inverse), any other pair in `rates`, or a cross through USD.
+//           `rates` is { "GBP/USD": 1.27, ... } (separators optional).
+
+const { symbolKey } = require('./instruments');
+
+/**
+ * Rate that converts an amount in `from` into `to`, or null if unknown.
+ * @param {string} from - ISO currency, e.g. 'GBP'.
+ * @param {string} to - ISO currency, e.g. 'USD'.
+ * @param {Object} rates - { 'GBP/USD': 1.27, ... }.
+ */
+function conversionRate(from, to, rates) {
+    if (!from || !to) return null;
+    if (from === to) return 1;
+    const byKey = {};
+    for (const [pair, rate] of Object.entries(rates || {})) {
+        if (rate > 0) byKey[symbolKey(pair)] = rate;
+    }
+    const direct = pair => byKey[pair];
+    const lookup = (a, b) => {
+        if (a === b) return 1;
+        if (direct(a + b)) return direct(a + b);
+        if (direct(b + a)) return 1 / direct(b + a);
+        return null;
+    };
+    const rate = lookup(from, to);
+    if (rate !== null) return rate;
+    // Cross through USD (e.g. CHF -> JPY = CHF/USD * USD/JPY)
+    const viaFrom = lookup(from, 'USD');
+    const viaTo = lookup('USD', to);
+    return viaFrom !== null && viaTo !== null ? viaFrom * viaTo : null;
+}
+
+function stepDecimals(step) {
+    const text = String(step);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * Sizes a position from its stop distance.
+ * @param {Object} params
+ * @param {Object} params.instrument - From 'fx-quant-lib/instruments'.
+ * @param {number} params.slPips - Stop distance in pips.
+ * @param {number} [params.tpPips] - Target distance in pips (for the reward amount).
+ * @param {Object} params.account - { balance, currency, riskPercent, lotStep, minLot, maxLot }.
+ * @param {Object} [params.rates] - Conversion rates, see conversionRate().
+ * @returns {Object} { lots, riskAmount, rewardAmount, plannedRiskAmount, riskPercent, pipValue,
+ *                     currency, conversionRate, clamped, error }
+ */
+function calculatePositionSize({ instrument, slPips, tpPips, account, rates }) {
+    const currency = account.currency;
+    const empty = error => ({
+        lots: null, riskAmount: null, rewardAmount: null, plannedRiskAmount: null, riskPercent: null,
+        pipValue: null, currency, conversionRate: null, clamped: null, error
+    });
+    if (!slPips || slPips <= 0) return empty('No stop distance to size from.');
+    if (!(account.balance > 0) || !(account.riskPercent > 0)) return empty('Account balance and risk percent must be positive.');
+
+    const rate = conversionRate(instrument.quote, currency, rates);
+    if (rate === null) return empty(`No conversion rate from ${instrument.quote} to ${currency}.`);
+
+    // Value of one pip for one lot, in account currency
+    const pipValue = instrument.pipSize * instrument.contractSize * rate;
+    const plannedRiskAmount = account.balance * account.riskPercent / 100;
+    const rawLots = plannedRiskAmount / (slPips * pipValue);
+
+    // Round DOWN to the lot step so the planned risk is never exceeded, then clamp
+    const decimals = stepDecimals(account.lotStep);
+    let lots = Math.floor(rawLots / account.lotStep + 1e-9) * account.lotStep;
+    let clamped = null;
+    if (lots < account.minLot) {
+        lots = account.minLot;
+        clamped = 'min';
+    } else if (lots > account.maxLot) {
+        lots = account.maxLot;
+        clamped = 'max';
+    }
+    lots = parseFloat(lots.toFixed(decimals));
+
+    const round2 = v => Math.round(v * 100) / 100;
+    const riskAmount = slPips * pipValue * lots;
+    return {
+        lots,
+        riskAmount: round2(riskAmount),
+        rewardAmount: tpPips ? round2(tpPips * pipValue * lots) : null,
+        plannedRiskAmount: round2(plannedRiskAmount),
+        riskPercent: riskAmount / account.balance * 100, // Actual, after rounding/clamping
+        pipValue,
+        currency,
+        conversionRate: rate,
+        clamped,
+        error: null
+    };
+}
+
+module.exports = {
+    conversionRate,
+    calculatePositionSize
+};
@@ -0,0 +1,97 @@
+// MODULE: fx-quant-lib/spread (v1.0)
+// DESC: Spread and slippage awareness. Parses bid/ask from the Quote node
+//       (items[2] of every scorer) or falls back to the instrument's typical
+//       spread, then measures the cost of a trade against its SL and TP.
+//
+// QUOTE: Reads `bid`/`ask` (or `bid_price`/`ask_price`). Without them the
+//        reference price is treated as mid and bid/ask are mid -/+ half of
+//        `instrument.typicalSpreadPips`. `source` records which one was used.
+
+const { roundPrice, priceToPips, pipsToPrice } = require('./instruments');
+
+const round1 = v => Math.round(v * 10) / 10;
+
+function toNumber(v) {
+    const n = parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Bid/ask and spread for one instrument.
+ * @param {Object|null} quote - Quote node JSON (items[2].json).
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ * @param {number} [refPrice] - Last close, used as mid when the quote has no bid/ask.
+ * @returns {Object} { bid, ask, mid, spreadPips, source, info }
+ */
+function parseQuote(quote, instrument, refPrice) {
+    const q = quote || {};
+    const bid = toNumber(q.bid !== undefined ? q.bid : q.bid_price);
+    const ask = toNumber(q.ask !== undefined ? q.ask : q.ask_price);
+    if (bid !== null && ask !== null && ask >= bid) {
+        return {
+            bid,
+            ask,
+            mid: roundPrice((bid + ask) / 2, instrument),
+            spreadPips: round1(priceToPips(ask - bid, instrument)),
+            source: 'quote',
+            info: 'Spread from Quote bid/ask.'
+        };
+    }
+
+    const mid = toNumber(refPrice) !== null ? toNumber(refPrice) : toNumber(q.close);
+    const spreadPips = instrument.typicalSpreadPips;
+    if (mid === null || spreadPips === null || spreadPips === undefined) {
+        return { bid: null, ask: null, mid, spreadPips: null, source: 'none', info: 'No bid/ask in Quote and no typical spread for this instrument.' };
+    }
+    const half = pipsToPrice(spreadPips, instrument) / 2;
+    return {
+        bid: roundPrice(mid - half, instrument),
+        ask: roundPrice(mid + half, instrument),
+        mid,
+        spreadPips,
+        source: 'typical_spread',
+        info: 'Quote has no bid/ask; using the instrument\'s typical spread.'
+    };
+}
+
+/**
+ * Execution cost of a signal.
+ * @param {Object} marketData - From parseQuote().
+ * @param {Object} trade - { signal: 'buy'|'sell', price, slPips, tpPips }
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ * @param {number} [slippagePips=0] - Expected slippage on entry.
+ * @returns {Object} { entryPrice, entryOffsetPips, spreadPips, slippagePips, costPips,
+ *                     spreadToSL, spreadToTP, costToTarget, effectiveSLPips, effectiveTPPips }
+ */
+function assessSpreadCost(marketData, trade, instrument, slippagePips = 0) {
+    const md = marketData || {};
+    const isBuy = trade.signal === 'buy';
+    // Buys fill at the ask, sells at the bid
+    const side = isBuy ? md.ask : md.bid;
+    const entryPrice = side !== null && side !== undefined ? side : trade.price;
+    // Adverse distance between the chart price the levels were built on and the fill
+    const entryOffsetPips = round1(priceToPips(isBuy ? entryPrice - trade.price : trade.price - entryPrice, instrument));
+    const spreadPips = md.spreadPips === null || md.spreadPips === undefined ? null : md.spreadPips;
+    const costPips = round1((spreadPips || 0) + slippagePips);
+    const slPips = trade.slPips || null;
+    const tpPips = trade.tpPips || null;
+    // No TP (structural/price-only targets): judge the cost against a 1R target
+    const target = tpPips || slPips;
+    return {
+        entryPrice: roundPrice(entryPrice, instrument),
+        entryOffsetPips,
+        spreadPips,
+        slippagePips,
+        costPips,
+        spreadToSL: spreadPips !== null && slPips ? spreadPips / slPips : null,
+        spreadToTP: spreadPips !== null && tpPips ? spreadPips / tpPips : null,
+        costToTarget: target ? costPips / target : null,
+        effectiveSLPips: slPips ? round1(slPips + Math.max(0, entryOffsetPips) + slippagePips) : null,
+        effectiveTPPips: tpPips ? round1(Math.max(0, tpPips - Math.max(0, entryOffsetPips) - slippagePips)) : null
+    };
+}
+
+module.exports = {
+    parseQuote,
+    assessSpreadCost
+};
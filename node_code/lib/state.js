@@ -0,0 +1,259 @@
+// MODULE: fx-quant-lib/state (v1.0)
+// DESC: Persistent signal state, so a condition that holds across several polls
+//       does not re-emit the same trade every time ("signal hammering").
+//       Confluence records every emitted signal per symbol / direction / strategy
+//       and consults the store before emitting the next one:
+//       - Duplicate: same symbol, direction and strategy while the earlier signal
+//         is still live (younger than `liveMinutes`, price between its SL and TP).
+//       - Cool-down: same symbol and direction, any strategy, within `cooldownMinutes`.
+//
+// BACKENDS: Swappable, all with the same synchronous interface
+//           { backend, list(symbol), add(record), update(id, patch), prune(beforeMs) }.
+//           list() without a symbol returns every record.
+//           'json'   - One JSON file (default: $FX_STATE_FILE or <repo>/state/signals.json).
+//           'sqlite' - One SQLite file via the optional 'better-sqlite3' package
+//                      (default: <repo>/state/signals.sqlite).
+//           'memory' - In-process only; the backtester uses a fresh one per run.
+//           Offline tools install their own store and clock with setStateStore().
+//
+// PORTFOLIO: listLiveSignals() is the exposure Confluence's portfolio stage treats as
+//            already accepted: symbols are polled in separate runs, so a new signal
+//            is checked against the live signals of earlier runs too.
+//
+// OUTCOMES: tools/track.js labels the records later (TP / SL / expired) and
+//           sets `closed`, `outcome` and `outcome_time` on them, which also ends
+//           a record's duplicate window early.
+
+const fs = require('fs');
+const path = require('path');
+const { symbolKey } = require('./instruments');
+
+const STATE_DIR = path.join(__dirname, '..', '..', 'state');
+const DEFAULT_FILES = {
+    json: path.join(STATE_DIR, 'signals.json'),
+    sqlite: path.join(STATE_DIR, 'signals.sqlite')
+};
+const MINUTE_MS = 60 * 1000;
+
+let openStores = {};
+let installed = null; // { store, now } from setStateStore()
+
+// --- Backends ---
+
+function createMemoryStore() {
+    let records = [];
+    return {
+        backend: 'memory',
+        list: symbol => records.filter(r => symbol === undefined || r.symbol === symbolKey(symbol)),
+        add: record => { records.push({ ...record }); },
+        update: (id, patch) => { records = records.map(r => (r.id === id ? { ...r, ...patch } : r)); },
+        prune: beforeMs => { records = records.filter(r => r.timeMs >= beforeMs); }
+    };
+}
+
+function createJsonStore(file) {
+    const read = () => {
+        try {
+            const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return Array.isArray(doc.signals) ? doc.signals : [];
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw new Error(`state: could not read ${file}: ${e.message}`);
+        }
+    };
+    // Write to a temp file and rename, so a crash never leaves half a document
+    const write = signals => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: 1, signals }, null, 2));
+        fs.renameSync(tmp, file);
+    };
+    return {
+        backend: 'json',
+        file,
+        list: symbol => read().filter(r => symbol === undefined || r.symbol === symbolKey(symbol)),
+        add: record => write([...read(), record]),
+        update: (id, patch) => write(read().map(r => (r.id === id ? { ...r, ...patch } : r))),
+        prune: beforeMs => {
+            const signals = read();
+            const kept = signals.filter(r => r.timeMs >= beforeMs);
+            if (kept.length !== signals.length) write(kept);
+        }
+    };
+}
+
+function createSqliteStore(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        throw new Error("state: backend 'sqlite' needs the 'better-sqlite3' package (npm install better-sqlite3), or use backend 'json'.");
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.exec(`CREATE TABLE IF NOT EXISTS signals (
+        id TEXT PRIMARY KEY, symbol TEXT NOT NULL, time_ms INTEGER NOT NULL, record TEXT NOT NULL)`);
+    db.exec('CREATE INDEX IF NOT EXISTS signals_symbol ON signals (symbol, time_ms)');
+    const selectBySymbol = db.prepare('SELECT record FROM signals WHERE symbol = ? ORDER BY time_ms');
+    const selectAll = db.prepare('SELECT record FROM signals ORDER BY time_ms');
+    const selectById = db.prepare('SELECT record FROM signals WHERE id = ?');
+    const insert = db.prepare('INSERT OR REPLACE INTO signals (id, symbol, time_ms, record) VALUES (?, ?, ?, ?)');
+    const deleteBefore = db.prepare('DELETE FROM signals WHERE time_ms < ?');
+    const save = r => insert.run(r.id, r.symbol, r.timeMs, JSON.stringify(r));
+    return {
+        backend: 'sqlite',
+        file,
+        list: symbol => (symbol === undefined ? selectAll.all() : selectBySymbol.all(symbolKey(symbol))).map(row => JSON.parse(row.record)),
+        add: save,
+        update: (id, patch) => {
+            const row = selectById.get(id);
+            if (row) save({ ...JSON.parse(row.record), ...patch });
+        },
+        prune: beforeMs => { deleteBefore.run(beforeMs); }
+    };
+}
+
+/**
+ * Creates a store for a backend. Prefer openStateStore(), which reuses stores.
+ * @param {string} backend - 'json' | 'sqlite' | 'memory'.
+ * @param {string} [file] - Backing file for 'json' / 'sqlite'.
+ */
+function createStateStore(backend, file) {
+    if (backend === 'memory') return createMemoryStore();
+    if (backend === 'json') return createJsonStore(file || process.env.FX_STATE_FILE || DEFAULT_FILES.json);
+    if (backend === 'sqlite') return createSqliteStore(file || process.env.FX_STATE_FILE || DEFAULT_FILES.sqlite);
+    throw new Error(`state: unknown backend '${backend}'`);
+}
+
+/**
+ * The store for the effective config's `state` section (one per backend and file),
+ * or the store installed with setStateStore().
+ * @param {Object} stateConfig - Section 'state' of the effective config.
+ */
+function openStateStore(stateConfig) {
+    if (installed) return installed.store;
+    const key = `${stateConfig.backend}:${stateConfig.file || ''}`;
+    if (!openStores[key]) openStores[key] = createStateStore(stateConfig.backend, stateConfig.file || undefined);
+    return openStores[key];
+}
+
+/**
+ * Installs a store (and optionally a clock) for offline tools. The backtester
+ * uses a fresh memory store per run and the replayed bar time as the clock.
+ * Pass null to go back to the configured store and the wall clock.
+ * @param {Object|null} store - From createStateStore().
+ * @param {Function} [now] - () => epoch ms.
+ */
+function setStateStore(store, now) {
+    installed = store ? { store, now: now || Date.now } : null;
+}
+
+/** Current time in epoch ms (the installed clock, else the wall clock). */
+function stateNow() {
+    return installed ? installed.now() : Date.now();
+}
+
+// --- Signal rules ---
+
+function isLive(record, price, nowMs, liveMinutes) {
+    if (record.closed) return false;
+    if (nowMs - record.timeMs >= liveMinutes * MINUTE_MS) return false;
+    if (typeof price !== 'number') return true;
+    // Price beyond the SL or TP: the earlier trade has played out
+    const isBuy = record.direction === 'buy';
+    if (record.sl_price != null && (isBuy ? price <= record.sl_price : price >= record.sl_price)) return false;
+    if (record.tp_price != null && (isBuy ? price >= record.tp_price : price <= record.tp_price)) return false;
+    return true;
+}
+
+/**
+ * Live signals of every symbol (see isLive; no price is known for other symbols,
+ * so only `closed` and the age count).
+ * @param {Object} store - From openStateStore().
+ * @param {Object} stateConfig - Section 'state' of the effective config.
+ * @param {number} nowMs - Current time (stateNow()).
+ */
+function listLiveSignals(store, stateConfig, nowMs) {
+    return store.list().filter(r => r.timeMs <= nowMs && isLive(r, undefined, nowMs, stateConfig.liveMinutes));
+}
+
+/**
+ * Checks a candidate signal against the stored history.
+ * @param {Object} store - From openStateStore().
+ * @param {Object} candidate - { symbol, signal, strategyType, price }
+ * @param {Object} stateConfig - Section 'state' of the effective config.
+ * @param {number} nowMs - Current time (stateNow()).
+ * @returns {Object|null} null if the signal may be emitted, else
+ *          { kind: 'duplicate'|'cooldown', of: record, reason }
+ */
+function checkSignal(store, candidate, stateConfig, nowMs) {
+    const history = store.list(candidate.symbol)
+        .filter(r => r.direction === candidate.signal && r.timeMs <= nowMs)
+        .sort((a, b) => b.timeMs - a.timeMs);
+
+    const duplicate = history.find(r => r.strategyType === candidate.strategyType &&
+        isLive(r, candidate.price, nowMs, stateConfig.liveMinutes));
+    if (duplicate) {
+        return { kind: 'duplicate', of: duplicate, reason: `suppressed: duplicate of signal ${duplicate.id} at ${duplicate.time}` };
+    }
+
+    const recent = history.find(r => nowMs - r.timeMs < stateConfig.cooldownMinutes * MINUTE_MS);
+    if (recent) {
+        const left = Math.ceil((recent.timeMs + stateConfig.cooldownMinutes * MINUTE_MS - nowMs) / MINUTE_MS);
+        return { kind: 'cooldown', of: recent, reason: `suppressed: cool-down after signal ${recent.id} at ${recent.time} (${left} min left)` };
+    }
+    return null;
+}
+
+/**
+ * Records an emitted signal and drops records older than `retentionDays`.
+ * @param {Object} store - From openStateStore().
+ * @param {Object} signal - Confluence output: { symbol, signal, strategyType, price, sl_price, tp_price,
+ *                          entry_price, confidence, raw_confidence, regime, market_regime, order_type, trigger_price, expires_at, cancel_if,
+ *                          sizing, meta }
+ * @param {Object} stateConfig - Section 'state' of the effective config.
+ * @param {number} nowMs - Current time (stateNow()).
+ * @returns {Object} The stored record (its `id` is echoed as `signal_id`).
+ */
+function recordSignal(store, signal, stateConfig, nowMs) {
+    const time = new Date(nowMs).toISOString();
+    const record = {
+        id: `${symbolKey(signal.symbol)}-${signal.signal}-${signal.strategyType}-${time.replace(/[-:]|\.\d+Z$/g, '')}`,
+        symbol: symbolKey(signal.symbol),
+        direction: signal.signal,
+        strategyType: signal.strategyType,
+        price: signal.price,
+        sl_price: signal.sl_price,
+        tp_price: signal.tp_price,
+        // Everything the outcome tracker needs to replay the trade and group it
+        entry_price: signal.entry_price != null ? signal.entry_price : null,
+        confidence: signal.confidence != null ? signal.confidence : null,
+        raw_confidence: signal.raw_confidence != null ? signal.raw_confidence : null,
+        regime: signal.regime || null,
+        market_regime: signal.market_regime ? signal.market_regime.state : null,
+        order_type: signal.order_type || 'market',
+        trigger_price: signal.trigger_price != null ? signal.trigger_price : null,
+        expires_at: signal.expires_at || null,
+        cancel_if: signal.cancel_if || [],
+        // The portfolio stage of later runs counts it as open exposure
+        risk_percent: signal.sizing && signal.sizing.riskPercent ? signal.sizing.riskPercent : null,
+        daily_closes: (signal.meta && signal.meta.daily_closes) || [],
+        time,
+        timeMs: nowMs,
+        closed: false
+    };
+    store.add(record);
+    store.prune(nowMs - stateConfig.retentionDays * 24 * 60 * MINUTE_MS);
+    return record;
+}
+
+module.exports = {
+    createStateStore,
+    openStateStore,
+    setStateStore,
+    stateNow,
+    isLive,
+    listLiveSignals,
+    checkSignal,
+    recordSignal
+};
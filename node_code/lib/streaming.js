@@ -0,0 +1,432 @@
+// MODULE: fx-quant-lib/streaming (v1.0)
+// DESC: Incremental versions of the indicators in 'fx-quant-lib/indicators'
+//       (EMA, RSI, ATR, ADX, Bollinger Bands, StochRSI) for bar-driven runs.
+//       Each object is seeded once from history, then updated in O(1) per
+//       closed candle, and can be snapshotted to JSON and restored later so a
+//       run resumes exactly where the last one stopped.
+//
+// --- CONTRACT ---
+// - `update(candle)` takes ONE closed candle ({ high, low, close }, strings or
+//   numbers) and returns the current value (null while warming up).
+// - `seed(data)` takes a candle array in payload order (NEWEST FIRST, same as
+//   the batch module) and feeds it oldest -> newest.
+// - If a candle carries `time` or `datetime` (read by 'fx-quant-lib/candles',
+//   wall-clock strings as UTC), candles at or before the last processed
+//   timestamp are ignored, so re-feeding an overlapping window after a restore
+//   is safe.
+// - Values match the batch calculations (same seeding, same smoothing) to
+//   floating-point tolerance (`node tools/selfcheck.js streaming` checks it).
+// - `toJSON()` returns a plain snapshot; `restoreIndicator(snapshot)` rebuilds it.
+
+const { parseCandleTime } = require('./candles');
+
+// --- Internal Helpers ---
+
+function parseCandle(candle) {
+    const high = parseFloat(candle.high);
+    const low = parseFloat(candle.low);
+    const close = parseFloat(candle.close);
+    if (isNaN(high) || isNaN(low) || isNaN(close)) return null;
+    return { high, low, close };
+}
+
+/**
+ * Fixed-length rolling window backed by a ring buffer (O(1) push).
+ */
+class RollingWindow {
+    constructor(size, state) {
+        this.size = size;
+        this.buffer = state ? state.buffer.slice() : [];
+        this.start = state ? state.start : 0;
+    }
+
+    push(value) {
+        let dropped;
+        if (this.buffer.length < this.size) {
+            this.buffer.push(value);
+        } else {
+            dropped = this.buffer[this.start];
+            this.buffer[this.start] = value;
+            this.start = (this.start + 1) % this.size;
+        }
+        return dropped;
+    }
+
+    get full() {
+        return this.buffer.length === this.size;
+    }
+
+    values() {
+        return this.buffer.slice(this.start).concat(this.buffer.slice(0, this.start));
+    }
+
+    toJSON() {
+        return { buffer: this.buffer.slice(), start: this.start };
+    }
+}
+
+/**
+ * Rolling simple mean over a fixed window.
+ */
+class RollingMean {
+    constructor(period, state) {
+        this.period = period;
+        this.window = new RollingWindow(period, state && state.window);
+        this.sum = state ? state.sum : 0;
+    }
+
+    update(value) {
+        const dropped = this.window.push(value);
+        this.sum += value - (dropped === undefined ? 0 : dropped);
+        return this.window.full ? this.sum / this.period : null;
+    }
+
+    get value() {
+        return this.window.full ? this.sum / this.period : null;
+    }
+
+    toJSON() {
+        return { window: this.window.toJSON(), sum: this.sum };
+    }
+}
+
+// --- Base Class ---
+
+class StreamingIndicator {
+    constructor(type, params, state) {
+        this.type = type;
+        this.params = params;
+        this.count = state ? state.count : 0;
+        this.lastTime = state ? state.lastTime : null;
+    }
+
+    /**
+     * Feeds one closed candle. Returns the current value.
+     */
+    update(candle) {
+        const t = parseCandleTime(candle.time !== undefined ? candle.time : candle.datetime);
+        if (t !== null && this.lastTime !== null && t <= this.lastTime) return this.value;
+        const c = parseCandle(candle);
+        if (!c) return this.value;
+        if (t !== null) this.lastTime = t;
+        this.count++;
+        this.next(c);
+        return this.value;
+    }
+
+    /**
+     * Feeds a history array (newest first). Returns the current value.
+     */
+    seed(data) {
+        if (!Array.isArray(data)) return this.value;
+        for (let i = data.length - 1; i >= 0; i--) this.update(data[i]);
+        return this.value;
+    }
+
+    toJSON() {
+        return { type: this.type, params: this.params, state: { count: this.count, lastTime: this.lastTime, ...this.state() } };
+    }
+}
+
+// --- Indicators ---
+
+class StreamingEMA extends StreamingIndicator {
+    constructor(period = 21, state) {
+        super('ema', { period }, state);
+        this.k = 2 / (period + 1);
+        this.seedSum = state ? state.seedSum : 0;
+        this.ema = state ? state.ema : null;
+    }
+
+    next({ close }) {
+        const { period } = this.params;
+        if (this.count <= period) {
+            this.seedSum += close;
+            if (this.count === period) this.ema = this.seedSum / period;
+        } else {
+            this.ema = (close * this.k) + (this.ema * (1 - this.k));
+        }
+    }
+
+    get value() {
+        return this.ema;
+    }
+
+    state() {
+        return { seedSum: this.seedSum, ema: this.ema };
+    }
+}
+
+class StreamingRSI extends StreamingIndicator {
+    constructor(period = 14, state) {
+        super('rsi', { period }, state);
+        this.prevClose = state ? state.prevClose : null;
+        this.avgGain = state ? state.avgGain : 0;
+        this.avgLoss = state ? state.avgLoss : 0;
+        this.rsi = state ? state.rsi : null;
+    }
+
+    next({ close }) {
+        const { period } = this.params;
+        if (this.prevClose !== null) {
+            const change = close - this.prevClose;
+            const gain = change > 0 ? change : 0;
+            const loss = change < 0 ? -change : 0;
+            if (this.count <= period + 1) {
+                // Seeding: plain sums of the first `period` changes
+                this.avgGain += gain;
+                this.avgLoss += loss;
+                if (this.count === period + 1) {
+                    this.avgGain /= period;
+                    this.avgLoss /= period;
+                }
+            } else {
+                this.avgGain = ((this.avgGain * (period - 1)) + gain) / period;
+                this.avgLoss = ((this.avgLoss * (period - 1)) + loss) / period;
+            }
+            if (this.count >= period + 1) {
+                this.rsi = this.avgLoss === 0 ? 100 : 100 - (100 / (1 + (this.avgGain / this.avgLoss)));
+            }
+        }
+        this.prevClose = close;
+    }
+
+    get value() {
+        return this.rsi;
+    }
+
+    state() {
+        return { prevClose: this.prevClose, avgGain: this.avgGain, avgLoss: this.avgLoss, rsi: this.rsi };
+    }
+}
+
+class StreamingATR extends StreamingIndicator {
+    constructor(period = 14, state) {
+        super('atr', { period }, state);
+        this.prevClose = state ? state.prevClose : null;
+        this.seedSum = state ? state.seedSum : 0;
+        this.atr = state ? state.atr : null;
+    }
+
+    next({ high, low, close }) {
+        const { period } = this.params;
+        const tr = this.prevClose === null
+            ? high - low
+            : Math.max(high - low, Math.abs(high - this.prevClose), Math.abs(low - this.prevClose));
+        if (this.count <= period) {
+            this.seedSum += tr;
+            if (this.count === period) this.atr = this.seedSum / period;
+        } else {
+            this.atr = ((this.atr * (period - 1)) + tr) / period;
+        }
+        this.prevClose = close;
+    }
+
+    // Like the batch version, no ATR is reported until period + 1 candles.
+    get value() {
+        return this.count > this.params.period ? this.atr : null;
+    }
+
+    state() {
+        return { prevClose: this.prevClose, seedSum: this.seedSum, atr: this.atr };
+    }
+}
+
+class StreamingADX extends StreamingIndicator {
+    constructor(period = 14, state) {
+        super('adx', { period }, state);
+        this.prev = state ? state.prev : null;
+        this.sTR = state ? state.sTR : 0;
+        this.sPlus = state ? state.sPlus : 0;
+        this.sMinus = state ? state.sMinus : 0;
+        this.dxSum = state ? state.dxSum : 0;
+        this.dxCount = state ? state.dxCount : 0;
+        this.adx = state ? state.adx : null;
+        this.plusDI = state ? state.plusDI : null;
+        this.minusDI = state ? state.minusDI : null;
+    }
+
+    next({ high, low, close }) {
+        const { period } = this.params;
+        let tr = high - low;
+        let plusDM = 0;
+        let minusDM = 0;
+        if (this.prev) {
+            tr = Math.max(high - low, Math.abs(high - this.prev.close), Math.abs(low - this.prev.close));
+            const upMove = high - this.prev.high;
+            const downMove = this.prev.low - low;
+            plusDM = (upMove > downMove && upMove > 0) ? upMove : 0;
+            minusDM = (downMove > upMove && downMove > 0) ? downMove : 0;
+        }
+        this.prev = { high, low, close };
+
+        if (this.count <= period) {
+            // Seed window: plain sums, first DI once it is complete
+            this.sTR += tr;
+            this.sPlus += plusDM;
+            this.sMinus += minusDM;
+            if (this.count === period) this.pushDX();
+            return;
+        }
+        this.sTR = this.sTR - (this.sTR / period) + tr;
+        this.sPlus = this.sPlus - (this.sPlus / period) + plusDM;
+        this.sMinus = this.sMinus - (this.sMinus / period) + minusDM;
+        this.pushDX();
+    }
+
+    pushDX() {
+        const { period } = this.params;
+        this.plusDI = (this.sTR === 0) ? 0 : 100 * (this.sPlus / this.sTR);
+        this.minusDI = (this.sTR === 0) ? 0 : 100 * (this.sMinus / this.sTR);
+        const diSum = this.plusDI + this.minusDI;
+        const dx = (diSum === 0) ? 0 : 100 * (Math.abs(this.plusDI - this.minusDI) / diSum);
+        this.dxCount++;
+        if (this.dxCount <= period) {
+            this.dxSum += dx;
+            if (this.dxCount === period) this.adx = this.dxSum / period;
+        } else {
+            this.adx = ((this.adx * (period - 1)) + dx) / period;
+        }
+    }
+
+    // Like the batch version, nothing is reported until period * 2 candles.
+    get value() {
+        return this.count >= this.params.period * 2 ? this.adx : null;
+    }
+
+    get result() {
+        const ready = this.value !== null;
+        return { adx: this.value, plusDI: ready ? this.plusDI : null, minusDI: ready ? this.minusDI : null };
+    }
+
+    state() {
+        return {
+            prev: this.prev, sTR: this.sTR, sPlus: this.sPlus, sMinus: this.sMinus,
+            dxSum: this.dxSum, dxCount: this.dxCount, adx: this.adx, plusDI: this.plusDI, minusDI: this.minusDI
+        };
+    }
+}
+
+class StreamingBollinger extends StreamingIndicator {
+    constructor(period = 20, stdDev = 2, state) {
+        super('bollinger', { period, stdDev }, state);
+        this.window = new RollingWindow(period, state && state.window);
+        // Sums are kept relative to the first close to avoid cancellation on small variances
+        this.ref = state ? state.ref : null;
+        this.sum = state ? state.sum : 0;
+        this.sumSq = state ? state.sumSq : 0;
+    }
+
+    next({ close }) {
+        if (this.ref === null) this.ref = close;
+        const x = close - this.ref;
+        const dropped = this.window.push(x);
+        this.sum += x;
+        this.sumSq += x * x;
+        if (dropped !== undefined) {
+            this.sum -= dropped;
+            this.sumSq -= dropped * dropped;
+        }
+    }
+
+    get value() {
+        if (!this.window.full) return null;
+        const { period, stdDev } = this.params;
+        const mean = this.sum / period;
+        const sd = Math.sqrt(Math.max(0, (this.sumSq / period) - (mean * mean)));
+        const middle = this.ref + mean;
+        return { upper: middle + (sd * stdDev), middle, lower: middle - (sd * stdDev) };
+    }
+
+    state() {
+        return { window: this.window.toJSON(), ref: this.ref, sum: this.sum, sumSq: this.sumSq };
+    }
+}
+
+class StreamingStochRSI extends StreamingIndicator {
+    constructor(rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dSmooth = 3, state) {
+        super('stoch_rsi', { rsiPeriod, stochPeriod, kSmooth, dSmooth }, state);
+        this.rsi = new StreamingRSI(rsiPeriod, state && state.rsi && state.rsi.state);
+        this.rsiWindow = new RollingWindow(stochPeriod, state && state.rsiWindow);
+        this.kMean = new RollingMean(kSmooth, state && state.kMean);
+        this.dMean = new RollingMean(dSmooth, state && state.dMean);
+    }
+
+    next(candle) {
+        const rsi = this.rsi.update(candle);
+        if (rsi === null) return;
+        this.rsiWindow.push(rsi);
+        if (!this.rsiWindow.full) return;
+        const window = this.rsiWindow.values();
+        const minRSI = Math.min(...window);
+        const maxRSI = Math.max(...window);
+        const fastK = (maxRSI - minRSI) > 0 ? 100 * (rsi - minRSI) / (maxRSI - minRSI) : 0;
+        const k = this.kMean.update(fastK);
+        if (k !== null) this.dMean.update(k);
+    }
+
+    get value() {
+        return { k: this.kMean.value, d: this.dMean.value };
+    }
+
+    state() {
+        return {
+            rsi: this.rsi.toJSON(),
+            rsiWindow: this.rsiWindow.toJSON(),
+            kMean: this.kMean.toJSON(),
+            dMean: this.dMean.toJSON()
+        };
+    }
+}
+
+// --- Snapshot / Restore ---
+
+const FACTORIES = {
+    ema: (p, s) => new StreamingEMA(p.period, s),
+    rsi: (p, s) => new StreamingRSI(p.period, s),
+    atr: (p, s) => new StreamingATR(p.period, s),
+    adx: (p, s) => new StreamingADX(p.period, s),
+    bollinger: (p, s) => new StreamingBollinger(p.period, p.stdDev, s),
+    stoch_rsi: (p, s) => new StreamingStochRSI(p.rsiPeriod, p.stochPeriod, p.kSmooth, p.dSmooth, s)
+};
+
+/**
+ * Rebuilds an indicator from the output of its toJSON() (object or JSON string).
+ */
+function restoreIndicator(snapshot) {
+    const snap = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    const factory = snap && FACTORIES[snap.type];
+    if (!factory) throw new Error(`Unknown streaming indicator type: ${snap && snap.type}`);
+    return factory(snap.params, snap.state);
+}
+
+/**
+ * Snapshots a { name: indicator } map (e.g. one per timeframe) to a plain object.
+ */
+function snapshotIndicators(indicators) {
+    const out = {};
+    for (const [name, ind] of Object.entries(indicators)) out[name] = ind.toJSON();
+    return out;
+}
+
+/**
+ * Restores a map produced by snapshotIndicators().
+ */
+function restoreIndicators(snapshot) {
+    const snap = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    const out = {};
+    for (const [name, s] of Object.entries(snap || {})) out[name] = restoreIndicator(s);
+    return out;
+}
+
+module.exports = {
+    StreamingEMA,
+    StreamingRSI,
+    StreamingATR,
+    StreamingADX,
+    StreamingBollinger,
+    StreamingStochRSI,
+    restoreIndicator,
+    snapshotIndicators,
+    restoreIndicators
+};
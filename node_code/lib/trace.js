@@ -0,0 +1,179 @@
+// MODULE: fx-quant-lib/trace (v1.0)
+// DESC: Structured decision trace. Every scorer and Confluence records each rule
+//       it evaluates as a step, instead of only concatenating a reason string:
+//         { rule, pass, inputs, delta, veto, text }
+//       `rule` is a stable id ('volatility_spike', 'sr_bonus', ...), `inputs` the
+//       values it looked at, `delta` the confidence change it caused (or null),
+//       `veto` marks the failed rule that ended the decision, and `text` is its
+//       human fragment (null for rules that only matter for the audit).
+//       The node outputs:
+//         decision_trace: { node, signal, confidence, vetoedBy, steps }
+//         reason:         the step texts joined, i.e. the generated human summary
+//                         (the same wording the reason strings always had)
+//       Confluence nests the traces of the symbol's scorers in its own
+//       (`decision_trace.scorers`) and, with `trace.log` on, appends one line per
+//       symbol and run to a JSONL file (default: $FX_TRACE_FILE or state/traces.jsonl).
+//       aggregateTraces() counts vetoes and failed rules over many runs
+//       (tools/vetoes.js, the backtester's `stats.vetoes`).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRACE_FILE = path.join(__dirname, '..', '..', 'state', 'traces.jsonl');
+
+const round = v => (typeof v === 'number' && isFinite(v) ? Math.round(v * 1e6) / 1e6 : v);
+
+function cleanInputs(inputs) {
+    const out = {};
+    for (const [k, v] of Object.entries(inputs || {})) out[k] = v === undefined ? null : round(v);
+    return out;
+}
+
+/**
+ * Starts the trace of one node decision.
+ * @param {string} node - Node name, e.g. 'Scorer_Mean_Reversion'.
+ * @returns {Object} { check, gate, adjust, veto, note, steps, result }
+ */
+function createTrace(node) {
+    const steps = [];
+    const push = (rule, pass, inputs, delta, veto, text) => {
+        steps.push({ rule, pass, inputs: cleanInputs(inputs), delta: delta === null ? null : round(delta), veto, text: text || null });
+    };
+    return {
+        node,
+        steps,
+        /** Records a rule; returns `pass`, so it can sit in an if. */
+        check(rule, pass, inputs, text) {
+            push(rule, Boolean(pass), inputs, null, false, text);
+            return Boolean(pass);
+        },
+        /** Records a rule that vetoes the decision when it fails; returns `pass`. */
+        gate(rule, pass, inputs, vetoText) {
+            push(rule, Boolean(pass), inputs, null, !pass, pass ? null : vetoText);
+            return Boolean(pass);
+        },
+        /** Records a confidence change (a passed rule with a delta). */
+        adjust(rule, delta, inputs, text) {
+            push(rule, true, inputs, delta, false, text);
+        },
+        /** Records the failed rule that ends the decision; returns its text. */
+        veto(rule, inputs, text) {
+            push(rule, false, inputs, null, true, text);
+            return text;
+        },
+        /** Adds a human fragment to the summary without a rule outcome. */
+        note(rule, inputs, text) {
+            push(rule, true, inputs, null, false, text);
+        },
+        /**
+         * Output fields of the decision.
+         * @param {string} signal - 'buy' | 'sell' | 'flat'.
+         * @param {number} [confidence]
+         * @returns {Object} { reason, decision_trace }
+         */
+        result(signal, confidence) {
+            const vetoStep = steps.find(s => s.veto);
+            return {
+                reason: summarize(steps),
+                decision_trace: {
+                    node,
+                    signal,
+                    confidence: confidence === undefined ? null : round(confidence),
+                    vetoedBy: vetoStep ? vetoStep.rule : null,
+                    steps: steps.slice()
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Human summary of a list of steps: their texts, in order.
+ * @param {Array} steps - Trace steps.
+ * @param {string} [separator] - Between the texts (default ' ').
+ */
+function summarize(steps, separator = ' ') {
+    return steps.filter(s => s.text).map(s => s.text).join(separator) || 'No signal';
+}
+
+/**
+ * Adds one decision trace, and the scorer traces nested in it, to a running tally.
+ * @param {Object} tally - From a previous call, or {} to start.
+ * @param {Object} trace - decision_trace object.
+ * @returns {Object} The tally ({ decisions, signals, vetoes, failed, flatBy }, unsorted).
+ */
+function tallyTrace(tally, trace) {
+    tally.decisions = tally.decisions || 0;
+    tally.signals = tally.signals || { buy: 0, sell: 0, flat: 0 };
+    tally.vetoes = tally.vetoes || {};
+    tally.failed = tally.failed || {};
+    tally.flatBy = tally.flatBy || {};
+    if (!trace || !Array.isArray(trace.steps)) return tally;
+    tally.decisions++;
+    tally.signals[trace.signal] = (tally.signals[trace.signal] || 0) + 1;
+    for (const s of trace.steps) {
+        if (s.pass) continue;
+        const key = `${trace.node}.${s.rule}`;
+        tally.failed[key] = (tally.failed[key] || 0) + 1;
+        if (s.veto) tally.vetoes[key] = (tally.vetoes[key] || 0) + 1;
+    }
+    // A flat decision ends on its veto, else on its last failed rule (e.g. no entry)
+    if (trace.signal === 'flat') {
+        const failedSteps = trace.steps.filter(s => !s.pass);
+        const end = trace.vetoedBy || (failedSteps.length ? failedSteps[failedSteps.length - 1].rule : 'none');
+        const key = `${trace.node}.${end}`;
+        tally.flatBy[key] = (tally.flatBy[key] || 0) + 1;
+    }
+    for (const nested of trace.scorers || []) tallyTrace(tally, nested);
+    return tally;
+}
+
+/**
+ * Counts over many decision traces (any nodes, nested scorer traces included).
+ * @param {Array} traces - decision_trace objects.
+ * @returns {Object} { decisions, signals: { buy, sell, flat }, vetoes: { '<node>.<rule>': n },
+ *                     failed: { '<node>.<rule>': n }, flatBy: { '<node>.<rule>': n } }
+ *                     sorted by count, highest first. `flatBy` is the rule each flat
+ *                     decision ended on: its veto, else its last failed rule.
+ */
+function aggregateTraces(traces) {
+    const tally = {};
+    for (const t of traces) tallyTrace(tally, t);
+    return sortTally(tally);
+}
+
+/**
+ * A tally with its veto / failure counts sorted, highest first.
+ * @param {Object} tally - From tallyTrace().
+ */
+function sortTally(tally) {
+    const sorted = obj => Object.fromEntries(Object.entries(obj || {}).sort((a, b) => b[1] - a[1]));
+    return {
+        decisions: tally.decisions || 0,
+        signals: tally.signals || { buy: 0, sell: 0, flat: 0 },
+        vetoes: sorted(tally.vetoes),
+        failed: sorted(tally.failed),
+        flatBy: sorted(tally.flatBy)
+    };
+}
+
+/**
+ * Appends records to a JSONL trace log, one line each.
+ * @param {Array} records - e.g. { time, symbol, decision_trace }.
+ * @param {string} [file] - Defaults to $FX_TRACE_FILE or state/traces.jsonl.
+ */
+function appendTraces(records, file = process.env.FX_TRACE_FILE || DEFAULT_TRACE_FILE) {
+    if (records.length === 0) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, records.map(rec => JSON.stringify(rec)).join('\n') + '\n');
+}
+
+module.exports = {
+    DEFAULT_TRACE_FILE,
+    createTrace,
+    summarize,
+    tallyTrace,
+    sortTally,
+    aggregateTraces,
+    appendTraces
+};
@@ -0,0 +1,130 @@
+// MODULE: fx-quant-lib/tradeplan (v1.0)
+// DESC: Trade-management plan for a Confluence signal (config section 'plan'),
+//       as instructions the MT5 executor can follow and the backtester can
+//       simulate, on top of the single SL/TP of the signal:
+//       - Targets TP1..TPn at the configured R multiples. A structural level
+//         (S/R Filter pivots, PDH/PDL, the 1H FVG edges from Scorer_Liquidity,
+//         the signal's own TP) within `snapR` of a target replaces it. Each
+//         target closes `closePercent` of the original position; the last one
+//         closes whatever is left.
+//       - Breakeven: once TP<breakevenAfter> fills, the stop moves to entry
+//         plus `breakevenOffsetPips` in the trade's favor.
+//       - Trailing: once TP<trailAfter> fills (0 = from entry), the stop follows
+//         either the best 15m close minus `trailAtrMult` x 1H ATR ('atr') or the
+//         extreme of the last `swingLookback` closed 15m bars ('swing'). The
+//         stop only ever tightens.
+//       R is measured from the signal price to the initial stop, like the exits.
+
+const { roundPrice, priceToPips, pipsToPrice } = require('./instruments');
+
+const round1 = v => Math.round(v * 10) / 10;
+const round2 = v => Math.round(v * 100) / 100;
+const toNumber = v => (v === null || v === undefined || v === '' ? null : Number(v));
+
+/**
+ * Structural take-profit candidates on the profit side of entry.
+ * @param {string} direction - 'buy' | 'sell'.
+ * @param {number} entry - Signal price.
+ * @param {Object} srData - S/R Filter output ({ pdh, pdl, pivots }).
+ * @param {Array} fvgLevels - Scorer_Liquidity `fvg_levels` ([{ top, bottom, side }]).
+ * @returns {Array} [{ price, source }]
+ */
+function structuralLevels(direction, entry, srData, fvgLevels) {
+    const isBuy = direction === 'buy';
+    const levels = [];
+    const sr = srData || {};
+    if (sr.pdh !== undefined) levels.push({ price: toNumber(sr.pdh), source: 'pdh' });
+    if (sr.pdl !== undefined) levels.push({ price: toNumber(sr.pdl), source: 'pdl' });
+    for (const [name, value] of Object.entries(sr.pivots || {})) {
+        levels.push({ price: toNumber(value), source: `pivot ${name}` });
+    }
+    // The first edge price meets: an FVG's bottom going up, its top going down
+    for (const fvg of fvgLevels || []) {
+        levels.push({ price: toNumber(isBuy ? fvg.bottom : fvg.top), source: `fvg ${fvg.side}` });
+    }
+    return levels.filter(l => l.price !== null && isFinite(l.price) && (isBuy ? l.price > entry : l.price < entry));
+}
+
+/**
+ * Builds the plan for one trade signal.
+ * @param {Object} trade - { direction, entry, slPrice, tpPrice, srData, fvgLevels, atrPips, lots, lotStep }
+ *        `tpPrice` (the signal's TP) is one more structural candidate; `lots` / `lotStep`
+ *        split the position size over the targets.
+ * @param {Object} instrument - From 'fx-quant-lib/instruments'.
+ * @param {Object} params - Section 'plan' of the effective config.
+ * @returns {Object|null} { entry, initialStop, riskPips, targets: [{ id, price, pips, r,
+ *          closePercent, lots, source }], breakeven, trailing } or null without a usable stop
+ */
+function buildTradePlan(trade, instrument, params) {
+    const isBuy = trade.direction === 'buy';
+    const sign = isBuy ? 1 : -1;
+    const entry = trade.entry;
+    const risk = (entry - trade.slPrice) * sign;
+    if (!(risk > 0)) return null;
+
+    const candidates = structuralLevels(trade.direction, entry, trade.srData, trade.fvgLevels);
+    if (trade.tpPrice != null) candidates.push({ price: trade.tpPrice, source: 'signal tp' });
+    const rOf = price => (price - entry) * sign / risk;
+
+    const targets = [];
+    let lastR = 0;
+    let lotsLeft = trade.lots || null;
+    params.targets.forEach((t, k) => {
+        const near = candidates
+            .map(c => ({ ...c, r: rOf(c.price) }))
+            .filter(c => c.r > lastR + 1e-9 && Math.abs(c.r - t.r) <= params.snapR)
+            .sort((a, b) => Math.abs(a.r - t.r) - Math.abs(b.r - t.r))[0];
+        const r = near ? near.r : Math.max(t.r, lastR + 0.1);
+        const price = near ? near.price : entry + sign * r * risk;
+        const isLast = k === params.targets.length - 1;
+        let lots = null;
+        if (lotsLeft !== null && trade.lotStep) {
+            const step = trade.lotStep;
+            lots = isLast ? lotsLeft : Math.floor((trade.lots * t.closePercent / 100) / step + 1e-9) * step;
+            lots = round2(Math.min(lots, lotsLeft));
+            lotsLeft = round2(lotsLeft - lots);
+        }
+        targets.push({
+            id: `TP${k + 1}`,
+            price: roundPrice(price, instrument),
+            pips: round1(priceToPips(price - entry, instrument) * sign),
+            r: round2(r),
+            closePercent: t.closePercent,
+            lots,
+            source: near ? near.source : `${t.r}R`
+        });
+        lastR = r;
+    });
+
+    const breakeven = params.breakevenAfter > 0 && params.breakevenAfter <= targets.length
+        ? {
+            after: `TP${params.breakevenAfter}`,
+            stopPrice: roundPrice(entry + sign * pipsToPrice(params.breakevenOffsetPips, instrument), instrument),
+            offsetPips: params.breakevenOffsetPips
+        }
+        : null;
+
+    let trailing = null;
+    if (params.trailMode !== 'none' && params.trailAfter <= targets.length) {
+        const after = params.trailAfter > 0 ? `TP${params.trailAfter}` : 'entry';
+        if (params.trailMode === 'atr' && trade.atrPips > 0) {
+            trailing = { mode: 'atr', after, timeframe: '15m', atrMult: params.trailAtrMult, distancePips: round1(trade.atrPips * params.trailAtrMult) };
+        } else if (params.trailMode === 'swing') {
+            trailing = { mode: 'swing', after, timeframe: '15m', lookbackBars: params.swingLookback };
+        }
+    }
+
+    return {
+        entry: roundPrice(entry, instrument),
+        initialStop: roundPrice(trade.slPrice, instrument),
+        riskPips: round1(priceToPips(risk, instrument)),
+        targets,
+        breakeven,
+        trailing
+    };
+}
+
+module.exports = {
+    structuralLevels,
+    buildTradePlan
+};
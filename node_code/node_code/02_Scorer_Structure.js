@@ -1,4 +1,4 @@
-// NODE: Scorer_Structure (v1.1)
+// NODE: Scorer_Structure (v1.9)
 // DESC: Generates signals based on simple BOS/CHOCH logic using PDH/PDL.
 // REQUIRES: data_1h, data_4h, data_daily, hist_atr_4h
 // REQUIRES: ** `pdh` and `pdl` from srData **
@@ -8,105 +8,45 @@
 // - Implemented robust pipSize fallback logic.
 // - Corrected final indicator key to 'rsi_1h'.
 // - Filled in all standard helper functions.
+// v1.2:
+// - RSI/ATR/EMA/ATR-percentile come from the shared 'fx-quant-lib/indicators' module.
+//   The module takes the payload arrays as-is (newest first), so the manual reversal is gone.
+//   A failed calculation is the indicator's `error`; an ATR or RSI of 0 is a valid reading.
+// - RSI 55/45 confirmation cut-offs are loaded from 'fx-quant-lib/params' (superseded by
+//   'fx-quant-lib/config' in v1.3).
+// v1.3:
+// - All settings (RSI cut-offs, SL/TP multipliers, confidences) come from the effective
+//   config passed alongside the MTF payload (section 'structure'), which is echoed in every output.
+// v1.4:
+// - Pip size comes from the instrument registry ('fx-quant-lib/instruments') instead of a JPY guess.
+// v1.5:
+// - Quote (items[2]) is parsed into 'market_data' (bid/ask/spread) for the spread veto in Confluence.
+// v1.6:
+// - Echoes the shared 'market_regime' from MTF_Combiner in every output.
+// v1.7:
+// - Exits use the shared schema ('fx-quant-lib/exits'): SL and TP as both prices and pips,
+//   plus rewardRisk.
+// v1.8:
+// - Decision trace ('fx-quant-lib/trace'): data checks, the HTF bias and the BOS/CHOCH
+//   break + RSI confirmation are steps with their inputs, output as `decision_trace`.
+//   `reason` is generated from it.
+// v1.9:
+// - Echoes MTF_Combiner's 'data_quality' report in every output, for Confluence's data gate.
+
+// --- CONFIGURATION ---
+// Section 'structure' of the config document ('fx-quant-lib/config').
+const CONFIG = require('fx-quant-lib/config').configFromPayload(items[0] && items[0].json);
+const PARAMS = CONFIG.structure;
+const RSI_BUY_THRESHOLD = PARAMS.rsiBuyThreshold;   // 1H RSI needed to confirm a bullish break
+const RSI_SELL_THRESHOLD = PARAMS.rsiSellThreshold; // 1H RSI needed to confirm a bearish break
+// --- End Configuration ---
 
 // --- Standard Helper Functions ---
-function calculateRSI(data, period = 14) {
-    if (!data || data.length < period + 1) return { rsi: null, error: 'Not enough RSI data' };
-    let gains = 0;
-    let losses = 0;
-    // Calculate initial average gains and losses
-    for (let i = 1; i <= period; i++) {
-        const change = data[i].close - data[i - 1].close;
-        if (change > 0) {
-            gains += change;
-        } else {
-            losses -= change;
-        }
-    }
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-    // Smooth the RSI
-    for (let i = period + 1; i < data.length; i++) {
-        const change = data[i].close - data[i - 1].close;
-        let gain = 0;
-        let loss = 0;
-        if (change > 0) {
-            gain = change;
-        } else {
-            loss = -change;
-        }
-        avgGain = (avgGain * (period - 1) + gain) / period;
-        avgLoss = (avgLoss * (period - 1) + loss) / period;
-    }
-    if (avgLoss === 0) return { rsi: 100 };
-    const rs = avgGain / avgLoss;
-    const rsi = 100 - (100 / (1 + rs));
-    return { rsi: rsi };
-}
-
-function calculateATR(data, period = 14) {
-    if (!data || data.length < period + 1) return { atr: null, error: 'Not enough ATR data' };
-    let trs = [];
-    // Calculate True Ranges
-    for (let i = 1; i < data.length; i++) {
-        const high = parseFloat(data[i].high);
-        const low = parseFloat(data[i].low);
-        const prevClose = parseFloat(data[i - 1].close);
-        const tr1 = high - low;
-        const tr2 = Math.abs(high - prevClose);
-        const tr3 = Math.abs(low - prevClose);
-        const trueRange = Math.max(tr1, tr2, tr3);
-        trs.push(trueRange);
-    }
-    if (trs.length < period) return { atr: null, error: 'Not enough TR data for ATR' };
-    
-    // Initial ATR (SMA of first 'period' TRs)
-    let initialAtr = 0;
-    for (let i = 0; i < period; i++) {
-        initialAtr += trs[i];
-    }
-    let atr = initialAtr / period;
-    
-    // Smooth the rest
-    for (let i = period; i < trs.length; i++) {
-        atr = (atr * (period - 1) + trs[i]) / period;
-    }
-    return { atr: atr };
-}
-
-function calculateEMA(data, period = 21) {
-    if (!data || data.length < period) return { ema: null, error: 'Not enough EMA data' };
-    const k = 2 / (period + 1);
-    let ema = 0;
-    // Calculate initial SMA
-    for (let i = 0; i < period; i++) {
-        ema += parseFloat(data[i].close);
-    }
-    ema /= period;
-    // Calculate EMA for the rest
-    for (let i = period; i < data.length; i++) {
-        ema = (parseFloat(data[i].close) * k) + (ema * (1 - k));
-    }
-    return { ema: ema };
-}
-
-function computeAtr4hNorm(last_atr_4h, histATRArray) {
-    if (last_atr_4h === null || last_atr_4h === undefined || !histATRArray || histATRArray.length < 20) {
-        return null; // Not enough data
-    }
-    try {
-        const sortedAtr = [...histATRArray].sort((a, b) => a - b);
-        let rank = sortedAtr.findIndex(val => val >= last_atr_4h);
-        if (rank === -1) {
-            rank = sortedAtr.length;
-        }
-        const percentile = rank / sortedAtr.length;
-        return percentile;
-    } catch (e) {
-        console.error("Error in computeAtr4hNorm:", e.message);
-        return null;
-    }
-}
+const { calculateRSI, calculateATR, calculateEMA, computeAtrPercentile } = require('fx-quant-lib/indicators');
+const { instrumentFromPayload } = require('fx-quant-lib/instruments');
+const { parseQuote } = require('fx-quant-lib/spread');
+const { buildExit } = require('fx-quant-lib/exits');
+const { createTrace } = require('fx-quant-lib/trace');
 
 function normalizeOutput(out, pipSize = 0.0001) {
     const mapType = { 'market_structure': 'market_structure' }; // New type
@@ -114,12 +54,19 @@ function normalizeOutput(out, pipSize = 0.0001) {
     out.confidence = Math.max(0, Math.min(1, Number(out.confidence || 0)));
     out.recommendedSLPips = out.recommendedSLPips ? Math.round(out.recommendedSLPips) : null;
     out.recommendedTPPips = out.recommendedTPPips ? Math.round(out.recommendedTPPips) : null;
+    if (out.signal === 'buy' || out.signal === 'sell') {
+        // v1.7: Shared exit schema (price + pips for both levels, rewardRisk)
+        Object.assign(out, buildExit(out.signal, out.price, { slPips: out.recommendedSLPips, tpPips: out.recommendedTPPips }, instrument));
+    }
     out.indicators = out.indicators || {};
     if (out.indicators.atr_1h_pips == null && out.indicators.atr_1h) {
         out.indicators.atr_1h_pips = Math.round(out.indicators.atr_1h / pipSize);
     }
     if (out.indicators.daily_price_above_ema_200 == null) { out.indicators.daily_price_above_ema_200 = null; }
     if (out.indicators.atr_4h_norm == null) { out.indicators.atr_4h_norm = null; }
+    out.market_regime = (items[0] && items[0].json && items[0].json.market_regime) || null; // Shared regime (MTF_Combiner)
+    out.data_quality = (items[0] && items[0].json && items[0].json.data_quality) || null; // v1.9: Data-quality report (MTF_Combiner)
+    out.config = CONFIG; // Effective config, for reproducibility
     return out;
 }
 // --- End Standard Helpers ---
@@ -135,85 +82,83 @@ const srData     = items[1].json;
 const { symbol, data_15m, data_1h, data_4h, data_daily, meta, hist_atr_4h } = candleData;
 const { pdh, pdl } = srData; // This scorer NEEDS pdh/pdl
 
-// --- v1.1 FIX: Added robust pipSize fallback ---
-const pipSize = meta.pip_size || (symbol.includes('JPY') ? 0.01 : 0.0001);
-// ---
+// --- v1.4: Pip size / digits from the instrument registry (passed by MTF_Combiner) ---
+const instrument = instrumentFromPayload(candleData);
+const pipSize = instrument.pipSize;
 
 let signal = 'flat';
 let confidence = 0.0;
-let reason = "No signal";
+const trace = createTrace('Scorer_Structure'); // v1.8: Every rule below is a step
 
 // 2. Check for minimum data
 if (!data_1h || !data_4h || !data_daily || data_1h.length < 50 || data_4h.length < 50 || data_daily.length < 200) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'Not enough candle data' }, pipSize) }];
+    trace.veto('data', { bars_1h: data_1h ? data_1h.length : 0, bars_4h: data_4h ? data_4h.length : 0, bars_daily: data_daily ? data_daily.length : 0 },
+        'Not enough candle data');
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
-if (!pdh || !pdl) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'VETO: Missing PDH/PDL from srData.' }, pipSize) }];
+if (!trace.gate('pdh_pdl', pdh && pdl, { pdh, pdl }, 'VETO: Missing PDH/PDL from srData.')) {
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 
 // 3. Get All Indicators
 
-// --- v1.1 FIX: Reverse data for TA calculations ---
-const daily_data_for_ta = data_daily.slice().reverse();
-const data_4h_for_ta = data_4h.slice().reverse();
-const data_1h_for_ta = data_1h.slice().reverse();
-// ---
-
-// --- v1.1 FIX: Use reversed data for all TA calls ---
-const daily_ema_200 = calculateEMA(daily_data_for_ta, 200);
+const daily_ema_200 = calculateEMA(data_daily, 200);
 const last_daily_price = parseFloat(data_daily[0].close);
 const daily_above_200 = (daily_ema_200.ema && last_daily_price > daily_ema_200.ema) ? true : false;
 
-const atr_4h = calculateATR(data_4h_for_ta, 14);
-const atr_4h_norm = computeAtr4hNorm(atr_4h.atr, hist_atr_4h);
+const atr_4h = calculateATR(data_4h, 14);
+const atr_4h_norm = computeAtrPercentile(atr_4h.atr, hist_atr_4h);
 
-const atr_1h = calculateATR(data_1h_for_ta, 14);
-const rsi_1h = calculateRSI(data_1h_for_ta, 14); // Use 1H for structure confirmation
-// ---
+const atr_1h = calculateATR(data_1h, 14);
+const rsi_1h = calculateRSI(data_1h, 14); // Use 1H for structure confirmation
 
 const last_price = parseFloat(data_1h[0].close);
 const atr_1h_pips = (atr_1h.atr && pipSize) ? Math.round(atr_1h.atr / pipSize) : 20;
 
-if (!atr_1h.atr || !rsi_1h.rsi) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'Failed to calculate ATR/RSI.' }, pipSize) }];
+if (!trace.gate('indicators', !atr_1h.error && !rsi_1h.error, { atr_1h: atr_1h.atr, rsi_1h: rsi_1h.rsi }, 'Failed to calculate ATR/RSI.')) {
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 
 // 4. Market Structure Logic (BOS/CHOCH)
 const htf_bias = daily_above_200 ? 'Up' : 'Down';
-const slPips = Math.max(15, Math.round(atr_1h_pips * 2.0)); // Wider SL for structure plays
-let tpPips = Math.round(slPips * 1.5);
+const slPips = Math.max(PARAMS.minSLPips, Math.round(atr_1h_pips * PARAMS.slAtrMult)); // Wider SL for structure plays
+let tpPips = Math.round(slPips * PARAMS.rewardRisk);
 
 // Use previous candle close to confirm the break
 const prev_price = parseFloat(data_1h[1].close);
+trace.check('htf_bias', true, { daily_close: last_daily_price, daily_ema_200: daily_ema_200.ema, bias: htf_bias });
+const breakInputs = { prev_close_1h: prev_price, close_1h: last_price, pdh, pdl, rsi_1h: rsi_1h.rsi, rsi_buy: RSI_BUY_THRESHOLD, rsi_sell: RSI_SELL_THRESHOLD };
 
 if (htf_bias === 'Up') {
     // Look for Bullish BOS (Break of Structure)
-    if (prev_price < pdh && last_price > pdh && rsi_1h.rsi > 55) {
+    if (prev_price < pdh && last_price > pdh && rsi_1h.rsi > RSI_BUY_THRESHOLD) {
         signal = 'buy';
-        confidence = 0.70;
-        reason = "HTF Up, Bullish BOS (Break of PDH) w/ Momentum";
+        confidence = PARAMS.confidenceBOS;
+        trace.adjust('bos', confidence, breakInputs, "HTF Up, Bullish BOS (Break of PDH) w/ Momentum");
     }
     // Look for Bearish CHOCH (Change of Character)
-    else if (prev_price > pdl && last_price < pdl && rsi_1h.rsi < 45) {
+    else if (prev_price > pdl && last_price < pdl && rsi_1h.rsi < RSI_SELL_THRESHOLD) {
         signal = 'sell';
-        confidence = 0.65;
-        reason = "HTF Up, Bearish CHOCH (Break of PDL)";
+        confidence = PARAMS.confidenceCHOCH;
+        trace.adjust('choch', confidence, breakInputs, "HTF Up, Bearish CHOCH (Break of PDL)");
     }
 } else if (htf_bias === 'Down') {
     // Look for Bearish BOS (Break of Structure)
-    if (prev_price > pdl && last_price < pdl && rsi_1h.rsi < 45) {
+    if (prev_price > pdl && last_price < pdl && rsi_1h.rsi < RSI_SELL_THRESHOLD) {
         signal = 'sell';
-        confidence = 0.70;
-        reason = "HTF Down, Bearish BOS (Break of PDL) w/ Momentum";
+        confidence = PARAMS.confidenceBOS;
+        trace.adjust('bos', confidence, breakInputs, "HTF Down, Bearish BOS (Break of PDL) w/ Momentum");
     }
     // Look for Bullish CHOCH (Change of Character)
-    else if (prev_price < pdh && last_price > pdh && rsi_1h.rsi > 55) {
+    else if (prev_price < pdh && last_price > pdh && rsi_1h.rsi > RSI_BUY_THRESHOLD) {
         signal = 'buy';
-        confidence = 0.65;
-        reason = "HTF Down, Bullish CHOCH (Break of PDH)";
+        confidence = PARAMS.confidenceCHOCH;
+        trace.adjust('choch', confidence, breakInputs, "HTF Down, Bullish CHOCH (Break of PDH)");
     }
 }
 
+if (signal === 'flat') trace.check('break', false, breakInputs); // No BOS / CHOCH: reason stays 'No signal'
+
 // 5. Final Return
 let finalJson = { 
     symbol, 
@@ -222,7 +167,8 @@ let finalJson = {
     price: last_price,
     recommendedSLPips: signal !== 'flat' ? slPips : null,
     recommendedTPPips: signal !== 'flat' ? tpPips : null,
-    reason,
+    ...trace.result(signal, confidence), // v1.8: reason + decision_trace
+    market_data: parseQuote(items[2].json, instrument, last_price), // v1.5: bid/ask/spread
     signalType: "market_structure",
     indicators: {
         // v1.1 FIX: Key 'rsi_1h' matches the data source 'rsi_1h.rsi'
@@ -1,4 +1,4 @@
-// NODE: Scorer_Liquidity (v1.1)
+// NODE: Scorer_Liquidity (v1.11)
 // DESC: Generates signals based on 1H Fair Value Gaps (FVG).
 // REQUIRES: data_1h, data_4h, data_daily, hist_atr_4h
 // ---
@@ -6,116 +6,53 @@
 // - Corrected 'computeATRNorm' function call typo.
 // - Corrected 'computeAtr4hNorm' argument (passes .atr value).
 // - Corrected 'daily_above_200' variable mismatch (uses 'daily_200_ema').
+// v1.2:
+// - RSI/ATR/EMA/ATR-percentile come from the shared 'fx-quant-lib/indicators' module.
+//   The module takes the payload arrays as-is (newest first), so the manual reversal is gone.
+//   A missing ATR is null (the module's contract), so the check no longer fails on a 0.
+// v1.3:
+// - SL/TP multipliers, FVG distances and confidence come from the effective config passed
+//   alongside the MTF payload (section 'liquidity'), which is echoed in every output.
+// v1.4:
+// - Pip size comes from the instrument registry ('fx-quant-lib/instruments') instead of a JPY guess.
+// v1.5:
+// - Quote (items[2]) is parsed into 'market_data' (bid/ask/spread) for the spread veto in Confluence.
+// v1.6:
+// - Echoes the shared 'market_regime' from MTF_Combiner in every output.
+// v1.7:
+// - Exits use the shared schema ('fx-quant-lib/exits'): SL and TP as both prices and pips,
+//   plus rewardRisk.
+// v1.8:
+// - Emits 'fvg_levels' (the nearest 1H FVGs above and below price) in every output once
+//   computed, as structural targets for the Confluence trade plan ('fx-quant-lib/tradeplan').
+// v1.9:
+// - Optional entry as a pending limit order at the FVG edge ('fx-quant-lib/orders'): top of
+//   a bullish gap for buys, bottom of a bearish one for sells, valid `orderValidMinutes`,
+//   cancelled if the SL or TP level trades first. Opt in with `entryMode: 'limit'`; the
+//   default 'market' keeps the bar-close entry.
+// - An FVG setup's SL pips are the distance from the entry (bar close or trigger) to the
+//   stop beyond the gap, and TP pips `fvgRewardRisk` times that. The SL used to stay the
+//   ATR stop while the TP came from the FVG stop, so the shipped R:R mixed two stops.
+// v1.10:
+// - Decision trace ('fx-quant-lib/trace'): data checks, the HTF bias and the nearest-FVG
+//   pullback distance are steps with their inputs, output as `decision_trace`.
+//   `reason` is generated from it.
+// v1.11:
+// - Echoes MTF_Combiner's 'data_quality' report in every output, for Confluence's data gate.
 
-// --- Standard Helper Functions ---
-function calculateRSI(data, period = 14) {
-    if (!data || data.length < period + 1) return { rsi: null, error: 'Not enough RSI data' };
-    let gains = 0;
-    let losses = 0;
-    // Calculate initial average gains and losses
-    for (let i = 1; i <= period; i++) {
-        const change = data[i].close - data[i - 1].close;
-        if (change > 0) {
-            gains += change;
-        } else {
-            losses -= change;
-        }
-    }
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-    // Smooth the RSI
-    for (let i = period + 1; i < data.length; i++) {
-        const change = data[i].close - data[i - 1].close;
-        let gain = 0;
-        let loss = 0;
-        if (change > 0) {
-            gain = change;
-        } else {
-            loss = -change;
-        }
-        avgGain = (avgGain * (period - 1) + gain) / period;
-        avgLoss = (avgLoss * (period - 1) + loss) / period;
-    }
-    if (avgLoss === 0) return { rsi: 100 };
-    const rs = avgGain / avgLoss;
-    const rsi = 100 - (100 / (1 + rs));
-    return { rsi: rsi };
-}
-
-function calculateATR(data, period = 14) {
-    if (!data || data.length < period + 1) return { atr: null, error: 'Not enough ATR data' };
-    let trs = [];
-    // Calculate True Ranges
-    for (let i = 1; i < data.length; i++) {
-        const high = parseFloat(data[i].high);
-        const low = parseFloat(data[i].low);
-        const prevClose = parseFloat(data[i - 1].close);
-        const tr1 = high - low;
-        const tr2 = Math.abs(high - prevClose);
-        const tr3 = Math.abs(low - prevClose);
-        const trueRange = Math.max(tr1, tr2, tr3);
-        trs.push(trueRange);
-    }
-    // We only need the most recent ATR, so we can use a simple moving average for the first one
-    // and then smooth for the rest, but it's common to just smooth from the start.
-    // Let's calculate the smoothed ATR.
-    if (trs.length < period) return { atr: null, error: 'Not enough TR data for ATR' };
-    
-    // Initial ATR (SMA of first 'period' TRs)
-    let initialAtr = 0;
-    for (let i = 0; i < period; i++) {
-        initialAtr += trs[i];
-    }
-    let atr = initialAtr / period;
-    
-    // Smooth the rest
-    for (let i = period; i < trs.length; i++) {
-        atr = (atr * (period - 1) + trs[i]) / period;
-    }
-    return { atr: atr };
-}
-
-function calculateEMA(data, period = 21) {
-    if (!data || data.length < period) return { ema: null, error: 'Not enough EMA data' };
-    const k = 2 / (period + 1);
-    let ema = 0;
-    // Calculate initial SMA
-    for (let i = 0; i < period; i++) {
-        ema += parseFloat(data[i].close);
-    }
-    ema /= period;
-    // Calculate EMA for the rest
-    for (let i = period; i < data.length; i++) {
-        ema = (parseFloat(data[i].close) * k) + (ema * (1 - k));
-    }
-    return { ema: ema };
-}
+// --- CONFIGURATION ---
+// Section 'liquidity' of the config document ('fx-quant-lib/config').
+const CONFIG = require('fx-quant-lib/config').configFromPayload(items[0] && items[0].json);
+const PARAMS = CONFIG.liquidity;
+// --- End Configuration ---
 
-function computeAtr4hNorm(last_atr_4h, histATRArray) {
-    if (last_atr_4h === null || last_atr_4h === undefined || !histATRArray || histATRArray.length < 20) {
-        return null; // Not enough data
-    }
-    try {
-        // Sort the historical ATR data
-        const sortedAtr = [...histATRArray].sort((a, b) => a - b);
-        
-        // Find the rank of the current ATR
-        // We find the first index where the sorted value is >= current ATR
-        let rank = sortedAtr.findIndex(val => val >= last_atr_4h);
-        
-        // If not found (i.e., current ATR is highest), set rank to max
-        if (rank === -1) {
-            rank = sortedAtr.length;
-        }
-        
-        // Normalize the rank to a 0-1 percentile
-        const percentile = rank / sortedAtr.length;
-        return percentile;
-    } catch (e) {
-        console.error("Error in computeAtr4hNorm:", e.message);
-        return null;
-    }
-}
+// --- Standard Helper Functions ---
+const { calculateRSI, calculateATR, calculateEMA, computeAtrPercentile } = require('fx-quant-lib/indicators');
+const { instrumentFromPayload } = require('fx-quant-lib/instruments');
+const { parseQuote } = require('fx-quant-lib/spread');
+const { buildExit } = require('fx-quant-lib/exits');
+const { buildOrder, addCancelConditions, entryReference } = require('fx-quant-lib/orders');
+const { createTrace } = require('fx-quant-lib/trace');
 
 function normalizeOutput(out, pipSize = 0.0001) {
     const mapType = { 'liquidity': 'liquidity' }; // New type
@@ -123,12 +60,21 @@ function normalizeOutput(out, pipSize = 0.0001) {
     out.confidence = Math.max(0, Math.min(1, Number(out.confidence || 0)));
     out.recommendedSLPips = out.recommendedSLPips ? Math.round(out.recommendedSLPips) : null;
     out.recommendedTPPips = out.recommendedTPPips ? Math.round(out.recommendedTPPips) : null;
+    if (out.signal === 'buy' || out.signal === 'sell') {
+        // v1.7: Shared exit schema (price + pips for both levels, rewardRisk)
+        // v1.9: Measured from the order trigger when the entry is pending
+        Object.assign(out, buildExit(out.signal, entryReference(out), { slPips: out.recommendedSLPips, tpPips: out.recommendedTPPips }, instrument));
+        if (out.order) addCancelConditions(out.order, out.signal, out);
+    }
     out.indicators = out.indicators || {};
     if (out.indicators.atr_1h_pips == null && out.indicators.atr_1h) {
         out.indicators.atr_1h_pips = Math.round(out.indicators.atr_1h / pipSize);
     }
     if (out.indicators.daily_price_above_ema_200 == null) { out.indicators.daily_price_above_ema_200 = null; }
     if (out.indicators.atr_4h_norm == null) { out.indicators.atr_4h_norm = null; }
+    out.market_regime = (items[0] && items[0].json && items[0].json.market_regime) || null; // Shared regime (MTF_Combiner)
+    out.data_quality = (items[0] && items[0].json && items[0].json.data_quality) || null; // v1.11: Data-quality report (MTF_Combiner)
+    out.config = CONFIG; // Effective config, for reproducibility
     return out;
 }
 // --- End Standard Helpers ---
@@ -177,18 +123,19 @@ const candleData = items[0].json;
 const srData     = items[1].json;
 const { symbol, data_15m, data_1h, data_4h, data_daily, meta, hist_atr_4h } = candleData;
 
-// --- v1.2 FIX: Added robust pipSize fallback ---
-// Default to 0.0001 for most pairs, 0.01 for JPY pairs, if meta.pip_size is missing.
-const pipSize = meta.pip_size || (symbol.includes('JPY') ? 0.01 : 0.0001);
-// ---
+// --- v1.4: Pip size / digits from the instrument registry (passed by MTF_Combiner) ---
+const instrument = instrumentFromPayload(candleData);
+const pipSize = instrument.pipSize;
 
 let signal = 'flat';
 let confidence = 0.0;
-let reason = "No signal";
+const trace = createTrace('Scorer_Liquidity'); // v1.10: Every rule below is a step
 
 // 2. Check for minimum data
 if (!data_1h || !data_4h || !data_daily || data_1h.length < 50 || data_4h.length < 50 || data_daily.length < 200) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'Not enough candle data' }, pipSize) }];
+    trace.veto('data', { bars_1h: data_1h ? data_1h.length : 0, bars_4h: data_4h ? data_4h.length : 0, bars_daily: data_daily ? data_daily.length : 0 },
+        'Not enough candle data');
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 
 // 3. Get All Indicators
@@ -199,34 +146,23 @@ if (!data_1h || !data_4h || !data_daily || data_1h.length < 50 || data_4h.length
 console.log(`Received ${data_daily.length} daily candles for processing.`);
 console.log(`Received ${data_4h.length} 4-hour candles for processing.`);
 
-// --- FIX 2: Reverse data for TA calculations ---
-// Most TA libraries require data to be in oldest-to-newest order.
-const daily_data_for_ta = data_daily.slice().reverse();
-const data_4h_for_ta = data_4h.slice().reverse();
-const data_1h_for_ta = data_1h.slice().reverse();
-
-
-// --- Run Calculations with Corrected Data ---
+// --- Run Calculations (shared indicators take newest-first arrays) ---
 
 // Calculate Daily EMA
-const daily_ema_200 = calculateEMA(daily_data_for_ta, 200);
+const daily_ema_200 = calculateEMA(data_daily, 200);
 const last_daily_price = parseFloat(data_daily[0].close);
 // Safely check if daily_ema_200 and its .ema property exist before comparing
 const daily_200_ema = (daily_ema_200 && daily_ema_200.ema && last_daily_price > daily_ema_200.ema) ? true : false;
 
 // Calculate 4H Indicators
-const atr_4h = calculateATR(data_4h_for_ta, 14);
+const atr_4h = calculateATR(data_4h, 14);
 const last_atr_4h_value = atr_4h ? atr_4h.atr : undefined;
 
-// --- FIX 1: Corrected function name and argument ---
-// From: computeATRNorm(atr_4h, hist_atr_4h)
-// To:
-const atr_4h_norm = computeAtr4hNorm(last_atr_4h_value, hist_atr_4h);
-// ---
-const rsi_4h = calculateRSI(data_4h_for_ta, 14);
+const atr_4h_norm = computeAtrPercentile(last_atr_4h_value, hist_atr_4h);
+const rsi_4h = calculateRSI(data_4h, 14);
 
 // Calculate 1H Indicators
-const atr_1h = calculateATR(data_1h_for_ta, 14);
+const atr_1h = calculateATR(data_1h, 14);
 
 // Get latest 1H price from the ORIGINAL array
 const last_price = parseFloat(data_1h[0].close);
@@ -234,21 +170,35 @@ const atr_1h_value = atr_1h ? atr_1h.atr : undefined;
 
 const atr_1h_pips = (atr_1h_value && pipSize) ? Math.round(atr_1h_value / pipSize) : 20;
 
-if (!atr_1h_value) {
-     return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'Could not calculate 1H ATR' }, pipSize) }];
+if (!trace.gate('indicators', atr_1h_value != null, { atr_1h: atr_1h_value }, 'Could not calculate 1H ATR')) {
+     return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 
 // 4. Liquidity Logic
 const fvgs = findFVGs(data_1h);
 
+// v1.8: Nearest gaps on each side of price, for the trade plan's structural targets
+const FVG_LEVELS_PER_SIDE = 3;
+const allFVGs = [
+    ...fvgs.bullish.map(f => ({ ...f, side: 'bullish' })),
+    ...fvgs.bearish.map(f => ({ ...f, side: 'bearish' }))
+];
+const fvg_levels = [
+    ...allFVGs.filter(f => f.bottom > last_price).sort((a, b) => a.bottom - b.bottom).slice(0, FVG_LEVELS_PER_SIDE),
+    ...allFVGs.filter(f => f.top < last_price).sort((a, b) => b.top - a.top).slice(0, FVG_LEVELS_PER_SIDE)
+].map(f => ({ top: f.top, bottom: f.bottom, side: f.side, time: f.time }));
+
 // --- FIX 2: Corrected variable name ---
 // From: daily_above_200
 // To:
 const htf_bias = daily_200_ema ? 'Up' : 'Down';
 // ---
+trace.check('htf_bias', true, { daily_close: last_daily_price, daily_ema_200: daily_ema_200 ? daily_ema_200.ema : null, bias: htf_bias });
+let fvgInputs = { bullish_fvgs: fvgs.bullish.length, bearish_fvgs: fvgs.bearish.length, price: last_price };
 
-const slPips = Math.max(15, Math.round(atr_1h_pips * 1.5));
-let tpPips = Math.round(slPips * 1.8);
+let slPips = Math.max(PARAMS.minSLPips, Math.round(atr_1h_pips * PARAMS.slAtrMult));
+let tpPips = Math.round(slPips * PARAMS.rewardRisk);
+let orderProposal = null; // v1.9: Pending entry at the FVG edge
 
 if (htf_bias === 'Up' && fvgs.bullish.length > 0) {
     // Find nearest Bullish FVG *below* current price
@@ -259,18 +209,22 @@ if (htf_bias === 'Up' && fvgs.bullish.length > 0) {
     if (targets.length > 0) {
         const nearestFVG = targets[0];
         const distToFVG = last_price - nearestFVG.top;
+        fvgInputs = { ...fvgInputs, fvg_top: nearestFVG.top, fvg_bottom: nearestFVG.bottom, distance: distToFVG, max_distance: atr_1h_value * PARAMS.fvgMaxDistanceAtr };
         
         // If price is within 1 ATR of the FVG, consider it a pullback
-        if (distToFVG > 0 && distToFVG < (atr_1h_value * 1.0)) {
+        if (distToFVG > 0 && distToFVG < (atr_1h_value * PARAMS.fvgMaxDistanceAtr)) {
             signal = 'buy';
-            confidence = 0.60;
-            reason = "HTF Up, Price pulling back to nearest 1H Bullish FVG";
+            confidence = PARAMS.confidence;
+            trace.adjust('fvg_pullback', confidence, fvgInputs, "HTF Up, Price pulling back to nearest 1H Bullish FVG");
             // Set SL below the FVG bottom
-            const slPrice = nearestFVG.bottom - (atr_1h_value * 0.25);
-            // Recalculate SLPips based on price
-            const calculatedSLPips = Math.abs(last_price - slPrice) / pipSize;
+            const slPrice = nearestFVG.bottom - (atr_1h_value * PARAMS.fvgSlBufferAtr);
+            if (PARAMS.entryMode === 'limit') {
+                orderProposal = { type: 'limit', price: nearestFVG.top, validMinutes: PARAMS.orderValidMinutes };
+            }
+            // Recalculate SLPips from the entry (v1.9: the trigger of a pending order)
+            slPips = Math.round(Math.abs((orderProposal ? orderProposal.price : last_price) - slPrice) / pipSize);
             // Target 2R
-            tpPips = Math.round(calculatedSLPips * 2.0);
+            tpPips = Math.round(slPips * PARAMS.fvgRewardRisk);
         }
     }
 } else if (htf_bias === 'Down' && fvgs.bearish.length > 0) {
@@ -282,20 +236,26 @@ if (htf_bias === 'Up' && fvgs.bullish.length > 0) {
     if (targets.length > 0) {
         const nearestFVG = targets[0];
         const distToFVG = nearestFVG.bottom - last_price;
+        fvgInputs = { ...fvgInputs, fvg_top: nearestFVG.top, fvg_bottom: nearestFVG.bottom, distance: distToFVG, max_distance: atr_1h_value * PARAMS.fvgMaxDistanceAtr };
         
-        if (distToFVG > 0 && distToFVG < (atr_1h_value * 1.0)) {
+        if (distToFVG > 0 && distToFVG < (atr_1h_value * PARAMS.fvgMaxDistanceAtr)) {
             signal = 'sell';
-            confidence = 0.60;
-            reason = "HTF Down, Price pulling back to nearest 1H Bearish FVG";
-            const slPrice = nearestFVG.top + (atr_1h_value * 0.25);
-            // Recalculate SLPips based on price
-            const calculatedSLPips = Math.abs(last_price - slPrice) / pipSize;
+            confidence = PARAMS.confidence;
+            trace.adjust('fvg_pullback', confidence, fvgInputs, "HTF Down, Price pulling back to nearest 1H Bearish FVG");
+            const slPrice = nearestFVG.top + (atr_1h_value * PARAMS.fvgSlBufferAtr);
+            if (PARAMS.entryMode === 'limit') {
+                orderProposal = { type: 'limit', price: nearestFVG.bottom, validMinutes: PARAMS.orderValidMinutes };
+            }
+            // Recalculate SLPips from the entry (v1.9: the trigger of a pending order)
+            slPips = Math.round(Math.abs((orderProposal ? orderProposal.price : last_price) - slPrice) / pipSize);
             // Target 2R
-            tpPips = Math.round(calculatedSLPips * 2.0);
+            tpPips = Math.round(slPips * PARAMS.fvgRewardRisk);
         }
     }
 }
 
+if (signal === 'flat') trace.check('fvg_pullback', false, fvgInputs); // No FVG within reach: reason stays 'No signal'
+
 // 5. Final Return
 let finalJson = { 
     symbol, 
@@ -304,7 +264,9 @@ let finalJson = {
     price: last_price,
     recommendedSLPips: signal !== 'flat' ? slPips : null, // Use calculated SL if signal
     recommendedTPPips: signal !== 'flat' ? tpPips : null, // Use calculated TP if signal
-    reason,
+    order: signal !== 'flat' ? buildOrder(signal, last_price, orderProposal, instrument) : null, // v1.9: Entry order
+    ...trace.result(signal, confidence), // v1.10: reason + decision_trace
+    market_data: parseQuote(items[2].json, instrument, last_price), // v1.5: bid/ask/spread
     signalType: "liquidity",
     indicators: {
         rsi_4h: rsi_4h.rsi,
@@ -317,6 +279,7 @@ let finalJson = {
         atr_4h_norm: atr_4h_norm,
         atr_1h_pips: atr_1h_pips
     },
+    fvg_levels, // v1.8: Structural targets for the trade plan
     sr_data: srData,
     meta: meta
 };
@@ -1,4 +1,32 @@
-// NODE: Scorer_Mean_Reversion (v1.2 - BB + StochRSI w/ ADX Filter)
+// NODE: Scorer_Mean_Reversion (v1.10 - BB + StochRSI w/ Regime Filter)
+// VERSION 1.10 CHANGES:
+// - Echoes MTF_Combiner's 'data_quality' report with its signal, for Confluence's data gate.
+// VERSION 1.9 CHANGES:
+// - Decision trace ('fx-quant-lib/trace'): every rule (data, volatility spike, regime, band +
+//   StochRSI entry, context bonus, S/R bonus, confidence floor) is a step with its inputs,
+//   pass/fail and confidence delta, output as `decision_trace`. `reason` is generated from it.
+// VERSION 1.8 CHANGES:
+// - Exits use the shared schema ('fx-quant-lib/exits'): the Bollinger-middle TP now also
+//   comes as pips (it was price-only, so Confluence never saw it) and the SL as a price.
+// VERSION 1.7 CHANGES:
+// - The 4H context (ranging / trending up / trending down) comes from the shared
+//   'market_regime' computed by MTF_Combiner ('fx-quant-lib/regime'): range and squeeze
+//   count as ranging, trends and directional expansions as trending. A volatility
+//   expansion without direction vetoes the trade. The 4H ADX is the fallback when
+//   the payload has no regime.
+// VERSION 1.6 CHANGES:
+// - Quote (items[2]) is parsed into 'market_data' (bid/ask/spread) for the spread veto in Confluence.
+// VERSION 1.5 CHANGES:
+// - Pip size and price digits come from the instrument registry ('fx-quant-lib/instruments');
+//   was 0.01 for every symbol. The TP price is rounded to the instrument's digits.
+// VERSION 1.4 CHANGES:
+// - Configuration comes from the effective config passed alongside the MTF payload
+//   (section 'mean'), incl. the 1.5x ATR SL and 20-pip floor. Echoed in every output.
+// VERSION 1.3 CHANGES:
+// - All indicators now come from the shared 'fx-quant-lib/indicators' module. The data check
+//   vetoes on an indicator's `error`: a StochRSI %K of 0 is the deepest oversold reading.
+// - Configuration constants are loaded from 'fx-quant-lib/params' (optimizer output;
+//   superseded by 'fx-quant-lib/config' in v1.4).
 // VERSION 1.2 CHANGES:
 // - Replaced 4H RSI regime filter with 4H ADX for better ranging/trending detection.
 // - Replaced 15M RSI entry with 15M Stochastic RSI for more sensitive entries.
@@ -9,212 +37,39 @@
 // INPUT: Expects 3 items from the AI_Merge node (Mode: Wait)
 // - items[0]: Candle Data (from MTF Node)
 // - items[1]: S/R Pivot Data (from S/R Filter)
-// - items[2]: Quote Data (Unused)
+// - items[2]: Quote Data (bid/ask for 'market_data'; typical spread if absent)
 // OUTPUT: A signal for the Trader node.
 
 // --- CONFIGURATION ---
-const VOLATILITY_SPIKE_MULT = 3.0;  // Veto if current candle range is 3x the 15m ATR
-const SR_ZONE_ATR_MULT = 0.25;      // S/R zone = 25% of 1H ATR
-const ADX_PERIOD = 14;              // ADX period for 4H regime filter
-const ADX_TREND_THRESHOLD = 25;     // ADX value above which a trend is considered
-const STOCH_RSI_PERIOD = 14;        // Stochastic RSI period
-const STOCH_K_SMOOTH = 3;           // Stochastic RSI %K smoothing
-const STOCH_D_SMOOTH = 3;           // Stochastic RSI %D smoothing
-const BB_PERIOD = 20;               // Bollinger Bands period
-const BB_STD_DEV = 2;               // Bollinger Bands standard deviation
-const SR_BONUS_MINOR = 0.15;        // Confidence bonus for minor S/R (Central Pivot)
-const SR_BONUS_MAJOR = 0.30;        // Confidence bonus for major S/R (S/R 1-3, PDH/L)
+// Section 'mean' of the config document ('fx-quant-lib/config'); defaults are the v1.2 values.
+const CONFIG = require('fx-quant-lib/config').configFromPayload(items[0] && items[0].json);
+const PARAMS = CONFIG.mean;
+const VOLATILITY_SPIKE_MULT = PARAMS.volatilitySpikeMult;  // Veto if current candle range is 3x the 15m ATR
+const SR_ZONE_ATR_MULT = PARAMS.srZoneAtrMult;             // S/R zone = 25% of 1H ATR
+const ADX_PERIOD = PARAMS.adxPeriod;                       // ADX period for 4H regime filter
+const ADX_TREND_THRESHOLD = PARAMS.adxTrendThreshold;      // ADX value above which a trend is considered
+const STOCH_RSI_PERIOD = PARAMS.stochRsiPeriod;            // Stochastic RSI period
+const STOCH_K_SMOOTH = PARAMS.stochKSmooth;                // Stochastic RSI %K smoothing
+const STOCH_D_SMOOTH = PARAMS.stochDSmooth;                // Stochastic RSI %D smoothing
+const BB_PERIOD = PARAMS.bbPeriod;                         // Bollinger Bands period
+const BB_STD_DEV = PARAMS.bbStdDev;                        // Bollinger Bands standard deviation
+const SR_BONUS_MINOR = PARAMS.srBonusMinor;                // Confidence bonus for minor S/R (Central Pivot)
+const SR_BONUS_MAJOR = PARAMS.srBonusMajor;                // Confidence bonus for major S/R (S/R 1-3, PDH/L)
 // --- End Configuration ---
 
 
-// --- Technical Indicator Helpers (RSI, ATR, BB) ---
-// [NOTE: calculateRSI, calculateATR, and calculateBollingerBands functions
-// are unchanged from v1.1 and are assumed to be present here.]
-function calculateRSI(data, period = 14) {
-    if (!data || data.length < period + 1) return { rsi: 50, values: [] };
-    const prices = data.map(d => parseFloat(d.close)).reverse();
-    if (prices.length < period + 1) return { rsi: 50, values: [] };
-    let gains = 0, losses = 0, rsiValues = [];
-    for (let i = 1; i <= period; i++) {
-        let change = prices[i] - prices[i - 1];
-        if (change > 0) gains += change; else losses -= change;
-    }
-    let avgGain = gains / period, avgLoss = losses / period;
-    let rs = (avgLoss === 0) ? 100 : avgGain / avgLoss;
-    rsiValues.push(100 - (100 / (1 + rs)));
-    for (let i = period + 1; i < prices.length; i++) {
-        let change = prices[i] - prices[i - 1];
-        let gain = change > 0 ? change : 0, loss = change < 0 ? -change : 0;
-        avgGain = ((avgGain * (period - 1)) + gain) / period;
-        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-        rs = (avgLoss === 0) ? 100 : avgGain / avgLoss;
-        rsiValues.push(100 - (100 / (1 + rs)));
-    }
-    return { rsi: rsiValues[rsiValues.length - 1], values: rsiValues };
-}
-
-function calculateATR(data, period = 14) {
-    if (!data || data.length < period + 1) return { atr: null, values: [] };
-    const candles = [...data].reverse();
-    let trValues = [parseFloat(candles[0].high) - parseFloat(candles[0].low)];
-    for (let i = 1; i < candles.length; i++) {
-        let h = parseFloat(candles[i].high), l = parseFloat(candles[i].low), prevClose = parseFloat(candles[i-1].close);
-        trValues.push(Math.max(h - l, Math.abs(h - prevClose), Math.abs(l - prevClose)));
-    }
-    let atrValues = [];
-    let sum = trValues.slice(0, period).reduce((a, b) => a + b, 0);
-    let firstAtr = sum / period;
-    atrValues.push(firstAtr);
-    let prevAtr = firstAtr;
-    for(let i = period; i < trValues.length; i++) {
-        let currentAtr = ((prevAtr * (period - 1)) + trValues[i]) / period;
-        atrValues.push(currentAtr);
-        prevAtr = currentAtr;
-    }
-    return { atr: atrValues[atrValues.length - 1], values: atrValues };
-}
-
-function calculateBollingerBands(data, period = 20, stdDev = 2) {
-    if (!data || data.length < period) return { upper: null, middle: null, lower: null };
-    const prices = data.map(d => parseFloat(d.close)).reverse();
-    let smaValues = [], stdDevValues = [];
-    for (let i = period - 1; i < prices.length; i++) {
-        const window = prices.slice(i - period + 1, i + 1);
-        const sum = window.reduce((a, b) => a + b, 0);
-        const sma = sum / period;
-        smaValues.push(sma);
-        const varianceSum = window.reduce((a, b) => a + Math.pow(b - sma, 2), 0);
-        stdDevValues.push(Math.sqrt(varianceSum / period));
-    }
-    if (smaValues.length === 0) return { upper: null, middle: null, lower: null };
-    const lastSMA = smaValues[smaValues.length - 1];
-    const lastStdDev = stdDevValues[stdDevValues.length - 1];
-    return { upper: lastSMA + (lastStdDev * stdDev), middle: lastSMA, lower: lastSMA - (lastStdDev * stdDev) };
-}
-
-// --- NEW HELPER: Stochastic RSI ---
-function calculateStochasticRSI(data, rsiPeriod, stochPeriod, kSmooth, dSmooth) {
-    const rsiResult = calculateRSI(data, rsiPeriod);
-    const rsiValues = rsiResult.values;
-    if (rsiValues.length < stochPeriod) return { k: null, d: null };
-
-    let fastKValues = [];
-    for (let i = stochPeriod - 1; i < rsiValues.length; i++) {
-        const window = rsiValues.slice(i - stochPeriod + 1, i + 1);
-        const currentRSI = rsiValues[i];
-        const minRSI = Math.min(...window);
-        const maxRSI = Math.max(...window);
-        let fastK = 0;
-        if ((maxRSI - minRSI) > 0) {
-            fastK = 100 * (currentRSI - minRSI) / (maxRSI - minRSI);
-        }
-        fastKValues.push(fastK);
-    }
-
-    if (fastKValues.length < kSmooth) return { k: null, d: null };
-
-    // Calculate Slow %K (SMA of Fast %K)
-    let slowKValues = [];
-    for (let i = kSmooth - 1; i < fastKValues.length; i++) {
-        const window = fastKValues.slice(i - kSmooth + 1, i + 1);
-        const sma = window.reduce((a, b) => a + b, 0) / kSmooth;
-        slowKValues.push(sma);
-    }
-    
-    if (slowKValues.length < dSmooth) return { k: slowKValues[slowKValues.length - 1], d: null };
-
-    // Calculate Slow %D (SMA of Slow %K)
-    let slowDValues = [];
-    for (let i = dSmooth - 1; i < slowKValues.length; i++) {
-        const window = slowKValues.slice(i - dSmooth + 1, i + 1);
-        const sma = window.reduce((a, b) => a + b, 0) / dSmooth;
-        slowDValues.push(sma);
-    }
-
-    return {
-        k: slowKValues[slowKValues.length - 1],
-        d: slowDValues[slowDValues.length - 1]
-    };
-}
-
-// --- NEW HELPER: ADX (Average Directional Index) ---
-function calculateADX(data, period = 14) {
-    if (!data || data.length < period * 2) return { adx: null, plusDI: null, minusDI: null };
-    const candles = [...data].reverse();
-    
-    let trValues = [], plusDM = [], minusDM = [];
-    
-    // First candle
-    trValues.push(parseFloat(candles[0].high) - parseFloat(candles[0].low));
-    plusDM.push(0);
-    minusDM.push(0);
-
-    // Calculate TR, +DM, -DM
-    for (let i = 1; i < candles.length; i++) {
-        let h = parseFloat(candles[i].high);
-        let l = parseFloat(candles[i].low);
-        let ph = parseFloat(candles[i-1].high);
-        let pl = parseFloat(candles[i-1].low);
-        let pc = parseFloat(candles[i-1].close);
-
-        let tr = Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc));
-        trValues.push(tr);
-
-        let upMove = h - ph;
-        let downMove = pl - l;
-        
-        plusDM.push((upMove > downMove && upMove > 0) ? upMove : 0);
-        minusDM.push((downMove > upMove && downMove > 0) ? downMove : 0);
-    }
-
-    // Smooth TR, +DM, -DM (Wilder's Smoothing)
-    let sumTR = trValues.slice(0, period).reduce((a, b) => a + b, 0);
-    let sumPlusDM = plusDM.slice(0, period).reduce((a, b) => a + b, 0);
-    let sumMinusDM = minusDM.slice(0, period).reduce((a, b) => a + b, 0);
-
-    let smoothedTRs = [sumTR], smoothedPlusDMs = [sumPlusDM], smoothedMinusDMs = [sumMinusDM];
-    
-    for (let i = period; i < candles.length; i++) {
-        let prevTR = smoothedTRs[smoothedTRs.length - 1];
-        let prevPlusDM = smoothedPlusDMs[smoothedPlusDMs.length - 1];
-        let prevMinusDM = smoothedMinusDMs[smoothedMinusDMs.length - 1];
-        
-        smoothedTRs.push(prevTR - (prevTR / period) + trValues[i]);
-        smoothedPlusDMs.push(prevPlusDM - (prevPlusDM / period) + plusDM[i]);
-        smoothedMinusDMs.push(prevMinusDM - (prevMinusDM / period) + minusDM[i]);
-    }
-
-    // Calculate +DI, -DI, DX, and ADX
-    let plusDIs = [], minusDIs = [], dxValues = [], adxValues = [];
-    
-    for (let i = 0; i < smoothedTRs.length; i++) {
-        let tr = smoothedTRs[i];
-        let plusDI = (tr === 0) ? 0 : 100 * (smoothedPlusDMs[i] / tr);
-        let minusDI = (tr === 0) ? 0 : 100 * (smoothedMinusDMs[i] / tr);
-        plusDIs.push(plusDI);
-        minusDIs.push(minusDI);
-        
-        let diSum = plusDI + minusDI;
-        let dx = (diSum === 0) ? 0 : 100 * (Math.abs(plusDI - minusDI) / diSum);
-        dxValues.push(dx);
-    }
-
-    // First ADX is an average of DX
-    let sumDX = dxValues.slice(0, period).reduce((a, b) => a + b, 0);
-    adxValues.push(sumDX / period);
-
-    // Subsequent ADX use Wilder's smoothing
-    for (let i = period; i < dxValues.length; i++) {
-        let prevADX = adxValues[adxValues.length - 1];
-        adxValues.push((prevADX * (period - 1) + dxValues[i]) / period);
-    }
-
-    return {
-        adx: adxValues[adxValues.length - 1],
-        plusDI: plusDIs[plusDIs.length - 1],
-        minusDI: minusDIs[minusDIs.length - 1]
-    };
-}
+// --- Technical Indicator Helpers (RSI, ATR, BB, StochRSI, ADX) ---
+// Shared module. Takes the payload arrays as-is (newest first).
+const {
+    calculateATR,
+    calculateBollingerBands,
+    calculateStochasticRSI,
+    calculateADX
+} = require('fx-quant-lib/indicators');
+const { instrumentFromPayload } = require('fx-quant-lib/instruments');
+const { parseQuote } = require('fx-quant-lib/spread');
+const { buildExit } = require('fx-quant-lib/exits');
+const { createTrace } = require('fx-quant-lib/trace');
 // --- End Helpers ---
 
 
@@ -228,15 +83,19 @@ const candleData = items[0].json;
 const srData     = items[1].json;
 const { symbol, data_5m, data_15m, data_1h, data_4h, meta } = candleData;
 const { pivots, pdh, pdl } = srData;
-const pipSize = meta.pip_size || 0.01;
+// --- v1.5: Pip size / digits from the instrument registry (passed by MTF_Combiner) ---
+const instrument = instrumentFromPayload(candleData);
+const pipSize = instrument.pipSize;
 
 let signal = 'flat';
 let confidence = 0.0;
-let reason = "No signal";
+const trace = createTrace('Scorer_Mean_Reversion'); // v1.9: Every rule below is a step
 
 // 2. Check for minimum candle data
 if (data_4h.length < 50 || data_15m.length < 50 || data_1h.length < 30 || !pivots) { // Increased 4h/15m req for new indicators
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason: 'Not enough data for Mean Reversion (needs candles + pivots)', sr_data: srData } }];
+    trace.veto('data', { bars_4h: data_4h.length, bars_15m: data_15m.length, bars_1h: data_1h.length, pivots: Boolean(pivots) },
+        'Not enough data for Mean Reversion (needs candles + pivots)');
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 // 3. Get All Indicators
@@ -247,8 +106,10 @@ const atr_1h        = calculateATR(data_1h, 14); // For SL and S/R zone
 const atr_15m       = calculateATR(data_15m, 14); // For Volatility Filter
 
 // Check if indicators are valid
-if (!adx_4h.adx || !stochRSI_15m.k || !bb_15m.upper || !atr_1h.atr || !atr_15m.atr) {
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason: 'Indicator calculation failed, not enough data.', sr_data: srData } }];
+if (adx_4h.error || stochRSI_15m.error || bb_15m.error || atr_1h.error || atr_15m.error) {
+    trace.veto('indicators', { adx_4h: adx_4h.adx, stochRSI_15m_k: stochRSI_15m.k, bb_15m_upper: bb_15m.upper, atr_1h: atr_1h.atr, atr_15m: atr_15m.atr },
+        'Indicator calculation failed, not enough data.');
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 const last_adx_4h      = adx_4h.adx;
@@ -261,65 +122,85 @@ const current_15m_candle = data_15m[0];
 const current_15m_range = parseFloat(current_15m_candle.high) - parseFloat(current_15m_candle.low);
 const avg_15m_range = atr_15m.atr;
 
-if (current_15m_range > (avg_15m_range * VOLATILITY_SPIKE_MULT)) {
-    reason = `VETO (Reversion): Volatility spike detected. Market unsafe.`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, sr_data: srData } }];
+if (!trace.gate('volatility_spike', current_15m_range <= (avg_15m_range * VOLATILITY_SPIKE_MULT),
+    { range_15m: current_15m_range, atr_15m: avg_15m_range, mult: VOLATILITY_SPIKE_MULT },
+    `VETO (Reversion): Volatility spike detected. Market unsafe.`)) {
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 // --- End Volatility Filter ---
 
-// 4. Define Regime (4-Hour Chart using ADX)
-const isRanging = (last_adx_4h < ADX_TREND_THRESHOLD);
-const isTrendingUp = (last_adx_4h >= ADX_TREND_THRESHOLD && adx_4h.plusDI > adx_4h.minusDI);
-const isTrendingDown = (last_adx_4h >= ADX_TREND_THRESHOLD && adx_4h.minusDI > adx_4h.plusDI);
+// 4. Define Regime (v1.7: shared classifier; 4H ADX only as the fallback)
+const market_regime = candleData.market_regime || null;
+const regimeState = market_regime && market_regime.state;
+let isRanging, isTrendingUp, isTrendingDown;
+if (regimeState) {
+    if (!trace.gate('regime', !(regimeState === 'volatility_expansion' && market_regime.direction === 'Neutral'),
+        { state: regimeState, direction: market_regime.direction, confidence: market_regime.confidence },
+        `VETO (Reversion): Regime is a volatility expansion with no direction (confidence ${market_regime.confidence}).`)) {
+        return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, market_regime, config: CONFIG } }];
+    }
+    isRanging = (regimeState === 'range' || regimeState === 'squeeze');
+    isTrendingUp = (market_regime.direction === 'Up');
+    isTrendingDown = (market_regime.direction === 'Down');
+} else {
+    isRanging = (last_adx_4h < ADX_TREND_THRESHOLD);
+    isTrendingUp = (last_adx_4h >= ADX_TREND_THRESHOLD && adx_4h.plusDI > adx_4h.minusDI);
+    isTrendingDown = (last_adx_4h >= ADX_TREND_THRESHOLD && adx_4h.minusDI > adx_4h.plusDI);
+    trace.check('regime', true, { adx_4h: last_adx_4h, plusDI: adx_4h.plusDI, minusDI: adx_4h.minusDI, threshold: ADX_TREND_THRESHOLD });
+}
 
 // 5. Look for LTF Entry (15-Min Chart using StochRSI)
 const isOverbought = (last_stochRSI_k > 80);
 const isOversold = (last_stochRSI_k < 20);
 const atUpperBand = (last_price_15m > bb_15m.upper);
 const atLowerBand = (last_price_15m < bb_15m.lower);
+const entryInputs = { stochRSI_15m_k: last_stochRSI_k, price: last_price_15m, bb_15m_upper: bb_15m.upper, bb_15m_lower: bb_15m.lower };
 
 // --- REWARD-BASED CONFIDENCE ---
 // Start with a low base confidence. This is the score for a
 // risky counter-trend trade *before* S/R confluence.
 let baseConfidence = 0.30; 
+const context = { ranging: isRanging, trending_up: isTrendingUp, trending_down: isTrendingDown };
 
 if (atLowerBand && isOversold) {
     // --- Buy Signal ---
     signal = 'buy';
-    reason = "15m Oversold (StochRSI < 20) + Below Lower BB";
+    trace.check('entry', true, entryInputs, "15m Oversold (StochRSI < 20) + Below Lower BB");
+    trace.adjust('base', baseConfidence, {});
     
     if (isRanging) {
         confidence = baseConfidence + 0.4; // Strong bonus (0.7)
-        reason += " (Context: 4H Ranging)";
+        trace.adjust('context', 0.4, context, "(Context: 4H Ranging)");
     } else if (isTrendingUp) {
         confidence = baseConfidence + 0.3; // Good bonus: Pullback in uptrend (0.6)
-        reason += " (Context: 4H Uptrend Pullback)";
+        trace.adjust('context', 0.3, context, "(Context: 4H Uptrend Pullback)");
     } else if (isTrendingDown) {
         confidence = baseConfidence; // No bonus: Fading strong downtrend (0.3)
-        reason += " (Context: 4H Downtrend)";
+        trace.adjust('context', 0, context, "(Context: 4H Downtrend)");
     }
 
 } else if (atUpperBand && isOverbought) {
     // --- Sell Signal ---
     signal = 'sell';
-    reason = "15m Overbought (StochRSI > 80) + Above Upper BB";
+    trace.check('entry', true, entryInputs, "15m Overbought (StochRSI > 80) + Above Upper BB");
+    trace.adjust('base', baseConfidence, {});
 
     if (isRanging) {
         confidence = baseConfidence + 0.4; // Strong bonus (0.7)
-        reason += " (Context: 4H Ranging)";
+        trace.adjust('context', 0.4, context, "(Context: 4H Ranging)");
     } else if (isTrendingDown) {
         confidence = baseConfidence + 0.3; // Good bonus: Pullback in downtrend (0.6)
-        reason += " (Context: 4H Downtrend Pullback)";
+        trace.adjust('context', 0.3, context, "(Context: 4H Downtrend Pullback)");
     } else if (isTrendingUp) {
         confidence = baseConfidence; // No bonus: Fading strong uptrend (0.3)
-        reason += " (Context: 4H Uptrend)";
+        trace.adjust('context', 0, context, "(Context: 4H Uptrend)");
     }
 }
 
 // 6. No Entry Found
 if (signal === 'flat') {
-    reason = `No reversion signal (15m StochRSI: ${last_stochRSI_k.toFixed(1)})`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, sr_data: srData } }];
+    trace.check('entry', false, entryInputs, `No reversion signal (15m StochRSI: ${last_stochRSI_k.toFixed(1)})`);
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 // --- FILTER 2: S/R (CONTEXT) ---
@@ -341,7 +222,7 @@ if (signal === 'buy') {
         if (s.level && last_price_15m > (s.level - sr_zone_amount) && last_price_15m < (s.level + sr_zone_amount)) {
             let bonus = (s.type === 'major') ? SR_BONUS_MAJOR : SR_BONUS_MINOR;
             confidence += bonus;
-            reason += ` (Bonus: At ${s.type} Support ${s.level})`;
+            trace.adjust('sr_bonus', bonus, { level: s.level, type: s.type, price: last_price_15m, zone: sr_zone_amount }, `(Bonus: At ${s.type} Support ${s.level})`);
             foundConfluence = true;
             break; 
         }
@@ -360,27 +241,28 @@ if (signal === 'buy') {
         if (r.level && last_price_15m > (r.level - sr_zone_amount) && last_price_15m < (r.level + sr_zone_amount)) {
             let bonus = (r.type === 'major') ? SR_BONUS_MAJOR : SR_BONUS_MINOR;
             confidence += bonus;
-            reason += ` (Bonus: At ${r.type} Resistance ${r.level})`;
+            trace.adjust('sr_bonus', bonus, { level: r.level, type: r.type, price: last_price_15m, zone: sr_zone_amount }, `(Bonus: At ${r.type} Resistance ${r.level})`);
             foundConfluence = true;
             break;
         }
     }
 }
+if (!foundConfluence) trace.check('sr_bonus', false, { price: last_price_15m, zone: sr_zone_amount });
 
 // 7. Final Veto (if confidence is still too low)
 confidence = Math.min(1.0, confidence); // Cap at 100%
-if (confidence < baseConfidence) { // Veto if it's below the absolute minimum
-    reason += " (VETO: Context makes confidence too low)";
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, sr_data: srData } }];
+if (!trace.gate('min_confidence', confidence >= baseConfidence, { confidence, floor: baseConfidence }, "(VETO: Context makes confidence too low)")) { // Veto if it's below the absolute minimum
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 // 8. Calculate SL & TP
 const currentPrice = parseFloat(data_15m[0].close);
 // SL: Use 1.5x 1-HOUR ATR
-const slPipsFromATR = (last_atr_1h * 1.5) / pipSize;
-const recommendedSLPips = Math.max(20, Math.round(slPipsFromATR)); // Min 20 pips
+const slPipsFromATR = (last_atr_1h * PARAMS.slAtrMult) / pipSize;
+const recommendedSLPips = Math.max(PARAMS.minSLPips, Math.round(slPipsFromATR)); // Min 20 pips
 // TP: Target the 15M Middle Bollinger Band (the "mean")
-const recommendedTPPrice = bb_15m.middle;
+// v1.8: Shared exit schema (price + pips for both levels, rewardRisk)
+const exit = buildExit(signal, currentPrice, { slPips: recommendedSLPips, tpPrice: bb_15m.middle }, instrument);
 
 return [{ 
     json: { 
@@ -388,10 +270,10 @@ return [{
         signal, 
         confidence, 
         price: currentPrice,
-        recommendedSLPips,
-        recommendedTPPrice, // NEW: Added Take Profit target
-        reason,
+        ...exit, // v1.8: recommendedSL/TP Price + Pips, rewardRisk
+        ...trace.result(signal, confidence), // v1.9: reason + decision_trace
         signalType: "reversion", // Identify the strategy
+        market_data: parseQuote(items[2].json, instrument, currentPrice), // v1.6: bid/ask/spread
         indicators: {
             adx_4h: last_adx_4h,
             adx_4h_plusDI: adx_4h.plusDI,
@@ -404,6 +286,9 @@ return [{
             bb_15m_middle: bb_15m.middle
         },
         sr_data: srData,
-        meta: meta
+        meta: meta,
+        market_regime: market_regime, // v1.7: Shared regime (MTF_Combiner)
+        data_quality: candleData.data_quality || null, // v1.10: Data-quality report (MTF_Combiner)
+        config: CONFIG // Effective config, for reproducibility
     }
 }];
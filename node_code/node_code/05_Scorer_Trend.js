@@ -1,4 +1,25 @@
-// NODE: Scorer (v4.7 - AI Agent w/ Volatility, S/R, TP & Pullback Fix)
+// NODE: Scorer (v4.15 - AI Agent w/ Volatility, S/R, TP & Pullback Fix)
+// NEW v4.15: Echoes MTF_Combiner's 'data_quality' report with its signal, for Confluence's
+//            data gate.
+// NEW v4.14: Decision trace ('fx-quant-lib/trace'): volatility spike, 4H bias, regime
+//            conflict, 15m entry, S/R penalty/bonus and the confidence floor are steps with
+//            their inputs and confidence delta, output as `decision_trace`. `reason` is
+//            generated from it.
+// NEW v4.13: Exits use the shared schema ('fx-quant-lib/exits'): SL and TP as both prices
+//            and pips, plus rewardRisk.
+// NEW v4.12: The 4H bias must not contradict the shared 'market_regime' direction from
+//            MTF_Combiner ('fx-quant-lib/regime'); the regime is echoed in the signal.
+// NEW v4.11: Quote (items[2]) is parsed into 'market_data' (bid/ask/spread, or the instrument's
+//            typical spread) for the spread veto in Confluence.
+// NEW v4.10: Pip size and price digits come from the instrument registry ('fx-quant-lib/instruments');
+//            was 0.01 for every symbol. Levels in reasons use the instrument's digits.
+// NEW v4.9: Configuration comes from the effective config passed alongside the MTF payload
+//           (section 'trend'), incl. SL multiplier, 20-pip floor and fallback R:R, the 4H/15m
+//           RSI cut-offs and the confidence steps. Echoed in every output.
+// NEW v4.8: RSI/ATR/EMA now come from the shared 'fx-quant-lib/indicators' module; the data
+//           check vetoes on an indicator's `error`, so a 15m RSI of 0 is a valid reading.
+// NEW v4.8: Configuration constants are loaded from 'fx-quant-lib/params' (superseded by
+//           'fx-quant-lib/config' in v4.9).
 // FIX: Corrected S/R zone logic to use price amount (ATR * mult) instead of pips.
 // NEW v4.7: Added dynamic 4H EMA to S/R filter.
 // NEW v4.7: Added "shallow_pullback" entry logic to fill 15m RSI dead-zone.
@@ -6,105 +27,29 @@
 // INPUT: Expects 3 items from the AI_Merge node (Mode: Wait)
 // - items[0]: Candle Data (from MTF Node)
 // - items[1]: S/R Pivot Data (from S/R Filter)
-// - items[2]: Quote Data (This is unused for spread, but required by the merge)
+// - items[2]: Quote Data (bid/ask for 'market_data'; typical spread if absent)
 // OUTPUT: A final, context-aware signal for the Trader node.
 
 // --- CONFIGURATION ---
-const VOLATILITY_SPIKE_MULT = 3.0; // Veto if current candle range is 3x the 15m ATR
-const SR_ZONE_ATR_MULT = 0.25;     // S/R zone = 25% of 1H ATR
+// Section 'trend' of the config document ('fx-quant-lib/config').
+const CONFIG = require('fx-quant-lib/config').configFromPayload(items[0] && items[0].json);
+const PARAMS = CONFIG.trend;
+const VOLATILITY_SPIKE_MULT = PARAMS.volatilitySpikeMult; // Veto if current candle range is 3x the 15m ATR
+const SR_ZONE_ATR_MULT = PARAMS.srZoneAtrMult;            // S/R zone = 25% of 1H ATR
 // --- End Configuration ---
 
 
 // --- Technical Indicator Helpers ---
-// (All helper functions: calculateRSI, calculateATR, calculateEMA remain unchanged)
-function calculateRSI(data, period = 14) {
-    if (!data || data.length < period + 1) return { rsi: 50, values: [] };
-    const prices = data.map(d => parseFloat(d.close)).reverse();
-    if (prices.length < period + 1) return { rsi: 50, values: [] };
-    
-    let gains = 0;
-    let losses = 0;
-    let rsiValues = [];
-
-    for (let i = 1; i <= period; i++) {
-        let change = prices[i] - prices[i - 1];
-        if (change > 0) gains += change;
-        else losses -= change;
-    }
-
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-    if (avgLoss === 0) rsiValues.push(100);
-    else rsiValues.push(100 - (100 / (1 + (avgGain / avgLoss))));
-
-    for (let i = period + 1; i < prices.length; i++) {
-        let change = prices[i] - prices[i - 1];
-        let gain = change > 0 ? change : 0;
-        let loss = change < 0 ? -change : 0;
-        avgGain = ((avgGain * (period - 1)) + gain) / period;
-        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-        if (avgLoss === 0) rsiValues.push(100);
-        else rsiValues.push(100 - (100 / (1 + (avgGain / avgLoss))));
-    }
-    
-    return { rsi: rsiValues[rsiValues.length - 1], values: rsiValues };
-}
-
-function calculateATR(data, period = 14) {
-    if (!data || data.length < period + 1) return { atr: null, values: [] };
-    const candles = [...data].reverse();
-    let trValues = [];
-    trValues.push(parseFloat(candles[0].high) - parseFloat(candles[0].low));
-
-    for (let i = 1; i < candles.length; i++) {
-        let h = parseFloat(candles[i].high);
-        let l = parseFloat(candles[i].low);
-        let prevClose = parseFloat(candles[i-1].close);
-        let tr = Math.max(h - l, Math.abs(h - prevClose), Math.abs(l - prevClose));
-        trValues.push(tr);
-    }
-
-    let atrValues = [];
-    let sum = 0;
-    for(let i=0; i < period; i++) sum += trValues[i];
-    let firstAtr = sum / period;
-    atrValues.push(firstAtr);
-    
-    let prevAtr = firstAtr;
-    for(let i = period; i < trValues.length; i++) {
-        let currentAtr = ((prevAtr * (period - 1)) + trValues[i]) / period;
-        atrValues.push(currentAtr);
-        prevAtr = currentAtr;
-    }
-
-    return { atr: atrValues[atrValues.length - 1], values: atrValues };
-}
-
-function calculateEMA(data, period = 21) {
-    if (!data || data.length < period) return { ema: null, values: [] };
-    const prices = data.map(d => parseFloat(d.close)).reverse();
-    let emaValues = [];
-    const k = 2 / (period + 1); // Smoothing factor
-
-    let sum = 0;
-    for (let i = 0; i < period; i++) {
-        sum += prices[i];
-    }
-    let prevEma = sum / period;
-    emaValues.push(prevEma);
-
-    for (let i = period; i < prices.length; i++) {
-        let ema = (prices[i] * k) + (prevEma * (1 - k));
-        emaValues.push(ema);
-        prevEma = ema;
-    }
-
-    return { ema: emaValues[emaValues.length - 1], values: emaValues };
-}
+// Shared module. Takes the payload arrays as-is (newest first).
+const { calculateRSI, calculateATR, calculateEMA } = require('fx-quant-lib/indicators');
+const { instrumentFromPayload, formatPrice } = require('fx-quant-lib/instruments');
+const { parseQuote } = require('fx-quant-lib/spread');
+const { buildExit } = require('fx-quant-lib/exits');
+const { createTrace } = require('fx-quant-lib/trace');
 // --- End Helpers ---
 
 
-// --- Main Strategy Logic (v4.7) ---
+// --- Main Strategy Logic (v4.8) ---
 if (items.length < 3) {
   throw new Error("Scorer (AI Agent) expects 3 items from AI_Merge node. Did you add the AI_Merge node?");
 }
@@ -112,26 +57,29 @@ if (items.length < 3) {
 // 1. Parse all our data streams
 const candleData = items[0].json;
 const srData     = items[1].json;
-// items[2] (Quote Data) is ignored.
+const quoteData  = items[2].json;
 
 // Get candle data
 const { symbol, data_5m, data_15m, data_1h, data_4h, meta } = candleData;
 // Get S/R data
 const { pivots, pdh, pdl } = srData;
-// Get pip size
-const pipSize = meta.pip_size || 0.01;
+// --- v4.10: Pip size / digits from the instrument registry (passed by MTF_Combiner) ---
+const instrument = instrumentFromPayload(candleData);
+const pipSize = instrument.pipSize;
 
 let signal = 'flat';
 let confidence = 0.0;
 let recommendedSLPips = 40; // Default for XAU
 let recommendedTPPips = 60; // Default for XAU (will be overwritten)
-let reason = "No signal";
+const trace = createTrace('Scorer_Trend'); // v4.14: Every rule below is a step
 let htf_bias = 'flat';
-let market_data_log = { info: "Spread filter disabled. Quote node not providing bid/ask." };
+// v4.11: bid/ask/spread from the Quote node (typical spread if it has no bid/ask)
+const market_data_log = parseQuote(quoteData, instrument, data_15m && data_15m[0] ? parseFloat(data_15m[0].close) : null);
 
 // 2. Check for minimum candle data
 if (data_4h.length < 55 || data_15m.length < 30 || data_1h.length < 30) {
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason: 'Not enough data for EMAs/RSI', market_data: market_data_log, sr_data: srData } }];
+    trace.veto('data', { bars_4h: data_4h.length, bars_15m: data_15m.length, bars_1h: data_1h.length }, 'Not enough data for EMAs/RSI');
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, config: CONFIG } }];
 }
 
 // 3. Get All Indicators
@@ -143,8 +91,10 @@ const atr_1h   = calculateATR(data_1h, 14);
 const atr_15m  = calculateATR(data_15m, 14); // For Volatility Filter
 
 // Check if indicators are valid
-if (!rsi_4h.rsi || !ema_4h.ema || !rsi_15m.rsi || !ema_15m.ema || !atr_1h.atr || !atr_15m.atr) {
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason: 'Indicator calculation failed, not enough data.', market_data: market_data_log, sr_data: srData } }];
+if (rsi_4h.error || ema_4h.error || rsi_15m.error || ema_15m.error || atr_1h.error || atr_15m.error) {
+    trace.veto('indicators', { rsi_4h: rsi_4h.rsi, ema_4h: ema_4h.ema, rsi_15m: rsi_15m.rsi, ema_15m: ema_15m.ema, atr_1h: atr_1h.atr, atr_15m: atr_15m.atr },
+        'Indicator calculation failed, not enough data.');
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, config: CONFIG } }];
 }
 
 const last_rsi_4h    = rsi_4h.rsi;
@@ -162,98 +112,111 @@ const current_15m_candle = data_15m[0];
 const current_15m_range = parseFloat(current_15m_candle.high) - parseFloat(current_15m_candle.low);
 const avg_15m_range = last_atr_15m;
 
-if (current_15m_range > (avg_15m_range * VOLATILITY_SPIKE_MULT)) {
-  reason = `VETO: Volatility spike detected. 15m range (${current_15m_range.toFixed(2)}) > ${VOLATILITY_SPIKE_MULT}x ATR (${avg_15m_range.toFixed(2)}). Market unsafe.`;
-  return [{ json: { symbol, signal: 'flat', confidence: 0, reason, market_data: market_data_log, sr_data: srData } }];
+if (!trace.gate('volatility_spike', current_15m_range <= (avg_15m_range * VOLATILITY_SPIKE_MULT),
+  { range_15m: current_15m_range, atr_15m: avg_15m_range, mult: VOLATILITY_SPIKE_MULT },
+  `VETO: Volatility spike detected. 15m range (${formatPrice(current_15m_range, instrument)}) > ${VOLATILITY_SPIKE_MULT}x ATR (${formatPrice(avg_15m_range, instrument)}). Market unsafe.`)) {
+  return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, config: CONFIG } }];
 }
 // --- End Volatility Filter ---
 
 
 // 4. Determine Trend Bias (4-Hour Chart)
-if (last_price_4h > last_ema_4h && last_rsi_4h > 52) {
+if (last_price_4h > last_ema_4h && last_rsi_4h > PARAMS.rsiBiasBuyThreshold) {
     htf_bias = 'long';
-} else if (last_price_4h < last_ema_4h && last_rsi_4h < 48) {
+} else if (last_price_4h < last_ema_4h && last_rsi_4h < PARAMS.rsiBiasSellThreshold) {
     htf_bias = 'short';
-} else {
-    reason = `HTF chop (4H Price vs 50EMA, 4H RSI: ${last_rsi_4h.toFixed(1)})`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, market_data: market_data_log, sr_data: srData } }];
+}
+const biasInputs = { price_4h: last_price_4h, ema_4h: last_ema_4h, rsi_4h: last_rsi_4h };
+if (!trace.gate('htf_bias', htf_bias !== 'flat', biasInputs, `HTF chop (4H Price vs 50EMA, 4H RSI: ${last_rsi_4h.toFixed(1)})`)) {
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, config: CONFIG } }];
+}
+
+// --- v4.12: Bias vs the shared regime (Neutral regimes leave the bias alone) ---
+const market_regime = candleData.market_regime || null;
+if (!trace.gate('regime', !(market_regime && ((htf_bias === 'long' && market_regime.direction === 'Down') || (htf_bias === 'short' && market_regime.direction === 'Up'))),
+  { bias: htf_bias, state: market_regime && market_regime.state, direction: market_regime && market_regime.direction },
+  `HTF bias ${htf_bias} conflicts with regime ${market_regime && market_regime.state} (confidence ${market_regime && market_regime.confidence})`)) {
+  return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, market_regime, config: CONFIG } }];
 }
 
 // 5. Look for LTF Entry (15-Min Chart)
 let entrySignal = false;
-let baseConfidence = 0.5; // Start at 50% for a valid setup
+let baseConfidence = PARAMS.confidenceBase; // Start at 50% for a valid setup
 let signalType = "none";
-reason = "No signal"; // Reset reason
+let entryText = null;
 
 if (htf_bias === 'long') {
     // --- Signal 1: Momentum/Continuation ---
-    if (last_price_15m > last_ema_15m && last_rsi_15m > 55) {
+    if (last_price_15m > last_ema_15m && last_rsi_15m > PARAMS.rsiMomentumBuyThreshold) {
         signal = 'buy';
         entrySignal = true;
         signalType = 'momentum';
-        reason = "4H Trend Up, 15m Momentum (RSI > 55)";
-        baseConfidence += 0.15; 
-        if (last_rsi_4h > 60) baseConfidence += 0.15; 
-        if (last_rsi_15m > 65) baseConfidence += 0.10; 
+        entryText = `4H Trend Up, 15m Momentum (RSI > ${PARAMS.rsiMomentumBuyThreshold})`;
+        baseConfidence += PARAMS.momentumBonus;
+        if (last_rsi_4h > PARAMS.rsiHtfStrongBuyThreshold) baseConfidence += PARAMS.momentumHtfBonus;
+        if (last_rsi_15m > PARAMS.rsiStrongBuyThreshold) baseConfidence += PARAMS.momentumStrongBonus;
     }
     // --- Signal 2: Mean-Reversion/Pullback ---
-    else if (last_rsi_15m < 35) {
+    else if (last_rsi_15m < PARAMS.rsiPullbackBuyThreshold) {
         signal = 'buy';
         entrySignal = true;
         signalType = 'reversion';
-        reason = "4H Trend Up, 15m Pullback (RSI < 35)";
-        if (last_rsi_4h > 60) baseConfidence += 0.10; 
-        if (last_rsi_15m < 25) baseConfidence += 0.20; 
+        entryText = `4H Trend Up, 15m Pullback (RSI < ${PARAMS.rsiPullbackBuyThreshold})`;
+        if (last_rsi_4h > PARAMS.rsiHtfStrongBuyThreshold) baseConfidence += PARAMS.pullbackHtfBonus;
+        if (last_rsi_15m < PARAMS.rsiDeepBuyThreshold) baseConfidence += PARAMS.pullbackDeepBonus;
     }
     // --- IMPROVEMENT #1: Shallow Pullback Entry ---
-    else if (last_price_15m <= last_ema_15m && last_rsi_15m > 40) {
+    else if (last_price_15m <= last_ema_15m && last_rsi_15m > PARAMS.rsiShallowBuyThreshold) {
         signal = 'buy';
         entrySignal = true;
         signalType = 'shallow_pullback';
-        reason = "4H Trend Up, 15m Pullback to 21-EMA";
-        baseConfidence = 0.6; // This is a high-quality signal
-        if (last_rsi_4h > 60) baseConfidence += 0.15;
+        entryText = "4H Trend Up, 15m Pullback to 21-EMA";
+        baseConfidence = PARAMS.confidenceShallowPullback; // This is a high-quality signal
+        if (last_rsi_4h > PARAMS.rsiHtfStrongBuyThreshold) baseConfidence += PARAMS.shallowHtfBonus;
     }
     // --- END IMPROVEMENT #1 ---
 
 } else if (htf_bias === 'short') {
     // --- Signal 1: Momentum/Continuation ---
-    if (last_price_15m < last_ema_15m && last_rsi_15m < 45) {
+    if (last_price_15m < last_ema_15m && last_rsi_15m < PARAMS.rsiMomentumSellThreshold) {
         signal = 'sell';
         entrySignal = true;
         signalType = 'momentum';
-        reason = "4H Trend Down, 15m Momentum (RSI < 45)";
-        baseConfidence += 0.15;
-        if (last_rsi_4h < 40) baseConfidence += 0.15;
-        if (last_rsi_15m < 35) baseConfidence += 0.10;
+        entryText = `4H Trend Down, 15m Momentum (RSI < ${PARAMS.rsiMomentumSellThreshold})`;
+        baseConfidence += PARAMS.momentumBonus;
+        if (last_rsi_4h < PARAMS.rsiHtfStrongSellThreshold) baseConfidence += PARAMS.momentumHtfBonus;
+        if (last_rsi_15m < PARAMS.rsiStrongSellThreshold) baseConfidence += PARAMS.momentumStrongBonus;
     }
     // --- Signal 2: Mean-Reversion/Pullback ---
-    else if (last_rsi_15m > 65) {
+    else if (last_rsi_15m > PARAMS.rsiPullbackSellThreshold) {
         signal = 'sell';
         entrySignal = true;
         signalType = 'reversion';
-        reason = "4H Trend Down, 15m Pullback (RSI > 65)";
-        if (last_rsi_4h < 40) baseConfidence += 0.10;
-        if (last_rsi_15m > 75) baseConfidence += 0.20;
+        entryText = `4H Trend Down, 15m Pullback (RSI > ${PARAMS.rsiPullbackSellThreshold})`;
+        if (last_rsi_4h < PARAMS.rsiHtfStrongSellThreshold) baseConfidence += PARAMS.pullbackHtfBonus;
+        if (last_rsi_15m > PARAMS.rsiDeepSellThreshold) baseConfidence += PARAMS.pullbackDeepBonus;
     }
     // --- IMPROVEMENT #1: Shallow Pullback Entry ---
-    else if (last_price_15m >= last_ema_15m && last_rsi_15m < 60) {
+    else if (last_price_15m >= last_ema_15m && last_rsi_15m < PARAMS.rsiShallowSellThreshold) {
         signal = 'sell';
         entrySignal = true;
         signalType = 'shallow_pullback';
-        reason = "4H Trend Down, 15m Pullback to 21-EMA";
-        baseConfidence = 0.6; // This is a high-quality signal
-        if (last_rsi_4h < 40) baseConfidence += 0.15;
+        entryText = "4H Trend Down, 15m Pullback to 21-EMA";
+        baseConfidence = PARAMS.confidenceShallowPullback; // This is a high-quality signal
+        if (last_rsi_4h < PARAMS.rsiHtfStrongSellThreshold) baseConfidence += PARAMS.shallowHtfBonus;
     }
     // --- END IMPROVEMENT #1 ---
 }
 
 // 6. No Entry Found
+const entryInputs = { price_15m: last_price_15m, ema_15m: last_ema_15m, rsi_15m: last_rsi_15m, rsi_4h: last_rsi_4h, type: signalType };
 if (!entrySignal) {
-    reason = `HTF bias ${htf_bias}, no 15m entry (15m RSI: ${last_rsi_15m.toFixed(1)})`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, market_data: market_data_log, sr_data: srData } }];
+    trace.check('entry', false, entryInputs, `HTF bias ${htf_bias}, no 15m entry (15m RSI: ${last_rsi_15m.toFixed(1)})`);
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, config: CONFIG } }];
 }
 
+trace.adjust('entry', baseConfidence, entryInputs, entryText); // Base + RSI strength bonuses
+
 // --- FILTER 2: S/R (CONTEXT) ---
 const sr_zone_amount = last_atr_1h * SR_ZONE_ATR_MULT; 
 let srContextApplied = false;
@@ -285,8 +248,8 @@ if (signal === 'buy') {
   // Check for conflict: buying right into resistance
   for (const r of resistanceLevels) {
     if (r && last_price_15m > (r - sr_zone_amount) && last_price_15m < (r + sr_zone_amount)) {
-      baseConfidence -= 0.3;
-      reason += ` (Penalty: At Resistance ${r.toFixed(2)})`;
+      baseConfidence -= PARAMS.srPenalty;
+      trace.adjust('sr_penalty', -PARAMS.srPenalty, { level: r, price: last_price_15m, zone: sr_zone_amount }, `(Penalty: At Resistance ${formatPrice(r, instrument)})`);
       srContextApplied = true;
       break; // Only apply one penalty
     }
@@ -295,8 +258,8 @@ if (signal === 'buy') {
   if (!srContextApplied) { // Don't add bonus if we already added penalty
     for (const s of supportLevels) {
       if (s && last_price_15m > (s - sr_zone_amount) && last_price_15m < (s + sr_zone_amount)) {
-        baseConfidence += 0.2;
-        reason += ` (Bonus: At Support ${s.toFixed(2)})`;
+        baseConfidence += PARAMS.srBonus;
+        trace.adjust('sr_bonus', PARAMS.srBonus, { level: s, price: last_price_15m, zone: sr_zone_amount }, `(Bonus: At Support ${formatPrice(s, instrument)})`);
         break; // Only apply one bonus
       }
     }
@@ -305,8 +268,8 @@ if (signal === 'buy') {
   // Check for conflict: selling right into support
   for (const s of supportLevels) {
     if (s && last_price_15m > (s - sr_zone_amount) && last_price_15m < (s + sr_zone_amount)) {
-      baseConfidence -= 0.3;
-      reason += ` (Penalty: At Support ${s.toFixed(2)})`;
+      baseConfidence -= PARAMS.srPenalty;
+      trace.adjust('sr_penalty', -PARAMS.srPenalty, { level: s, price: last_price_15m, zone: sr_zone_amount }, `(Penalty: At Support ${formatPrice(s, instrument)})`);
       srContextApplied = true;
       break; 
     }
@@ -315,8 +278,8 @@ if (signal === 'buy') {
   if (!srContextApplied) {
     for (const r of resistanceLevels) {
       if (r && last_price_15m > (r - sr_zone_amount) && last_price_15m < (r + sr_zone_amount)) {
-        baseConfidence += 0.2;
-        reason += ` (Bonus: At Resistance ${r.toFixed(2)})`;
+        baseConfidence += PARAMS.srBonus;
+        trace.adjust('sr_bonus', PARAMS.srBonus, { level: r, price: last_price_15m, zone: sr_zone_amount }, `(Bonus: At Resistance ${formatPrice(r, instrument)})`);
         break;
       }
     }
@@ -325,17 +288,16 @@ if (signal === 'buy') {
 
 // 7. Final Veto (if S/R logic made confidence too low)
 confidence = Math.min(1.0, baseConfidence); // Cap at 100%
-if (confidence < 0.1) { // Absolute minimum confidence
-  reason += " (VETO: S/R context makes confidence too low)";
-  return [{ json: { symbol, signal: 'flat', confidence: 0, reason, market_data: market_data_log, sr_data: srData } }];
+if (!trace.gate('min_confidence', confidence >= PARAMS.confidenceMin, { confidence, floor: PARAMS.confidenceMin }, "(VETO: S/R context makes confidence too low)")) { // Absolute minimum confidence
+  return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), market_data: market_data_log, sr_data: srData, config: CONFIG } }];
 }
 
 // 8. Calculate SL, TP & Price
 const currentPrice = parseFloat(data_15m[0].close);
 
 // --- Calculate SL (Unchanged) ---
-const slPipsFromATR = (last_atr_1h * 1.5) / pipSize;
-recommendedSLPips = Math.max(20, Math.round(slPipsFromATR)); // Min 20 pips for XAU
+const slPipsFromATR = (last_atr_1h * PARAMS.slAtrMult) / pipSize;
+recommendedSLPips = Math.max(PARAMS.minSLPips, Math.round(slPipsFromATR)); // Min 20 pips for XAU
 
 // --- IMPROVEMENT #2: Calculate Dynamic TP ---
 // Note: 'supportLevels' and 'resistanceLevels' are now enhanced from FILTER 2
@@ -362,12 +324,15 @@ if (signal === 'buy') {
 
 // Ensure TP is at least a 1:1 R:R, otherwise, default to 1.5:1
 if (!recommendedTPPips || recommendedTPPips < recommendedSLPips) {
-    recommendedTPPips = Math.round(recommendedSLPips * 1.5); // Default to 1.5:1 R:R
+    recommendedTPPips = Math.round(recommendedSLPips * PARAMS.rewardRisk); // Default to 1.5:1 R:R
 } else {
     recommendedTPPips = Math.round(recommendedTPPips);
 }
 // --- END IMPROVEMENT #2 ---
 
+// v4.13: Shared exit schema (price + pips for both levels, rewardRisk)
+const exit = buildExit(signal, currentPrice, { slPips: recommendedSLPips, tpPips: recommendedTPPips }, instrument);
+
 
 // 9. Final Return
 return [{ 
@@ -376,9 +341,8 @@ return [{
         signal, 
         confidence, 
         price: currentPrice,
-        recommendedSLPips,
-        recommendedTPPips, // <-- ADDED
-        reason,
+        ...exit, // v4.13: recommendedSL/TP Price + Pips, rewardRisk
+        ...trace.result(signal, confidence), // v4.14: reason + decision_trace
         signalType,
         indicators: {
             rsi_4h: last_rsi_4h,
@@ -390,6 +354,9 @@ return [{
         },
         market_data: market_data_log,
         sr_data: srData,
-        meta: meta
+        meta: meta,
+        market_regime: market_regime, // v4.12: Shared regime (MTF_Combiner)
+        data_quality: candleData.data_quality || null, // v4.15: Data-quality report (MTF_Combiner)
+        config: CONFIG // Effective config, for reproducibility
     }
 }];
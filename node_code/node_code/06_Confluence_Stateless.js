@@ -1,5 +1,5 @@
 /*
- * STATELESS "SIGNAL CONFLUENCE" NODE (v1.4)
+ * STATELESS "SIGNAL CONFLUENCE" NODE (v2.10)
  *
  * This node's ONLY job is to:
  * 1. Receive all scorer signals.
@@ -7,7 +7,120 @@
  * 3. Output a single, raw signal object (buy, sell, OR flat) for EVERY symbol.
  *
  * It is STATELESS. All state, risk, and order logic
- * will be handled by your Python MT5 bot.
+ * will be handled by your Python MT5 bot. The one exception (v2.0) is the
+ * signal history in 'fx-quant-lib/state', used only to stop re-emitting a trade.
+ *
+ * v2.10 LOGIC:
+ * - Data-quality gate ('fx-quant-lib/quality'): MTF_Combiner's `data_quality` report, echoed
+ *   by the scorers, is checked before anything else. A symbol whose candles failed a check
+ *   (gaps, stale feed, bad ticks, cross-timeframe mismatch, ...) goes out flat with a
+ *   `VETO: Data quality:` reason, unless `data.qualityVeto` is off. Trade signals (and the
+ *   flats the portfolio stage rejects) carry the report as `data_quality`.
+ *
+ * v2.9 LOGIC:
+ * - Decision trace ('fx-quant-lib/trace'): regime, chop veto, routing, exit validation,
+ *   spread cost, state suppression and the portfolio stage are steps with their inputs,
+ *   pass/fail and confidence delta. Every output carries `decision_trace` (with the
+ *   symbol's scorer traces under `scorers`) and `summary`, the human text generated from
+ *   its steps (Telegram). On a trade signal the 'confidence' step's text is the best
+ *   scorer's own `reason` ("momentum: ..."), so the summary carries it. `reason` keeps its
+ *   old wording.
+ *   With `trace.log` on, each decision is appended to a JSONL log (tools/vetoes.js).
+ *
+ * v2.8 LOGIC:
+ * - Confidence calibration ('fx-quant-lib/calibration', config section 'calibration'):
+ *   when enabled, each buy/sell candidate's confidence is mapped through its signal type's
+ *   fitted curve (tools/calibrate.js) to the win rate it has achieved, before the regime
+ *   rules, the vote and the average use it. The best candidate's scorer value is kept
+ *   as `raw_confidence`, which the state store records for the next fit.
+ *
+ * v2.7 LOGIC:
+ * - Pending entries ('fx-quant-lib/orders'): a scorer may propose a limit or stop order
+ *   (`order`). The packet carries `order_type` ('market' | 'limit' | 'stop'), `trigger_price`,
+ *   `expires_at` (now + the order's validity) and `cancel_if` (price conditions that cancel
+ *   it before the fill). Exits, spread cost, sizing and the trade plan are measured from the
+ *   trigger, which is also the `entry_price` of a pending order.
+ *
+ * v2.6 LOGIC:
+ * - Trade-management plan ('fx-quant-lib/tradeplan', config section 'plan') on every trade
+ *   signal as `trade_plan`: TP1..TPn at R multiples snapped to pivots, PDH/PDL, the 1H FVG
+ *   edges (Scorer_Liquidity `fvg_levels`) or the signal's TP, the share (and lots) closed at
+ *   each, the breakeven move and the ATR- or swing-based trailing stop. `sl_price` /
+ *   `tp_price` stay the single-target levels.
+ *
+ * v2.5 LOGIC:
+ * - One exit schema ('fx-quant-lib/exits'): every candidate's SL/TP is read as price and
+ *   pips, whichever form its scorer gave (Mean and Breakout targets were price-only and got
+ *   lost). Candidates with an SL or TP on the wrong side of entry, a missing level or an
+ *   R:R below `execution.minRewardRisk` are dropped before the best signal is picked; if
+ *   none is left the symbol is flat with the reasons. Outputs carry `reward_risk`.
+ * - Weighted mode: when candidates are dropped, the vote is re-run without them. The
+ *   signal goes out only if it still passes in the same direction, with the new |net| as
+ *   its confidence.
+ *
+ * v2.4 LOGIC:
+ * - The regime comes from the shared classifier ('fx-quant-lib/regime') that MTF_Combiner
+ *   runs once per symbol and the scorers echo as `market_regime`: its direction is the
+ *   HTF trend (trend_up -> Up, trend_down -> Down, range/squeeze -> Neutral) and a
+ *   volatility expansion is 'High' volatility (no direction + expansion = chop veto).
+ *   The daily EMA-200 / ATR-percentile router is kept as the fallback.
+ *   Outputs carry the full `market_regime` (state, confidence, metrics).
+ *
+ * v2.3 LOGIC:
+ * - Routing by the scorer registry ('fx-quant-lib/scorers') instead of hard-coded type
+ *   lists. 'shallow_pullback' (Trend) and 'break-and-retest' (Breakout) now count as
+ *   technical; before, neither list had them and they could never trigger a trade.
+ * - Buy/sell signals with an unregistered signalType are reported in
+ *   `unregistered_signals` and the reason, instead of being silently ignored.
+ *
+ * v2.2 LOGIC:
+ * - `confluence.mode: 'weighted'` ('fx-quant-lib/ensemble'): instead of the first-match
+ *   boolean rules, every scorer votes with weight[regime][signalType] x confidence, sells
+ *   subtracting. A signal goes out only when |net| >= `netThreshold` and the agreement
+ *   ratio >= `minAgreement`; its confidence is |net|. The per-scorer table is in `votes`,
+ *   also on the flats vetoed after the vote.
+ *   The default mode stays 'boolean'.
+ *
+ * v2.1 LOGIC:
+ * - Portfolio stage ('fx-quant-lib/portfolio', config section 'portfolio') after the
+ *   per-symbol loop: the trade signals of this run are split into per-currency exposure
+ *   and clustered by the correlation of their daily returns (`meta.daily_closes`).
+ *   Highest confidence first; signals that would breach the net-currency or cluster risk
+ *   cap are flattened with the reason (keeping `meta`). Approved signals carry a
+ *   `portfolio` block.
+ * - The workflow polls one symbol per run, so the live signals in the state store
+ *   (unclosed, younger than `state.liveMinutes`) count as accepted exposure too. Records
+ *   keep their risk and daily closes for this.
+ * - Signals are recorded in the state store only after this stage.
+ *
+ * v2.0 LOGIC:
+ * - Signal state store (config section 'state'): a signal is suppressed (flat) while an
+ *   earlier one for the same symbol/direction/strategy is still live, or within the
+ *   cool-down after any signal in the same direction. Emitted signals are recorded and
+ *   carry their `signal_id`.
+ *
+ * v1.9 LOGIC:
+ * - Spread/slippage veto: cost = spread (Quote bid/ask, else typical spread) + slippage.
+ *   Above `execution.maxCostShare` of the TP distance (SL if no TP) the signal is vetoed;
+ *   above `execution.downweightCostShare` confidence is scaled by (1 - share).
+ * - `entry_price` is the fill side of the book (ask for buys, bid for sells); sizing uses
+ *   the effective SL/TP distances from that fill.
+ *
+ * v1.8 LOGIC:
+ * - Position sizing ('fx-quant-lib/sizing'): `lots`, `risk_amount` and `reward_amount`
+ *   (account currency, from config section 'account') are added to every trade signal.
+ *   Cross rates come from the other symbols' prices in this run, then `account.rates`.
+ *
+ * v1.7 LOGIC:
+ * - Pip size and price digits come from the instrument registry; SL/TP prices are rounded.
+ *
+ * v1.6 LOGIC:
+ * - Settings come from the per-symbol effective config the scorers echo (resolved once
+ *   by MTF_Combiner). Every output, flat or not, carries that `config` for reproducibility.
+ *
+ * v1.5 LOGIC:
+ * - regimeVolatilityThreshold is loaded from 'fx-quant-lib/params' (optimizer output;
+ *   superseded by the effective config in v1.6).
  *
  * v1.4 LOGIC:
  * - Added `sl_price` and `tp_price` to the final output object.
@@ -21,10 +134,26 @@
 const allItems = $input.all();
 const results = []; // This will hold our final raw signal(s)
 
-// --- Configuration (Hardcoded for this node) ---
-const regimeVolatilityThreshold = 0.7;
-const TECHNICAL_SCORERS = ['momentum', 'reversion', 'breakout'];
-const DYNAMIC_SCORERS = ['vwap_bias', 'liquidity', 'market_structure'];
+// --- Configuration ---
+// Per symbol: section 'confluence' of the effective config ('fx-quant-lib/config').
+const { getEffectiveConfig } = require('fx-quant-lib/config');
+const { getInstrument } = require('fx-quant-lib/instruments');
+const { calculatePositionSize } = require('fx-quant-lib/sizing');
+const { parseQuote, assessSpreadCost } = require('fx-quant-lib/spread');
+const { openStateStore, stateNow, checkSignal, recordSignal, listLiveSignals } = require('fx-quant-lib/state');
+const { applyPortfolioGuard } = require('fx-quant-lib/portfolio');
+const { weightedVote } = require('fx-quant-lib/ensemble');
+const { getSignalCategory, findUnregistered } = require('fx-quant-lib/scorers');
+const { readExit, validateExit } = require('fx-quant-lib/exits');
+const { buildTradePlan } = require('fx-quant-lib/tradeplan');
+const { buildOrder, entryReference } = require('fx-quant-lib/orders');
+const { loadCalibration, calibrateConfidence } = require('fx-quant-lib/calibration');
+const { createTrace, summarize, appendTraces } = require('fx-quant-lib/trace');
+
+// v2.3: Routing categories from the scorer registry (reversion also counts as technical, as in v1.3)
+const isTechnical = s => ['technical', 'reversion'].includes(getSignalCategory(s.signalType));
+const isDynamic = s => getSignalCategory(s.signalType) === 'dynamic';
+const isReversion = s => getSignalCategory(s.signalType) === 'reversion';
 // ---
 
 // Group items by symbol
@@ -36,46 +165,119 @@ for (const it of allItems) {
   grouped[d.symbol].push(d);
 }
 
+// v1.8: Latest price per symbol in this run, used as live conversion rates for sizing
+const liveRates = {};
+for (const [symbol, arr] of Object.entries(grouped)) {
+  const priced = arr.find(s => typeof s.price === 'number' && s.price > 0);
+  if (priced) liveRates[symbol] = priced.price;
+}
+
+// v2.3: Signals no registered scorer declares, per symbol (reported, never routed)
+const unregisteredBySymbol = {};
+// v2.9: Decision trace per symbol, and the symbol's scorer traces
+const tracesBySymbol = {};
+
 // Process each symbol
 for (const [symbol, arr] of Object.entries(grouped)) {
+  let config = null;
+  const trace = createTrace('Confluence');
+  tracesBySymbol[symbol] = { trace, scorers: arr.map(s => s.decision_trace).filter(Boolean) };
   try {
     if (!arr || arr.length === 0) {
       continue; // Skip if something is fundamentally wrong (no data)
     }
 
-    // --- [Rec 1] Advanced Regime Router (Data Check) ---
-    const firstValidSignal = arr.find(s => s.indicators && s.indicators.rsi_4h !== undefined);
-    if (!firstValidSignal) {
-      console.warn(`No valid indicator data for ${symbol}.`);
-      results.push({ json: { symbol, signal: 'flat', reason: 'VETO: No valid indicator data from any scorer.' } });
-      continue;
+    // --- v1.6: Effective config as resolved by MTF_Combiner (echoed by the scorers) ---
+    const withConfig = arr.find(s => s.config);
+    config = withConfig ? withConfig.config : getEffectiveConfig(symbol);
+    const regimeVolatilityThreshold = config.confluence.regimeVolatilityThreshold;
+
+    const unregistered = findUnregistered(arr);
+    trace.check('registered', unregistered.length === 0, { unregistered: unregistered.map(u => u.signalType).join(', ') || null });
+    if (unregistered.length > 0) {
+      unregisteredBySymbol[symbol] = unregistered;
+      console.warn(`Unregistered signal types for ${symbol}: ${unregistered.map(u => u.signalType).join(', ')}`);
     }
-    const indicators = firstValidSignal.indicators;
-    const rsi_4h = indicators.rsi_4h;
-    const daily_price_above_ema_200 = indicators.daily_price_above_ema_200;
-    const atr_4h_norm = indicators.atr_4h_norm;
 
-    if (rsi_4h === null || rsi_4h === undefined ||
-      daily_price_above_ema_200 === null || daily_price_above_ema_200 === undefined ||
-      atr_4h_norm === null || atr_4h_norm === undefined) {
-      console.warn(`Regime Router: Missing required indicator data for ${symbol}.`);
-      results.push({ json: { symbol, signal: 'flat', reason: 'VETO: Regime Router: Missing required indicator data (RSI, Daily EMA, ATR).' } });
-      continue;
+    // --- v2.10: Data-quality gate (MTF_Combiner's report, echoed by the scorers) ---
+    const withQuality = arr.find(s => s.data_quality);
+    const dataQuality = withQuality ? withQuality.data_quality : null;
+    if (dataQuality && config.data.qualityVeto) {
+      const qualityText = `VETO: Data quality: ${dataQuality.failed.join(', ')}`;
+      if (!trace.gate('data_quality', dataQuality.ok, { failed: dataQuality.failed.join(', ') || null, warnings: dataQuality.warnings.join(', ') || null }, qualityText)) {
+        console.warn(qualityText, `(${symbol})`);
+        results.push({ json: { symbol, signal: 'flat', reason: qualityText, data_quality: dataQuality, config } });
+        continue;
+      }
     }
 
-    // 1. Determine HTF Trend
+    // --- v2.8: Calibrated confidences (copies; the scorer value stays in `raw_confidence`) ---
+    if (config.calibration.enabled) {
+      const calibration = loadCalibration(config.calibration.file || undefined);
+      if (!calibration) {
+        console.warn(`Calibration enabled but no curves file found (${symbol}): raw confidences used.`);
+      } else {
+        arr.forEach((s, k) => {
+          if (s.signal !== 'buy' && s.signal !== 'sell') return;
+          arr[k] = { ...s, raw_confidence: s.confidence, confidence: calibrateConfidence(calibration, s.signalType, s.confidence) };
+          trace.adjust('calibration', arr[k].confidence - s.confidence, { signalType: s.signalType, raw: s.confidence, calibrated: arr[k].confidence });
+        });
+      }
+    }
+
+    // --- v2.4: Regime from the shared classifier (MTF_Combiner, echoed by the scorers) ---
+    const withRegime = arr.find(s => s.market_regime && s.market_regime.state);
+    const marketRegime = withRegime ? withRegime.market_regime : null;
     let htf_trend = 'Neutral';
-    if (daily_price_above_ema_200 === true) htf_trend = 'Up';
-    else if (daily_price_above_ema_200 === false) htf_trend = 'Down';
+    let volatility = 'Low';
 
-    // 2. Determine Volatility
-    const volatility = (atr_4h_norm > regimeVolatilityThreshold) ? 'High' : 'Low';
+    if (marketRegime) {
+      htf_trend = marketRegime.direction; // 'Up' | 'Down' | 'Neutral'
+      volatility = marketRegime.state === 'volatility_expansion' ? 'High' : 'Low';
+    } else {
+      // Fallback (payload without 'market_regime'): daily EMA-200 + 4H ATR percentile
+      // --- [Rec 1] Advanced Regime Router (Data Check) ---
+      const firstValidSignal = arr.find(s => s.indicators && s.indicators.rsi_4h !== undefined);
+      if (!firstValidSignal) {
+        console.warn(`No valid indicator data for ${symbol}.`);
+        trace.veto('regime', { source: 'fallback' }, 'VETO: No valid indicator data from any scorer.');
+        results.push({ json: { symbol, signal: 'flat', reason: 'VETO: No valid indicator data from any scorer.', config } });
+        continue;
+      }
+      const indicators = firstValidSignal.indicators;
+      const rsi_4h = indicators.rsi_4h;
+      const daily_price_above_ema_200 = indicators.daily_price_above_ema_200;
+      const atr_4h_norm = indicators.atr_4h_norm;
+
+      if (rsi_4h === null || rsi_4h === undefined ||
+        daily_price_above_ema_200 === null || daily_price_above_ema_200 === undefined ||
+        atr_4h_norm === null || atr_4h_norm === undefined) {
+        console.warn(`Regime Router: Missing required indicator data for ${symbol}.`);
+        trace.veto('regime', { source: 'fallback', rsi_4h, daily_price_above_ema_200, atr_4h_norm }, 'VETO: Regime Router: Missing required indicator data (RSI, Daily EMA, ATR).');
+        results.push({ json: { symbol, signal: 'flat', reason: 'VETO: Regime Router: Missing required indicator data (RSI, Daily EMA, ATR).', config } });
+        continue;
+      }
+
+      // 1. Determine HTF Trend
+      if (daily_price_above_ema_200 === true) htf_trend = 'Up';
+      else if (daily_price_above_ema_200 === false) htf_trend = 'Down';
+
+      // 2. Determine Volatility
+      volatility = (atr_4h_norm > regimeVolatilityThreshold) ? 'High' : 'Low';
+    }
+
+    trace.check('regime', true, {
+      source: marketRegime ? 'classifier' : 'fallback',
+      state: marketRegime ? marketRegime.state : null,
+      direction: htf_trend,
+      volatility
+    });
 
     // 3. Veto ALL signals if in Neutral/High-Vol chop
-    if (htf_trend === 'Neutral' && volatility === 'High') {
+    if (!trace.gate('chop', !(htf_trend === 'Neutral' && volatility === 'High'), { direction: htf_trend, volatility }, `Regime: Veto. Volatile CHOP.`)) {
       const reason = `Regime: Veto. Volatile CHOP.`;
       console.log(reason, `(${symbol})`);
-      results.push({ json: { symbol, signal: 'flat', reason, regime: htf_trend } });
+      results.push({ json: { symbol, signal: 'flat', reason, regime: htf_trend, market_regime: marketRegime, config } });
       continue;
     }
 
@@ -85,18 +287,23 @@ for (const [symbol, arr] of Object.entries(grouped)) {
 
     let filteredArr = [];
     let confluenceReason = "No Signal";
+    let votes = null; // v2.2: Per-scorer vote table (weighted mode only)
 
     // --- Find all signal types ---
-    const tech_buys = buySignals.some(s => TECHNICAL_SCORERS.includes(s.signalType));
-    const dynamic_buys = buySignals.some(s => DYNAMIC_SCORERS.includes(s.signalType));
-    const reversion_buys = buySignals.some(s => s.signalType === 'reversion');
-
-    const tech_sells = sellSignals.some(s => TECHNICAL_SCORERS.includes(s.signalType));
-    const dynamic_sells = sellSignals.some(s => DYNAMIC_SCORERS.includes(s.signalType));
-    const reversion_sells = sellSignals.some(s => s.signalType === 'reversion');
+    const tech_buys = buySignals.some(isTechnical);
+    const dynamic_buys = buySignals.some(isDynamic);
+    const reversion_buys = buySignals.some(isReversion);
 
+    const tech_sells = sellSignals.some(isTechnical);
+    const dynamic_sells = sellSignals.some(isDynamic);
+    const reversion_sells = sellSignals.some(isReversion);
 
-    if (htf_trend === 'Up') {
+    if (config.confluence.mode === 'weighted') {
+      // --- v2.2 LOGIC: Weighted ensemble vote (opposing signals subtract) ---
+      votes = weightedVote(arr, htf_trend, config.confluence);
+      filteredArr = votes.winners;
+      confluenceReason = votes.reason;
+    } else if (htf_trend === 'Up') {
       // --- v1.3 LOGIC: Look for BUYS (with trend) OR REVERSION SELLS (counter-trend) ---
       if (tech_buys || dynamic_buys) {
         filteredArr = buySignals;
@@ -105,7 +312,7 @@ for (const [symbol, arr] of Object.entries(grouped)) {
         if (dynamic_buys) reasons.push("Dynamic");
         confluenceReason = `Signal: ${reasons.join(' + ')} BUYS (With Trend)`;
       } else if (reversion_sells) {
-        filteredArr = sellSignals.filter(s => s.signalType === 'reversion'); // Only take reversion sells
+        filteredArr = sellSignals.filter(isReversion); // Only take reversion sells
         confluenceReason = `Signal: Reversion SELLS (Counter-Trend)`;
       } else {
         confluenceReason = `No Buy Signals or Reversion Sells Found`;
@@ -119,7 +326,7 @@ for (const [symbol, arr] of Object.entries(grouped)) {
         if (dynamic_sells) reasons.push("Dynamic");
         confluenceReason = `Signal: ${reasons.join(' + ')} SELLS (With Trend)`;
       } else if (reversion_buys) {
-        filteredArr = buySignals.filter(s => s.signalType === 'reversion'); // Only take reversion buys
+        filteredArr = buySignals.filter(isReversion); // Only take reversion buys
         confluenceReason = `Signal: Reversion BUYS (Counter-Trend)`;
       } else {
         confluenceReason = `No Sell Signals or Reversion Buys Found`;
@@ -144,75 +351,198 @@ for (const [symbol, arr] of Object.entries(grouped)) {
     }
 
     // --- Check if any signals were found ---
+    const routingInputs = {
+      mode: config.confluence.mode,
+      regime: htf_trend,
+      buys: buySignals.length,
+      sells: sellSignals.length,
+      tech_buys, dynamic_buys, reversion_buys, tech_sells, dynamic_sells, reversion_sells,
+      net: votes ? votes.net : null,
+      selected: filteredArr.map(s => `${s.signalType} ${s.signal}`).join(', ') || null
+    };
     if (filteredArr.length === 0) {
       const reason = `Regime: ${htf_trend}. ${confluenceReason}.`;
+      trace.veto('routing', routingInputs, reason);
       console.log(reason, `(${symbol})`);
-      results.push({ json: { symbol, signal: 'flat', reason, regime: htf_trend } });
+      results.push({ json: { symbol, signal: 'flat', reason, regime: htf_trend, market_regime: marketRegime, votes, config } });
       continue;
     }
+    trace.check('routing', true, routingInputs, confluenceReason);
     // --- END CONFLUENCE LOGIC ---
 
+    // v1.7: Instrument registry (pip size, digits)
+    const instrument = getInstrument(symbol);
+
+    // --- v2.5: Unified exits; drop candidates whose SL/TP fails validation ---
+    const exitRejects = [];
+    const exitDropped = [];
+    filteredArr = filteredArr.filter(s => {
+      const problem = validateExit(readExit(s, instrument), entryReference(s), config.execution.minRewardRisk, instrument);
+      if (problem) {
+        exitRejects.push(`${s.signalType} ${s.signal}: ${problem}`);
+        exitDropped.push(s);
+      }
+      return !problem;
+    });
+    // Weighted mode: the dropped candidates no longer back the vote, so it is re-run without them
+    if (votes && exitDropped.length > 0 && filteredArr.length > 0) {
+      const direction = votes.direction;
+      votes = weightedVote(arr.filter(s => !exitDropped.includes(s)), htf_trend, config.confluence);
+      filteredArr = votes.direction === direction ? votes.winners : [];
+      if (filteredArr.length > 0) confluenceReason = votes.reason;
+      else exitRejects.push(votes.reason);
+    }
+    if (!trace.gate('exit', filteredArr.length > 0, { rejected: exitRejects.join('; ') || null, minRewardRisk: config.execution.minRewardRisk }, `VETO: Exit: ${exitRejects.join('; ')}.`)) {
+      const reason = `VETO: Exit: ${exitRejects.join('; ')}. ${confluenceReason}.`;
+      console.log(reason, `(${symbol})`);
+      results.push({ json: { symbol, signal: 'flat', reason, regime: htf_trend, market_regime: marketRegime, votes, config } });
+      continue;
+    }
+
     // --- If we get here, VALID SIGNALS WERE FOUND ---
 
     // --- Calculate a confidence-weighted average signal ---
-    const avgConfidence = Math.min(1, filteredArr.reduce((a, b) => a + (b.confidence || 0), 0) / Math.max(1, filteredArr.length));
+    // v2.2: In weighted mode the confidence is the net vote (v2.5: of the candidates left)
+    const avgConfidence = votes
+      ? Math.min(1, Math.abs(votes.net))
+      : Math.min(1, filteredArr.reduce((a, b) => a + (b.confidence || 0), 0) / Math.max(1, filteredArr.length));
 
     // Find the "best" signal to provide price, SL, and strategy type
-    filteredArr.sort((a, b) => b.confidence - a.confidence);
+    // (weighted mode: already ordered by contribution)
+    if (!votes) filteredArr.sort((a, b) => b.confidence - a.confidence);
     const bestSignal = filteredArr[0];
     const strategyType = bestSignal.signalType;
     
-    // --- v1.4: CALCULATE SL/TP PRICES ---
+    // --- v1.4: SL/TP PRICES (v2.5: from the shared exit schema) ---
     const meta = bestSignal.meta || {};
     const signal = bestSignal.signal;
     const price = bestSignal.price;
-    const slPips = bestSignal.recommendedSLPips || null;
-    const tpPips = bestSignal.recommendedTPPips || null;
+    const exit = readExit(bestSignal, instrument);
+    // v2.7: Entry order (scorers without one enter at market); levels are measured from its trigger
+    const order = bestSignal.order || buildOrder(signal, price, null, instrument);
+    const entryRef = entryReference(bestSignal);
+    const slPips = exit.recommendedSLPips;
+    const tpPips = exit.recommendedTPPips;
+    const sl_price = exit.recommendedSLPrice;
+    const tp_price = exit.recommendedTPPrice;
+    // --- End v1.4 Calculation ---
 
-    // Robust PipSize Logic
-    let pipSize = 0.01; // Default for JPY pairs or XAU
-    if (meta && meta.pip_size) {
-      pipSize = meta.pip_size;
-    } else if (symbol && !symbol.includes('JPY') && !symbol.includes('XAU')) {
-      pipSize = 0.0001; // Default for non-JPY majors/minors
-    }
+    // --- v1.9: Spread & slippage cost ---
+    const execution = config.execution;
+    const marketData = (bestSignal.market_data && bestSignal.market_data.source) ? bestSignal.market_data : parseQuote(null, instrument, price);
+    // A pending order fills at its trigger, not across the current book
+    const costBook = order.type === 'market' ? marketData : { ...marketData, bid: null, ask: null };
+    const cost = assessSpreadCost(costBook, { signal, price: entryRef, slPips, tpPips }, instrument, execution.slippagePips);
+    let confidence = avgConfidence;
+    let reason = confluenceReason;
+    if (order.note) reason += ` | ${order.note}`;
+    trace.adjust('confidence', avgConfidence, { candidates: filteredArr.length, best: `${strategyType} ${bestSignal.confidence}` }, `${strategyType}: ${bestSignal.reason}`);
+    if (order.note) trace.note('order', { type: order.type, trigger: order.trigger_price }, order.note);
 
-    let sl_price = null;
-    let tp_price = null;
+    const costInputs = { costPips: cost.costPips, costToTarget: cost.costToTarget, max: execution.maxCostShare, downweight: execution.downweightCostShare };
+    if (!trace.gate('spread_cost', !(cost.costToTarget !== null && cost.costToTarget > execution.maxCostShare), costInputs,
+      `VETO: Spread cost ${cost.costPips.toFixed(1)} pips is ${(cost.costToTarget * 100).toFixed(0)}% of target (max ${(execution.maxCostShare * 100).toFixed(0)}%).`)) {
+      const vetoReason = `VETO: Spread cost ${cost.costPips.toFixed(1)} pips is ${(cost.costToTarget * 100).toFixed(0)}% of target (max ${(execution.maxCostShare * 100).toFixed(0)}%). ${confluenceReason}.`;
+      console.log(vetoReason, `(${symbol})`);
+      results.push({ json: { symbol, signal: 'flat', reason: vetoReason, regime: htf_trend, market_regime: marketRegime, votes, spread: cost, market_data: marketData, config } });
+      continue;
+    }
+    if (cost.costToTarget !== null && cost.costToTarget > execution.downweightCostShare) {
+      confidence = confidence * (1 - cost.costToTarget);
+      reason += ` | Spread cost ${(cost.costToTarget * 100).toFixed(0)}% of target: confidence down-weighted`;
+      trace.adjust('spread_cost', -avgConfidence * cost.costToTarget, costInputs, `Spread cost ${(cost.costToTarget * 100).toFixed(0)}% of target: confidence down-weighted`);
+    }
+    // --- End v1.9 Spread ---
 
-    if (signal === 'buy' && price && slPips) {
-      sl_price = price - (slPips * pipSize);
-    } else if (signal === 'sell' && price && slPips) {
-      sl_price = price + (slPips * pipSize);
+    // --- v2.0: Signal state (duplicates & cool-downs) ---
+    const stateConfig = config.state;
+    const store = stateConfig.enabled ? openStateStore(stateConfig) : null;
+    const nowMs = stateNow();
+    if (store) {
+      const hit = checkSignal(store, { symbol, signal, strategyType, price }, stateConfig, nowMs);
+      if (!trace.gate('state', !hit, { kind: hit ? hit.kind : null, of: hit ? hit.of.id : null }, hit ? hit.reason : null)) {
+        console.log(hit.reason, `(${symbol})`);
+        results.push({ json: { symbol, signal: 'flat', reason: `${hit.reason}. ${confluenceReason}.`, regime: htf_trend, market_regime: marketRegime, votes, suppressed: hit.kind, duplicate_of: hit.of.id, config } });
+        continue;
+      }
     }
 
-    if (signal === 'buy' && price && tpPips) {
-      tp_price = price + (tpPips * pipSize);
-    } else if (signal === 'sell' && price && tpPips) {
-      tp_price = price - (tpPips * pipSize);
+    // --- v1.8: Position size from the account settings ---
+    const sizing = calculatePositionSize({
+      instrument,
+      slPips: cost.effectiveSLPips || slPips,
+      tpPips: cost.effectiveTPPips || tpPips,
+      account: config.account,
+      rates: { ...config.account.rates, ...liveRates }
+    });
+    if (sizing.error) console.warn(`Sizing (${symbol}): ${sizing.error}`);
+
+    // --- v2.6: Trade-management plan (partials, breakeven, trailing) ---
+    let tradePlan = null;
+    if (config.plan.enabled) {
+      const withFvgs = arr.find(s => Array.isArray(s.fvg_levels));
+      const withAtr = [bestSignal, ...arr].find(s => s.indicators && s.indicators.atr_1h);
+      tradePlan = buildTradePlan({
+        direction: signal,
+        entry: entryRef,
+        slPrice: sl_price,
+        tpPrice: tp_price,
+        srData: bestSignal.sr_data,
+        fvgLevels: withFvgs ? withFvgs.fvg_levels : [],
+        atrPips: withAtr ? withAtr.indicators.atr_1h / instrument.pipSize : null,
+        lots: sizing.lots,
+        lotStep: config.account.lotStep
+      }, instrument, config.plan);
     }
-    // --- End v1.4 Calculation ---
 
     // --- Create the Raw Signal Object ---
     const rawSignal = {
       symbol: symbol,
       signal: signal, // 'buy' or 'sell'
       price: price,
-      confidence: avgConfidence,
+      entry_price: cost.entryPrice, // v1.9: Fill side of the book (v2.7: trigger of a pending order)
+      // --- v2.7: Entry order ---
+      order_type: order.type,
+      trigger_price: order.trigger_price,
+      expires_at: order.valid_minutes ? new Date(nowMs + order.valid_minutes * 60 * 1000).toISOString() : null,
+      cancel_if: order.cancel_if,
+      // ---
+      confidence: confidence,
+      raw_confidence: bestSignal.raw_confidence !== undefined ? bestSignal.raw_confidence : bestSignal.confidence, // v2.8: Uncalibrated scorer value
       strategyType: strategyType,
-      reason: confluenceReason, // e.g., "Signal: Reversion BUYS (Counter-Trend)"
+      reason: reason, // e.g., "Signal: Reversion BUYS (Counter-Trend)"
       regime: htf_trend,
+      market_regime: marketRegime, // v2.4: Shared regime (state, confidence, metrics); null on the fallback
+      data_quality: dataQuality, // v2.10: Data-quality report (null without one)
       
       // --- v1.4: ADDED SL/TP pips AND price ---
       recommendedSLPips: slPips,
       recommendedTPPips: tpPips,
       sl_price: sl_price,
       tp_price: tp_price,
+      reward_risk: exit.rewardRisk, // v2.5: TP pips / SL pips from the signal price
+      // ---
+
+      // --- v1.8: Position size (account currency) ---
+      lots: sizing.lots,
+      risk_amount: sizing.riskAmount,
+      reward_amount: sizing.rewardAmount,
+      sizing: sizing,
+      // ---
+
+      trade_plan: tradePlan, // v2.6: TP1..TPn, breakeven, trailing (null when disabled)
+
+      // --- v1.9: Execution cost ---
+      spread: cost,
+      market_data: marketData,
       // ---
+
+      votes: votes, // v2.2: Weighted-vote table (null in boolean mode)
       
       indicators: bestSignal.indicators,
       sr_data: bestSignal.sr_data,
-      meta: meta
+      meta: meta,
+      config: config // v1.6: Effective config, for reproducibility
     };
 
     // Add this raw signal to the results to be passed to the next node
@@ -220,10 +550,101 @@ for (const [symbol, arr] of Object.entries(grouped)) {
 
   } catch (err) {
     console.error(`Error processing ${symbol}:`, err.message);
-    results.push({ json: { symbol, signal: 'flat', reason: `VETO: Node error: ${err.message}` } });
+    trace.veto('error', { message: err.message }, `VETO: Node error: ${err.message}`);
+    results.push({ json: { symbol, signal: 'flat', reason: `VETO: Node error: ${err.message}`, config } });
     continue;
   }
 }
 
+// --- v2.3: Surface unregistered signal types on the symbol's output ---
+for (const r of results) {
+  const unregistered = unregisteredBySymbol[r.json.symbol];
+  if (!unregistered) continue;
+  r.json.unregistered_signals = unregistered;
+  r.json.reason += ` | Unregistered signal types ignored: ${unregistered.map(u => `${u.signalType} (${u.signal})`).join(', ')}`;
+}
+
+// --- v2.1: Portfolio stage (currency exposure & correlated clusters across symbols) ---
+// Live signals of earlier runs are accepted exposure (one symbol per run in the workflow)
+const tradeItems = results.filter(r => (r.json.signal === 'buy' || r.json.signal === 'sell') && r.json.config.portfolio.enabled);
+const openExposure = new Map(); // Record id -> live signal of an earlier run
+for (const r of tradeItems) {
+  const stateConfig = r.json.config.state;
+  if (!stateConfig.enabled) continue;
+  try {
+    for (const rec of listLiveSignals(openStateStore(stateConfig), stateConfig, stateNow())) {
+      const instrument = getInstrument(rec.symbol); // Records store the symbol key ('EURUSD')
+      openExposure.set(rec.id, {
+        symbol: instrument.symbol,
+        direction: rec.direction,
+        risk: rec.risk_percent || r.json.config.account.riskPercent,
+        instrument,
+        closes: rec.daily_closes
+      });
+    }
+  } catch (err) {
+    console.error(`State store (${r.json.symbol}):`, err.message);
+  }
+}
+if (tradeItems.length > 1 || (tradeItems.length > 0 && openExposure.size > 0)) {
+  const decisions = applyPortfolioGuard(tradeItems.map(r => ({
+    symbol: r.json.symbol,
+    direction: r.json.signal,
+    confidence: r.json.confidence,
+    risk: r.json.sizing && r.json.sizing.riskPercent ? r.json.sizing.riskPercent : r.json.config.account.riskPercent,
+    instrument: getInstrument(r.json.symbol),
+    closes: r.json.meta && r.json.meta.daily_closes,
+    limits: r.json.config.portfolio
+  })), [...openExposure.values()]);
+  tradeItems.forEach((r, k) => {
+    const d = decisions[k];
+    const portfolio = { exposure: d.exposure, cluster: d.cluster, netExposure: d.netExposure };
+    if (d.approved) {
+      tracesBySymbol[r.json.symbol].trace.check('portfolio', true, { cluster: d.cluster.map(m => m.symbol).join(', ') || null });
+      r.json.portfolio = portfolio;
+      return;
+    }
+    const { symbol, signal, regime, market_regime, data_quality, meta, config } = r.json;
+    const reason = `PORTFOLIO: ${signal.toUpperCase()} ${symbol} rejected: ${d.reason}. ${r.json.reason}.`;
+    console.log(reason);
+    tracesBySymbol[symbol].trace.veto('portfolio', { cluster: d.cluster.map(m => m.symbol).join(', ') || null }, `PORTFOLIO: rejected: ${d.reason}.`);
+    r.json = { symbol, signal: 'flat', reason, regime, market_regime, data_quality, portfolio, meta, config };
+  });
+}
+
+// --- v2.9: Decision trace + generated summary on every output (and the optional log) ---
+const traceLogs = {}; // Log file ('' = default) -> records
+for (const r of results) {
+  const entry = tracesBySymbol[r.json.symbol];
+  if (!entry) continue;
+  const { trace, scorers } = entry;
+  const decision = trace.result(r.json.signal, r.json.signal === 'flat' ? 0 : r.json.confidence).decision_trace;
+  r.json.decision_trace = { ...decision, scorers };
+  r.json.summary = summarize(trace.steps, ' | '); // Includes the best scorer's reason (the 'confidence' step)
+  if (r.json.config && r.json.config.trace.log) {
+    const file = r.json.config.trace.file;
+    (traceLogs[file] = traceLogs[file] || []).push({ time: new Date(stateNow()).toISOString(), symbol: r.json.symbol, decision_trace: r.json.decision_trace });
+  }
+}
+for (const [file, records] of Object.entries(traceLogs)) {
+  try {
+    appendTraces(records, file || undefined);
+  } catch (err) {
+    console.error('Trace log:', err.message);
+  }
+}
+
+// --- v2.0: Record emitted signals, so the next polls can suppress repeats ---
+const recordTime = stateNow();
+for (const r of results) {
+  const s = r.json;
+  if ((s.signal !== 'buy' && s.signal !== 'sell') || !s.config.state.enabled) continue;
+  try {
+    s.signal_id = recordSignal(openStateStore(s.config.state), s, s.config.state, recordTime).id;
+  } catch (err) {
+    console.error(`State store (${s.symbol}):`, err.message);
+  }
+}
+
 // Return all confluent signals to the next node
 return results;
@@ -1,27 +1,55 @@
-// NODE: Scorer_VWAP (v1.0)
+// NODE: Scorer_VWAP (v1.8)
 // DESC: Generates signals based on VWAP bias.
 // REQUIRES: data_1h, data_15m, data_daily, hist_atr_4h
 // REQUIRES: ** `volume` and `typical` (HLC/3) on candle objects **
 // --- BLUEPRINT PATCHES APPLIED (Item 3, 4, 5, 12) ---
 // NEW v1.0: Provides 'vwap_bias' signalType
+// v1.1: Replaced the empty helper stubs with the shared 'fx-quant-lib/indicators' module. The
+//       data check fails on a missing VWAP (null) or an ATR `error`, not on a falsy value.
+// v1.2: SL/TP multipliers, VWAP zone and confidence come from the effective config passed
+//       alongside the MTF payload (section 'vwap'), which is echoed in every output.
+// v1.3: Pip size comes from the instrument registry ('fx-quant-lib/instruments'); was 0.01 for every symbol.
+// v1.4: Quote (items[2]) is parsed into 'market_data' (bid/ask/spread) for the spread veto in Confluence.
+// v1.5: Echoes the shared 'market_regime' from MTF_Combiner in every output.
+// v1.6: Exits use the shared schema ('fx-quant-lib/exits'): SL and TP as both prices and pips,
+//       plus rewardRisk.
+// v1.7: Decision trace ('fx-quant-lib/trace'): data checks, the HTF bias vs the 1H VWAP and the
+//       15m VWAP pullback zone are steps with their inputs, output as `decision_trace`.
+//       `reason` is generated from it.
+// v1.8: Echoes MTF_Combiner's 'data_quality' report in every output, for Confluence's data gate.
+
+// --- CONFIGURATION ---
+// Section 'vwap' of the config document ('fx-quant-lib/config').
+const CONFIG = require('fx-quant-lib/config').configFromPayload(items[0] && items[0].json);
+const PARAMS = CONFIG.vwap;
+// --- End Configuration ---
 
 // --- Standard Helper Functions ---
-function calculateRSI(data, period = 14) { /* ... (Same as other scorers) ... */ }
-function calculateATR(data, period = 14) { /* ... (Same as other scorers) ... */ }
-function calculateEMA(data, period = 21) { /* ... (Same as other scorers) ... */ }
-function computeAtr4hNorm(last_atr_4h, histATRArray) { /* ... (Same as other scorers) ... */ }
+const { calculateRSI, calculateATR, calculateEMA, computeAtrPercentile } = require('fx-quant-lib/indicators');
+const { instrumentFromPayload } = require('fx-quant-lib/instruments');
+const { parseQuote } = require('fx-quant-lib/spread');
+const { buildExit } = require('fx-quant-lib/exits');
+const { createTrace } = require('fx-quant-lib/trace');
+
 function normalizeOutput(out, pipSize = 0.0001) {
     const mapType = { 'vwap_bias': 'vwap_bias' }; // New type
     out.signalType = mapType[out.signalType] || out.signalType || 'vwap_bias';
     out.confidence = Math.max(0, Math.min(1, Number(out.confidence || 0)));
     out.recommendedSLPips = out.recommendedSLPips ? Math.round(out.recommendedSLPips) : null;
     out.recommendedTPPips = out.recommendedTPPips ? Math.round(out.recommendedTPPips) : null;
+    if (out.signal === 'buy' || out.signal === 'sell') {
+        // v1.6: Shared exit schema (price + pips for both levels, rewardRisk)
+        Object.assign(out, buildExit(out.signal, out.price, { slPips: out.recommendedSLPips, tpPips: out.recommendedTPPips }, instrument));
+    }
     out.indicators = out.indicators || {};
     if (out.indicators.atr_1h_pips == null && out.indicators.atr_1h) {
         out.indicators.atr_1h_pips = Math.round(out.indicators.atr_1h / pipSize);
     }
     if (out.indicators.daily_price_above_ema_200 == null) { out.indicators.daily_price_above_ema_200 = null; }
     if (out.indicators.atr_4h_norm == null) { out.indicators.atr_4h_norm = null; }
+    out.market_regime = (items[0] && items[0].json && items[0].json.market_regime) || null; // Shared regime (MTF_Combiner)
+    out.data_quality = (items[0] && items[0].json && items[0].json.data_quality) || null; // v1.8: Data-quality report (MTF_Combiner)
+    out.config = CONFIG; // Effective config, for reproducibility
     return out;
 }
 // --- End Standard Helpers ---
@@ -66,19 +94,25 @@ if (items.length < 3) {
 const candleData = items[0].json;
 const srData     = items[1].json;
 const { symbol, data_15m, data_1h, data_4h, data_daily, meta, hist_atr_4h } = candleData;
-const pipSize = meta.pip_size || 0.01;
+// --- v1.3: Pip size / digits from the instrument registry (passed by MTF_Combiner) ---
+const instrument = instrumentFromPayload(candleData);
+const pipSize = instrument.pipSize;
 
 let signal = 'flat';
 let confidence = 0.0;
-let reason = "No signal";
+const trace = createTrace('Scorer_VWAP'); // v1.7: Every rule below is a step
 
 // 2. Check for minimum data
 if (!data_1h || !data_15m || !data_4h || !data_daily || data_1h.length < 24 || data_15m.length < 24 || data_4h.length < 50 || data_daily.length < 200) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'Not enough candle data' }, pipSize) }];
+    trace.veto('data', { bars_1h: data_1h ? data_1h.length : 0, bars_15m: data_15m ? data_15m.length : 0, bars_4h: data_4h ? data_4h.length : 0, bars_daily: data_daily ? data_daily.length : 0 },
+        'Not enough candle data');
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 // CRITICAL CHECK: Check for volume and typical price
-if (!data_15m[0].volume || !data_15m[0].typical || !data_1h[0].volume || !data_1h[0].typical) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'VETO: Candle data is missing `volume` or `typical` properties.' }, pipSize) }];
+if (!trace.gate('volume', data_15m[0].volume && data_15m[0].typical && data_1h[0].volume && data_1h[0].typical,
+    { volume_15m: Number(data_15m[0].volume) || null, volume_1h: Number(data_1h[0].volume) || null },
+    'VETO: Candle data is missing `volume` or `typical` properties.')) {
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 
 // 3. Get All Indicators
@@ -87,7 +121,7 @@ const daily_ema_200 = calculateEMA(data_daily, 200);
 const last_daily_price = parseFloat(data_daily[0].close);
 const daily_above_200 = (daily_ema_200.ema && last_daily_price > daily_ema_200.ema) ? true : false;
 const atr_4h = calculateATR(data_4h, 14);
-const atr_4h_norm = computeAtr4hNorm(atr_4h.atr, hist_atr_4h);
+const atr_4h_norm = computeAtrPercentile(atr_4h.atr, hist_atr_4h);
 const atr_1h = calculateATR(data_1h, 14);
 const rsi_4h = calculateRSI(data_4h, 14);
 // --- End Standard ---
@@ -96,35 +130,39 @@ const vwap_1h = calculateVWAP(data_1h);
 const vwap_15m = calculateVWAP(data_15m);
 const last_price = parseFloat(data_15m[0].close);
 const atr_1h_pips = (atr_1h.atr && pipSize) ? Math.round(atr_1h.atr / pipSize) : 20;
-const vwap_zone = (atr_1h.atr || 0) * 0.25;
+const vwap_zone = (atr_1h.atr || 0) * PARAMS.zoneAtrMult;
 
-if (!vwap_1h || !vwap_15m || !atr_1h.atr) {
-    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, reason: 'Failed to calculate VWAP or ATR.' }, pipSize) }];
+if (!trace.gate('indicators', vwap_1h != null && vwap_15m != null && !atr_1h.error, { vwap_1h, vwap_15m, atr_1h: atr_1h.atr }, 'Failed to calculate VWAP or ATR.')) {
+    return [{ json: normalizeOutput({ symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0) }, pipSize) }];
 }
 
 // 4. VWAP Bias Logic
 const htf_bias = daily_above_200 ? 'Up' : 'Down';
-const slPips = Math.max(15, Math.round(atr_1h_pips * 1.5));
-let tpPips = Math.round(slPips * 1.8); // Default TP
+const slPips = Math.max(PARAMS.minSLPips, Math.round(atr_1h_pips * PARAMS.slAtrMult));
+let tpPips = Math.round(slPips * PARAMS.rewardRisk); // Default TP
+const biasAligned = htf_bias === 'Up' ? last_price > vwap_1h : last_price < vwap_1h;
+trace.check('vwap_bias', biasAligned, { bias: htf_bias, price: last_price, vwap_1h });
 
 if (htf_bias === 'Up' && last_price > vwap_1h) {
     // HTF Bias is Up, 1H price is above 1H VWAP (Bullish)
     // Look for a pullback to the 15m VWAP
     if (last_price < (vwap_15m + vwap_zone) && last_price > (vwap_15m - vwap_zone)) {
         signal = 'buy';
-        confidence = 0.65;
-        reason = "HTF Up, Price > 1H VWAP, Pullback to 15m VWAP support";
+        confidence = PARAMS.confidence;
+        trace.adjust('vwap_pullback', confidence, { price: last_price, vwap_15m, zone: vwap_zone }, "HTF Up, Price > 1H VWAP, Pullback to 15m VWAP support");
     }
 } else if (htf_bias === 'Down' && last_price < vwap_1h) {
     // HTF Bias is Down, 1H price is below 1H VWAP (Bearish)
     // Look for a pullback to the 15m VWAP
     if (last_price > (vwap_15m - vwap_zone) && last_price < (vwap_15m + vwap_zone)) {
         signal = 'sell';
-        confidence = 0.65;
-        reason = "HTF Down, Price < 1H VWAP, Pullback to 15m VWAP resistance";
+        confidence = PARAMS.confidence;
+        trace.adjust('vwap_pullback', confidence, { price: last_price, vwap_15m, zone: vwap_zone }, "HTF Down, Price < 1H VWAP, Pullback to 15m VWAP resistance");
     }
 }
 
+if (biasAligned && signal === 'flat') trace.check('vwap_pullback', false, { price: last_price, vwap_15m, zone: vwap_zone });
+
 // 5. Final Return
 let finalJson = { 
     symbol, 
@@ -133,7 +171,8 @@ let finalJson = { 
     price: last_price,
     recommendedSLPips: slPips,
     recommendedTPPips: tpPips,
-    reason,
+    ...trace.result(signal, confidence), // v1.7: reason + decision_trace
+    market_data: parseQuote(items[2].json, instrument, last_price), // v1.4: bid/ask/spread
     signalType: "vwap_bias",
     indicators: {
         rsi_4h: rsi_4h.rsi,
@@ -1,6 +1,33 @@
-// NODE: Scorer_Breakout (v2.1 - PDH/PDL Break-and-Retest)
-// VERSION: 2.1
-// DESC: Fixed syntax errors (stray chars, missing comma).
+// NODE: Scorer_Breakout (v2.11 - PDH/PDL Break-and-Retest)
+// VERSION: 2.11
+// v2.11: Echoes MTF_Combiner's 'data_quality' report with its signal, for Confluence's data gate.
+// v2.10: The session hour comes from the candle's `time` (UTC epoch ms, set by MTF_Combiner
+//        v3.7). It used `time * 1000` on Twelve Data candles, which only carry a `datetime`
+//        string, so the hour was NaN and the session filter failed on every poll.
+// v2.9: Decision trace ('fx-quant-lib/trace'): data checks, volatility spike, 4H bias, session,
+//       break-and-retest and the pivot TP are steps with their inputs, output as
+//       `decision_trace`. `reason` is generated from it; a missing TP pivot now reads as the
+//       setup followed by the veto (the dead 'Warning' suffix is gone).
+// v2.8: Optional entry as a pending stop order ('fx-quant-lib/orders') `stopEntryBufferPips`
+//       beyond the retest candle's high (buys) / low (sells), valid `orderValidMinutes`,
+//       cancelled if the SL or TP level trades first. SL/TP are measured from that trigger.
+//       Opt in with `entryMode: 'stop'`; the default 'market' keeps the bar-close entry.
+// v2.7: Reads the S/R Filter's lowercase pivots (r1/s1/r2/s2); the uppercase keys never
+//       existed, so every signal was vetoed for lack of a TP. Exits use the shared schema
+//       ('fx-quant-lib/exits'): SL and TP as both prices and pips, plus rewardRisk.
+// v2.6: Echoes the shared 'market_regime' from MTF_Combiner in the signal.
+// v2.5: Quote (items[2]) is parsed into 'market_data' (bid/ask/spread) for the spread veto in Confluence.
+// v2.4: Pip size and price digits come from the instrument registry ('fx-quant-lib/instruments');
+//       was 0.01 for every symbol. SL/TP prices are rounded to the instrument's digits.
+// v2.3: Configuration (incl. session hours, 20-pip SL floor and 0.85 confidence) comes from
+//       the effective config passed alongside the MTF payload (sections 'breakout' and
+//       'session'). Echoed in every output.
+// v2.2: RSI/ATR/EMA now come from the shared 'fx-quant-lib/indicators' module
+//       (also fixes the divide-by-zero on the first RSI value). The data check vetoes on an
+//       indicator's `error`, so an RSI of 0 is a valid reading.
+//       Thresholds are loaded from 'fx-quant-lib/params' (superseded by 'fx-quant-lib/config'
+//       in v2.3).
+// v2.1: Fixed syntax errors (stray chars, missing comma).
 //       - Waits for 15m break, then retest of PDH/PDL.
 //       - Added structural SL (based on the broken level).
 //       - Added structural TP (based on S1/R1 pivots).
@@ -8,95 +35,26 @@
 // INPUT: Expects 3 items from the AI_Merge node (Mode: Wait)
 // - items[0]: Candle Data (from MTF Node)
 // - items[1]: S/R Pivot Data (from S/R Filter)
-// - items[2]: Quote Data (Unused)
+// - items[2]: Quote Data (bid/ask for 'market_data'; typical spread if absent)
 // OUTPUT: A signal for the Trader node.
 
-// --- Helper Functions (Unchanged) ---
-function calculateRSI(data, period = 14) {
-    if (!data || data.length < period + 1) return { rsi: 50, values: [] };
-    const prices = data.map(d => parseFloat(d.close)).reverse();
-    if (prices.length < period + 1) return { rsi: 50, values: [] };
-    
-    let gains = 0;
-    let losses = 0;
-    let rsiValues = [];
-
-    for (let i = 1; i <= period; i++) {
-        let change = prices[i] - prices[i - 1];
-        if (change > 0) gains += change;
-        else losses -= change;
-    }
-
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-
-    rsiValues.push(100 - (100 / (1 + (avgGain / avgLoss))));
-
-    for (let i = period + 1; i < prices.length; i++) {
-        let change = prices[i] - prices[i - 1];
-        let gain = change > 0 ? change : 0;
-        let loss = change < 0 ? -change : 0;
-        avgGain = ((avgGain * (period - 1)) + gain) / period;
-        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-        let rs = (avgLoss === 0) ? 100 : avgGain / avgLoss;
-        rsiValues.push(100 - (100 / (1 + rs)));
-    }
-    
-    return { rsi: rsiValues[rsiValues.length - 1], values: rsiValues };
-}
-
-function calculateATR(data, period = 14) {
-    if (!data || data.length < period + 1) return { atr: null, values: [] };
-    // FIX: Removed a stray underscore '_' from the next line
-    const candles = [...data].reverse();
-    let trValues = [];
-    trValues.push(parseFloat(candles[0].high) - parseFloat(candles[0].low));
-
-    for (let i = 1; i < candles.length; i++) {
-        let h = parseFloat(candles[i].high);
-        let l = parseFloat(candles[i].low);
-        let prevClose = parseFloat(candles[i-1].close);
-        let tr = Math.max(h - l, Math.abs(h - prevClose), Math.abs(l - prevClose));
-        trValues.push(tr);
-    }
-
-    let atrValues = [];
-    let sum = 0;
-    for(let i=0; i < period; i++) sum += trValues[i];
-    let firstAtr = sum / period;
-    atrValues.push(firstAtr);
-    
-    let prevAtr = firstAtr;
-    for(let i = period; i < trValues.length; i++) {
-        let currentAtr = ((prevAtr * (period - 1)) + trValues[i]) / period;
-        atrValues.push(currentAtr);
-        prevAtr = currentAtr;
-    }
-
-    return { atr: atrValues[atrValues.length - 1], values: atrValues };
-}
-
-function calculateEMA(data, period = 21) {
-    if (!data || data.length < period) return { ema: null, values: [] };
-    const prices = data.map(d => parseFloat(d.close)).reverse();
-    let emaValues = [];
-    const k = 2 / (period + 1); // Smoothing factor
-
-    let sum = 0;
-    for (let i = 0; i < period; i++) {
-        sum += prices[i];
-    }
-    let prevEma = sum / period;
-    emaValues.push(prevEma);
-
-    for (let i = period; i < prices.length; i++) {
-        let ema = (prices[i] * k) + (prevEma * (1 - k));
-        emaValues.push(ema);
-        prevEma = ema;
-    }
-
-    return { ema: emaValues[emaValues.length - 1], values: emaValues };
-}
+// --- CONFIGURATION ---
+// Sections 'breakout' and 'session' of the config document ('fx-quant-lib/config').
+const CONFIG = require('fx-quant-lib/config').configFromPayload(items[0] && items[0].json);
+const PARAMS = CONFIG.breakout;
+const SESSION_WINDOWS_UTC = CONFIG.session.windowsUtc;    // Inclusive [start, end] UTC hours
+const VOLATILITY_SPIKE_MULT = PARAMS.volatilitySpikeMult; // Veto if current candle range is 3x the 15m ATR
+const SR_ZONE_ATR_MULT = PARAMS.srZoneAtrMult;            // Retest zone & SL buffer = 25% of 1H ATR
+// --- End Configuration ---
+
+// --- Helper Functions ---
+// Shared module. Takes the payload arrays as-is (newest first).
+const { calculateRSI, calculateATR, calculateEMA } = require('fx-quant-lib/indicators');
+const { instrumentFromPayload } = require('fx-quant-lib/instruments');
+const { parseQuote } = require('fx-quant-lib/spread');
+const { buildExit } = require('fx-quant-lib/exits');
+const { buildOrder, addCancelConditions } = require('fx-quant-lib/orders');
+const { createTrace } = require('fx-quant-lib/trace');
 // --- End Helpers ---
 
 
@@ -109,18 +67,23 @@ if (items.length < 3) {
 const candleData = items[0].json;
 const srData     = items[1].json;
 const { symbol, data_5m, data_15m, data_1h, data_4h, meta } = candleData;
-const { pivots, pdh, pdl } = srData; // Pivots (R1, S1) are now used
-const pipSize = meta.pip_size || 0.01;
+const { pdh, pdl } = srData;
+const pivots = srData.pivots || {}; // v2.7: S/R Filter keys are lowercase (r1, s1, ...)
+// --- v2.4: Pip size / digits from the instrument registry (passed by MTF_Combiner) ---
+const instrument = instrumentFromPayload(candleData);
+const pipSize = instrument.pipSize;
 
 let signal = 'flat';
 let confidence = 0.0;
-let reason = "No signal";
+const trace = createTrace('Scorer_Breakout'); // v2.9: Every rule below is a step
 let htf_bias = 'flat';
 
 // 2. Check for minimum data
 // We now need at least 2 15m candles for B&R logic
 if (data_4h.length < 55 || data_15m.length < 30 || data_1h.length < 30 || !pdh || !pdl) {
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason: 'Not enough data for B&R (needs candles + PDH/PDL)', sr_data: srData } }];
+    trace.veto('data', { bars_4h: data_4h.length, bars_15m: data_15m.length, bars_1h: data_1h.length, pdh, pdl },
+        'Not enough data for B&R (needs candles + PDH/PDL)');
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 // 3. Get All Indicators
@@ -131,8 +94,10 @@ const atr_1h      = calculateATR(data_1h, 14);
 const atr_15m     = calculateATR(data_15m, 14); // For volatility check
 
 // Check if indicators are valid
-if (!rsi_4h.rsi || !ema_4h.ema || !rsi_15m.rsi || !atr_1h.atr || !atr_15m.atr) {
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason: 'Indicator calculation failed, not enough data.', sr_data: srData } }];
+if (rsi_4h.error || ema_4h.error || rsi_15m.error || atr_1h.error || atr_15m.error) {
+    trace.veto('indicators', { rsi_4h: rsi_4h.rsi, ema_4h: ema_4h.ema, rsi_15m: rsi_15m.rsi, atr_1h: atr_1h.atr, atr_15m: atr_15m.atr },
+        'Indicator calculation failed, not enough data.');
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 const last_rsi_4h    = rsi_4h.rsi;
@@ -144,14 +109,14 @@ const prev_close_15m = parseFloat(data_15m[1].close); // Get previous close for
 const last_atr_1h    = atr_1h.atr;
 
 // --- FILTER 1: VOLATILITY (Unchanged) ---
-const VOLATILITY_SPIKE_MULT = 3.0;
 const current_15m_candle = data_15m[0];
 const current_15m_range = parseFloat(current_15m_candle.high) - parseFloat(current_15m_candle.low);
 const avg_15m_range = atr_15m.atr;
 
-if (current_15m_range > (avg_15m_range * VOLATILITY_SPIKE_MULT)) {
-    reason = `VETO (B&R): Volatility spike detected. Market unsafe.`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, sr_data: srData } }];
+if (!trace.gate('volatility_spike', current_15m_range <= (avg_15m_range * VOLATILITY_SPIKE_MULT),
+    { range_15m: current_15m_range, atr_15m: avg_15m_range, mult: VOLATILITY_SPIKE_MULT },
+    `VETO (B&R): Volatility spike detected. Market unsafe.`)) {
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 // 4. Determine Trend Bias (4-Hour Chart) - Simplified
@@ -160,28 +125,32 @@ if (last_price_4h > last_ema_4h) {
 } else if (last_price_4h < last_ema_4h) {
     htf_bias = 'short';
 }
+trace.check('htf_bias', htf_bias !== 'flat', { price_4h: last_price_4h, ema_4h: last_ema_4h, bias: htf_bias });
 
 // --- FILTER 2: SESSION FILTER (NEW) ---
-const currentDate = new Date(data_15m[0].time * 1000);
+const currentDate = new Date(data_15m[0].time); // v2.10: UTC epoch ms of the bar open
 const currentHour = currentDate.getUTCHours();
-// Only trade London Open (7-10) or NY Open (12-15)
-const isHighLiquidity = (currentHour >= 7 && currentHour <= 10) || (currentHour >= 12 && currentHour <= 15);
+// Only trade the configured sessions (default: London Open 7-10, NY Open 12-15)
+const isHighLiquidity = !PARAMS.useSessionFilter || SESSION_WINDOWS_UTC.some(([start, end]) => currentHour >= start && currentHour <= end);
+trace.check('session', isHighLiquidity, { hour_utc: currentHour, filter: PARAMS.useSessionFilter });
 
 // 5. Look for Break-and-Retest (B&R) Entry (15-Min Chart)
-const sr_zone_amount = last_atr_1h * 0.25; // 25% of 1H ATR for retest zone & SL buffer
-const retest_rsi_buy  = 55; // For B&R, we want RSI to show momentum is *holding*
-const retest_rsi_sell = 45;
+const sr_zone_amount = last_atr_1h * SR_ZONE_ATR_MULT; // Retest zone & SL buffer
+const retest_rsi_buy  = PARAMS.rsiBuyThreshold; // For B&R, we want RSI to show momentum is *holding*
+const retest_rsi_sell = PARAMS.rsiSellThreshold;
+let retestInputs = { bias: htf_bias, session: isHighLiquidity, rsi_15m: last_rsi_15m };
 
 if (htf_bias === 'long' && isHighLiquidity) {
     // Look for a Break-and-Retest of PDH
     const hasBrokenPDH = prev_close_15m > pdh; // 1. Did we *break* above PDH?
     const isRetestingPDH = last_price_15m < (pdh + sr_zone_amount) && last_price_15m > pdh; // 2. Is price *retesting* the level?
     const hasMomentum = last_rsi_15m > retest_rsi_buy; // 3. Is momentum holding > 55?
+    retestInputs = { ...retestInputs, level: pdh, prev_close_15m, close_15m: last_price_15m, zone: sr_zone_amount, broken: hasBrokenPDH, retesting: isRetestingPDH, momentum: hasMomentum };
 
     if (hasBrokenPDH && isRetestingPDH && hasMomentum) {
         signal = 'buy';
-        reason = "4H Trend Up, 15m Break-and-Retest of PDH in high-liquidity session.";
-        confidence = 0.85; // B&R is a high-confidence setup
+        confidence = PARAMS.confidence; // B&R is a high-confidence setup
+        trace.adjust('break_retest', confidence, retestInputs, "4H Trend Up, 15m Break-and-Retest of PDH in high-liquidity session.");
     }
 
 } else if (htf_bias === 'short' && isHighLiquidity) {
@@ -189,22 +158,32 @@ if (htf_bias === 'long' && isHighLiquidity) {
     const hasBrokenPDL = prev_close_15m < pdl; // 1. Did we *break* below PDL?
     const isRetestingPDL = last_price_15m > (pdl - sr_zone_amount) && last_price_15m < pdl; // 2. Is price *retesting* the level?
     const hasMomentum = last_rsi_15m < retest_rsi_sell; // 3. Is momentum holding < 45?
+    retestInputs = { ...retestInputs, level: pdl, prev_close_15m, close_15m: last_price_15m, zone: sr_zone_amount, broken: hasBrokenPDL, retesting: isRetestingPDL, momentum: hasMomentum };
 
     if (hasBrokenPDL && isRetestingPDL && hasMomentum) {
         signal = 'sell';
-        reason = "4H Trend Down, 15m Break-and-Retest of PDL in high-liquidity session.";
-        confidence = 0.85;
+        confidence = PARAMS.confidence;
+        trace.adjust('break_retest', confidence, retestInputs, "4H Trend Down, 15m Break-and-Retest of PDL in high-liquidity session.");
     }
 }
 
 // 6. No Entry Found
 if (signal === 'flat') {
-    reason = `HTF bias ${htf_bias}. No B&R setup (Session: ${isHighLiquidity}, 15m RSI: ${last_rsi_15m.toFixed(1)})`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, sr_data: srData } }];
+    trace.check('break_retest', false, retestInputs, `HTF bias ${htf_bias}. No B&R setup (Session: ${isHighLiquidity}, 15m RSI: ${last_rsi_15m.toFixed(1)})`);
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
 // 7. Calculate Structural SL & TP
 const currentPrice = parseFloat(data_15m[0].close);
+
+// v2.8: Stop entry beyond the retest candle: the retest has to resolve in the trade's direction
+const retestExtreme = parseFloat(signal === 'buy' ? current_15m_candle.high : current_15m_candle.low);
+const entryBuffer = PARAMS.stopEntryBufferPips * pipSize;
+const order = buildOrder(signal, currentPrice, PARAMS.entryMode === 'stop'
+    ? { type: 'stop', price: signal === 'buy' ? retestExtreme + entryBuffer : retestExtreme - entryBuffer, validMinutes: PARAMS.orderValidMinutes }
+    : null, instrument);
+const entryPrice = order.trigger_price !== null ? order.trigger_price : currentPrice;
+
 let recommendedSLPrice;
 let recommendedTPPrice;
 
@@ -212,37 +191,39 @@ if (signal === 'buy') {
     // SL is *below* the PDH (the broken structure)
     recommendedSLPrice = pdh - sr_zone_amount; 
     // TP is the next major pivot
-    recommendedTPPrice = pivots.R1; 
+    recommendedTPPrice = pivots.r1; 
 
     // Sanity check for TP: Ensure TP is at least 1:1 R:R
-    if (recommendedTPPrice && (recommendedTPPrice < currentPrice + (currentPrice - recommendedSLPrice))) {
-        recommendedTPPrice = pivots.R2 || recommendedTPPrice; // Target R2 if R1 is too close
+    if (recommendedTPPrice && (recommendedTPPrice < entryPrice + (entryPrice - recommendedSLPrice))) {
+        recommendedTPPrice = pivots.r2 || recommendedTPPrice; // Target R2 if R1 is too close
     }
-    if (!recommendedTPPrice) reason += " | Warning: No R1/R2 pivot for TP.";
 
 } else { // signal === 'sell'
     // SL is *above* the PDL (the broken structure)
     recommendedSLPrice = pdl + sr_zone_amount;
     // TP is the next major pivot
-    recommendedTPPrice = pivots.S1;
+    recommendedTPPrice = pivots.s1;
     // FIX: Removed a stray 's' from the next line
     
     // Sanity check for TP: Ensure TP is at least 1:1 R:R
-    if (recommendedTPPrice && (recommendedTPPrice > currentPrice - (recommendedSLPrice - currentPrice))) {
-        recommendedTPPrice = pivots.S2 || recommendedTPPrice; // Target S2 if S1 is too close
+    if (recommendedTPPrice && (recommendedTPPrice > entryPrice - (recommendedSLPrice - entryPrice))) {
+        recommendedTPPrice = pivots.s2 || recommendedTPPrice; // Target S2 if S1 is too close
     }
-    if (!recommendedTPPrice) reason += " | Warning: No S1/S2 pivot for TP.";
 }
 
 // Final check: Veto if no valid TP was found
-if (!recommendedTPPrice) {
-    reason = `VETO: ${signal} triggered but no valid S/R pivot found for Take Profit.`;
-    return [{ json: { symbol, signal: 'flat', confidence: 0, reason, sr_data: srData } }];
+if (!trace.gate('tp_pivot', recommendedTPPrice, { tp: recommendedTPPrice, r1: pivots.r1, r2: pivots.r2, s1: pivots.s1, s2: pivots.s2 },
+    `VETO: ${signal} triggered but no valid S/R pivot found for Take Profit.`)) {
+    return [{ json: { symbol, signal: 'flat', confidence: 0, ...trace.result('flat', 0), sr_data: srData, config: CONFIG } }];
 }
 
-// Calculate SL pips
-const slDistance = Math.abs(currentPrice - recommendedSLPrice);
-const recommendedSLPips = Math.max(20, Math.round(slDistance / pipSize)); // Min 20 pips
+// Calculate SL pips (v2.8: from the entry trigger)
+const slDistance = Math.abs(entryPrice - recommendedSLPrice);
+const recommendedSLPips = Math.max(PARAMS.minSLPips, Math.round(slDistance / pipSize)); // Min 20 pips
+
+// v2.7: Shared exit schema; the SL price follows the 20-pip floor, the TP stays on the pivot
+const exit = buildExit(signal, entryPrice, { slPips: recommendedSLPips, tpPrice: recommendedTPPrice }, instrument);
+addCancelConditions(order, signal, exit);
 
 return [{ 
     json: { 
@@ -250,11 +231,11 @@ return [{
         signal, 
         confidence, 
         price: currentPrice,
-        recommendedSLPips,
-        recommendedSLPrice, // NEW: Added a precise SL price
-        recommendedTPPrice, // NEW: Added a precise TP price
-        reason,
+        ...exit, // v2.7: recommendedSL/TP Price + Pips, rewardRisk
+        order, // v2.8: Pending stop entry (or market)
+        ...trace.result(signal, confidence), // v2.9: reason + decision_trace
         signalType: "break-and-retest", // NEW: Strategy name
+        market_data: parseQuote(items[2].json, instrument, currentPrice), // v2.5: bid/ask/spread
         indicators: {
             rsi_4h: last_rsi_4h,
             rsi_15m: last_rsi_15m,
@@ -263,6 +244,9 @@ return [{
             isHighLiquidity // NEW: Added session status
         },
         sr_data: srData,
-        meta: meta
+        meta: meta,
+        market_regime: candleData.market_regime || null, // v2.6: Shared regime (MTF_Combiner)
+        data_quality: candleData.data_quality || null, // v2.11: Data-quality report (MTF_Combiner)
+        config: CONFIG // Effective config, for reproducibility
     }
 }];
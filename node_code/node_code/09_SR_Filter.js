@@ -0,0 +1,75 @@
+// NODE: S/R Filter (v2.3 - High Performance Pivots)
+// v2.3: The 1D input may be any format of 'fx-quant-lib/adapters' (OANDA, MT5, Dukascopy,
+//       CSV, JSON array); it is converted to the Twelve Data shape first.
+// v2.2: Levels are rounded to the instrument's digits ('fx-quant-lib/instruments').
+//       The old fixed 2 decimals (meant for XAU/USD) destroyed EUR/USD-style levels.
+// FIX: Removed stray 's' character typo
+// INPUT: Receives data from the HTTP 1D node.
+// OUTPUT: A clean JSON object with PDH/PDL/PDC and Classic Daily Pivot Points (S3-R3).
+
+const { getInstrument, roundPrice } = require('fx-quant-lib/instruments');
+const { adaptResponse } = require('fx-quant-lib/adapters');
+
+// v2.3: { meta, values } (newest first) whatever the source; null if unreadable
+let daily = null;
+if (items[0] && items[0].json) {
+  try {
+    daily = adaptResponse(items[0].json, { interval: '1day' });
+  } catch (e) {
+    console.warn(`S/R Filter: 1D input could not be read: ${e.message}`);
+  }
+}
+
+// Helper to format price levels neatly (instrument's quoted digits)
+const instrument = getInstrument(daily && daily.meta && daily.meta.symbol);
+const formatPrice = (price) => roundPrice(price, instrument);
+
+// --- Main Logic ---
+if (!daily || !daily.values || daily.values.length < 2) {
+  console.warn("S/R Filter: Not enough 1D data to calculate pivots. Need at least 2 daily candles.");
+  // Return empty/null data so the Scorer can safely ignore it
+  return [{ json: {
+    pdh: null,
+    pdl: null,
+    pdc: null,
+    pivots: null,
+    error: "Not enough 1D data"
+  }}];
+}
+
+// values[0] is the current (incomplete) day
+// values[1] is the previous (completed) day's candle
+const prevDay = daily.values[1];
+
+const pdh = parseFloat(prevDay.high);
+const pdl = parseFloat(prevDay.low);
+const pdc = parseFloat(prevDay.close);
+
+// --- Classic Pivot Point Calculation ---
+const p = (pdh + pdl + pdc) / 3;
+const r1 = (2 * p) - pdl;
+const s1 = (2 * p) - pdh;
+const r2 = p + (pdh - pdl);
+const s2 = p - (pdh - pdl);
+const r3 = pdh + 2 * (p - pdl);
+const s3 = pdl - 2 * (pdh - p);
+
+const sr_data = {
+  // Pass the raw daily levels
+  pdh: formatPrice(pdh),
+  pdl: formatPrice(pdl), // <-- TYPO REMOVED HERE
+  pdc: formatPrice(pdc),
+  // Pass the calculated pivot map
+  pivots: {
+    p:  formatPrice(p),
+    r1: formatPrice(r1),
+    s1: formatPrice(s1),
+    r2: formatPrice(r2),
+    s2: formatPrice(s2),
+    r3: formatPrice(r3),
+    s3: formatPrice(s3)
+  }
+};
+
+// Return a single, clean S/R data object
+return [{ json: sr_data }];
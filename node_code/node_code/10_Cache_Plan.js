@@ -0,0 +1,21 @@
+// NODE: Cache Plan (v1.0)
+// DESC: Sits between the Telegram Trigger and the time_series HTTP nodes. Adds
+//       `cache_plan` to the trigger item: the Twelve Data `outputsize` for each
+//       interval, which the HTTP nodes read as {{ $json.cache_plan['5min'].outputsize }}.
+//       With `cache.enabled` ('fx-quant-lib/cache') that is only the bars since the
+//       newest cached candle plus `cache.overlapBars`; MTF_Combiner merges the
+//       responses into the cache and passes on the full history. With the cache off
+//       (default) it is the fixed sizes the HTTP nodes always used (201/201/201/300/400).
+// INPUT: The Telegram Trigger item (symbol in message.text).
+// OUTPUT: The same item plus { cache_plan: { '5min': { outputsize, cached }, ..., '1day': ... } }.
+
+const { getEffectiveConfig } = require('fx-quant-lib/config');
+const { openCandleCache, planFetch } = require('fx-quant-lib/cache');
+const { stateNow } = require('fx-quant-lib/state');
+
+return items.map(item => {
+  const symbol = (item.json.message && item.json.message.text || '').trim();
+  const config = getEffectiveConfig(symbol);
+  const cache = openCandleCache(config.cache);
+  return { json: { ...item.json, cache_plan: planFetch(cache, symbol, stateNow(), config.cache) } };
+});
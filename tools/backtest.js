@@ -0,0 +1,242 @@
+// TOOL: backtest (v1.0)
+// DESC: Offline bar-by-bar backtester. Replays history through the REAL node
+//       scripts (MTF_Combiner, S/R Filter, every scorer, Confluence) at each
+//       15m bar close, with no lookahead, and simulates the resulting trades
+//       against their SL/TP.
+//
+// USAGE: node tools/backtest.js --data <dir> [options]
+//   --data DIR            Folder with one file per timeframe: 5min, 15min, 1h, 4h, 1day
+//                         (.csv or .json, see tools/lib/candles.js), or broker exports
+//                         named by interval ('EURUSD_M15_....csv'). 15min is required.
+//   --tz ZONE             Timezone of file times without an offset, e.g. an MT5 server's
+//                         'Europe/Athens' (default UTC).
+//   --symbol SYM          Symbol passed to the nodes (default: file meta or 'UNKNOWN').
+//   --from / --to DATE    Only poll between these dates (UTC).
+//   --max-hold-bars N     Close a trade after N 15m bars (default 96 = 24h, 0 = never).
+//   --single-target       Ignore the signals' trade plans (partials, breakeven, trailing)
+//                         and trade the single SL/TP only.
+//   --out FILE            Write the trade list (.json, or .csv for trades only). Default: stdout.
+//   --traces FILE         Write every poll's Confluence decision trace (scorer traces
+//                         nested) as JSONL, for tools/vetoes.js.
+//   --verbose             Show the nodes' console output.
+//
+// One position per symbol: while a trade is open no new signal is taken.
+// Signals with a `trade_plan` are managed by it (partial closes, breakeven,
+// trailing stop); their rMultiple is that of the whole position.
+// Pending orders (limit / stop entries) wait for their trigger until they
+// expire or hit a cancel level; unfilled orders are counted, not traded.
+// `stats.vetoes` counts, over every poll, which rule vetoed each node's
+// decision, `stats.flatBy` the rule each flat decision ended on ('fx-quant-lib/trace').
+// With `cache.enabled` the nodes see the candle history a live cache would have
+// built up since the first poll (a fresh memory cache per run).
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, writeOutput, fail } = require('./lib/cli');
+const { loadCandles } = require('./lib/candles');
+const { INTERVAL_MS, parseCandleTime } = require('../node_code/lib/candles');
+const { metaFromFilename } = require('../node_code/lib/adapters');
+const { buildResponses, lastIndexAtOrBefore, DEFAULT_OUTPUT_SIZE } = require('./lib/replay');
+const { compilePipeline, runPipeline } = require('./lib/node_runner');
+const { simulateExit, simulatePlan, simulateEntry, rMultiple } = require('./lib/simulator');
+const { createStateStore, setStateStore } = require('../node_code/lib/state');
+const { tallyTrace, sortTally } = require('../node_code/lib/trace');
+const { createCandleCache, setCandleCache } = require('../node_code/lib/cache');
+
+const BAR_MS = INTERVAL_MS['15min'];
+const DEFAULT_MAX_HOLD_BARS = 96;
+
+/**
+ * Loads { '5min', '15min', '1h', '4h', '1day' } from a folder. Returns { series, meta }.
+ * A timeframe's file is <tf>.csv / <tf>.json, else any file whose name carries
+ * that interval ('EURUSD_M15_....csv', 'EUR_USD_H4.json').
+ * @param {string} dir - The folder.
+ * @param {Object} [opts] - Adapter options for every file (e.g. { timezone }).
+ */
+function loadSeries(dir, opts = {}) {
+    const series = {};
+    let meta = {};
+    const files = fs.readdirSync(dir).sort();
+    for (const tf of Object.keys(DEFAULT_OUTPUT_SIZE)) {
+        const name = ['.csv', '.json'].map(ext => tf + ext).find(f => files.includes(f))
+            || files.find(f => metaFromFilename(f).interval === tf);
+        if (!name) { series[tf] = []; continue; }
+        const loaded = loadCandles(path.join(dir, name), opts);
+        series[tf] = loaded.candles;
+        if (tf === '15min' || !meta.symbol) meta = { ...loaded.meta, ...meta };
+    }
+    return { series, meta };
+}
+
+/**
+ * Picks the scorer output Confluence based its decision on (same rule as Confluence:
+ * highest confidence among the emitting strategy's signals in that direction).
+ */
+function findEmittingScorer(signal, scorers) {
+    const candidates = Object.values(scorers).flat()
+        .filter(s => s.signal === signal.signal && s.signalType === signal.strategyType);
+    candidates.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    return candidates[0] || {};
+}
+
+/**
+ * Turns a Confluence signal (and its emitting scorer output) into a simulated trade, or null if it has no usable SL.
+ */
+function buildTrade(signal, scorer) {
+    // Fill side of the book (spread-aware Confluence), else the chart price
+    const entry = Number(signal.entry_price != null ? signal.entry_price : signal.price);
+    const sl = signal.sl_price != null ? Number(signal.sl_price) : (scorer.recommendedSLPrice != null ? Number(scorer.recommendedSLPrice) : null);
+    let tp = signal.tp_price != null ? Number(signal.tp_price) : (scorer.recommendedTPPrice != null ? Number(scorer.recommendedTPPrice) : null);
+    const isBuy = signal.signal === 'buy';
+    if (!entry || sl === null || (isBuy ? sl >= entry : sl <= entry)) return null;
+    if (tp !== null && (isBuy ? tp <= entry : tp >= entry)) tp = null;
+    return { direction: signal.signal, entry, sl, tp };
+}
+
+/**
+ * Runs the backtest over preloaded series.
+ * @param {Object} series - Chronological candles per timeframe.
+ * @param {Object} opts - { symbol, from, to, maxHoldBars, singleTarget, nodes, console, onTrace }
+ * @returns {Promise<{ trades: Array, stats: Object }>}
+ */
+async function runBacktest(series, opts = {}) {
+    const bars15 = series['15min'];
+    const nodes = opts.nodes || compilePipeline({ console: opts.console });
+    const maxHoldBars = opts.maxHoldBars === undefined ? DEFAULT_MAX_HOLD_BARS : opts.maxHoldBars;
+    const trades = [];
+    const stats = { polls: 0, signals: 0, skippedNoStop: 0, ordersUnfilled: 0 };
+    const tally = {};
+
+    // Fresh signal history (and candle cache, if enabled) per run, on the replayed clock
+    let T = null;
+    setStateStore(createStateStore('memory'), () => T);
+    setCandleCache(createCandleCache('memory'));
+
+    let i = opts.from ? Math.max(0, lastIndexAtOrBefore(bars15, opts.from - BAR_MS) + 1) : 0;
+    for (; i < bars15.length; i++) {
+        T = bars15[i].time + BAR_MS;
+        if (opts.to && T > opts.to) break;
+        stats.polls++;
+        if (opts.onProgress && stats.polls % 1000 === 0) opts.onProgress(stats.polls, T);
+
+        const responses = buildResponses(series, T, { symbol: opts.symbol });
+        const run = await runPipeline(nodes, responses);
+        for (const s of run.confluence) {
+            if (!s.decision_trace) continue;
+            tallyTrace(tally, s.decision_trace);
+            if (opts.onTrace) opts.onTrace({ time: new Date(T).toISOString(), symbol: s.symbol, decision_trace: s.decision_trace });
+        }
+        const signal = run.confluence.find(s => s.signal === 'buy' || s.signal === 'sell');
+        if (!signal) continue;
+        stats.signals++;
+
+        const scorer = findEmittingScorer(signal, run.scorers);
+        const trade = buildTrade(signal, scorer);
+        if (!trade) { stats.skippedNoStop++; continue; }
+
+        // Pending entry: wait for the trigger (or the cancel / expiry)
+        const orderType = signal.order_type || 'market';
+        let entryIndex = i;
+        let stoppedOut = false;
+        if (orderType !== 'market') {
+            const entry = simulateEntry(trade, {
+                type: orderType,
+                trigger: Number(signal.trigger_price),
+                expiresMs: signal.expires_at ? Date.parse(signal.expires_at) : null,
+                cancelIf: signal.cancel_if
+            }, bars15, i);
+            if (!entry.filled) {
+                stats.ordersUnfilled++;
+                // Resume polling at the close of the last bar the order was alive in
+                i = Math.max(i, entry.index - 1);
+                continue;
+            }
+            trade.entry = entry.price;
+            entryIndex = entry.index;
+            stoppedOut = entry.stoppedOut;
+        }
+
+        const pipSize = (signal.meta && signal.meta.pip_size) || null;
+        const plan = signal.trade_plan && !opts.singleTarget ? signal.trade_plan : null;
+        const simOpts = { bars5: series['5min'], maxHoldBars: maxHoldBars || Infinity, pipSize };
+        let exit;
+        if (stoppedOut) {
+            // Filled and stopped in the same bar
+            const loss = Math.abs(trade.entry - trade.sl);
+            exit = { exitIndex: entryIndex, exitTime: bars15[entryIndex].time + BAR_MS, exitPrice: trade.sl, exitReason: 'sl', barsHeld: 0, mfe: 0, mae: loss };
+        } else {
+            exit = plan ? simulatePlan(trade, plan, bars15, entryIndex, simOpts) : simulateExit(trade, bars15, entryIndex, simOpts);
+        }
+        const risk = Math.abs(trade.entry - trade.sl);
+        const pnl = trade.direction === 'buy' ? exit.exitPrice - trade.entry : trade.entry - exit.exitPrice;
+        trades.push({
+            symbol: signal.symbol,
+            strategyType: signal.strategyType,
+            direction: trade.direction,
+            regime: signal.regime || null,
+            confidence: signal.confidence,
+            rawConfidence: scorer.confidence !== undefined ? scorer.confidence : null,
+            orderType,
+            signalTime: new Date(T).toISOString(),
+            entryTime: new Date(bars15[entryIndex].time + BAR_MS).toISOString(),
+            entryPrice: trade.entry,
+            slPrice: trade.sl,
+            tpPrice: trade.tp,
+            exitTime: new Date(exit.exitTime).toISOString(),
+            exitPrice: exit.exitPrice,
+            exitReason: exit.exitReason,
+            rMultiple: rMultiple(trade, exit.exitPrice),
+            pips: pipSize ? pnl / pipSize : null,
+            barsHeld: exit.barsHeld,
+            mfeR: exit.mfe / risk,
+            maeR: exit.mae / risk,
+            fills: exit.fills || null,
+            reason: signal.reason
+        });
+        // Resume polling at the close of the exit bar
+        i = exit.exitIndex - 1;
+    }
+    setStateStore(null);
+    setCandleCache(null);
+    const { vetoes, failed, flatBy } = sortTally(tally);
+    stats.vetoes = vetoes;
+    stats.flatBy = flatBy;
+    stats.failedRules = failed;
+    return { trades, stats };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.data) fail('Usage: node tools/backtest.js --data <dir> [--symbol SYM] [--tz ZONE] [--from DATE] [--to DATE] [--max-hold-bars N] [--single-target] [--out FILE] [--traces FILE]');
+
+    const { series, meta } = loadSeries(args.data, args.tz && args.tz !== true ? { timezone: String(args.tz) } : {});
+    if (series['15min'].length === 0) fail(`No 15min candles found in ${args.data}`);
+    const symbol = args.symbol || meta.symbol || 'UNKNOWN';
+    const traceFd = args.traces && args.traces !== true ? fs.openSync(String(args.traces), 'w') : null;
+
+    const { trades, stats } = await runBacktest(series, {
+        symbol,
+        from: args.from ? parseCandleTime(args.from) : null,
+        to: args.to ? parseCandleTime(args.to) : null,
+        maxHoldBars: args['max-hold-bars'] !== undefined ? Number(args['max-hold-bars']) : undefined,
+        singleTarget: Boolean(args['single-target']),
+        console: args.verbose ? console : undefined,
+        onTrace: traceFd === null ? undefined : rec => fs.writeSync(traceFd, JSON.stringify(rec) + '\n'),
+        onProgress: (n, T) => console.error(`... ${n} polls (${new Date(T).toISOString()})`)
+    });
+
+    if (traceFd !== null) fs.closeSync(traceFd);
+
+    const totalR = trades.reduce((a, t) => a + (t.rMultiple || 0), 0);
+    console.error(`${symbol}: ${stats.polls} polls, ${stats.signals} signals, ${stats.ordersUnfilled} unfilled orders, ${trades.length} trades, total ${totalR.toFixed(2)}R`);
+    writeOutput(args.out, { symbol, generatedAt: new Date().toISOString(), stats, trades }, trades);
+}
+
+if (require.main === module) {
+    main().catch(err => fail(err.stack || err.message));
+}
+
+module.exports = {
+    loadSeries,
+    runBacktest
+};
@@ -0,0 +1,116 @@
+// TOOL: calibrate (v1.0)
+// DESC: Fits the confidence calibration ('fx-quant-lib/calibration') from
+//       labelled outcomes: one curve per signal type from raw scorer confidence
+//       to the empirical win rate (rMultiple > 0), by isotonic regression or
+//       Platt scaling. Reports Brier scores and reliability diagrams before and
+//       after calibration.
+//
+// USAGE: node tools/calibrate.js <journal.json|trades.json|.csv> [more files...] [options]
+//   Input: the outcome journal of tools/track.js and/or backtest trade lists.
+//   The raw confidence is `rawConfidence` (scorer value), else `confidence`.
+//   --method isotonic|platt  Default: config section 'calibration'.
+//   --min-samples N          Fewer labelled signals of a type = no curve (default: config).
+//   --bins N                 Reliability diagram bins (default 10).
+//   --holdout FRACTION       Score on the latest FRACTION of trades, fitted on the rest
+//                            (default 0: in-sample scores). The written curves always
+//                            use every trade.
+//   --out PATH               Writes PATH.json and PATH.html (reliability diagrams).
+//                            Default: the JSON report on stdout.
+//   --write-curves [FILE]    Write the calibration document Confluence loads
+//                            (default config/fx-calibration.json); enable it with
+//                            `calibration.enabled: true`.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, writeOutput, fail } = require('./lib/cli');
+const { loadTrades } = require('./lib/analytics');
+const { renderCalibrationHtml } = require('./lib/report_html');
+const { getEffectiveConfig } = require('../node_code/lib/config');
+const {
+    DEFAULT_CALIBRATION_FILE, METHODS, fitCalibration, calibrateConfidence, brierScore, reliabilityDiagram
+} = require('../node_code/lib/calibration');
+
+// Labelled points from a trade list: unfilled orders and open signals carry no rMultiple
+function toPoints(trades) {
+    return trades
+        .map(t => {
+            const raw = t.rawConfidence !== undefined && t.rawConfidence !== null && t.rawConfidence !== '' ? t.rawConfidence : t.confidence;
+            return { signalType: t.strategyType, confidence: Number(raw), win: t.rMultiple > 0 };
+        })
+        .filter(p => p.signalType && !isNaN(p.confidence));
+}
+
+/**
+ * Scores a calibration on a set of points, per signal type and overall.
+ * @param {Object} calibration - From fitCalibration().
+ * @param {Array} points - [{ signalType, confidence, win }]
+ * @param {number} bins - Reliability diagram bins.
+ */
+function evaluate(calibration, points, bins) {
+    const calibrated = p => calibrateConfidence(calibration, p.signalType, p.confidence);
+    const score = list => ({
+        samples: list.length,
+        winRate: list.length ? list.filter(p => p.win).length / list.length : null,
+        brier: { raw: brierScore(list), calibrated: brierScore(list, calibrated) },
+        reliability: { raw: reliabilityDiagram(list, undefined, bins), calibrated: reliabilityDiagram(list, calibrated, bins) }
+    });
+    const byType = {};
+    for (const type of [...new Set(points.map(p => p.signalType))].sort()) {
+        byType[type] = { ...score(points.filter(p => p.signalType === type)), curve: calibration.curves[type] || null };
+    }
+    return { overall: score(points), byType };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args._.length === 0) {
+        fail('Usage: node tools/calibrate.js <journal.json|trades.json|.csv> [...] [--method isotonic|platt] [--min-samples N] [--bins N] [--holdout F] [--out PATH] [--write-curves [FILE]]');
+    }
+    const defaults = getEffectiveConfig(null).calibration;
+    const method = args.method && args.method !== true ? String(args.method) : defaults.method;
+    if (!METHODS.includes(method)) fail(`--method must be one of ${METHODS.join(', ')}`);
+    const minSamples = args['min-samples'] !== undefined ? Number(args['min-samples']) : defaults.minSamples;
+    const bins = args.bins !== undefined ? Number(args.bins) : 10;
+    const holdout = args.holdout !== undefined ? Number(args.holdout) : 0;
+    if (!(holdout >= 0 && holdout < 1)) fail('--holdout must be in [0, 1)');
+
+    // Chronological (loadTrades sorts by exit time), so a holdout is the latest trades
+    const points = toPoints(loadTrades(args._));
+    if (points.length === 0) fail('No labelled trades (rMultiple, strategyType and a confidence) in the input');
+    const cut = Math.round(points.length * (1 - holdout));
+    const scored = holdout > 0 ? evaluate(fitCalibration(points.slice(0, cut), { method, minSamples }), points.slice(cut), bins) : null;
+    const calibration = fitCalibration(points, { method, minSamples });
+    const report = {
+        generatedAt: calibration.fittedAt,
+        method,
+        minSamples,
+        trades: points.length,
+        scoredOn: holdout > 0 ? `latest ${points.length - cut} trades (fitted on the ${cut} before)` : 'in-sample',
+        skipped: calibration.skipped,
+        ...(scored || evaluate(calibration, points, bins))
+    };
+
+    for (const [type, s] of Object.entries(report.byType)) {
+        console.error(`${type}: ${s.samples} trades, win rate ${(s.winRate * 100).toFixed(1)}%, Brier ${s.brier.raw} -> ${s.brier.calibrated}${s.curve ? '' : ' (no curve)'}`);
+    }
+    console.error(`All: Brier ${report.overall.brier.raw} -> ${report.overall.brier.calibrated} (${report.scoredOn})`);
+
+    if (args['write-curves']) {
+        const file = args['write-curves'] === true ? DEFAULT_CALIBRATION_FILE : String(args['write-curves']);
+        const { skipped, ...doc } = calibration;
+        writeOutput(file, doc);
+        console.error(`${Object.keys(doc.curves).length} curves -> ${path.resolve(file)}`);
+    }
+    if (!args.out || args.out === true) {
+        writeOutput(null, report);
+        return;
+    }
+    const base = String(args.out).replace(/\.(json|html)$/i, '');
+    writeOutput(base + '.json', report);
+    fs.writeFileSync(base + '.html', renderCalibrationHtml(report));
+    console.error(`Report -> ${path.resolve(base)}.json / .html`);
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,203 @@
+// MODULE: tools/lib/analytics (v1.0)
+// DESC: Performance statistics for a trade list (backtest output or logged
+//       live signals). All money-free: results are in R multiples.
+//
+// A trade needs: rMultiple, entryTime, exitTime (ISO strings or epoch ms).
+// Optional grouping fields: strategyType, regime, symbol.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCandleTime } = require('../../node_code/lib/candles');
+
+// Display order for the strategy breakdown; unknown types are appended
+const KNOWN_STRATEGIES = ['momentum', 'reversion', 'shallow_pullback', 'break-and-retest', 'liquidity', 'market_structure', 'vwap_bias'];
+const KNOWN_REGIMES = ['Up', 'Down', 'Neutral'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 260;
+
+// --- Loading ---
+
+function parseCSVTrades(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+    if (lines.length < 2) return [];
+    const header = lines[0].split(',');
+    return lines.slice(1).map(line => {
+        // Simple CSV: quoted fields may contain commas
+        const cols = line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).map(c => c.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"'));
+        const row = {};
+        header.forEach((h, i) => { row[h] = cols[i]; });
+        return row;
+    });
+}
+
+/**
+ * Loads trades from JSON ({ trades: [...] } or [...]) or CSV files.
+ */
+function loadTrades(files) {
+    const trades = [];
+    for (const file of [].concat(files)) {
+        const text = fs.readFileSync(file, 'utf8');
+        if (path.extname(file).toLowerCase() === '.csv') {
+            trades.push(...parseCSVTrades(text));
+        } else {
+            const json = JSON.parse(text);
+            trades.push(...(Array.isArray(json) ? json : (json.trades || [])));
+        }
+    }
+    return normalizeTrades(trades);
+}
+
+/**
+ * Coerces types, drops trades without an R multiple or times, sorts by exit time.
+ */
+function normalizeTrades(trades) {
+    return trades
+        .map(t => ({
+            ...t,
+            rMultiple: t.rMultiple === '' || t.rMultiple == null ? null : Number(t.rMultiple),
+            entryMs: parseCandleTime(t.entryTime),
+            exitMs: parseCandleTime(t.exitTime)
+        }))
+        .filter(t => t.rMultiple !== null && !isNaN(t.rMultiple) && t.entryMs !== null && t.exitMs !== null)
+        .sort((a, b) => a.exitMs - b.exitMs);
+}
+
+// --- Statistics ---
+
+function mean(arr) {
+    return arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+}
+
+function stdDev(arr) {
+    if (arr.length < 2) return null;
+    const m = mean(arr);
+    return Math.sqrt(arr.reduce((a, b) => a + Math.pow(b - m, 2), 0) / (arr.length - 1));
+}
+
+/**
+ * Cumulative R equity curve and drawdown, one point per closed trade.
+ */
+function equityCurve(trades) {
+    let equity = 0;
+    let peak = 0;
+    return trades.map(t => {
+        equity += t.rMultiple;
+        peak = Math.max(peak, equity);
+        return { time: t.exitMs, equity, drawdown: equity - peak };
+    });
+}
+
+/**
+ * Sum of R per weekday (by exit time) from the first entry to the last exit, zero-filled.
+ */
+function dailyReturns(trades) {
+    if (trades.length === 0) return [];
+    const byDay = new Map();
+    for (const t of trades) {
+        const day = Math.floor(t.exitMs / DAY_MS);
+        byDay.set(day, (byDay.get(day) || 0) + t.rMultiple);
+    }
+    const first = Math.floor(Math.min(...trades.map(t => t.entryMs)) / DAY_MS);
+    const last = Math.floor(Math.max(...trades.map(t => t.exitMs)) / DAY_MS);
+    const out = [];
+    for (let d = first; d <= last; d++) {
+        const weekday = new Date(d * DAY_MS).getUTCDay();
+        if ((weekday === 0 || weekday === 6) && !byDay.has(d)) continue;
+        out.push(byDay.get(d) || 0);
+    }
+    return out;
+}
+
+/**
+ * Share of the period (first entry -> last exit) with at least one open trade.
+ */
+function exposure(trades) {
+    if (trades.length === 0) return null;
+    const intervals = trades.map(t => [t.entryMs, t.exitMs]).sort((a, b) => a[0] - b[0]);
+    let covered = 0;
+    let [curStart, curEnd] = intervals[0];
+    for (const [s, e] of intervals.slice(1)) {
+        if (s > curEnd) { covered += curEnd - curStart; curStart = s; curEnd = e; } else { curEnd = Math.max(curEnd, e); }
+    }
+    covered += curEnd - curStart;
+    const span = Math.max(...trades.map(t => t.exitMs)) - Math.min(...trades.map(t => t.entryMs));
+    return span > 0 ? covered / span : null;
+}
+
+/**
+ * Computes the headline statistics for a list of trades.
+ */
+function computeStats(trades) {
+    const rs = trades.map(t => t.rMultiple);
+    const wins = rs.filter(r => r > 0);
+    const losses = rs.filter(r => r < 0);
+    const grossWin = wins.reduce((a, b) => a + b, 0);
+    const grossLoss = -losses.reduce((a, b) => a + b, 0);
+    const curve = equityCurve(trades);
+    const daily = dailyReturns(trades);
+    const dailyMean = mean(daily);
+    const dailySd = stdDev(daily);
+    const downside = daily.length ? Math.sqrt(mean(daily.map(r => Math.pow(Math.min(0, r), 2)))) : null;
+    const annual = Math.sqrt(TRADING_DAYS_PER_YEAR);
+    const holdHours = trades.map(t => (t.exitMs - t.entryMs) / 3600000);
+
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: trades.length ? wins.length / trades.length : null,
+        expectancyR: mean(rs),
+        avgWinR: mean(wins),
+        avgLossR: mean(losses),
+        totalR: rs.reduce((a, b) => a + b, 0),
+        profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : null),
+        sharpe: dailySd ? (dailyMean / dailySd) * annual : null,
+        sortino: downside ? (dailyMean / downside) * annual : null,
+        maxDrawdownR: curve.length ? Math.min(0, ...curve.map(p => p.drawdown)) : 0,
+        avgHoldingHours: mean(holdHours),
+        exposure: exposure(trades)
+    };
+}
+
+function groupBy(trades, key, order) {
+    const groups = {};
+    for (const t of trades) {
+        const k = t[key] == null || t[key] === '' ? 'unknown' : String(t[key]);
+        (groups[k] = groups[k] || []).push(t);
+    }
+    const keys = Object.keys(groups).sort((a, b) => {
+        const ia = order.indexOf(a);
+        const ib = order.indexOf(b);
+        return (ia === -1 ? order.length : ia) - (ib === -1 ? order.length : ib) || a.localeCompare(b);
+    });
+    const out = {};
+    for (const k of keys) out[k] = computeStats(groups[k]);
+    return out;
+}
+
+/**
+ * Full report: overall stats, breakdowns by strategy / regime / symbol, equity curve.
+ */
+function buildReport(trades) {
+    return {
+        period: trades.length ? {
+            from: new Date(Math.min(...trades.map(t => t.entryMs))).toISOString(),
+            to: new Date(Math.max(...trades.map(t => t.exitMs))).toISOString()
+        } : null,
+        overall: computeStats(trades),
+        byStrategy: groupBy(trades, 'strategyType', KNOWN_STRATEGIES),
+        byRegime: groupBy(trades, 'regime', KNOWN_REGIMES),
+        bySymbol: groupBy(trades, 'symbol', []),
+        equityCurve: equityCurve(trades).map(p => ({ time: new Date(p.time).toISOString(), equity: p.equity, drawdown: p.drawdown }))
+    };
+}
+
+module.exports = {
+    KNOWN_STRATEGIES,
+    loadTrades,
+    normalizeTrades,
+    equityCurve,
+    computeStats,
+    buildReport
+};
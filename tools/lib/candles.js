@@ -0,0 +1,94 @@
+// MODULE: tools/lib/candles (v1.2)
+// DESC: Loads historical candles from disk for the offline tools and formats
+//       them back into the Twelve Data `{ meta, values }` shape the nodes expect.
+// v1.1: Timestamps are read by 'fx-quant-lib/candles' (parseCandleTime), whose
+//       INTERVAL_MS the tools also use; the local copies are gone.
+// v1.2: Files are parsed by 'fx-quant-lib/adapters' (OANDA, MT5, Dukascopy, CSV, JSON).
+//
+// Internal candle format (CHRONOLOGICAL, oldest first):
+//   { time: <UTC epoch ms of the bar open>, open, high, low, close, volume }
+//
+// Supported files: every format of node_code/lib/adapters.js (detected from
+// the content): Twelve Data or OANDA v20 JSON, MT5 / Dukascopy exports, a
+// generic OHLCV CSV or a plain JSON array. Symbol and interval come from the
+// file, else its name ('EURUSD_M5_....csv'). Timestamps may be epoch
+// seconds/ms or date strings; strings without an offset are read in
+// opts.timezone (default UTC, or the Twelve Data response's zone).
+
+const fs = require('fs');
+const { parseMarketData, metaFromFilename } = require('../../node_code/lib/adapters');
+const { parseCandleTime } = require('../../node_code/lib/candles');
+
+function normalizeCandle(raw) {
+    const time = parseCandleTime(raw.time !== undefined ? raw.time : (raw.datetime !== undefined ? raw.datetime : raw.date));
+    const candle = {
+        time,
+        open: parseFloat(raw.open),
+        high: parseFloat(raw.high),
+        low: parseFloat(raw.low),
+        close: parseFloat(raw.close),
+        volume: raw.volume !== undefined && raw.volume !== '' ? parseFloat(raw.volume) : undefined
+    };
+    if (time === null || [candle.open, candle.high, candle.low, candle.close].some(isNaN)) return null;
+    return candle;
+}
+
+/**
+ * Sorts, de-duplicates (last one wins) and drops malformed candles.
+ */
+function cleanCandles(rawCandles) {
+    const byTime = new Map();
+    for (const raw of rawCandles) {
+        const c = normalizeCandle(raw);
+        if (c) byTime.set(c.time, c);
+    }
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Loads a candle file in any adapter format. Returns { candles, meta }, meta
+ * being { symbol, interval, timezone, source } (null where unknown).
+ * @param {string} file - Path of the file.
+ * @param {Object} [opts] - Adapter options ({ format, symbol, interval, timezone, price }).
+ */
+function loadCandles(file, opts = {}) {
+    const { meta, candles } = parseMarketData(fs.readFileSync(file, 'utf8'), { ...metaFromFilename(file), ...opts });
+    return { candles, meta };
+}
+
+/**
+ * Formats a UTC epoch-ms time the way Twelve Data does
+ * ('YYYY-MM-DD' for daily bars, 'YYYY-MM-DD HH:MM:SS' otherwise).
+ */
+function formatDatetime(ms, interval) {
+    const iso = new Date(ms).toISOString();
+    return interval === '1day' ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Builds a Twelve Data style response body from chronological candles.
+ * `values` come out NEWEST FIRST with string prices, like the live API.
+ */
+function toTwelveData(candles, meta) {
+    const values = [];
+    for (let i = candles.length - 1; i >= 0; i--) {
+        const c = candles[i];
+        const v = {
+            datetime: formatDatetime(c.time, meta.interval),
+            open: String(c.open),
+            high: String(c.high),
+            low: String(c.low),
+            close: String(c.close)
+        };
+        if (c.volume !== undefined) v.volume = String(c.volume);
+        values.push(v);
+    }
+    return { meta: { ...meta, exchange_timezone: 'UTC' }, values, status: 'ok' };
+}
+
+module.exports = {
+    loadCandles,
+    cleanCandles,
+    formatDatetime,
+    toTwelveData
+};
@@ -0,0 +1,63 @@
+// MODULE: tools/lib/cli (v1.0)
+// DESC: Minimal helpers shared by the command-line tools.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parses `--key value` / `--flag` arguments into an object.
+ * Repeated keys become arrays. Bare arguments are collected in `_`.
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (!a.startsWith('--')) { args._.push(a); continue; }
+        const key = a.slice(2);
+        const next = argv[i + 1];
+        const value = (next === undefined || next.startsWith('--')) ? true : (i++, next);
+        if (args[key] === undefined) args[key] = value;
+        else args[key] = [].concat(args[key], value);
+    }
+    return args;
+}
+
+/**
+ * Writes `data` to `file` (JSON, or CSV for a .csv path and an array of flat rows),
+ * or prints JSON to stdout when no file is given.
+ */
+function writeOutput(file, data, csvRows) {
+    if (!file || file === true) {
+        process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+        return;
+    }
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    if (path.extname(file).toLowerCase() === '.csv' && Array.isArray(csvRows)) {
+        fs.writeFileSync(file, toCSV(csvRows));
+    } else {
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    }
+}
+
+function toCSV(rows) {
+    if (rows.length === 0) return '';
+    const cols = Object.keys(rows[0]);
+    const esc = v => {
+        if (v === null || v === undefined) return '';
+        const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [cols.join(',')].concat(rows.map(r => cols.map(c => esc(r[c])).join(','))).join('\n') + '\n';
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+module.exports = {
+    parseArgs,
+    writeOutput,
+    toCSV,
+    fail
+};
@@ -0,0 +1,105 @@
+// MODULE: tools/lib/node_runner (v1.0)
+// DESC: Runs the n8n Code node scripts in node_code/ unchanged, outside n8n.
+//       Each script is compiled once as an async function body (same as n8n's
+//       "Run Once for All Items" mode) and gets the globals it expects:
+//       `items`, `$input`, `require` and `console`.
+//       `require('fx-quant-lib/<module>')` resolves to node_code/lib/<module>.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const LIB_DIR = path.join(ROOT, 'node_code', 'lib');
+const LIB_PREFIX = 'fx-quant-lib/';
+
+// Scorers (and their scripts) come from the scorer registry
+const { SCORERS: SCORER_REGISTRY } = require(path.join(LIB_DIR, 'scorers'));
+const SCORERS = Object.keys(SCORER_REGISTRY);
+
+// Pipeline node name -> script (relative to the repo root)
+const NODE_SCRIPTS = {
+    mtf: 'node_code/01_MTF_Combiner.js',
+    sr_filter: 'node_code/node_code/09_SR_Filter.js',
+    ...Object.fromEntries(SCORERS.map(name => [name, SCORER_REGISTRY[name].script])),
+    confluence: 'node_code/node_code/06_Confluence_Stateless.js'
+};
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+function nodeRequire(name) {
+    if (name.startsWith(LIB_PREFIX)) return require(path.join(LIB_DIR, name.slice(LIB_PREFIX.length)));
+    return require(name);
+}
+
+const silentConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Compiles a node script into a runner: (items) => Promise<items>.
+ * @param {string} file - Script path, absolute or relative to the repo root.
+ * @param {Object} [opts] - { console } to override the console the node sees.
+ */
+function compileNode(file, opts = {}) {
+    const fullPath = path.isAbsolute(file) ? file : path.join(ROOT, file);
+    const code = fs.readFileSync(fullPath, 'utf8');
+    const fn = new AsyncFunction('items', '$input', 'require', 'console', code);
+    const nodeConsole = opts.console || silentConsole;
+    return async (items) => {
+        const input = { all: () => items, first: () => items[0], last: () => items[items.length - 1] };
+        const out = await fn(items, input, nodeRequire, nodeConsole);
+        return Array.isArray(out) ? out : [];
+    };
+}
+
+/**
+ * Compiles every pipeline node. Returns { mtf, sr_filter, <scorers>, confluence }.
+ */
+function compilePipeline(opts = {}) {
+    const nodes = {};
+    for (const [name, file] of Object.entries(NODE_SCRIPTS)) nodes[name] = compileNode(file, opts);
+    return nodes;
+}
+
+/**
+ * Gives each node its own copy of an item's top-level object and nested plain
+ * objects (meta, pivots, ...). Candle arrays are shared: nodes only read them,
+ * and deep-copying ~1,500 candles per scorer per poll dominates replay time.
+ */
+function copyItemJson(json) {
+    const out = {};
+    for (const [k, v] of Object.entries(json || {})) {
+        out[k] = (v && typeof v === 'object' && !Array.isArray(v)) ? JSON.parse(JSON.stringify(v)) : v;
+    }
+    return out;
+}
+
+/**
+ * Runs one full poll the way the workflow wires it:
+ * HTTP (5m,15m,1h,4h,1D) -> MTF, 1D -> S/R Filter, [MTF, S/R, Quote] -> each scorer -> Confluence.
+ * @param {Object} nodes - Output of compilePipeline().
+ * @param {Object} responses - { '5min', '15min', '1h', '4h', '1day', quote } HTTP-shaped JSON bodies.
+ * @returns {Promise<{ mtf, sr, scorers: Object, confluence: Array }>}
+ */
+async function runPipeline(nodes, responses) {
+    const tfItems = ['5min', '15min', '1h', '4h', '1day'].map(tf => ({ json: responses[tf] }));
+    const [mtf] = await nodes.mtf(tfItems);
+    const [sr] = await nodes.sr_filter([{ json: responses['1day'] }]);
+    const merged = [mtf, sr, { json: responses.quote || {} }];
+
+    const scorers = {};
+    const scorerItems = [];
+    for (const name of SCORERS) {
+        const out = await nodes[name](merged.map(it => ({ json: copyItemJson(it.json) })));
+        scorers[name] = out.map(it => it.json);
+        scorerItems.push(...out);
+    }
+    const confluence = (await nodes.confluence(scorerItems)).map(it => it.json);
+    return { mtf: mtf.json, sr: sr.json, scorers, confluence };
+}
+
+module.exports = {
+    NODE_SCRIPTS,
+    SCORERS,
+    compileNode,
+    compilePipeline,
+    runPipeline
+};
@@ -0,0 +1,104 @@
+// MODULE: tools/lib/replay (v1.0)
+// DESC: Rebuilds, for any 15m bar close T, the exact HTTP responses the live
+//       workflow would have received if it polled at T, with no lookahead:
+//       - 5m / 15m: only bars that have fully closed by T.
+//       - 1h / 4h / 1day: closed bars, plus the still-forming bar as it looked
+//         at T (aggregated from the 15m bars inside it), newest first, just
+//         like Twelve Data returns the current incomplete candle as values[0].
+//       - quote: the forming daily bar (open/high/low so far, close = last price).
+
+const { INTERVAL_MS } = require('../../node_code/lib/candles');
+const { toTwelveData, formatDatetime } = require('./candles');
+
+const BASE_TF = '15min';
+const BASE_MS = INTERVAL_MS[BASE_TF];
+
+// Same `outputsize` values as the HTTP nodes in 'My workflow.json'
+const DEFAULT_OUTPUT_SIZE = { '5min': 201, '15min': 201, '1h': 201, '4h': 300, '1day': 400 };
+
+/**
+ * Index of the last candle with time <= t (-1 if none). Candles are chronological.
+ */
+function lastIndexAtOrBefore(candles, t) {
+    let lo = 0;
+    let hi = candles.length - 1;
+    let ans = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (candles[mid].time <= t) { ans = mid; lo = mid + 1; } else { hi = mid - 1; }
+    }
+    return ans;
+}
+
+function aggregate(bars, time) {
+    const out = { time, open: bars[0].open, high: -Infinity, low: Infinity, close: bars[bars.length - 1].close };
+    let volume;
+    for (const b of bars) {
+        if (b.high > out.high) out.high = b.high;
+        if (b.low < out.low) out.low = b.low;
+        if (b.volume !== undefined) volume = (volume || 0) + b.volume;
+    }
+    if (volume !== undefined) out.volume = volume;
+    return out;
+}
+
+/**
+ * Candles of one timeframe as visible at time T (chronological, forming bar last).
+ */
+function visibleCandles(series, tf, T, outputSize) {
+    const candles = series[tf] || [];
+    const dur = INTERVAL_MS[tf];
+    if (dur <= BASE_MS) {
+        // Only fully closed bars
+        const end = lastIndexAtOrBefore(candles, T - dur);
+        return candles.slice(Math.max(0, end + 1 - outputSize), end + 1);
+    }
+    const j = lastIndexAtOrBefore(candles, T - BASE_MS);
+    if (j < 0) return [];
+    const bar = candles[j];
+    if (bar.time + dur <= T) {
+        return candles.slice(Math.max(0, j + 1 - outputSize), j + 1);
+    }
+    // Forming bar: rebuild it from the 15m bars that have closed inside it
+    const base = series[BASE_TF];
+    const from = lastIndexAtOrBefore(base, bar.time - 1) + 1;
+    const to = lastIndexAtOrBefore(base, T - BASE_MS);
+    const closed = candles.slice(Math.max(0, j - (outputSize - 1)), j);
+    if (to < from) return closed;
+    return closed.concat([aggregate(base.slice(from, to + 1), bar.time)]);
+}
+
+/**
+ * Builds the HTTP-shaped responses for a poll at time T.
+ * @param {Object} series - { '5min', '15min', '1h', '4h', '1day' } chronological candles.
+ * @param {number} T - Poll time (UTC epoch ms), normally a 15m bar close.
+ * @param {Object} opts - { symbol, outputSize }
+ */
+function buildResponses(series, T, opts = {}) {
+    const symbol = opts.symbol || 'UNKNOWN';
+    const sizes = { ...DEFAULT_OUTPUT_SIZE, ...(opts.outputSize || {}) };
+    const responses = {};
+    for (const tf of Object.keys(DEFAULT_OUTPUT_SIZE)) {
+        responses[tf] = toTwelveData(visibleCandles(series, tf, T, sizes[tf]), { symbol, interval: tf });
+    }
+    const day = visibleCandles(series, '1day', T, 1)[0];
+    const last15 = visibleCandles(series, BASE_TF, T, 1)[0];
+    responses.quote = day && last15 ? {
+        symbol,
+        datetime: formatDatetime(day.time, '1day'),
+        timestamp: Math.floor(T / 1000),
+        open: String(day.open),
+        high: String(day.high),
+        low: String(day.low),
+        close: String(last15.close)
+    } : {};
+    return responses;
+}
+
+module.exports = {
+    BASE_TF,
+    DEFAULT_OUTPUT_SIZE,
+    lastIndexAtOrBefore,
+    visibleCandles,
+    buildResponses
+};
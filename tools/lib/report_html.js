@@ -0,0 +1,148 @@
+// MODULE: tools/lib/report_html (v1.0)
+// DESC: Renders a report from tools/lib/analytics (or the calibration report of
+//       tools/calibrate.js) into ONE self-contained HTML page. Charts are inline SVG built here, so the page opens offline with
+//       no scripts or external assets.
+
+const COLUMNS = [
+    ['trades', 'Trades', v => v],
+    ['winRate', 'Win %', v => pct(v)],
+    ['expectancyR', 'Exp. R', v => num(v)],
+    ['totalR', 'Total R', v => num(v)],
+    ['profitFactor', 'PF', v => v === Infinity ? '∞' : num(v)],
+    ['sharpe', 'Sharpe', v => num(v)],
+    ['sortino', 'Sortino', v => num(v)],
+    ['maxDrawdownR', 'Max DD (R)', v => num(v)],
+    ['avgHoldingHours', 'Avg hold (h)', v => num(v, 1)],
+    ['exposure', 'Exposure', v => pct(v)]
+];
+
+function num(v, digits = 2) {
+    return v === null || v === undefined || isNaN(v) ? '–' : Number(v).toFixed(digits);
+}
+
+function pct(v) {
+    return v === null || v === undefined ? '–' : (v * 100).toFixed(1) + '%';
+}
+
+function escapeHtml(s) {
+    return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function statsTable(title, groups) {
+    const head = '<tr><th></th>' + COLUMNS.map(c => `<th>${c[1]}</th>`).join('') + '</tr>';
+    const rows = Object.entries(groups).map(([name, s]) =>
+        `<tr><td>${escapeHtml(name)}</td>` + COLUMNS.map(([k, , fmt]) => `<td>${fmt(s[k])}</td>`).join('') + '</tr>');
+    return `<h2>${escapeHtml(title)}</h2><table>${head}${rows.join('')}</table>`;
+}
+
+/**
+ * Line/area chart of one series as an SVG string.
+ */
+function svgChart(points, key, opts) {
+    const width = 900;
+    const height = 220;
+    const pad = 40;
+    if (points.length === 0) return '<p>No trades.</p>';
+    const values = points.map(p => p[key]);
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    const span = (max - min) || 1;
+    const x = i => pad + (points.length === 1 ? 0 : (i / (points.length - 1)) * (width - 2 * pad));
+    const y = v => pad / 2 + (1 - (v - min) / span) * (height - pad);
+    const line = values.map((v, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    const area = opts.fill ? `<path d="${line} L${x(values.length - 1).toFixed(1)},${y(0).toFixed(1)} L${x(0).toFixed(1)},${y(0).toFixed(1)} Z" fill="${opts.fill}" />` : '';
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${opts.label}">
+  <line x1="${pad}" x2="${width - pad}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#999" stroke-dasharray="4 4" />
+  ${area}<path d="${line}" fill="none" stroke="${opts.stroke}" stroke-width="1.5" />
+  <text x="4" y="${(y(max) + 4).toFixed(1)}" font-size="11">${num(max)}R</text>
+  <text x="4" y="${(y(min) + 4).toFixed(1)}" font-size="11">${num(min)}R</text>
+  <text x="${pad}" y="${height - 2}" font-size="11">${escapeHtml(points[0].time.slice(0, 10))}</text>
+  <text x="${width - pad}" y="${height - 2}" font-size="11" text-anchor="end">${escapeHtml(points[points.length - 1].time.slice(0, 10))}</text>
+</svg>`;
+}
+
+/**
+ * Reliability diagram as an SVG string: predicted vs observed win rate per bin,
+ * raw in grey and calibrated in blue, dot area by trade count.
+ */
+function svgReliability(reliability, label) {
+    const size = 260;
+    const pad = 30;
+    const span = size - 2 * pad;
+    const x = v => pad + v * span;
+    const y = v => size - pad - v * span;
+    const maxCount = Math.max(1, ...reliability.raw.concat(reliability.calibrated).map(b => b.count));
+    const series = (bins, color) => {
+        const line = bins.map((b, i) => `${i === 0 ? 'M' : 'L'}${x(b.predicted).toFixed(1)},${y(b.observed).toFixed(1)}`).join(' ');
+        const dots = bins.map(b => `<circle cx="${x(b.predicted).toFixed(1)}" cy="${y(b.observed).toFixed(1)}" r="${(2 + 6 * Math.sqrt(b.count / maxCount)).toFixed(1)}" fill="${color}" fill-opacity="0.6"><title>${b.count} trades: predicted ${pct(b.predicted)}, won ${pct(b.observed)}</title></circle>`).join('');
+        return `<path d="${line}" fill="none" stroke="${color}" stroke-width="1.5" />${dots}`;
+    };
+    return `<svg viewBox="0 0 ${size} ${size}" width="${size}" role="img" aria-label="${escapeHtml(label)}">
+  <rect x="${pad}" y="${pad}" width="${span}" height="${span}" fill="none" stroke="#ddd" />
+  <line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#999" stroke-dasharray="4 4" />
+  ${series(reliability.raw, '#999')}${series(reliability.calibrated, '#1f77b4')}
+  <text x="${pad}" y="${size - 8}" font-size="11">predicted →</text>
+  <text x="4" y="${pad - 8}" font-size="11">↑ won</text>
+</svg>`;
+}
+
+/**
+ * Renders the calibration report of tools/calibrate.js.
+ */
+function renderCalibrationHtml(report, title = 'Confidence Calibration') {
+    const groups = { All: report.overall, ...report.byType };
+    const rows = Object.entries(groups).map(([name, s]) =>
+        `<tr><td>${escapeHtml(name)}</td><td>${s.samples}</td><td>${pct(s.winRate)}</td><td>${num(s.brier.raw, 4)}</td><td>${num(s.brier.calibrated, 4)}</td>` +
+        `<td>${s.curve === undefined ? '' : (s.curve ? escapeHtml(s.curve.method) : 'none')}</td></tr>`);
+    const charts = Object.entries(groups).map(([name, s]) =>
+        `<figure><figcaption>${escapeHtml(name)}</figcaption>${svgReliability(s.reliability, `Reliability ${name}`)}</figure>`);
+    return page(title, `<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(report.method)} · ${report.trades} trades · scored ${escapeHtml(report.scoredOn)} · grey: raw confidence, blue: calibrated, dashed: perfect calibration.</p>
+<table><tr><th></th><th>Trades</th><th>Win %</th><th>Brier raw</th><th>Brier calibrated</th><th>Curve</th></tr>${rows.join('')}</table>
+<div class="charts">${charts.join('')}</div>`);
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 24px; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f4f4f4; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+  figure { margin: 0; font-size: 13px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the full HTML page.
+ */
+function renderReportHtml(report, title = 'Strategy Performance Report') {
+    const period = report.period ? `${report.period.from.slice(0, 10)} → ${report.period.to.slice(0, 10)}` : 'No trades';
+    return page(title, `<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(period)} · Sharpe/Sortino from weekday R returns, annualized (√260).</p>
+${statsTable('Overall', { All: report.overall })}
+<h2>Equity curve (cumulative R)</h2>
+${svgChart(report.equityCurve, 'equity', { stroke: '#1f77b4', label: 'Equity curve' })}
+<h2>Drawdown (R)</h2>
+${svgChart(report.equityCurve, 'drawdown', { stroke: '#d62728', fill: 'rgba(214,39,40,0.15)', label: 'Drawdown' })}
+${statsTable('By strategy', report.byStrategy)}
+${statsTable('By regime', report.byRegime)}
+${statsTable('By symbol', report.bySymbol)}`);
+}
+
+module.exports = {
+    renderReportHtml,
+    renderCalibrationHtml
+};
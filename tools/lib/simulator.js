@@ -0,0 +1,249 @@
+// MODULE: tools/lib/simulator (v1.0)
+// DESC: Simulates a single trade's fills against SL/TP on historical bars.
+//
+// Rules (deliberately conservative):
+// - Entry is filled at the signal price at the bar close that produced it.
+// - Exits are checked on each following 15m bar. A bar that opens beyond a
+//   level fills at the open (gap), otherwise at the level.
+// - If SL and TP are both inside one 15m bar, the 5m bars of that period
+//   decide the order; if that is still ambiguous (or there is no 5m data),
+//   SL is assumed to have been hit first.
+// - Without an exit after `maxHoldBars` bars the trade closes at that bar's
+//   close ('timeout'); running out of data closes it at the last close
+//   ('end_of_data').
+//
+// Trade plans (Confluence `trade_plan`, simulatePlan()) follow the same rules
+// per level: the stop is checked against the next target only, several
+// targets can fill in one bar, and a stop moved by a fill (breakeven) or by
+// the trailing rule (updated at each bar close) only applies from the next bar.
+//
+// Pending entries (limit / stop orders, simulateEntry()) are checked on the
+// 15m bars after the signal until they fill, hit a cancel level or expire.
+// A gap through the trigger fills at the open. A bar that reaches both the
+// trigger and a cancel level counts as filled; if the fill bar also reaches
+// the SL the trade is stopped out in that bar, while a TP in the fill bar is
+// not credited.
+
+const { lastIndexAtOrBefore } = require('./replay');
+
+const BAR_MS = 15 * 60 * 1000;
+
+/**
+ * Checks one bar for an exit. Returns { price, reason } or null.
+ * `ambiguous` is true when both SL and TP were inside the bar.
+ */
+function checkBar(bar, trade) {
+    const isBuy = trade.direction === 'buy';
+    const { sl, tp } = trade;
+    if (isBuy) {
+        if (sl !== null && bar.open <= sl) return { price: bar.open, reason: 'sl' };
+        if (tp !== null && bar.open >= tp) return { price: bar.open, reason: 'tp' };
+    } else {
+        if (sl !== null && bar.open >= sl) return { price: bar.open, reason: 'sl' };
+        if (tp !== null && bar.open <= tp) return { price: bar.open, reason: 'tp' };
+    }
+    const slHit = sl !== null && (isBuy ? bar.low <= sl : bar.high >= sl);
+    const tpHit = tp !== null && (isBuy ? bar.high >= tp : bar.low <= tp);
+    if (slHit && tpHit) return { price: sl, reason: 'sl', ambiguous: true };
+    if (slHit) return { price: sl, reason: 'sl' };
+    if (tpHit) return { price: tp, reason: 'tp' };
+    return null;
+}
+
+function resolveWithLowerTF(bar, trade, bars5) {
+    if (!bars5 || bars5.length === 0) return null;
+    const from = lastIndexAtOrBefore(bars5, bar.time - 1) + 1;
+    for (let i = from; i < bars5.length && bars5[i].time < bar.time + BAR_MS; i++) {
+        const hit = checkBar(bars5[i], trade);
+        if (hit) return hit;
+    }
+    return null;
+}
+
+/**
+ * Walks forward from the bar after `entryIndex` until SL, TP or timeout.
+ * @param {Object} trade - { direction: 'buy'|'sell', entry, sl, tp }
+ * @param {Array} bars15 - Chronological 15m candles.
+ * @param {number} entryIndex - Index of the bar whose close produced the entry.
+ * @param {Object} opts - { bars5, maxHoldBars }
+ * @returns {{ exitIndex, exitTime, exitPrice, exitReason, barsHeld, mfe, mae }}
+ *          mfe / mae are the best / worst excursions in price units.
+ */
+function simulateExit(trade, bars15, entryIndex, opts = {}) {
+    const maxHoldBars = opts.maxHoldBars || Infinity;
+    const isBuy = trade.direction === 'buy';
+    let mfe = 0;
+    let mae = 0;
+
+    for (let i = entryIndex + 1; i < bars15.length; i++) {
+        const bar = bars15[i];
+        let hit = checkBar(bar, trade);
+        if (hit && hit.ambiguous) hit = resolveWithLowerTF(bar, trade, opts.bars5) || hit;
+
+        const barsHeld = i - entryIndex;
+        if (hit) {
+            // The intrabar path of the exit bar is unknown, so only the exit price counts
+            const pnl = isBuy ? hit.price - trade.entry : trade.entry - hit.price;
+            mfe = Math.max(mfe, pnl);
+            mae = Math.max(mae, -pnl);
+            return { exitIndex: i, exitTime: bar.time + BAR_MS, exitPrice: hit.price, exitReason: hit.reason, barsHeld, mfe, mae };
+        }
+        mfe = Math.max(mfe, isBuy ? bar.high - trade.entry : trade.entry - bar.low);
+        mae = Math.max(mae, isBuy ? trade.entry - bar.low : bar.high - trade.entry);
+        if (barsHeld >= maxHoldBars) {
+            return { exitIndex: i, exitTime: bar.time + BAR_MS, exitPrice: bar.close, exitReason: 'timeout', barsHeld, mfe, mae };
+        }
+    }
+    const lastIdx = bars15.length - 1;
+    return {
+        exitIndex: lastIdx,
+        exitTime: bars15[lastIdx].time + BAR_MS,
+        exitPrice: bars15[lastIdx].close,
+        exitReason: 'end_of_data',
+        barsHeld: lastIdx - entryIndex,
+        mfe,
+        mae
+    };
+}
+
+// Trailing stop after the close of bars15[i] (never looser than `stop`)
+function trailStop(trailing, stop, best, bars15, i, isBuy, atrDistance) {
+    let next = stop;
+    if (trailing.mode === 'atr') {
+        if (!(atrDistance > 0)) return stop; // No pip size: distance unknown
+        next = isBuy ? best - atrDistance : best + atrDistance;
+    } else if (trailing.mode === 'swing') {
+        const window = bars15.slice(Math.max(0, i - trailing.lookbackBars + 1), i + 1);
+        next = isBuy ? Math.min(...window.map(b => b.low)) : Math.max(...window.map(b => b.high));
+    }
+    return isBuy ? Math.max(stop, next) : Math.min(stop, next);
+}
+
+/**
+ * Walks a trade plan forward: partial closes at each target, breakeven and
+ * trailing stop moves, until the position is flat or times out.
+ * @param {Object} trade - { direction: 'buy'|'sell', entry, sl, tp }
+ * @param {Object} plan - Confluence `trade_plan` ({ targets, breakeven, trailing }).
+ * @param {Array} bars15 - Chronological 15m candles.
+ * @param {number} entryIndex - Index of the bar whose close produced the entry.
+ * @param {Object} opts - { bars5, maxHoldBars, pipSize }
+ * @returns {{ exitIndex, exitTime, exitPrice, exitReason, barsHeld, mfe, mae, fills }}
+ *          exitPrice is the size-weighted average of the fills, so rMultiple()
+ *          of it is the R of the whole position. fills: [{ time, price, percent, reason }]
+ */
+function simulatePlan(trade, plan, bars15, entryIndex, opts = {}) {
+    const maxHoldBars = opts.maxHoldBars || Infinity;
+    const isBuy = trade.direction === 'buy';
+    const targets = plan.targets || [];
+    const trailing = plan.trailing;
+    const atrDistance = trailing && trailing.mode === 'atr' ? trailing.distancePips * (opts.pipSize || 0) : 0;
+    const fills = [];
+    let open = 100;
+    let next = 0; // Index of the next target
+    let stop = trade.sl;
+    let trailingOn = Boolean(trailing) && trailing.after === 'entry';
+    let best = trade.entry;
+    let mfe = 0;
+    let mae = 0;
+
+    const fill = (bar, price, percent, reason) => {
+        fills.push({ time: new Date(bar.time + BAR_MS).toISOString(), price, percent, reason });
+        open -= percent;
+    };
+    const finish = (i, reason) => {
+        const exitPrice = fills.reduce((a, f) => a + f.price * f.percent, 0) / 100;
+        return { exitIndex: i, exitTime: bars15[i].time + BAR_MS, exitPrice, exitReason: reason, barsHeld: i - entryIndex, mfe, mae, fills };
+    };
+
+    for (let i = entryIndex + 1; i < bars15.length; i++) {
+        const bar = bars15[i];
+        let newStop = stop;
+        for (;;) {
+            const target = targets[next];
+            const leg = { direction: trade.direction, sl: stop, tp: target ? target.price : null };
+            let hit = checkBar(bar, leg);
+            if (hit && hit.ambiguous) hit = resolveWithLowerTF(bar, leg, opts.bars5) || hit;
+            if (!hit) break;
+            const pnl = isBuy ? hit.price - trade.entry : trade.entry - hit.price;
+            mfe = Math.max(mfe, pnl);
+            mae = Math.max(mae, -pnl);
+            if (hit.reason === 'sl') {
+                fill(bar, hit.price, open, stop === trade.sl ? 'sl' : (trailingOn ? 'trail' : 'breakeven'));
+                return finish(i, fills[fills.length - 1].reason);
+            }
+            const isLast = next === targets.length - 1;
+            fill(bar, hit.price, isLast ? open : Math.min(open, target.closePercent), target.id);
+            next++;
+            if (open <= 1e-9) return finish(i, target.id);
+            if (plan.breakeven && plan.breakeven.after === target.id) {
+                newStop = isBuy ? Math.max(newStop, plan.breakeven.stopPrice) : Math.min(newStop, plan.breakeven.stopPrice);
+            }
+            if (trailing && trailing.after === target.id) trailingOn = true;
+        }
+        mfe = Math.max(mfe, isBuy ? bar.high - trade.entry : trade.entry - bar.low);
+        mae = Math.max(mae, isBuy ? trade.entry - bar.low : bar.high - trade.entry);
+        best = isBuy ? Math.max(best, bar.close) : Math.min(best, bar.close);
+        if (trailingOn) newStop = trailStop(trailing, newStop, best, bars15, i, isBuy, atrDistance);
+        stop = newStop;
+
+        if (i - entryIndex >= maxHoldBars) {
+            fill(bar, bar.close, open, 'timeout');
+            return finish(i, 'timeout');
+        }
+    }
+    const lastIdx = bars15.length - 1;
+    fill(bars15[lastIdx], bars15[lastIdx].close, open, 'end_of_data');
+    return finish(lastIdx, 'end_of_data');
+}
+
+/**
+ * Waits for a pending order to fill.
+ * @param {Object} trade - { direction: 'buy'|'sell', sl }
+ * @param {Object} order - { type: 'limit'|'stop', trigger, expiresMs, cancelIf: [{ when, price, reason }] }
+ * @param {Array} bars15 - Chronological 15m candles.
+ * @param {number} signalIndex - Index of the bar whose close produced the signal.
+ * @returns {Object} { filled: true, index, price, stoppedOut } or
+ *          { filled: false, index (last bar the order was alive in), reason }
+ */
+function simulateEntry(trade, order, bars15, signalIndex) {
+    const isBuy = trade.direction === 'buy';
+    // Limits fill when price comes back to them, stops when it runs through them
+    const towardsBelow = (order.type === 'limit') === isBuy;
+    for (let j = signalIndex + 1; j < bars15.length; j++) {
+        const bar = bars15[j];
+        if (order.expiresMs !== null && bar.time >= order.expiresMs) return { filled: false, index: j - 1, reason: 'expired' };
+
+        let price = null;
+        if (towardsBelow) {
+            if (bar.open <= order.trigger) price = bar.open;
+            else if (bar.low <= order.trigger) price = order.trigger;
+        } else {
+            if (bar.open >= order.trigger) price = bar.open;
+            else if (bar.high >= order.trigger) price = order.trigger;
+        }
+        if (price !== null) {
+            const stoppedOut = trade.sl !== null && (isBuy ? bar.low <= trade.sl : bar.high >= trade.sl);
+            return { filled: true, index: j, price, stoppedOut };
+        }
+        const cancel = (order.cancelIf || []).find(c => (c.when === 'price_below' ? bar.low <= c.price : bar.high >= c.price));
+        if (cancel) return { filled: false, index: j, reason: `cancelled: ${cancel.reason}` };
+    }
+    return { filled: false, index: bars15.length - 1, reason: 'end_of_data' };
+}
+
+/**
+ * R multiple of a closed trade (profit divided by initial risk).
+ */
+function rMultiple(trade, exitPrice) {
+    const risk = Math.abs(trade.entry - trade.sl);
+    if (!risk) return null;
+    const pnl = trade.direction === 'buy' ? exitPrice - trade.entry : trade.entry - exitPrice;
+    return pnl / risk;
+}
+
+module.exports = {
+    simulateExit,
+    simulatePlan,
+    simulateEntry,
+    rMultiple
+};
@@ -0,0 +1,186 @@
+// MODULE: tools/lib/tracker (v1.0)
+// DESC: Labels emitted signals with what happened next. Each record of the
+//       signal state store ('fx-quant-lib/state') is walked forward on the 15m
+//       candles after its signal time, with the same fill rules as the
+//       backtester (tools/lib/simulator):
+//         'tp'      - the TP traded first
+//         'sl'      - the SL traded first (a same-bar tie counts as SL)
+//         'expired' - a pending order that never filled (expired or cancelled),
+//                     or a fill with neither level after `horizonMinutes`
+//                     (closed at that bar's close)
+//         'open'    - not decided yet (pending, or in the trade, at the last
+//                     closed candle)
+//       Only candles that have closed by `nowMs` count. The single SL/TP of the
+//       Telegram signal is tracked, not the trade plan.
+//
+// A journal entry uses the backtester's trade fields, so tools/report.js reads
+// the journal as a trade list (entries without an rMultiple are skipped there).
+
+const { lastIndexAtOrBefore } = require('./replay');
+const { INTERVAL_MS } = require('../../node_code/lib/candles');
+const { simulateExit, simulateEntry, rMultiple } = require('./simulator');
+const { getInstrument } = require('../../node_code/lib/instruments');
+
+const BAR_MS = INTERVAL_MS['15min'];
+const MINUTE_MS = 60 * 1000;
+const OUTCOMES = ['tp', 'sl', 'expired', 'open'];
+
+const round1 = v => Math.round(v * 10) / 10;
+const round2 = v => Math.round(v * 100) / 100;
+
+/**
+ * Labels one signal record.
+ * @param {Object} record - From the state store (see recordSignal()).
+ * @param {Array} bars15 - Chronological 15m candles of the record's symbol.
+ * @param {Object} opts - { bars5, horizonMinutes, nowMs }
+ * @returns {Object} Journal entry (outcome, entry / exit, rMultiple, MFE / MAE, time to outcome).
+ */
+function trackSignal(record, bars15, opts = {}) {
+    const nowMs = opts.nowMs || Date.now();
+    // A forming bar would label the signal on a price that can still change
+    const closed = bars15.slice(0, lastIndexAtOrBefore(bars15, nowMs - BAR_MS) + 1);
+    const bars5 = (opts.bars5 || []).filter(b => b.time + INTERVAL_MS['5min'] <= nowMs);
+    const pipSize = getInstrument(record.symbol).pipSize;
+    const isBuy = record.direction === 'buy';
+    const orderType = record.order_type || 'market';
+    const trade = {
+        direction: record.direction,
+        entry: Number(record.entry_price != null ? record.entry_price : record.price),
+        sl: record.sl_price != null ? Number(record.sl_price) : null,
+        tp: record.tp_price != null ? Number(record.tp_price) : null
+    };
+
+    const entry = {
+        id: record.id,
+        symbol: record.symbol,
+        strategyType: record.strategyType,
+        direction: record.direction,
+        regime: record.regime || null,
+        marketRegime: record.market_regime || null,
+        confidence: record.confidence != null ? record.confidence : null,
+        rawConfidence: record.raw_confidence != null ? record.raw_confidence : null,
+        orderType,
+        signalTime: record.time,
+        signalPrice: record.price,
+        slPrice: trade.sl,
+        tpPrice: trade.tp,
+        outcome: 'open',
+        note: null,
+        entryTime: null,
+        entryPrice: null,
+        exitTime: null,
+        exitPrice: null,
+        rMultiple: null,
+        pips: null,
+        mfePips: null,
+        maePips: null,
+        mfeR: null,
+        maeR: null,
+        outcomeTime: null,
+        barsToOutcome: null,
+        minutesToOutcome: null
+    };
+    const settle = (outcome, note, endMs) => {
+        entry.outcome = outcome;
+        entry.note = note;
+        if (endMs !== null) {
+            entry.outcomeTime = new Date(endMs).toISOString();
+            entry.minutesToOutcome = Math.round((endMs - record.timeMs) / MINUTE_MS);
+        }
+        return entry;
+    };
+
+    if (trade.sl === null || !(isBuy ? trade.sl < trade.entry : trade.sl > trade.entry)) {
+        return settle('open', 'no usable SL: not tracked', null);
+    }
+    // The walk starts with the first bar that opened at or after the signal
+    const signalIndex = lastIndexAtOrBefore(closed, record.timeMs - 1);
+    if (signalIndex === closed.length - 1) return settle('open', 'no closed candle since the signal yet', null);
+    if (closed[signalIndex + 1].time > record.timeMs + BAR_MS) {
+        return settle('open', `candles start at ${new Date(closed[signalIndex + 1].time).toISOString()}, after the signal`, null);
+    }
+
+    // Pending entry: wait for the trigger (or the cancel / expiry)
+    let entryIndex = signalIndex;
+    let stoppedOut = false;
+    if (orderType !== 'market') {
+        const fill = simulateEntry(trade, {
+            type: orderType,
+            trigger: Number(record.trigger_price),
+            expiresMs: record.expires_at ? Date.parse(record.expires_at) : null,
+            cancelIf: record.cancel_if
+        }, closed, signalIndex);
+        if (!fill.filled) {
+            entry.barsToOutcome = fill.index - signalIndex;
+            if (fill.reason === 'end_of_data') return settle('open', `${orderType} order at ${record.trigger_price} pending`, null);
+            return settle('expired', `${orderType} order ${fill.reason}`, closed[fill.index].time + BAR_MS);
+        }
+        trade.entry = fill.price;
+        entryIndex = fill.index;
+        stoppedOut = fill.stoppedOut;
+    }
+    entry.entryTime = new Date((orderType === 'market' ? record.timeMs : closed[entryIndex].time + BAR_MS)).toISOString();
+    entry.entryPrice = trade.entry;
+
+    const horizonBars = opts.horizonMinutes ? Math.max(1, Math.round(opts.horizonMinutes * MINUTE_MS / BAR_MS)) : Infinity;
+    const exit = stoppedOut
+        ? { exitIndex: entryIndex, exitTime: closed[entryIndex].time + BAR_MS, exitPrice: trade.sl, exitReason: 'sl', mfe: 0, mae: Math.abs(trade.entry - trade.sl) }
+        : simulateExit(trade, closed, entryIndex, { bars5, maxHoldBars: horizonBars });
+    const risk = Math.abs(trade.entry - trade.sl);
+    entry.mfePips = round1(exit.mfe / pipSize);
+    entry.maePips = round1(exit.mae / pipSize);
+    entry.mfeR = round2(exit.mfe / risk);
+    entry.maeR = round2(exit.mae / risk);
+    entry.barsToOutcome = exit.exitIndex - signalIndex;
+    if (exit.exitReason === 'end_of_data') return settle('open', 'in the trade', null);
+
+    const pnl = isBuy ? exit.exitPrice - trade.entry : trade.entry - exit.exitPrice;
+    entry.exitTime = new Date(exit.exitTime).toISOString();
+    entry.exitPrice = exit.exitPrice;
+    entry.rMultiple = round2(rMultiple(trade, exit.exitPrice));
+    entry.pips = round1(pnl / pipSize);
+    if (exit.exitReason === 'timeout') {
+        return settle('expired', `no SL/TP within ${opts.horizonMinutes} min: closed at ${exit.exitPrice}`, exit.exitTime);
+    }
+    return settle(exit.exitReason, null, exit.exitTime);
+}
+
+/**
+ * Merges freshly tracked entries into a journal. Decided entries are final;
+ * open ones are replaced by their newer label.
+ * @param {Array} journal - Earlier entries.
+ * @param {Array} entries - From trackSignal().
+ * @returns {Array} Entries sorted by signal time.
+ */
+function mergeJournal(journal, entries) {
+    const byId = new Map(journal.map(e => [e.id, e]));
+    for (const e of entries) {
+        const known = byId.get(e.id);
+        if (!known || known.outcome === 'open') byId.set(e.id, e);
+    }
+    return [...byId.values()].sort((a, b) => Date.parse(a.signalTime) - Date.parse(b.signalTime));
+}
+
+/**
+ * Counts per outcome, plus the win rate and R of the decided trades.
+ * @param {Array} journal - Journal entries.
+ */
+function summarizeJournal(journal) {
+    const counts = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+    for (const e of journal) counts[e.outcome] = (counts[e.outcome] || 0) + 1;
+    const decided = journal.filter(e => e.rMultiple !== null);
+    const totalR = decided.reduce((a, e) => a + e.rMultiple, 0);
+    return {
+        signals: journal.length,
+        ...counts,
+        winRate: counts.tp + counts.sl > 0 ? round2(counts.tp / (counts.tp + counts.sl)) : null,
+        totalR: round2(totalR)
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    trackSignal,
+    mergeJournal,
+    summarizeJournal
+};
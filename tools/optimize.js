@@ -0,0 +1,363 @@
+// TOOL: optimize (v1.1)
+// DESC: Walk-forward optimizer for the scorer and Confluence settings in
+//       'fx-quant-lib/config'. For each window it searches the declared
+//       parameter space on the in-sample (IS) period with the real backtester,
+//       then evaluates the IS winner on the following out-of-sample (OOS)
+//       period. Reports parameter stability and overfitting diagnostics and can
+//       write the winning set into the config document as a per-symbol override.
+// v1.1: Targets and output use the config document; --write-params became --write-config.
+// v1.2: The default space searches the shared regime classifier's thresholds ('regime'
+//       section). Confluence's volatility threshold and Mean's ADX threshold only act in
+//       their fallbacks when a payload has no `market_regime`.
+//
+// USAGE: node tools/optimize.js --data <dir> --from DATE [options]
+//   --data DIR / --symbol SYM / --from / --to / --max-hold-bars   As in tools/backtest.js.
+//   --space FILE          Parameter space (JSON array, see DEFAULT_SPACE). Default: built-in.
+//   --method grid|random  Search method (default random).
+//   --samples N           Random candidates per window (default 30).
+//   --seed N              Random seed (default 1).
+//   --is-days N           In-sample window length (default 90).
+//   --oos-days N          Out-of-sample window length, also the step (default 30).
+//   --objective NAME      expectancy | totalR | sharpe | profitFactor (default expectancy).
+//   --min-trades N        Candidates with fewer IS trades are rejected (default 10).
+//   --out FILE            Full optimization report (JSON). Default: stdout.
+//   --write-config FILE   Merge the latest window's winner into this config document as
+//                         symbols[<symbol>] (e.g. config/fx-config.json); created if missing.
+//
+// Every window also evaluates the current defaults as a baseline candidate.
+// Cost: (candidates + 1) backtests per window over IS + OOS bars. Random search
+// with a modest sample is the practical choice for more than ~3 parameters.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, writeOutput, fail } = require('./lib/cli');
+const { parseCandleTime } = require('../node_code/lib/candles');
+const { compilePipeline } = require('./lib/node_runner');
+const { normalizeTrades, computeStats } = require('./lib/analytics');
+const { loadSeries, runBacktest } = require('./backtest');
+const { CONFIG_VERSION, DEFAULT_CONFIG, validateConfig, setConfigOverrides } = require('../node_code/lib/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each entry sets one value on every `targets` key ('section.key') and
+// 100 - value on every `mirrored` key (symmetric RSI cut-offs).
+const DEFAULT_SPACE = [
+    { name: 'regimeAdxTrendThreshold', targets: ['regime.adxTrendThreshold'], min: 22, max: 30, step: 2 },
+    { name: 'regimeExpansionPercentile', targets: ['regime.expansionPercentile'], min: 0.7, max: 0.9, step: 0.05 },
+    { name: 'bbStdDev', targets: ['mean.bbStdDev'], values: [1.5, 2, 2.5] },
+    { name: 'volatilitySpikeMult', targets: ['trend.volatilitySpikeMult', 'breakout.volatilitySpikeMult', 'mean.volatilitySpikeMult'], values: [2.5, 3.0, 3.5] },
+    { name: 'srZoneAtrMult', targets: ['trend.srZoneAtrMult', 'breakout.srZoneAtrMult', 'mean.srZoneAtrMult'], values: [0.15, 0.25, 0.35] },
+    { name: 'rsiCutoff', targets: ['structure.rsiBuyThreshold', 'breakout.rsiBuyThreshold'], mirrored: ['structure.rsiSellThreshold', 'breakout.rsiSellThreshold'], values: [52, 55, 58] }
+];
+
+const OBJECTIVES = {
+    expectancy: s => s.expectancyR,
+    totalR: s => s.totalR,
+    sharpe: s => s.sharpe,
+    profitFactor: s => (s.profitFactor === Infinity ? Number.MAX_VALUE : s.profitFactor)
+};
+
+// --- Parameter space ---
+
+function validateSpace(space) {
+    if (!Array.isArray(space) || space.length === 0) throw new Error('Parameter space must be a non-empty array.');
+    for (const p of space) {
+        if (!p.name) throw new Error('Every parameter needs a name.');
+        p.targets = p.targets || [p.name];
+        p.mirrored = p.mirrored || [];
+        for (const t of p.targets.concat(p.mirrored)) {
+            const [section, key] = t.split('.');
+            if (!DEFAULT_CONFIG[section] || typeof DEFAULT_CONFIG[section][key] !== 'number') throw new Error(`Unknown parameter target '${t}' in '${p.name}'.`);
+        }
+        if (!Array.isArray(p.values) && !(typeof p.min === 'number' && typeof p.max === 'number' && p.max >= p.min)) {
+            throw new Error(`Parameter '${p.name}' needs 'values' or a 'min'/'max' range.`);
+        }
+    }
+    return space;
+}
+
+function gridValues(p) {
+    if (Array.isArray(p.values)) return p.values;
+    if (!p.step) throw new Error(`Grid search needs a 'step' (or 'values') for '${p.name}'.`);
+    const out = [];
+    for (let v = p.min; v <= p.max + 1e-9; v += p.step) out.push(round(v, p.integer));
+    return out;
+}
+
+function round(v, integer) {
+    return integer ? Math.round(v) : Math.round(v * 1e6) / 1e6;
+}
+
+function createRandom(seed) {
+    let s = (seed >>> 0) || 1;
+    return () => {
+        s = (s * 16807) % 2147483647;
+        return (s - 1) / 2147483646;
+    };
+}
+
+function sampleValue(p, rand) {
+    if (Array.isArray(p.values)) return p.values[Math.floor(rand() * p.values.length)];
+    if (p.step) {
+        const steps = Math.floor((p.max - p.min) / p.step + 1e-9);
+        return round(p.min + Math.floor(rand() * (steps + 1)) * p.step, p.integer);
+    }
+    return round(p.min + rand() * (p.max - p.min), p.integer);
+}
+
+/**
+ * Candidate assignments { name: value } for the chosen method.
+ */
+function buildCandidates(space, method, samples, rand) {
+    if (method === 'grid') {
+        let combos = [{}];
+        for (const p of space) {
+            const next = [];
+            for (const combo of combos) for (const v of gridValues(p)) next.push({ ...combo, [p.name]: v });
+            combos = next;
+        }
+        return combos;
+    }
+    const seen = new Set();
+    const out = [];
+    for (let i = 0; i < samples * 20 && out.length < samples; i++) {
+        const c = {};
+        for (const p of space) c[p.name] = sampleValue(p, rand);
+        const key = JSON.stringify(c);
+        if (!seen.has(key)) { seen.add(key); out.push(c); }
+    }
+    return out;
+}
+
+/**
+ * Expands a candidate into config sections { section: { key: value } }.
+ */
+function toParams(space, candidate) {
+    const params = {};
+    const set = (target, value) => {
+        const [section, key] = target.split('.');
+        (params[section] = params[section] || {})[key] = value;
+    };
+    for (const p of space) {
+        if (candidate[p.name] === undefined) continue;
+        p.targets.forEach(t => set(t, candidate[p.name]));
+        p.mirrored.forEach(t => set(t, 100 - candidate[p.name]));
+    }
+    return params;
+}
+
+// --- Evaluation ---
+
+async function evaluate(series, params, range, ctx) {
+    setConfigOverrides(params);
+    try {
+        const { trades } = await runBacktest(series, { ...ctx.backtestOpts, from: range.from, to: range.to, nodes: ctx.nodes });
+        const normalized = normalizeTrades(trades);
+        const stats = computeStats(normalized);
+        const raw = OBJECTIVES[ctx.objective](stats);
+        const score = stats.trades >= ctx.minTrades && raw !== null && !isNaN(raw) ? raw : -Infinity;
+        return { score, stats, trades: normalized };
+    } finally {
+        setConfigOverrides(null);
+    }
+}
+
+function buildWindows(from, to, isDays, oosDays) {
+    const windows = [];
+    for (let start = from; start + (isDays + oosDays) * DAY_MS <= to + 1; start += oosDays * DAY_MS) {
+        const isEnd = start + isDays * DAY_MS;
+        windows.push({ isFrom: start, isTo: isEnd, oosFrom: isEnd, oosTo: isEnd + oosDays * DAY_MS });
+    }
+    return windows;
+}
+
+function describe(v) {
+    return v === -Infinity ? null : v;
+}
+
+/**
+ * Stability of each parameter's chosen value across windows.
+ */
+function parameterStability(space, windows) {
+    const out = {};
+    for (const p of space) {
+        const values = windows.map(w => w.best && w.best.candidate[p.name]).filter(v => v !== undefined && v !== null);
+        if (values.length === 0) { out[p.name] = null; continue; }
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const sd = Math.sqrt(values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length);
+        const counts = {};
+        values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+        const [mode, modeCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        const cv = mean !== 0 ? sd / Math.abs(mean) : null;
+        const modeShare = modeCount / values.length;
+        out[p.name] = {
+            chosen: values,
+            mean,
+            stdDev: sd,
+            cv,
+            mode: Number(mode),
+            modeShare,
+            stable: modeShare > 0.5 || (cv !== null && cv <= 0.1)
+        };
+    }
+    return out;
+}
+
+/**
+ * Runs the whole walk-forward optimization.
+ */
+async function runOptimization(series, opts) {
+    const space = validateSpace(opts.space || DEFAULT_SPACE);
+    const rand = createRandom(opts.seed || 1);
+    const ctx = {
+        nodes: compilePipeline(),
+        objective: opts.objective || 'expectancy',
+        minTrades: opts.minTrades === undefined ? 10 : opts.minTrades,
+        backtestOpts: { symbol: opts.symbol, maxHoldBars: opts.maxHoldBars }
+    };
+    if (!OBJECTIVES[ctx.objective]) throw new Error(`Unknown objective '${ctx.objective}'.`);
+
+    const windows = buildWindows(opts.from, opts.to, opts.isDays || 90, opts.oosDays || 30);
+    if (windows.length === 0) throw new Error('Date range is shorter than one IS + OOS window.');
+
+    const results = [];
+    for (const [wi, w] of windows.entries()) {
+        const candidates = buildCandidates(space, opts.method || 'random', opts.samples || 30, rand);
+        const evaluated = [];
+        const baseline = { candidate: null, params: {} };
+        for (const c of [baseline].concat(candidates.map(candidate => ({ candidate, params: toParams(space, candidate) })))) {
+            const is = await evaluate(series, c.params, { from: w.isFrom, to: w.isTo }, ctx);
+            const oos = await evaluate(series, c.params, { from: w.oosFrom, to: w.oosTo }, ctx);
+            evaluated.push({ ...c, is, oos });
+            if (opts.onProgress) opts.onProgress(wi + 1, windows.length, evaluated.length, candidates.length + 1);
+        }
+
+        const ranked = evaluated.filter(e => e.candidate !== null).sort((a, b) => b.is.score - a.is.score);
+        const best = ranked[0] && ranked[0].is.score > -Infinity ? ranked[0] : null;
+        const base = evaluated[0];
+        // OOS rank of the IS winner among all candidates (0 = best, 1 = worst)
+        let oosRank = null;
+        if (best && ranked.length > 1) {
+            const oosScores = ranked.map(e => e.oos.score).sort((a, b) => b - a);
+            oosRank = oosScores.indexOf(best.oos.score) / (oosScores.length - 1);
+        }
+        results.push({
+            window: wi + 1,
+            isFrom: new Date(w.isFrom).toISOString(),
+            isTo: new Date(w.isTo).toISOString(),
+            oosFrom: new Date(w.oosFrom).toISOString(),
+            oosTo: new Date(w.oosTo).toISOString(),
+            candidates: evaluated.length,
+            best: best ? {
+                candidate: best.candidate,
+                params: best.params,
+                isScore: describe(best.is.score),
+                oosScore: describe(best.oos.score),
+                isStats: best.is.stats,
+                oosStats: best.oos.stats
+            } : null,
+            baseline: { isScore: describe(base.is.score), oosScore: describe(base.oos.score), oosStats: base.oos.stats },
+            oosRank,
+            _oosTrades: best ? best.oos.trades : [],
+            _baselineOosTrades: base.oos.trades
+        });
+    }
+
+    const withBest = results.filter(r => r.best);
+    const meanOf = arr => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null);
+    const isExp = meanOf(withBest.map(r => r.best.isStats.expectancyR).filter(v => v !== null));
+    const oosExp = meanOf(withBest.map(r => r.best.oosStats.expectancyR).filter(v => v !== null));
+    const ranks = withBest.map(r => r.oosRank).filter(v => v !== null);
+    const oosTrades = normalizeTrades(results.flatMap(r => r._oosTrades));
+    const baselineTrades = normalizeTrades(results.flatMap(r => r._baselineOosTrades));
+    results.forEach(r => { delete r._oosTrades; delete r._baselineOosTrades; });
+
+    const latest = withBest[withBest.length - 1] || null;
+    return {
+        symbol: opts.symbol,
+        objective: ctx.objective,
+        method: opts.method || 'random',
+        space,
+        windows: results,
+        stability: parameterStability(space, results),
+        diagnostics: {
+            windowsWithWinner: withBest.length,
+            // OOS expectancy per trade relative to IS: ~1 robust, << 1 overfit
+            walkForwardEfficiency: isExp > 0 && oosExp !== null ? oosExp / isExp : null,
+            oosPositiveWindows: withBest.length ? withBest.filter(r => r.best.oosStats.totalR > 0).length / withBest.length : null,
+            // Share of windows where the IS winner lands in the bottom half on OOS
+            probabilityOfOverfitting: ranks.length ? ranks.filter(r => r > 0.5).length / ranks.length : null,
+            combinedOos: computeStats(oosTrades),
+            combinedOosBaseline: computeStats(baselineTrades)
+        },
+        winner: latest ? { window: latest.window, candidate: latest.best.candidate, params: latest.best.params } : null
+    };
+}
+
+/**
+ * Merges the winner into a config document as symbols[<symbol>] (other symbols
+ * and the global defaults are kept) and bumps the revision.
+ */
+function writeConfigFile(file, report) {
+    const doc = fs.existsSync(file) ? validateConfig(JSON.parse(fs.readFileSync(file, 'utf8')), file) : { version: CONFIG_VERSION };
+    const window = report.windows[report.winner.window - 1];
+    const symbols = doc.symbols || {};
+    const current = symbols[report.symbol] || {};
+    for (const [section, values] of Object.entries(report.winner.params)) {
+        current[section] = { ...(current[section] || {}), ...values };
+    }
+    symbols[report.symbol] = current;
+    doc.symbols = symbols;
+    doc.revision = `optimize ${new Date().toISOString().slice(0, 10)}`;
+    doc.description = `${report.symbol}: walk-forward winner (${report.objective}, IS ${window.isFrom.slice(0, 10)} -> ${window.isTo.slice(0, 10)})`;
+    validateConfig(doc, file);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2) + '\n');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.data || !args.from) fail('Usage: node tools/optimize.js --data <dir> --from DATE [--to DATE] [--space FILE] [--method grid|random] [--out FILE] [--write-config FILE]');
+
+    const { series, meta } = loadSeries(args.data);
+    const bars = series['15min'];
+    if (bars.length === 0) fail(`No 15min candles found in ${args.data}`);
+
+    const report = await runOptimization(series, {
+        symbol: args.symbol || meta.symbol || 'UNKNOWN',
+        from: parseCandleTime(args.from),
+        to: args.to ? parseCandleTime(args.to) : bars[bars.length - 1].time,
+        space: args.space ? JSON.parse(fs.readFileSync(args.space, 'utf8')) : undefined,
+        method: args.method,
+        samples: args.samples ? Number(args.samples) : undefined,
+        seed: args.seed ? Number(args.seed) : undefined,
+        isDays: args['is-days'] ? Number(args['is-days']) : undefined,
+        oosDays: args['oos-days'] ? Number(args['oos-days']) : undefined,
+        objective: args.objective,
+        minTrades: args['min-trades'] !== undefined ? Number(args['min-trades']) : undefined,
+        maxHoldBars: args['max-hold-bars'] !== undefined ? Number(args['max-hold-bars']) : undefined,
+        onProgress: (w, nw, c, nc) => console.error(`... window ${w}/${nw}, candidate ${c}/${nc}`)
+    });
+
+    const d = report.diagnostics;
+    console.error(`WFE ${d.walkForwardEfficiency === null ? '-' : d.walkForwardEfficiency.toFixed(2)}, ` +
+        `OOS ${d.combinedOos.totalR.toFixed(2)}R vs baseline ${d.combinedOosBaseline.totalR.toFixed(2)}R, ` +
+        `PBO ${d.probabilityOfOverfitting === null ? '-' : d.probabilityOfOverfitting.toFixed(2)}`);
+    if (args['write-config'] && args['write-config'] !== true) {
+        if (!report.winner) fail('No window produced a valid winner; config not written.');
+        writeConfigFile(args['write-config'], report);
+        console.error(`Winner for ${report.symbol} written to ${args['write-config']}`);
+    }
+    writeOutput(args.out, report);
+}
+
+if (require.main === module) {
+    main().catch(err => fail(err.stack || err.message));
+}
+
+module.exports = {
+    DEFAULT_SPACE,
+    buildCandidates,
+    toParams,
+    runOptimization
+};
@@ -0,0 +1,36 @@
+// TOOL: report (v1.0)
+// DESC: Performance analytics for one or more trade lists (backtest output or
+//       logged live signals): win rate, expectancy, profit factor, Sharpe /
+//       Sortino, max drawdown, holding time and exposure, overall and broken
+//       down by strategyType, Confluence regime and symbol.
+//
+// USAGE: node tools/report.js <trades.json|.csv> [more files...] [--out reports/run1] [--title TEXT]
+//   Writes <out>.json and <out>.html (self-contained, charts render offline).
+//   Without --out the JSON report is printed to stdout.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, writeOutput, fail } = require('./lib/cli');
+const { loadTrades, buildReport } = require('./lib/analytics');
+const { renderReportHtml } = require('./lib/report_html');
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args._.length === 0) fail('Usage: node tools/report.js <trades.json|.csv> [...] [--out PATH] [--title TEXT]');
+
+    const trades = loadTrades(args._);
+    const report = buildReport(trades);
+
+    if (!args.out || args.out === true) {
+        writeOutput(null, report);
+        return;
+    }
+    const base = String(args.out).replace(/\.(json|html)$/i, '');
+    writeOutput(base + '.json', report);
+    fs.writeFileSync(base + '.html', renderReportHtml(report, args.title && args.title !== true ? String(args.title) : undefined));
+    console.error(`${trades.length} trades -> ${path.resolve(base)}.json / .html`);
+}
+
+if (require.main === module) {
+    main();
+}
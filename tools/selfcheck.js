@@ -0,0 +1,274 @@
+// TOOL: selfcheck (v1.0)
+// DESC: Offline checks of behaviour that one poll of the pipeline cannot show and
+//       no market data is needed for. Each check runs the shared library or a node
+//       script (tools/lib/node_runner) on crafted inputs and reports what differs
+//       from the expected result.
+//       - streaming: the incremental indicators ('fx-quant-lib/streaming') seeded
+//         from history and fed bar by bar match the batch ones ('fx-quant-lib/
+//         indicators') after every bar, and a snapshot restored halfway (toJSON()
+//         -> restoreIndicator()) goes on with the same values, ignoring re-fed bars.
+//       - portfolio: two symbols polled in separate Confluence runs (as the workflow
+//         does). The second signal is checked against the live signal of the first
+//         run in the state store, and rejected when the pair breaks the cluster cap.
+//       - resample: 'ny_close' 4H and daily bars from a gapless 5m feed across both
+//         2024 DST changes. Only the forming bar is `partial`; a feed gap makes its
+//         bars partial and the data-quality gate warns about them.
+//       - quality: the data-quality gate on a long (cached) 5m history. A gap and a
+//         bad tick older than the checked window pass; the same ones in it fail.
+//
+// USAGE: node tools/selfcheck.js [check...]
+//   Runs the named checks (default: all). Exits with 1 if any check fails.
+
+const { parseArgs, fail } = require('./lib/cli');
+const indicators = require('../node_code/lib/indicators');
+const streaming = require('../node_code/lib/streaming');
+const { compileNode } = require('./lib/node_runner');
+const { getEffectiveConfig } = require('../node_code/lib/config');
+const { createStateStore, setStateStore } = require('../node_code/lib/state');
+const { getInstrument } = require('../node_code/lib/instruments');
+const { normalizeCandles } = require('../node_code/lib/candles');
+const { resampleResponses } = require('../node_code/lib/resample');
+const { checkDataQuality } = require('../node_code/lib/quality');
+const { FETCH_SIZES } = require('../node_code/lib/cache');
+
+// --- Fixtures ---
+
+/** Deterministic daily closes: [{ datetime, close }], newest first (as in `meta.daily_closes`). */
+function syntheticCloses(newestDay, start, days) {
+    const closes = [];
+    let close = start;
+    for (let i = 0; i < days; i++) {
+        closes.push({ datetime: new Date(Date.parse(newestDay) - i * 86400000).toISOString().slice(0, 10), close });
+        close *= 1 + 0.004 * Math.sin(i * 1.7) + 0.002 * Math.cos(i * 0.3);
+    }
+    return closes;
+}
+
+/** A trend-scorer SELL as Confluence receives it (trend down, SL 20 / TP 30 pips). */
+function sellSignal(symbol, price, closes, config) {
+    return {
+        json: {
+            symbol,
+            signal: 'sell',
+            signalType: 'momentum',
+            confidence: 0.8,
+            price,
+            recommendedSLPips: 20,
+            recommendedTPPips: 30,
+            reason: 'selfcheck: momentum sell',
+            indicators: { rsi_4h: 40, daily_price_above_ema_200: false, atr_4h_norm: 0.5 },
+            market_regime: { state: 'trend_down', direction: 'Down', confidence: 0.8 },
+            meta: { symbol, daily_closes: closes },
+            config
+        }
+    };
+}
+
+/** `count` closed 5m bars ending before `nowMs`, newest first, in the normalized candle format. */
+function synthetic5m(nowMs, count) {
+    const candles = [];
+    for (let i = 1; i <= count; i++) {
+        const time = nowMs - i * 5 * 60 * 1000;
+        const open = 1.1 + 0.001 * Math.sin(i / 7);
+        const close = 1.1 + 0.001 * Math.sin((i - 1) / 7);
+        const high = Math.max(open, close) + 0.0002;
+        const low = Math.min(open, close) - 0.0002;
+        candles.push({ datetime: new Date(time).toISOString(), time, open, high, low, close, closed: true });
+    }
+    return candles;
+}
+
+// --- Checks (each returns a list of failures) ---
+
+// Streaming indicator -> the batch value(s) it must match (as { name: number|null })
+const STREAMING_CASES = {
+    EMA: { create: () => new streaming.StreamingEMA(21), stream: v => ({ ema: v }), batch: d => ({ ema: indicators.calculateEMA(d, 21).ema }) },
+    RSI: { create: () => new streaming.StreamingRSI(14), stream: v => ({ rsi: v }), batch: d => ({ rsi: indicators.calculateRSI(d, 14).rsi }) },
+    ATR: { create: () => new streaming.StreamingATR(14), stream: v => ({ atr: v }), batch: d => ({ atr: indicators.calculateATR(d, 14).atr }) },
+    ADX: { create: () => new streaming.StreamingADX(14), stream: v => ({ adx: v }), batch: d => ({ adx: indicators.calculateADX(d, 14).adx }) },
+    BB: {
+        create: () => new streaming.StreamingBollinger(20, 2),
+        stream: v => (v ? { upper: v.upper, middle: v.middle, lower: v.lower } : { upper: null, middle: null, lower: null }),
+        batch: d => { const bb = indicators.calculateBollingerBands(d, 20, 2); return { upper: bb.upper, middle: bb.middle, lower: bb.lower }; }
+    },
+    StochRSI: {
+        create: () => new streaming.StreamingStochRSI(14, 14, 3, 3),
+        stream: v => ({ k: v.k, d: v.d }),
+        batch: d => { const st = indicators.calculateStochasticRSI(d, 14, 14, 3, 3); return { k: st.k, d: st.d }; }
+    }
+};
+
+async function checkStreaming() {
+    const failures = [];
+    // 400 15m bars, newest first (payload order), with a trend, a swing and uneven ranges
+    const candles = [];
+    const t0 = Date.parse('2024-01-08T00:00:00Z');
+    for (let i = 0; i < 400; i++) {
+        const close = 1.1 + 0.00002 * i + 0.002 * Math.sin(i / 9) + 0.0004 * Math.sin(i * 2.3);
+        const range = 0.0003 + 0.0002 * Math.abs(Math.sin(i * 0.7));
+        candles.unshift({ datetime: new Date(t0 + i * 15 * 60 * 1000).toISOString(), high: close + range * 0.6, low: close - range * 0.4, close });
+    }
+    const seedBars = 120;
+    const restoreAt = 260;
+    const differs = (a, b) => (a === null || b === null) ? a !== b : Math.abs(a - b) > 1e-9 * Math.max(1, Math.abs(b));
+
+    for (const [name, c] of Object.entries(STREAMING_CASES)) {
+        let ind = c.create();
+        ind.seed(candles.slice(-seedBars));
+        let mismatches = 0;
+        let first = null;
+        for (let n = seedBars; n <= candles.length; n++) {
+            if (n > seedBars) ind.update(candles[candles.length - n]);
+            if (n === restoreAt) {
+                const restored = streaming.restoreIndicator(JSON.stringify(ind.toJSON()));
+                restored.seed(candles.slice(-n).slice(0, 20)); // Already seen: ignored
+                const [before, after] = [c.stream(ind.value), c.stream(restored.value)];
+                if (Object.keys(before).some(k => before[k] !== after[k])) failures.push(`${name}: restored snapshot differs (${JSON.stringify(after)} vs ${JSON.stringify(before)})`);
+                ind = restored;
+            }
+            const got = c.stream(ind.value);
+            const want = c.batch(candles.slice(-n));
+            const bad = Object.keys(want).filter(k => differs(got[k], want[k]));
+            if (bad.length > 0) {
+                mismatches++;
+                if (first === null) first = `bar ${n}: ${bad.map(k => `${k} ${got[k]} vs ${want[k]}`).join(', ')}`;
+            }
+        }
+        if (mismatches > 0) failures.push(`${name}: ${mismatches} bar(s) differ from the batch value (first: ${first})`);
+        if (Object.values(c.stream(ind.value)).some(v => v === null)) failures.push(`${name}: still warming up after ${candles.length} bars`);
+    }
+    return failures;
+}
+
+async function checkPortfolio() {
+    const failures = [];
+    const confluence = compileNode('node_code/node_code/06_Confluence_Stateless.js');
+    const closes = syntheticCloses('2024-01-09', 1.08, 61);
+    // Same daily returns (correlation 1), ~1% risk each: one bet of ~2% against a 1.5% cap
+    const configFor = symbol => {
+        const config = JSON.parse(JSON.stringify(getEffectiveConfig(symbol)));
+        config.portfolio.maxClusterRiskPercent = 1.5;
+        return config;
+    };
+    const eur = sellSignal('EUR/USD', 1.08, closes, configFor('EUR/USD'));
+    const gbp = sellSignal('GBP/USD', 1.26, closes.map(c => ({ ...c, close: c.close * 1.26 / 1.08 })), configFor('GBP/USD'));
+    const T = Date.parse('2024-01-10T10:00:00Z');
+    const run = async (store, nowMs, item) => {
+        setStateStore(store, () => nowMs);
+        return (await confluence([JSON.parse(JSON.stringify(item))]))[0].json;
+    };
+
+    try {
+        const store = createStateStore('memory');
+        const first = await run(store, T, eur);
+        if (first.signal !== 'sell') failures.push(`EUR/USD alone: expected sell, got ${first.signal} (${first.reason})`);
+        if (!String(first.summary).includes('momentum: selfcheck: momentum sell')) failures.push(`EUR/USD summary lacks the scorer's reason: ${first.summary}`);
+
+        const second = await run(store, T + 15 * 60 * 1000, gbp);
+        if (second.signal !== 'flat' || !/^PORTFOLIO:/.test(second.reason) || !/EUR\/USD sell \(open\)/.test(second.reason)) {
+            failures.push(`GBP/USD one run later: expected a portfolio rejection against EUR/USD sell (open), got ${second.signal} (${second.reason})`);
+        }
+        const dropped = ['market_regime', 'meta', 'portfolio'].filter(k => !second[k]);
+        if (dropped.length > 0) failures.push(`GBP/USD rejected output is missing ${dropped.join(', ')}`);
+
+        const liveMinutes = eur.json.config.state.liveMinutes;
+        const later = await run(store, T + (liveMinutes + 15) * 60 * 1000, gbp);
+        if (later.signal !== 'sell') failures.push(`GBP/USD after EUR/USD expired: expected sell, got ${later.signal} (${later.reason})`);
+
+        const alone = await run(createStateStore('memory'), T + 15 * 60 * 1000, gbp);
+        if (alone.signal !== 'sell') failures.push(`GBP/USD with an empty store: expected sell, got ${alone.signal} (${alone.reason})`);
+    } finally {
+        setStateStore(null);
+    }
+    return failures;
+}
+
+async function checkResample() {
+    const failures = [];
+    const feed = (from, to, skip = () => false) => {
+        const values = [];
+        for (let t = Date.parse(from); t < Date.parse(to); t += 5 * 60 * 1000) {
+            if (skip(t)) continue;
+            values.push({ datetime: new Date(t).toISOString().slice(0, 19).replace('T', ' '), open: '1.1', high: '1.1005', low: '1.0995', close: '1.1' });
+        }
+        return { meta: { symbol: 'EUR/USD', interval: '5min', exchange_timezone: 'UTC' }, values: values.reverse() };
+    };
+    const partials = (response, interval) => resampleResponses(response, ['4h', '1day'], 'ny_close')[interval].values
+        .filter(v => v.partial).map(v => v.datetime);
+
+    // Gapless feeds ending mid-bar: only the newest (forming) bar is short
+    for (const [from, to, forming] of [
+        ['2024-03-08T00:00:00Z', '2024-03-11T23:00:00Z', '2024-03-11 21:00:00'], // 23-hour day (spring forward)
+        ['2024-11-01T00:00:00Z', '2024-11-04T23:00:00Z', '2024-11-04 22:00:00']  // 25-hour day (fall back)
+    ]) {
+        for (const interval of ['4h', '1day']) {
+            const got = partials(feed(from, to), interval);
+            if (got.join() !== forming) failures.push(`${interval} ${from.slice(0, 10)}..${to.slice(0, 10)}: expected only ${forming} partial, got ${got.join(', ') || 'none'}`);
+        }
+    }
+
+    // An hour missing on a Wednesday: its 4H bar is partial, and the gate warns
+    const gapFrom = Date.parse('2024-01-10T13:00:00Z');
+    const nowMs = Date.parse('2024-01-11T02:00:00Z');
+    const gapped = resampleResponses(feed('2024-01-09T00:00:00Z', '2024-01-11T02:00:00Z', t => t >= gapFrom && t < gapFrom + 3600000), ['4h'], 'ny_close')['4h'];
+    const candles = normalizeCandles(gapped.values, gapped.meta, nowMs);
+    const short = candles.filter(c => c.partial).map(c => c.datetime);
+    if (short.join() !== '2024-01-10 10:00:00') failures.push(`4h with a 1h feed gap: expected 2024-01-10 10:00:00 partial, got ${short.join(', ') || 'none'}`);
+    const report = checkDataQuality({ '4h': { candles, interval: '4h' } }, getInstrument('EUR/USD'), nowMs, getEffectiveConfig('EUR/USD').data);
+    if (!report.warnings.includes('4h.partial')) failures.push(`4h with a 1h feed gap: expected a 4h.partial warning, got ${report.warnings.join(', ') || 'none'}`);
+    return failures;
+}
+
+async function checkQuality() {
+    const failures = [];
+    const nowMs = Date.parse('2024-01-10T12:00:00Z'); // A Wednesday: no market close in the last 600 bars
+    const cfg = getEffectiveConfig('EUR/USD').data;
+    const inst = getInstrument('EUR/USD');
+    const history = synthetic5m(nowMs, 600);
+    const window = FETCH_SIZES['5min'];
+    // 10 bars missing and one 50x spike, either before the window or inside it
+    const damaged = at => history
+        .filter((c, i) => i < at || i >= at + 10)
+        .map((c, i) => (i === at + 5 ? { ...c, high: c.high + 0.01 } : c));
+    const report = candles => checkDataQuality({ '5m': { candles, interval: '5min' } }, inst, nowMs, cfg);
+
+    const clean = report(history);
+    if (!clean.ok) failures.push(`clean history: expected ok, got ${clean.failed.join(', ')}`);
+    if (clean.bars['5m'] !== window) failures.push(`clean history: expected ${window} bars checked, got ${clean.bars['5m']}`);
+    const old = report(damaged(window + 50));
+    if (!old.ok) failures.push(`gap and spike before the window: expected ok, got ${old.failed.join(', ')}`);
+    const recent = report(damaged(50));
+    for (const check of ['5m.missing', '5m.spike']) {
+        if (!recent.failed.includes(check)) failures.push(`gap and spike in the window: expected ${check}, got ${recent.failed.join(', ') || 'ok'}`);
+    }
+    return failures;
+}
+
+const CHECKS = {
+    streaming: checkStreaming,
+    portfolio: checkPortfolio,
+    resample: checkResample,
+    quality: checkQuality
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const names = args._.length > 0 ? args._ : Object.keys(CHECKS);
+    const unknown = names.filter(n => !CHECKS[n]);
+    if (unknown.length > 0) fail(`Unknown check(s): ${unknown.join(', ')}. Available: ${Object.keys(CHECKS).join(', ')}`);
+
+    let failed = 0;
+    for (const name of names) {
+        const failures = await CHECKS[name]();
+        if (failures.length === 0) {
+            console.log(`ok    ${name}`);
+            continue;
+        }
+        failed++;
+        console.log(`FAIL  ${name}`);
+        for (const f of failures) console.log(`      - ${f}`);
+    }
+    if (failed > 0) fail(`${failed} of ${names.length} check(s) failed.`);
+}
+
+main().catch(err => fail(err.stack || err.message));
@@ -0,0 +1,51 @@
+// TOOL: sync_workflow (v1.0)
+// DESC: Copies the node scripts in node_code/ into the matching Code nodes of
+//       'My workflow.json', so the importable workflow never drifts from the
+//       reviewed source files.
+// USAGE: node tools/sync_workflow.js [--check]
+//        --check  Exit 1 (without writing) if any Code node is out of date.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const WORKFLOW_FILE = path.join(ROOT, 'My workflow.json');
+
+// n8n node name -> source file (relative to the repo root)
+const NODE_FILES = {
+    'MTF': 'node_code/01_MTF_Combiner.js',
+    'Scorer_Structure': 'node_code/node_code/02_Scorer_Structure.js',
+    'Scorer_Liquidity': 'node_code/node_code/03_Scorer_Liquidity.js',
+    'Scorer_Mean': 'node_code/node_code/04_Scorer_Mean.js',
+    'Scorer_Trend ': 'node_code/node_code/05_Scorer_Trend.js',
+    'Confluence': 'node_code/node_code/06_Confluence_Stateless.js',
+    'Scorer_VWAP': 'node_code/node_code/07_Scorer_VWAP.js',
+    'Scorer_Breakout': 'node_code/node_code/08_Scorer_Breakout.js',
+    'S/R Filter': 'node_code/node_code/09_SR_Filter.js',
+    'Cache Plan': 'node_code/node_code/10_Cache_Plan.js'
+};
+
+const checkOnly = process.argv.includes('--check');
+const workflow = JSON.parse(fs.readFileSync(WORKFLOW_FILE, 'utf8'));
+const stale = [];
+
+for (const node of workflow.nodes) {
+    const file = NODE_FILES[node.name];
+    if (!file) continue;
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/\s+$/, '');
+    if (node.parameters.jsCode !== code) {
+        stale.push(node.name.trim());
+        node.parameters.jsCode = code;
+    }
+}
+
+if (checkOnly) {
+    if (stale.length > 0) {
+        console.error(`Out of date: ${stale.join(', ')}. Run 'node tools/sync_workflow.js'.`);
+        process.exit(1);
+    }
+    console.log('Workflow is in sync.');
+} else {
+    fs.writeFileSync(WORKFLOW_FILE, JSON.stringify(workflow, null, 2));
+    console.log(stale.length > 0 ? `Updated: ${stale.join(', ')}` : 'Workflow already in sync.');
+}
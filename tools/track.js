@@ -0,0 +1,158 @@
+// TOOL: track (v1.0)
+// DESC: Signal outcome tracker. Reads the emitted signals from the signal state
+//       store, walks each one forward on the 15m candles after it (see
+//       tools/lib/tracker.js) and labels it TP, SL, expired or still open, with
+//       MFE / MAE and the time to the outcome. Results go to a journal that
+//       tools/report.js reads as a trade list; decided signals are also marked
+//       `closed` in the store.
+//
+// USAGE: node tools/track.js (--data [SYM=]DIR ... | --fetch) [options]
+//   --data [SYM=]DIR      Candle folder of one symbol, same layout as the backtester
+//                         (15min required, 5min used for same-bar ties). Repeat for
+//                         more symbols; a bare DIR needs --symbol or a symbol in its meta.
+//   --fetch               Download 15min / 5min candles from Twelve Data instead (the
+//                         workflow's time_series endpoint). Key: --apikey or $TWELVE_DATA_API_KEY.
+//   --symbol SYM          Only track this symbol.
+//   --state FILE          State store file (default: config section 'state').
+//   --journal FILE        Journal to update (default: state/journal.json).
+//   --out FILE            Also write the journal entries as .json or .csv.
+//   --dry-run             Do not write the journal or touch the store.
+//
+// Records are pruned from the store after `state.retentionDays`, so run the
+// tracker at least that often; the journal keeps decided entries for good.
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { parseArgs, writeOutput, fail } = require('./lib/cli');
+const { cleanCandles } = require('./lib/candles');
+const { trackSignal, mergeJournal, summarizeJournal } = require('./lib/tracker');
+const { loadSeries } = require('./backtest');
+const { createStateStore } = require('../node_code/lib/state');
+const { getEffectiveConfig } = require('../node_code/lib/config');
+const { getInstrument, symbolKey } = require('../node_code/lib/instruments');
+
+const DEFAULT_JOURNAL = path.join(__dirname, '..', 'state', 'journal.json');
+const TWELVE_DATA_URL = 'https://api.twelvedata.com/time_series';
+const FETCH_INTERVALS = ['15min', '5min'];
+
+function readJournal(file) {
+    try {
+        const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(doc.trades) ? doc.trades : [];
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw new Error(`track: could not read ${file}: ${e.message}`);
+    }
+}
+
+function getJSON(url) {
+    return new Promise((resolve, reject) => {
+        https.get(url, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (e) {
+                    reject(new Error(`HTTP ${res.statusCode}: ${body.slice(0, 200)}`));
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Twelve Data candles since `fromMs` for one symbol ({ '15min', '5min' }).
+ */
+async function fetchSeries(symbol, fromMs, apikey) {
+    const series = {};
+    for (const interval of FETCH_INTERVALS) {
+        const query = new URLSearchParams({
+            symbol,
+            interval,
+            start_date: new Date(fromMs).toISOString().slice(0, 19).replace('T', ' '),
+            outputsize: '5000',
+            timezone: 'UTC',
+            apikey
+        });
+        const json = await getJSON(`${TWELVE_DATA_URL}?${query}`);
+        if (json.status === 'error') throw new Error(`Twelve Data ${symbol} ${interval}: ${json.message}`);
+        series[interval] = cleanCandles(json.values || []);
+    }
+    return series;
+}
+
+// --data arguments -> { SYMBOLKEY: series }
+function loadDataArgs(dataArgs, symbolArg) {
+    const bySymbol = {};
+    for (const arg of [].concat(dataArgs)) {
+        const m = String(arg).match(/^([^=]+)=(.+)$/);
+        const dir = m ? m[2] : String(arg);
+        const { series, meta } = loadSeries(dir);
+        const symbol = m ? m[1] : (symbolArg || meta.symbol);
+        if (!symbol) fail(`No symbol for ${dir}: use --data SYM=${dir} or --symbol`);
+        if (series['15min'].length === 0) fail(`No 15min candles found in ${dir}`);
+        bySymbol[symbolKey(symbol)] = series;
+    }
+    return bySymbol;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.data && !args.fetch) {
+        fail('Usage: node tools/track.js (--data [SYM=]DIR ... | --fetch [--apikey KEY]) [--symbol SYM] [--state FILE] [--journal FILE] [--out FILE] [--dry-run]');
+    }
+    const only = args.symbol && args.symbol !== true ? symbolKey(args.symbol) : null;
+    const stateConfig = getEffectiveConfig(null).state;
+    const store = createStateStore(stateConfig.backend, args.state && args.state !== true ? String(args.state) : (stateConfig.file || undefined));
+    const journalFile = args.journal && args.journal !== true ? String(args.journal) : DEFAULT_JOURNAL;
+    const journal = readJournal(journalFile);
+    const nowMs = Date.now();
+
+    const candles = args.data ? loadDataArgs(args.data, only) : {};
+    const decided = new Set(journal.filter(e => e.outcome !== 'open').map(e => e.id));
+    const pending = store.list(only || undefined).filter(r => !r.closed && !decided.has(r.id));
+
+    const entries = [];
+    for (const symbol of [...new Set(pending.map(r => r.symbol))]) {
+        const records = pending.filter(r => r.symbol === symbol);
+        let series = candles[symbol];
+        if (!series && args.fetch) {
+            const apikey = args.apikey && args.apikey !== true ? String(args.apikey) : process.env.TWELVE_DATA_API_KEY;
+            if (!apikey) fail('--fetch needs --apikey or $TWELVE_DATA_API_KEY');
+            series = await fetchSeries(getInstrument(symbol).symbol, Math.min(...records.map(r => r.timeMs)), apikey);
+        }
+        if (!series) {
+            console.error(`${symbol}: ${records.length} signals skipped, no candles (add --data ${symbol}=DIR)`);
+            continue;
+        }
+        const horizonMinutes = getEffectiveConfig(getInstrument(symbol).symbol).state.trackHorizonMinutes;
+        for (const r of records) {
+            entries.push(trackSignal(r, series['15min'], { bars5: series['5min'], horizonMinutes, nowMs }));
+        }
+    }
+
+    const merged = mergeJournal(journal, entries);
+    const summary = summarizeJournal(merged);
+    console.error(`${entries.length} signals tracked: ${['tp', 'sl', 'expired', 'open'].map(o => `${entries.filter(e => e.outcome === o).length} ${o}`).join(', ')}. ` +
+        `Journal: ${summary.signals} signals, win rate ${summary.winRate === null ? 'n/a' : summary.winRate}, total ${summary.totalR}R`);
+    if (args['dry-run']) {
+        writeOutput(args.out, { generatedAt: new Date(nowMs).toISOString(), summary, trades: entries }, entries);
+        return;
+    }
+
+    for (const e of entries) {
+        if (e.outcome !== 'open') store.update(e.id, { closed: true, outcome: e.outcome, outcome_time: e.outcomeTime });
+    }
+    writeOutput(journalFile, { version: 1, generatedAt: new Date(nowMs).toISOString(), summary, trades: merged });
+    if (args.out) writeOutput(args.out, { generatedAt: new Date(nowMs).toISOString(), summary, trades: merged }, merged);
+}
+
+if (require.main === module) {
+    main().catch(err => fail(err.stack || err.message));
+}
+
+module.exports = {
+    fetchSeries
+};
@@ -0,0 +1,93 @@
+// TOOL: vetoes (v1.0)
+// DESC: Aggregates decision traces ('fx-quant-lib/trace') across runs: how many
+//       decisions each node made, how they ended (buy / sell / flat), which rule
+//       vetoed them, which rule each flat decision ended on (a veto, or e.g. no
+//       entry) and which rules failed at all. Answers "why do we get so few
+//       signals?" with counts instead of reading reason strings.
+//
+// USAGE: node tools/vetoes.js <traces.jsonl> [more files...] [options]
+//   Input: the Confluence trace log (`trace.log: true`, default state/traces.jsonl)
+//   or the backtester's --traces file. One { time, symbol, decision_trace } per line.
+//   --symbol SYM          Only this symbol.
+//   --from / --to DATE    Only decisions between these dates (UTC).
+//   --top N               Rules listed on stderr per table (default 10).
+//   --out FILE            Write the JSON report. Default: stdout.
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs, writeOutput, fail } = require('./lib/cli');
+const { parseCandleTime } = require('../node_code/lib/candles');
+const { tallyTrace, sortTally } = require('../node_code/lib/trace');
+const { symbolKey } = require('../node_code/lib/instruments');
+
+/**
+ * Streams the trace records of one JSONL file through `onRecord`.
+ * Returns the number of lines that could not be parsed.
+ */
+async function readTraceFile(file, onRecord) {
+    let bad = 0;
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        let rec;
+        try {
+            rec = JSON.parse(line);
+        } catch (e) {
+            bad++;
+            continue;
+        }
+        onRecord(rec);
+    }
+    return bad;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args._.length === 0) fail('Usage: node tools/vetoes.js <traces.jsonl> [...] [--symbol SYM] [--from DATE] [--to DATE] [--top N] [--out FILE]');
+    const only = args.symbol && args.symbol !== true ? symbolKey(args.symbol) : null;
+    const from = args.from ? parseCandleTime(args.from) : null;
+    const to = args.to ? parseCandleTime(args.to) : null;
+    const top = args.top !== undefined ? Number(args.top) : 10;
+
+    const overall = {};
+    const bySymbol = {};
+    let first = null;
+    let last = null;
+    let bad = 0;
+    for (const file of args._) {
+        if (!fs.existsSync(file)) fail(`No such file: ${file}`);
+        bad += await readTraceFile(file, rec => {
+            if (!rec || !rec.decision_trace) return;
+            if (only && symbolKey(rec.symbol || '') !== only) return;
+            const t = rec.time ? Date.parse(rec.time) : null;
+            if ((from && !(t >= from)) || (to && !(t <= to))) return;
+            if (t !== null && !isNaN(t)) {
+                first = first === null ? t : Math.min(first, t);
+                last = last === null ? t : Math.max(last, t);
+            }
+            tallyTrace(overall, rec.decision_trace);
+            tallyTrace(bySymbol[rec.symbol] = bySymbol[rec.symbol] || {}, rec.decision_trace);
+        });
+    }
+    if (!overall.decisions) fail('No decision traces in the input');
+    if (bad > 0) console.error(`${bad} unreadable lines skipped`);
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        from: first !== null ? new Date(first).toISOString() : null,
+        to: last !== null ? new Date(last).toISOString() : null,
+        ...sortTally(overall),
+        bySymbol: Object.fromEntries(Object.entries(bySymbol).sort().map(([sym, tally]) => [sym, sortTally(tally)]))
+    };
+
+    console.error(`${report.decisions} decisions (${report.signals.buy} buy, ${report.signals.sell} sell, ${report.signals.flat} flat)`);
+    for (const [title, counts] of [['Vetoed by', report.vetoes], ['Flat because of', report.flatBy], ['Failed rules', report.failed]]) {
+        console.error(`${title}:`);
+        for (const [rule, n] of Object.entries(counts).slice(0, top)) console.error(`  ${String(n).padStart(7)}  ${rule}`);
+    }
+    writeOutput(args.out, report);
+}
+
+if (require.main === module) {
+    main().catch(err => fail(err.stack || err.message));
+}